@@ -947,6 +947,11 @@
       ? `<span class="ext-pubscan__stat ext-pubscan__stat--info">🔑 ${data.missingKeywords} utan sökord</span>`
       : '';
 
+    // Probably miscategorised items — listed under "Trolig felkategorisering"
+    const catNote = (data.miscategorized > 0)
+      ? `<span class="ext-pubscan__stat ext-pubscan__stat--info">🗂️ ${data.miscategorized} troligen ${data.miscategorized === 1 ? 'felkategoriserad' : 'felkategoriserade'}</span>`
+      : '';
+
     // High-value items with issues
     const highValueItems = allItemsWithIssues.filter(item => item.estimate >= PUB_SCAN_HIGH_VALUE_THRESHOLD);
     const hvNote = highValueItems.length > 0
@@ -1045,6 +1050,7 @@
           ${warningCount > 0 ? `<span class="ext-pubscan__stat ext-pubscan__stat--warning">🟡 ${warningCount} varningar</span>` : ''}
           <span class="ext-pubscan__stat ext-pubscan__stat--passed">✅ ${passedCount} OK</span>
           ${kwNote}
+          ${catNote}
           ${hvNote}
         </div>
         <div class="ext-pubscan__filters">
@@ -1125,6 +1131,7 @@
             </div>
           </div>
           <div class="ext-pubscan__header-actions">
+            ${allItemsWithIssues.length > 0 ? `<button class="ext-pubscan__enhance-batch" title="Kör Förbättra alla på objekten med anmärkningar och granska förslagen i granskningskön">✨ Förbättra alla (${allItemsWithIssues.length})</button>` : ''}
             <button class="ext-pubscan__wordlist" title="Granska ordlistan">📖 Ordlista</button>
             <button class="ext-pubscan__run" title="Kör skanning">Kör nu ↻</button>
           </div>
@@ -1142,6 +1149,7 @@
     // Wire up buttons
     container.querySelector('.ext-pubscan__run')?.addEventListener('click', () => triggerPublicationScan());
     container.querySelector('.ext-pubscan__wordlist')?.addEventListener('click', () => openWordlistReview());
+    container.querySelector('.ext-pubscan__enhance-batch')?.addEventListener('click', () => startEnhanceBatch(allItemsWithIssues));
 
     // Wire up "Redigera" links
     container.querySelectorAll('.ext-pubscan__edit-link[data-href]').forEach(link => {
@@ -1377,6 +1385,26 @@
     safeSendMessage({ type: 'run-publication-scan' });
   }
 
+  // Queue the flagged items for the Enhance All batch runner (enhance-batch-bg.js);
+  // nothing is saved until each proposal is approved in the review inbox.
+  async function startEnhanceBatch(items) {
+    const withEditUrl = items.filter(item => item.editUrl);
+    if (withEditUrl.length === 0) return;
+    if (!confirm(`Köra "Förbättra alla" på ${withEditUrl.length} objekt i bakgrunden?\n\nInget sparas förrän du godkänner varje förslag i granskningskön.`)) return;
+
+    const resp = await safeSendMessage({
+      type: 'enhance-batch',
+      action: 'start',
+      source: 'publishables',
+      items: withEditUrl.map(item => ({ itemId: item.itemId, editUrl: item.editUrl, title: item.title }))
+    });
+    if (!resp?.success) {
+      alert(`Kunde inte starta körningen: ${resp?.error || 'tillägget svarar inte'}`);
+      return;
+    }
+    safeSendMessage({ type: 'enhance-batch', action: 'open-inbox' });
+  }
+
   // ─── "Granska ordlista" — whitelist review modal ────────────────────
   async function openWordlistReview() {
     // Remove any existing modal
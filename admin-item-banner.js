@@ -43,8 +43,9 @@
       return;
     }
     
-    // Calculate quality score
-    const qualityScore = calculateQualityScore(itemData);
+    // Calculate quality score with the edit page's rule set
+    const qualityRules = await import(chrome.runtime.getURL('modules/core/quality-rules.js'));
+    const qualityScore = calculateQualityScore(itemData, qualityRules, await qualityRules.loadForbiddenWords());
     
     // Show banner if quality is below 71 (catches items missing keywords that would score 70 on edit page)
     if (qualityScore.score < 71) {
@@ -61,7 +62,8 @@
       description: '',
       condition: '',
       keywords: '',
-      artist: ''
+      artist: '',
+      category: ''
     };
 
 
@@ -141,6 +143,15 @@
       if (data.artist) break;
     }
 
+    // Category enables the category-scoped rules (furniture, rugs, art, silver)
+    for (const row of document.querySelectorAll('tr')) {
+      const headerCell = row.querySelector('th, td:first-child');
+      if (headerCell && headerCell.textContent.trim().startsWith('Kategori')) {
+        data.category = row.querySelector('td:last-child')?.textContent.trim() || '';
+        break;
+      }
+    }
+
     // For keywords, we'll assume empty since they're not visible on show page
     data.keywords = '';
 
@@ -148,90 +159,27 @@
     return data;
   }
 
-  function calculateQualityScore(data) {
-    let score = 100;
-    const issues = [];
-    
-    const descLength = data.description.replace(/<[^>]*>/g, '').length;
-    const condLength = data.condition.replace(/<[^>]*>/g, '').length;
-    
-    // Apply same scoring logic as in quality-analyzer.js
-    if (data.title.length < 14) {
-      score -= 15;
-      issues.push('Titel för kort');
-    }
-    
-    if (descLength < 35) {
-      score -= 20;
-      issues.push('Beskrivning för kort');
-    }
-    
-    // Condition analysis
-    const conditionText = data.condition.toLowerCase();
-    const isUnexaminedFramed = /ej\s+examinerad\s+ur\s+ram/i.test(conditionText);
-    
-    if (!isUnexaminedFramed) {
-      if (condLength < 25) {
-        score -= 20;
-        issues.push('Konditionsrapport för kort');
-      }
-      
-      if (data.condition.match(/^<p>bruksslitage\.?<\/p>$/i) || 
-          conditionText.trim() === 'bruksslitage.' ||
-          conditionText.trim() === 'bruksslitage') {
-        score -= 35;
-        issues.push('Enbart "bruksslitage" i kondition');
-      }
-      
-      const vaguePhrases = ['normalt slitage', 'vanligt slitage', 'åldersslitage', 'slitage förekommer'];
-      const hasVaguePhrase = vaguePhrases.some(phrase => conditionText.includes(phrase));
-      
-      if (hasVaguePhrase && condLength < 40) {
-        score -= 20;
-        issues.push('Vaga uttryck i kondition');
-      }
-    }
-    
-    // Check for measurements
-    const hasMeasurementsResult = hasMeasurements(data.description);
-    if (!hasMeasurementsResult) {
-      score -= 10;
-      issues.push('Saknar mått');
-    }
-    
-    const adminScore = Math.max(0, score);
-    
-    // Convert to "edit page equivalent" score
-    // Admin scoring: 0-100 (no keywords penalty)
-    // Edit scoring: 0-100 (includes 30-point keywords penalty)
-    // Formula: editEquivalent = adminScore - 30 (assuming keywords are missing)
-    const editEquivalentScore = Math.max(0, adminScore - 30);
-    
-    // Add keywords to issues list since we assume they're missing
-    const allIssues = [...issues];
-    if (editEquivalentScore < 70) {
-      allIssues.push('Troligen saknas nyckelord');
+  function calculateQualityScore(data, qualityRules, forbiddenWords) {
+    const { evaluateQualityRules } = qualityRules;
+
+    // Keywords aren't visible on the show page: "synlig" skips the keyword
+    // rules, the edit page equivalent counts them as missing
+    const visible = evaluateQualityRules({ ...data, keywords: undefined }, { forbiddenWords });
+    const editEquivalent = evaluateQualityRules(data, { forbiddenWords });
+
+    const issues = visible.issues
+      .filter(issue => issue.penalty > 0)
+      .sort((a, b) => b.penalty - a.penalty)
+      .map(issue => issue.label);
+    if (editEquivalent.score < 70) {
+      issues.push('Troligen saknas nyckelord');
     }
-    
-    return { 
-      score: editEquivalentScore, 
-      adminScore: adminScore,
-      issues: allIssues 
-    };
-  }
 
-  function hasMeasurements(text) {
-    const measurementPatterns = [
-      /(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*×\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
-      /(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*x\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
-      /(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*×\s*\d+([.,]\d+)?\s*×\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
-      /(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*x\s*\d+([.,]\d+)?\s*x\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
-      /(diameter|diam\.?|ø)\s*(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
-      /(längd|bredd|bred|djup|höjd|h\.?|l\.?|d\.?)\s*(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
-      /\d+([.,]\d+)?\s*(mm|cm|m)\b/i
-    ];
-    
-    return measurementPatterns.some(pattern => text.match(pattern));
+    return {
+      score: editEquivalent.score,
+      adminScore: visible.score,
+      issues: [...new Set(issues)]
+    };
   }
 
   function getScoreColors(score) {
@@ -0,0 +1,88 @@
+/**
+ * Admin Pages — Background Service Worker Module
+ * Fetches Auctionet admin pages with the cataloger's session cookie and parses
+ * them in the offscreen document (offscreen.html / offscreen.js), since
+ * service workers have no DOMParser. Shared by the publication scanner and
+ * the Enhance All batch runner.
+ *
+ * Only one offscreen document can exist at a time per extension. Each feature
+ * holds it under its own name and it is closed when the last holder lets go,
+ * so a finished scan can't close it under a running batch.
+ */
+
+const AUCTIONET_BASE = 'https://auctionet.com';
+const FETCH_TIMEOUT_MS = 15000;
+
+const offscreenHolders = new Set();
+let offscreenReady = false;
+
+/**
+ * @param {string} holder — feature name, e.g. 'publication-scan'
+ */
+export async function acquireOffscreen(holder) {
+  offscreenHolders.add(holder);
+  if (offscreenReady) return;
+  // Check if already exists (e.g. from a previous scan)
+  const existingContexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL('offscreen.html')]
+  });
+  if (existingContexts.length > 0) {
+    offscreenReady = true;
+    return;
+  }
+  await chrome.offscreen.createDocument({
+    url: 'offscreen.html',
+    reasons: ['DOM_PARSER'],
+    justification: 'Parse Auctionet admin pages using DOMParser'
+  });
+  offscreenReady = true;
+}
+
+/**
+ * Release a holder; closes the document when nobody else holds it. Safe to
+ * call for a holder that never acquired it.
+ */
+export async function releaseOffscreen(holder) {
+  offscreenHolders.delete(holder);
+  if (offscreenHolders.size > 0) return;
+  try {
+    await chrome.offscreen.closeDocument();
+  } catch (e) { /* already closed or never opened */ }
+  offscreenReady = false;
+}
+
+/**
+ * Send a parse request to the offscreen document and return the result
+ * @param {string} type — 'parse-publishables' | 'detect-pages' | 'parse-show-page' | 'parse-edit-page'
+ */
+export function parseAdminHtml(type, html) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ target: 'offscreen', type, html }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+/**
+ * @param {string} path — absolute URL or path on auctionet.com
+ */
+export async function fetchAdminPage(path) {
+  const url = path.startsWith('http') ? path : AUCTIONET_BASE + path;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      credentials: 'include',
+      signal: controller.signal
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    return response.text();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
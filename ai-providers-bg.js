@@ -0,0 +1,328 @@
+/**
+ * AI Providers — Background Service Worker Module
+ * Pluggable LLM backends behind callAnthropicAPI. Every caller keeps sending
+ * Anthropic Messages API bodies and receives Anthropic-shaped responses; the
+ * provider translates in both directions.
+ *
+ *   anthropic — api.anthropic.com (default)
+ *   openai    — any OpenAI-compatible /v1/chat/completions endpoint
+ *               (llama.cpp server, Ollama, LM Studio, vLLM ...)
+ *   mock      — deterministic canned responses, no network
+ *
+ * A provider may also implement stream(body, { ..., onText }). Providers
+ * without it are streamed as a single delta once send() resolves.
+ *
+ * Routing is per feature (the `feature` tag on 'anthropic-fetch' messages),
+ * stored in chrome.storage.local 'aiProviderSettings':
+ *   { routes: { default: 'anthropic', 'enhance-all': 'openai', ... },
+ *     openai: { baseUrl, model, apiKey },
+ *     mock: { responses: { 'feature-id': 'canned text' } } }
+ */
+
+import { CONFIG } from './modules/config.js';
+
+const PROVIDER_SETTINGS_KEY = 'aiProviderSettings';
+
+export async function loadProviderSettings() {
+  try {
+    const stored = await chrome.storage.local.get([PROVIDER_SETTINGS_KEY]);
+    const settings = stored[PROVIDER_SETTINGS_KEY] || {};
+    return {
+      routes: { default: 'anthropic', ...(settings.routes || {}) },
+      openai: { baseUrl: '', model: '', apiKey: '', ...(settings.openai || {}) },
+      mock: { responses: {}, ...(settings.mock || {}) }
+    };
+  } catch (e) {
+    return { routes: { default: 'anthropic' }, openai: { baseUrl: '', model: '', apiKey: '' }, mock: { responses: {} } };
+  }
+}
+
+/**
+ * Pick the provider for a feature. Unknown ids fall back to Anthropic so a
+ * typo in settings never silently disables AI.
+ * @returns {Promise<{ id: string, provider: object, settings: object }>}
+ */
+export async function resolveProvider(feature) {
+  const settings = await loadProviderSettings();
+  const id = settings.routes[feature] || settings.routes.default || 'anthropic';
+  const provider = PROVIDERS[id] || PROVIDERS.anthropic;
+  return { id: PROVIDERS[id] ? id : 'anthropic', provider, settings };
+}
+
+// ─── Shared helpers ─────────────────────────────────────────────────
+
+// `system` is either a string or an array of { type: 'text', text, cache_control }
+function systemText(system) {
+  if (!system) return '';
+  if (typeof system === 'string') return system;
+  return system.filter(b => b.type === 'text').map(b => b.text).join('\n\n');
+}
+
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  return (content || []).filter(b => b.type === 'text').map(b => b.text).join('\n');
+}
+
+// A trailing assistant message is an Anthropic "prefill" — the model continues
+// from it and the response omits it.
+function splitPrefill(messages) {
+  const last = messages[messages.length - 1];
+  if (last?.role === 'assistant') {
+    return { messages: messages.slice(0, -1), prefill: contentText(last.content) };
+  }
+  return { messages, prefill: '' };
+}
+
+// Callers ask for JSON in the prompt ("Svara ENDAST med JSON") rather than via
+// an API flag. Arrays are excluded: json_object mode only permits objects.
+function expectsJsonObject(body, prefill) {
+  if (prefill.trim().startsWith('{')) return true;
+  if (prefill.trim().startsWith('[')) return false;
+  const lastUser = [...body.messages].reverse().find(m => m.role === 'user');
+  const text = `${systemText(body.system)}\n${contentText(lastUser?.content)}`;
+  if (/json[- ]?array|json-lista/i.test(text)) return false;
+  return /\b(svara|returnera|respond|return)\b[^.\n]{0,40}\bjson\b/i.test(text);
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function anthropicShape({ id, model, text, stopReason = 'end_turn', usage }) {
+  return {
+    id,
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: [{ type: 'text', text }],
+    stop_reason: stopReason,
+    usage
+  };
+}
+
+// ─── Anthropic ──────────────────────────────────────────────────────
+
+function anthropicHeaders(body, apiKey) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01',
+    'anthropic-dangerous-direct-browser-access': 'true'
+  };
+
+  // Enable prompt caching when system messages use cache_control blocks
+  if (body?.system && Array.isArray(body.system) && body.system.some(b => b.cache_control)) {
+    headers['anthropic-beta'] = 'prompt-caching-2024-07-31';
+  }
+  return headers;
+}
+
+// Errors carry `status` (and `retryAfterMs` when the server sent Retry-After)
+// so ai-resilience-bg.js can tell rate limits and overload from bad requests.
+async function throwForStatus(response) {
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    const retryAfter = parseFloat(response.headers?.get('retry-after'));
+    if (Number.isFinite(retryAfter)) error.retryAfterMs = retryAfter * 1000;
+    throw error;
+  }
+}
+
+// Yields the parsed JSON payload of each `data:` line in a server-sent event stream
+async function* readSSE(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') continue;
+      try { yield JSON.parse(payload); } catch (e) { /* partial keep-alive noise */ }
+    }
+  }
+}
+
+const anthropicProvider = {
+  requiresApiKey: true,
+
+  async send(body, { apiKey, signal }) {
+    const response = await fetch(CONFIG.URLS.ANTHROPIC_API, {
+      method: 'POST',
+      headers: anthropicHeaders(body, apiKey),
+      body: JSON.stringify(body),
+      signal
+    });
+    await throwForStatus(response);
+    return response.json();
+  },
+
+  // Same request with `stream: true`. Text deltas go to onText as they arrive;
+  // the resolved value is the assembled message, shaped like send()'s.
+  async stream(body, { apiKey, signal, onText }) {
+    const response = await fetch(CONFIG.URLS.ANTHROPIC_API, {
+      method: 'POST',
+      headers: anthropicHeaders(body, apiKey),
+      body: JSON.stringify({ ...body, stream: true }),
+      signal
+    });
+    await throwForStatus(response);
+
+    let message = { id: null, model: body.model, usage: {} };
+    let text = '';
+    let stopReason = 'end_turn';
+    for await (const event of readSSE(response)) {
+      if (event.type === 'message_start') {
+        message = event.message;
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        text += event.delta.text;
+        onText(event.delta.text);
+      } else if (event.type === 'message_delta') {
+        stopReason = event.delta?.stop_reason || stopReason;
+        message.usage = { ...message.usage, ...(event.usage || {}) };
+      } else if (event.type === 'error') {
+        throw new Error(event.error?.message || 'Stream error');
+      }
+    }
+    return anthropicShape({ id: message.id, model: message.model, text, stopReason, usage: message.usage });
+  }
+};
+
+// ─── OpenAI-compatible ──────────────────────────────────────────────
+
+function toOpenAIContent(content) {
+  if (typeof content === 'string') return content;
+  return content.map(block => {
+    if (block.type === 'text') return { type: 'text', text: block.text };
+    if (block.type === 'image') {
+      const src = block.source || {};
+      const url = src.type === 'base64' ? `data:${src.media_type};base64,${src.data}` : src.url;
+      return { type: 'image_url', image_url: { url } };
+    }
+    return null;
+  }).filter(Boolean);
+}
+
+export function toOpenAIRequest(body, { model } = {}) {
+  const { messages, prefill } = splitPrefill(body.messages || []);
+  const out = [];
+  const system = systemText(body.system);
+  if (system) out.push({ role: 'system', content: system });
+  for (const m of messages) {
+    out.push({ role: m.role, content: toOpenAIContent(m.content) });
+  }
+  if (prefill) {
+    // Most local servers don't continue a trailing assistant turn — ask instead.
+    out.push({ role: 'user', content: `Börja ditt svar exakt med: ${prefill}` });
+  }
+
+  const request = {
+    model,
+    messages: out,
+    max_tokens: body.max_tokens,
+    stream: false
+  };
+  if (body.temperature !== undefined) request.temperature = body.temperature;
+  if (body.stop_sequences) request.stop = body.stop_sequences;
+  if (expectsJsonObject(body, prefill)) request.response_format = { type: 'json_object' };
+  return { request, prefill };
+}
+
+export function fromOpenAIResponse(data, prefill = '') {
+  const choice = data.choices?.[0] || {};
+  let text = typeof choice.message?.content === 'string' ? choice.message.content : '';
+  // Anthropic omits the prefill from the response — match that.
+  if (prefill && text.startsWith(prefill)) text = text.slice(prefill.length);
+  return anthropicShape({
+    id: data.id || `openai-${Date.now()}`,
+    model: data.model || 'openai-compatible',
+    text,
+    stopReason: choice.finish_reason === 'length' ? 'max_tokens' : 'end_turn',
+    usage: {
+      input_tokens: data.usage?.prompt_tokens || 0,
+      output_tokens: data.usage?.completion_tokens || 0
+    }
+  });
+}
+
+const openaiProvider = {
+  requiresApiKey: false,
+
+  async send(body, { signal, settings }) {
+    const cfg = settings.openai;
+    if (!cfg.baseUrl) {
+      throw new Error('OpenAI-kompatibel server ej konfigurerad. Ange URL i tilläggets inställningar.');
+    }
+    // body.model is a Claude id — the local server would reject it or load something else
+    if (!cfg.model) {
+      throw new Error('Ingen modell angiven för den OpenAI-kompatibla servern. Ange modellnamn i tilläggets inställningar.');
+    }
+    const { request, prefill } = toOpenAIRequest(body, { model: cfg.model });
+    const headers = { 'Content-Type': 'application/json' };
+    if (cfg.apiKey) headers['Authorization'] = `Bearer ${cfg.apiKey}`;
+
+    // Accept both "http://localhost:8080" and "http://localhost:8080/v1"
+    const base = cfg.baseUrl.replace(/\/$/, '').replace(/\/v1$/, '');
+    const response = await fetch(`${base}/v1/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(request),
+      signal
+    });
+
+    await throwForStatus(response);
+    return fromOpenAIResponse(await response.json(), prefill);
+  }
+};
+
+// ─── Mock ───────────────────────────────────────────────────────────
+// Deterministic: the same request always yields the same response, so a
+// cataloging flow can be exercised end to end without a live API.
+
+const mockProvider = {
+  requiresApiKey: false,
+
+  async send(body, { settings, feature }) {
+    const { messages, prefill } = splitPrefill(body.messages || []);
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const promptText = contentText(lastUser?.content);
+
+    let text = settings.mock.responses[feature];
+    if (text === undefined) {
+      if (expectsJsonObject(body, prefill)) {
+        text = '{}';
+      } else if (prefill.trim().startsWith('[') || /json[- ]?array/i.test(promptText)) {
+        text = '[]';
+      } else {
+        // Echo the first line of the prompt — recognisable and stable
+        text = `[mock] ${promptText.split('\n').find(l => l.trim()) || ''}`.slice(0, 200);
+      }
+    }
+    if (prefill && text.startsWith(prefill)) text = text.slice(prefill.length);
+
+    return anthropicShape({
+      id: `mock-${feature}`,
+      model: 'mock',
+      text,
+      usage: {
+        input_tokens: estimateTokens(systemText(body.system) + promptText),
+        output_tokens: estimateTokens(text)
+      }
+    });
+  }
+};
+
+const PROVIDERS = {
+  anthropic: anthropicProvider,
+  openai: openaiProvider,
+  mock: mockProvider
+};
+
+export { PROVIDER_SETTINGS_KEY };
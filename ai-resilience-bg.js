@@ -0,0 +1,216 @@
+/**
+ * AI Resilience — Background Service Worker Module
+ * One retry/fallback policy for every AI call, replacing the per-caller
+ * Opus→Sonnet fallbacks that used to live in the content scripts.
+ *
+ *   Backoff         — 429/529/5xx, timeouts and network errors are retried
+ *                     with exponential backoff (Retry-After honoured)
+ *   Fallback chains — when a model keeps failing, the next model in its chain
+ *                     is tried (CONFIG.AI_RESILIENCE.fallbackChains, or a
+ *                     feature's own `fallbackModels`)
+ *   Circuit breaker — a model that fails repeatedly is skipped for a cool-down
+ *                     period so callers go straight to the fallback
+ *   Time budget     — all of the above ends after AI_RESILIENCE.totalTimeoutMs
+ *
+ * Breaker state lives in chrome.storage.session so it survives the service
+ * worker being suspended between requests, but not a browser restart.
+ */
+
+import { CONFIG } from './modules/config.js';
+
+const BREAKER_STATE_KEY = 'aiCircuitBreakers';
+const EVENT_LOG_MAX = 50;
+
+const breakers = new Map(); // model → { failures: [timestamps], openUntil }
+const recentEvents = [];    // newest last: { ts, type, model, fallbackModel, feature, message }
+let stateLoaded = null;
+
+// ─── Breaker state ──────────────────────────────────────────────────
+
+function loadState() {
+  if (!stateLoaded) {
+    stateLoaded = (async () => {
+      try {
+        const stored = await chrome.storage.session.get([BREAKER_STATE_KEY]);
+        const state = stored[BREAKER_STATE_KEY] || {};
+        for (const [model, b] of Object.entries(state.breakers || {})) breakers.set(model, b);
+        recentEvents.push(...(state.events || []));
+      } catch (e) {
+        // storage.session unavailable — start with closed breakers
+      }
+    })();
+  }
+  return stateLoaded;
+}
+
+function saveState() {
+  chrome.storage.session.set({
+    [BREAKER_STATE_KEY]: { breakers: Object.fromEntries(breakers), events: recentEvents }
+  }).catch(() => {});
+}
+
+function logEvent(event) {
+  recentEvents.push({ ts: Date.now(), ...event });
+  if (recentEvents.length > EVENT_LOG_MAX) recentEvents.splice(0, recentEvents.length - EVENT_LOG_MAX);
+}
+
+function isOpen(model, now = Date.now()) {
+  const b = breakers.get(model);
+  return !!b && b.openUntil > now;
+}
+
+function recordFailure(model, feature, error) {
+  const { breaker } = CONFIG.AI_RESILIENCE;
+  const now = Date.now();
+  const b = breakers.get(model) || { failures: [], openUntil: 0 };
+  b.failures = b.failures.filter(ts => now - ts < breaker.windowMs);
+  b.failures.push(now);
+  if (b.failures.length >= breaker.failureThreshold && b.openUntil <= now) {
+    b.openUntil = now + breaker.cooldownMs;
+    logEvent({ type: 'breaker-open', model, feature, message: error.message });
+  }
+  breakers.set(model, b);
+  saveState();
+}
+
+function recordSuccess(model) {
+  const b = breakers.get(model);
+  if (!b) return;
+  if (b.openUntil > 0) logEvent({ type: 'breaker-closed', model });
+  breakers.delete(model);
+  saveState();
+}
+
+// ─── Error classification ───────────────────────────────────────────
+
+/**
+ * Transient failures worth retrying: rate limits (429), overload (529),
+ * server errors, timeouts and dropped connections. Bad requests and auth
+ * errors fail immediately.
+ */
+export function isRetryableError(error) {
+  if (!error || error.cancelled) return false;
+  if (error.timeout) return true;
+  if (error.status) return error.status === 429 || error.status === 529 || error.status >= 500;
+  const msg = String(error.message || '');
+  return /overloaded|rate limit|\b429\b|\b529\b|timed out|failed to fetch|network/i.test(msg);
+}
+
+function backoffDelay(attempt, error) {
+  const { baseDelayMs, maxDelayMs } = CONFIG.AI_RESILIENCE;
+  if (error?.retryAfterMs) return Math.min(error.retryAfterMs, maxDelayMs);
+  const exp = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+  return exp / 2 + Math.random() * (exp / 2); // jitter so parallel tabs don't retry in lockstep
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(signal.reason); return; }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// ─── Policy ─────────────────────────────────────────────────────────
+
+function modelFamily(model) {
+  const m = String(model || '').toLowerCase();
+  return ['opus', 'sonnet', 'haiku'].find(f => m.includes(f)) || null;
+}
+
+/** The requested model followed by its fallbacks, without duplicates */
+export function getModelChain(model, feature) {
+  const featureChain = CONFIG.AI_FEATURES[feature]?.fallbackModels;
+  const chains = CONFIG.AI_RESILIENCE.fallbackChains;
+  const fallbacks = featureChain || chains[model] || chains[modelFamily(model)] || [];
+  return [...new Set([model, ...fallbacks])];
+}
+
+/**
+ * Run `attempt(model, timeLeftMs)` under the retry/fallback/breaker policy.
+ * @param {function(string, number): Promise} attempt — performs one call with the given
+ *   model; it must not run longer than `timeLeftMs`, what is left of the time budget
+ * @param {object} opts — { model, feature, signal, canRetry } — `canRetry()`
+ *   returning false stops further attempts (e.g. a stream already sent text)
+ * @returns {Promise} the first successful result
+ */
+export async function callWithResilience(attempt, { model, feature = 'other', signal = null, canRetry = () => true }) {
+  await loadState();
+  const { maxRetries, totalTimeoutMs } = CONFIG.AI_RESILIENCE;
+  const chain = getModelChain(model, feature);
+  const deadline = Date.now() + totalTimeoutMs;
+  const timeLeft = () => deadline - Date.now();
+
+  // Skip models with an open breaker — but always keep the last one, so a
+  // feature without alternatives still gets a (probing) attempt.
+  const now = Date.now();
+  let candidates = chain.filter(m => !isOpen(m, now));
+  if (candidates.length === 0) candidates = [chain[chain.length - 1]];
+  if (candidates[0] !== model) {
+    logEvent({ type: 'fallback', model, fallbackModel: candidates[0], feature, message: 'Modellen är tillfälligt avstängd' });
+    saveState();
+  }
+
+  let lastError = null;
+  for (let c = 0; c < candidates.length && timeLeft() > 0; c++) {
+    const candidate = candidates[c];
+    const isLast = c === candidates.length - 1;
+    // With a fallback available, give up on this model sooner
+    const retries = isLast ? maxRetries : 1;
+
+    for (let attemptNo = 0; attemptNo <= retries; attemptNo++) {
+      try {
+        const result = await attempt(candidate, timeLeft());
+        recordSuccess(candidate);
+        return result;
+      } catch (error) {
+        lastError = error;
+        if (!isRetryableError(error) || signal?.aborted) throw error;
+        recordFailure(candidate, feature, error);
+        if (!canRetry()) throw error;
+        const delay = backoffDelay(attemptNo, error);
+        if (attemptNo < retries && !isOpen(candidate) && delay < timeLeft()) {
+          logEvent({ type: 'retry', model: candidate, feature, message: error.message });
+          await sleep(delay, signal);
+        } else {
+          break;
+        }
+      }
+    }
+
+    if (!isLast && timeLeft() > 0) {
+      console.warn(`[AI] ${candidate} failing — falling back to ${candidates[c + 1]}`);
+      logEvent({ type: 'fallback', model: candidate, fallbackModel: candidates[c + 1], feature, message: lastError?.message });
+      saveState();
+    }
+  }
+
+  if (/overloaded/i.test(lastError?.message || '')) {
+    throw new Error('Claude API är överbelastad just nu. Vänta en stund och försök igen.');
+  }
+  throw lastError;
+}
+
+// ─── Reporting ──────────────────────────────────────────────────────
+
+export async function getResilienceStatus() {
+  await loadState();
+  const now = Date.now();
+  const models = [...breakers.entries()].map(([model, b]) => ({
+    model,
+    state: b.openUntil > now ? 'open' : 'closed',
+    openUntil: b.openUntil > now ? b.openUntil : null,
+    recentFailures: b.failures.filter(ts => now - ts < CONFIG.AI_RESILIENCE.breaker.windowMs).length
+  }));
+  return { models, events: recentEvents.slice(-10).reverse() };
+}
+
+export async function resetCircuitBreakers() {
+  await loadState();
+  breakers.clear();
+  recentEvents.length = 0;
+  saveState();
+}
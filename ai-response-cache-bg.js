@@ -0,0 +1,234 @@
+/**
+ * AI Response Cache — Background Service Worker Module
+ * Content-addressed cache in front of callAnthropicAPI. The key is a SHA-256
+ * of provider + model + system + messages, so the same prompt sent from the
+ * inline brand validator, the spelling audit or another tab is answered once.
+ *
+ * Entries are stored in IndexedDB (responses can be large and chrome.storage
+ * quota is shared with everything else). Whether a feature is cached, and for
+ * how long, comes from CONFIG.AI_FEATURES[feature].cacheTtlHours. Freshness is
+ * judged by the *requesting* feature's TTL, so a shared entry can be fresh for
+ * one feature and stale for another.
+ *
+ * IndexedDB 'aiResponseCache':
+ *   responses — { key, feature, model, createdAt, data, bytes }
+ *   stats     — { feature, hits, misses, savedInputTokens, savedOutputTokens, savedCostSEK }
+ */
+
+import { CONFIG } from './modules/config.js';
+import { computeCostSEK } from './ai-usage-ledger-bg.js';
+
+const DB_NAME = 'aiResponseCache';
+const DB_VERSION = 1;
+const RESPONSES_STORE = 'responses';
+const STATS_STORE = 'stats';
+const HOUR_MS = 60 * 60 * 1000;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(RESPONSES_STORE)) {
+        const store = db.createObjectStore(RESPONSES_STORE, { keyPath: 'key' });
+        store.createIndex('createdAt', 'createdAt');
+      }
+      if (!db.objectStoreNames.contains(STATS_STORE)) {
+        db.createObjectStore(STATS_STORE, { keyPath: 'feature' });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null; // allow a retry on the next call
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+// Wrap a transaction so callers can await its completion
+function runTransaction(storeNames, mode, work) {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+    result = work(tx);
+  }));
+}
+
+function requestResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// ─── Keys & TTL ─────────────────────────────────────────────────────
+
+export function getFeatureTtlMs(feature) {
+  const hours = CONFIG.AI_FEATURES[feature]?.cacheTtlHours || 0;
+  return hours * HOUR_MS;
+}
+
+function maxTtlMs() {
+  return Math.max(0, ...Object.keys(CONFIG.AI_FEATURES).map(getFeatureTtlMs));
+}
+
+// cache_control markers and `stream` don't change the answer — leave them out
+function normalizeSystem(system) {
+  if (!system || typeof system === 'string') return system || '';
+  return system.map(b => (b.type === 'text' ? b.text : b));
+}
+
+export async function computeCacheKey(body, providerId) {
+  const material = JSON.stringify({
+    provider: providerId,
+    model: body.model,
+    system: normalizeSystem(body.system),
+    messages: body.messages
+  });
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(material));
+  return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ─── Lookup & store ─────────────────────────────────────────────────
+
+/**
+ * @returns {Promise<object|null>} the cached Anthropic-shaped response, or null
+ */
+export async function getCachedResponse(key, feature) {
+  const ttl = getFeatureTtlMs(feature);
+  if (!ttl) return null;
+  try {
+    const entry = await runTransaction([RESPONSES_STORE], 'readonly',
+      tx => requestResult(tx.objectStore(RESPONSES_STORE).get(key)));
+    const hit = entry && Date.now() - entry.createdAt < ttl ? entry : null;
+    recordLookup(feature, hit);
+    return hit ? hit.data : null;
+  } catch (e) {
+    console.warn('AI cache lookup failed:', e?.message);
+    return null;
+  }
+}
+
+/**
+ * Store a response. Truncated answers (max_tokens) are not cached — a retry
+ * with a larger budget must reach the model.
+ */
+export async function storeCachedResponse(key, feature, data) {
+  if (!getFeatureTtlMs(feature) || !data?.content || data.stop_reason === 'max_tokens') return;
+  try {
+    const json = JSON.stringify(data);
+    await runTransaction([RESPONSES_STORE], 'readwrite', tx => {
+      tx.objectStore(RESPONSES_STORE).put({
+        key,
+        feature,
+        model: data.model,
+        createdAt: Date.now(),
+        data,
+        bytes: json.length
+      });
+    });
+  } catch (e) {
+    console.warn('AI cache store failed:', e?.message);
+  }
+}
+
+// Read-modify-write inside one readwrite transaction, so concurrent lookups
+// from several tabs can't lose counts.
+function recordLookup(feature, hitEntry) {
+  runTransaction([STATS_STORE], 'readwrite', tx => {
+    const store = tx.objectStore(STATS_STORE);
+    const req = store.get(feature);
+    req.onsuccess = () => {
+      const stats = req.result || {
+        feature, hits: 0, misses: 0, savedInputTokens: 0, savedOutputTokens: 0, savedCostSEK: 0
+      };
+      if (hitEntry) {
+        const usage = hitEntry.data?.usage || {};
+        stats.hits++;
+        stats.savedInputTokens += usage.input_tokens || 0;
+        stats.savedOutputTokens += usage.output_tokens || 0;
+        stats.savedCostSEK += computeCostSEK(hitEntry.model, usage);
+      } else {
+        stats.misses++;
+      }
+      store.put(stats);
+    };
+  }).catch(() => {});
+}
+
+// ─── Maintenance & reporting ────────────────────────────────────────
+
+/**
+ * Delete entries. With `expiredOnly`, only those older than the longest
+ * feature TTL (nothing could still use them).
+ * @returns {Promise<number>} entries removed
+ */
+export async function purgeCache({ expiredOnly = false } = {}) {
+  if (!expiredOnly) {
+    const count = await runTransaction([RESPONSES_STORE], 'readonly',
+      tx => requestResult(tx.objectStore(RESPONSES_STORE).count()));
+    await runTransaction([RESPONSES_STORE, STATS_STORE], 'readwrite', tx => {
+      tx.objectStore(RESPONSES_STORE).clear();
+      tx.objectStore(STATS_STORE).clear();
+    });
+    return count;
+  }
+
+  const cutoff = Date.now() - maxTtlMs();
+  let removed = 0;
+  await runTransaction([RESPONSES_STORE], 'readwrite', tx => {
+    const range = IDBKeyRange.upperBound(cutoff);
+    tx.objectStore(RESPONSES_STORE).index('createdAt').openCursor(range).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.delete();
+      removed++;
+      cursor.continue();
+    };
+  });
+  return removed;
+}
+
+/**
+ * Entry count, approximate size and per-feature hit/miss counters.
+ */
+export async function getCacheStats() {
+  const [entries, features] = await runTransaction([RESPONSES_STORE, STATS_STORE], 'readonly', tx => {
+    const responses = new Promise((resolve) => {
+      let count = 0;
+      let bytes = 0;
+      tx.objectStore(RESPONSES_STORE).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) { resolve({ count, bytes }); return; }
+        count++;
+        bytes += cursor.value.bytes || 0;
+        cursor.continue();
+      };
+    });
+    return Promise.all([responses, requestResult(tx.objectStore(STATS_STORE).getAll())]);
+  });
+
+  const totals = { hits: 0, misses: 0, savedCostSEK: 0 };
+  const byFeature = {};
+  for (const s of features) {
+    byFeature[s.feature] = s;
+    totals.hits += s.hits;
+    totals.misses += s.misses;
+    totals.savedCostSEK += s.savedCostSEK;
+  }
+
+  return {
+    entries: entries.count,
+    bytes: entries.bytes,
+    ...totals,
+    byFeature,
+    labels: Object.fromEntries(Object.entries(CONFIG.AI_FEATURES).map(([id, f]) => [id, f.label]))
+  };
+}
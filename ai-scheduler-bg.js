@@ -0,0 +1,184 @@
+/**
+ * AI Request Scheduler — Background Service Worker Module
+ * Priority-aware replacement for the plain FIFO limiter in front of the
+ * Anthropic API. A cataloger clicking "Förbättra" must never wait behind a
+ * background scan or a 500-item spelling audit.
+ *
+ * Priority classes (lower runs first, FIFO within a class):
+ *   interactive — a person on an edit/add/valuation page is waiting
+ *   batch       — user-started bulk work on an extension page (audit, analytics)
+ *   background  — alarms and scans nobody is watching
+ *
+ * Jobs are tagged with the sending tab so they can be cancelled when the
+ * page closes or navigates, and with an optional `requestKey` so a new
+ * request for the same thing (re-clicking a field button) supersedes the
+ * previous one instead of queueing behind it.
+ */
+
+export const PRIORITY = { interactive: 0, batch: 1, background: 2 };
+
+const DURATION_SAMPLE_SIZE = 20;
+const DEFAULT_DURATION_MS = 8000;
+
+export class RequestCancelledError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = 'RequestCancelledError';
+    this.cancelled = true;
+  }
+}
+
+export class RequestScheduler {
+  /**
+   * @param {object} options
+   * @param {number} options.maxConcurrent — parallel jobs allowed
+   * @param {function} [options.onQueueChange] — called after every enqueue/start/finish
+   */
+  constructor({ maxConcurrent = 3, onQueueChange = null } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.onQueueChange = onQueueChange;
+    this.queue = [];          // waiting jobs, kept sorted by (priority, seq)
+    this.active = new Map();  // id → running job
+    this.durations = [];      // recent job durations for ETA
+    this.seq = 0;
+  }
+
+  /**
+   * Run `fn` when a slot is free. `fn` receives an AbortSignal that fires if
+   * the job is cancelled while running.
+   * @param {function({ signal: AbortSignal }): Promise} fn
+   * @param {object} [opts] — { priority, tabId, requestKey, signal }; aborting
+   *   `signal` cancels the job whether it is still queued or already running
+   * @returns {Promise}
+   */
+  schedule(fn, { priority = 'interactive', tabId = null, requestKey = null, signal = null } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new RequestCancelledError(signal.reason || 'Förfrågan avbröts'));
+    }
+    if (requestKey && tabId !== null) {
+      this.cancelWhere(j => j.tabId === tabId && j.requestKey === requestKey, 'Ersatt av en nyare förfrågan');
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: ++this.seq,
+        seq: this.seq,
+        rank: PRIORITY[priority] ?? PRIORITY.interactive,
+        priority,
+        tabId,
+        requestKey,
+        fn,
+        resolve,
+        reject,
+        controller: new AbortController(),
+        enqueuedAt: Date.now()
+      };
+      signal?.addEventListener('abort', () => {
+        this.cancelWhere(j => j === job, signal.reason || 'Förfrågan avbröts');
+      }, { once: true });
+      this._insert(job);
+      this._pump();
+    });
+  }
+
+  _insert(job) {
+    const idx = this.queue.findIndex(j => j.rank > job.rank);
+    if (idx === -1) this.queue.push(job);
+    else this.queue.splice(idx, 0, job);
+  }
+
+  _pump() {
+    while (this.active.size < this.maxConcurrent && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this._run(job);
+    }
+    this._notify();
+  }
+
+  _run(job) {
+    this.active.set(job.id, job);
+    const startedAt = Date.now();
+    Promise.resolve()
+      .then(() => job.fn({ signal: job.controller.signal }))
+      .then(job.resolve, error => {
+        job.reject(job.controller.signal.aborted
+          ? new RequestCancelledError(job.controller.signal.reason || 'Förfrågan avbröts')
+          : error);
+      })
+      .finally(() => {
+        if (!job.controller.signal.aborted) this._recordDuration(Date.now() - startedAt);
+        this.active.delete(job.id);
+        this._pump();
+      });
+  }
+
+  _recordDuration(ms) {
+    this.durations.push(ms);
+    if (this.durations.length > DURATION_SAMPLE_SIZE) this.durations.shift();
+  }
+
+  _averageDuration() {
+    if (this.durations.length === 0) return DEFAULT_DURATION_MS;
+    return this.durations.reduce((a, b) => a + b, 0) / this.durations.length;
+  }
+
+  _notify() {
+    if (this.onQueueChange) {
+      try { this.onQueueChange(this); } catch (e) { /* reporting must not break scheduling */ }
+    }
+  }
+
+  /**
+   * Cancel queued and running jobs matching `predicate`.
+   * @returns {number} how many jobs were cancelled
+   */
+  cancelWhere(predicate, reason = 'Förfrågan avbröts') {
+    let cancelled = 0;
+    this.queue = this.queue.filter(job => {
+      if (!predicate(job)) return true;
+      job.reject(new RequestCancelledError(reason));
+      cancelled++;
+      return false;
+    });
+    for (const job of this.active.values()) {
+      if (predicate(job) && !job.controller.signal.aborted) {
+        job.controller.abort(reason);
+        cancelled++;
+      }
+    }
+    if (cancelled > 0) this._notify();
+    return cancelled;
+  }
+
+  cancelTab(tabId, reason = 'Sidan stängdes') {
+    return this.cancelWhere(j => j.tabId === tabId, reason);
+  }
+
+  /**
+   * Queue position for a tab's earliest waiting job.
+   * @returns {{ queued: number, ahead: number, etaMs: number }}
+   */
+  getTabStatus(tabId) {
+    const idx = this.queue.findIndex(j => j.tabId === tabId);
+    const queued = this.queue.filter(j => j.tabId === tabId).length;
+    if (idx === -1) return { queued: 0, ahead: 0, etaMs: 0 };
+    // Everything running plus everything ahead in the queue must clear first
+    const ahead = idx + this.active.size;
+    const rounds = Math.ceil((idx + 1) / this.maxConcurrent);
+    return { queued, ahead, etaMs: Math.round(rounds * this._averageDuration()) };
+  }
+
+  /** Tabs that currently have jobs queued or running */
+  getTabIds() {
+    const ids = new Set();
+    for (const j of this.queue) if (j.tabId !== null) ids.add(j.tabId);
+    for (const j of this.active.values()) if (j.tabId !== null) ids.add(j.tabId);
+    return [...ids];
+  }
+
+  getStats() {
+    const byPriority = { interactive: 0, batch: 0, background: 0 };
+    for (const j of this.queue) byPriority[j.priority] = (byPriority[j.priority] || 0) + 1;
+    return { active: this.active.size, queued: this.queue.length, byPriority, avgDurationMs: Math.round(this._averageDuration()) };
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * AI Usage Ledger — Background Service Worker Module
+ * Records the `usage` block of every Claude response routed through
+ * background.js, tagged with feature, model and item ID, and prices it in SEK.
+ *
+ * Storage layout (chrome.storage.local):
+ *   aiUsageLedger  — { days: { 'YYYY-MM-DD': bucket } } daily aggregates
+ *   aiUsageLog     — most recent raw entries (ring buffer, newest last)
+ *   aiUsagePricing — optional override of CONFIG.PRICING
+ *   aiUsageBudget  — { dailySEK, monthlySEK } soft caps (0 = no cap)
+ */
+
+import { CONFIG } from './modules/config.js';
+
+// ─── Constants ──────────────────────────────────────────────────────
+const USAGE_LEDGER_KEY = 'aiUsageLedger';
+const USAGE_LOG_KEY = 'aiUsageLog';
+const USAGE_PRICING_KEY = 'aiUsagePricing';
+const USAGE_BUDGET_KEY = 'aiUsageBudget';
+const USAGE_LOG_MAX = 500;
+const USAGE_LEDGER_MAX_DAYS = 400; // ~13 months — keeps a full year-over-year month
+const BUDGET_WARN_RATIO = 0.8;
+
+// ─── Pricing ────────────────────────────────────────────────────────
+
+async function loadPricing() {
+  try {
+    const stored = await chrome.storage.local.get([USAGE_PRICING_KEY]);
+    const override = stored[USAGE_PRICING_KEY] || {};
+    return {
+      usdToSek: override.usdToSek || CONFIG.PRICING.usdToSek,
+      models: { ...CONFIG.PRICING.models, ...(override.models || {}) }
+    };
+  } catch (e) {
+    return CONFIG.PRICING;
+  }
+}
+
+// Model ids carry dates and minor versions (claude-haiku-4-5-20251001) —
+// price on the family name instead.
+function modelFamily(model) {
+  const m = String(model || '').toLowerCase();
+  if (m.includes('opus')) return 'opus';
+  if (m.includes('haiku')) return 'haiku';
+  if (m.includes('sonnet')) return 'sonnet';
+  return null;
+}
+
+export function computeCostSEK(model, usage, pricing = CONFIG.PRICING) {
+  const rates = pricing.models[modelFamily(model)];
+  if (!rates || !usage) return 0;
+  const usd = (
+    (usage.input_tokens || 0) * rates.input +
+    (usage.output_tokens || 0) * rates.output +
+    (usage.cache_creation_input_tokens || 0) * rates.cacheWrite +
+    (usage.cache_read_input_tokens || 0) * rates.cacheRead
+  ) / 1_000_000;
+  return usd * pricing.usdToSek;
+}
+
+// ─── Recording ──────────────────────────────────────────────────────
+
+function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, costSEK: 0 };
+}
+
+// Sums a totals-shaped object (a single entry counts as { calls: 1, ... })
+function addToTotals(totals, entry) {
+  totals.calls += entry.calls;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.cacheWriteTokens += entry.cacheWriteTokens;
+  totals.cacheReadTokens += entry.cacheReadTokens;
+  totals.costSEK += entry.costSEK;
+}
+
+// Concurrent calls finish at the same time — serialize the read-modify-write
+// so no entry is lost between get() and set().
+let writeChain = Promise.resolve();
+
+/**
+ * Record one completed API call.
+ * @param {object} call — { feature, model, itemId, usage }
+ */
+export function recordUsage({ feature, model, itemId = null, usage }) {
+  if (!usage) return Promise.resolve();
+  writeChain = writeChain.then(() => appendEntry({ feature, model, itemId, usage })).catch(e => {
+    console.warn('[UsageLedger] Failed to record usage:', e.message);
+  });
+  return writeChain;
+}
+
+async function appendEntry({ feature, model, itemId, usage }) {
+  const pricing = await loadPricing();
+  const ts = Date.now();
+  const entry = {
+    ts,
+    feature: feature || 'other',
+    model: model || 'unknown',
+    itemId: itemId || null,
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    costSEK: computeCostSEK(model, usage, pricing)
+  };
+
+  const stored = await chrome.storage.local.get([USAGE_LEDGER_KEY, USAGE_LOG_KEY]);
+  const ledger = stored[USAGE_LEDGER_KEY] || { days: {} };
+  const log = stored[USAGE_LOG_KEY] || [];
+
+  const day = dayKey(ts);
+  const bucket = ledger.days[day] || { ...emptyTotals(), byFeature: {}, byModel: {} };
+  const counted = { ...entry, calls: 1 };
+  addToTotals(bucket, counted);
+  bucket.byFeature[entry.feature] = bucket.byFeature[entry.feature] || emptyTotals();
+  addToTotals(bucket.byFeature[entry.feature], counted);
+  bucket.byModel[entry.model] = bucket.byModel[entry.model] || emptyTotals();
+  addToTotals(bucket.byModel[entry.model], counted);
+  ledger.days[day] = bucket;
+
+  // Prune the oldest days once the ledger exceeds its window
+  const days = Object.keys(ledger.days).sort();
+  for (const old of days.slice(0, Math.max(0, days.length - USAGE_LEDGER_MAX_DAYS))) {
+    delete ledger.days[old];
+  }
+
+  log.push(entry);
+  await chrome.storage.local.set({
+    [USAGE_LEDGER_KEY]: ledger,
+    [USAGE_LOG_KEY]: log.length > USAGE_LOG_MAX ? log.slice(-USAGE_LOG_MAX) : log
+  });
+}
+
+// ─── Reporting ──────────────────────────────────────────────────────
+
+function mergeBuckets(buckets) {
+  const merged = { ...emptyTotals(), byFeature: {}, byModel: {} };
+  for (const b of buckets) {
+    addToTotals(merged, b);
+    for (const group of ['byFeature', 'byModel']) {
+      for (const [k, t] of Object.entries(b[group] || {})) {
+        merged[group][k] = merged[group][k] || emptyTotals();
+        addToTotals(merged[group][k], t);
+      }
+    }
+  }
+  return merged;
+}
+
+function budgetStatus(spentSEK, capSEK) {
+  if (!capSEK) return 'none';
+  if (spentSEK >= capSEK) return 'exceeded';
+  if (spentSEK >= capSEK * BUDGET_WARN_RATIO) return 'warning';
+  return 'ok';
+}
+
+/**
+ * Daily and monthly breakdowns plus budget state, for the popup.
+ * @returns {Promise<object>} { today, month, days, months, budget, features }
+ */
+export async function getUsageSummary() {
+  const stored = await chrome.storage.local.get([USAGE_LEDGER_KEY, USAGE_BUDGET_KEY]);
+  const ledger = stored[USAGE_LEDGER_KEY] || { days: {} };
+  const budget = stored[USAGE_BUDGET_KEY] || { dailySEK: 0, monthlySEK: 0 };
+
+  const todayKey = dayKey(Date.now());
+  const monthKey = todayKey.slice(0, 7);
+
+  // Last 30 days, newest first
+  const days = Object.keys(ledger.days).sort().reverse().slice(0, 30)
+    .map(day => ({ day, costSEK: ledger.days[day].costSEK, calls: ledger.days[day].calls }));
+
+  // Monthly totals, newest first
+  const monthBuckets = {};
+  for (const [day, bucket] of Object.entries(ledger.days)) {
+    const m = day.slice(0, 7);
+    (monthBuckets[m] = monthBuckets[m] || []).push(bucket);
+  }
+  const months = Object.keys(monthBuckets).sort().reverse()
+    .map(month => {
+      const merged = mergeBuckets(monthBuckets[month]);
+      return { month, costSEK: merged.costSEK, calls: merged.calls };
+    });
+
+  const today = ledger.days[todayKey] || { ...emptyTotals(), byFeature: {}, byModel: {} };
+  const month = mergeBuckets(monthBuckets[monthKey] || []);
+
+  return {
+    today,
+    month,
+    days,
+    months,
+    budget: {
+      dailySEK: budget.dailySEK || 0,
+      monthlySEK: budget.monthlySEK || 0,
+      dailyStatus: budgetStatus(today.costSEK, budget.dailySEK),
+      monthlyStatus: budgetStatus(month.costSEK, budget.monthlySEK)
+    },
+    features: Object.fromEntries(Object.entries(CONFIG.AI_FEATURES).map(([id, f]) => [id, f.label]))
+  };
+}
+
+export async function clearUsageLedger() {
+  await chrome.storage.local.remove([USAGE_LEDGER_KEY, USAGE_LOG_KEY]);
+}
+
+export { USAGE_LEDGER_KEY, USAGE_LOG_KEY, USAGE_PRICING_KEY, USAGE_BUDGET_KEY };
@@ -98,15 +98,8 @@ const refreshBtn = $('refresh-btn');
 // ─── Init ─────────────────────────────────────────────────
 
 async function init() {
-  // Migration: excludeCompanyId → ownCompanyId
-  const settings = await chrome.storage.sync.get(['excludeCompanyId', 'ownCompanyId']);
-  if (settings.excludeCompanyId && !settings.ownCompanyId) {
-    await chrome.storage.sync.set({ ownCompanyId: settings.excludeCompanyId });
-    await chrome.storage.sync.remove('excludeCompanyId');
-    ownCompanyId = parseInt(settings.excludeCompanyId);
-  } else {
-    ownCompanyId = settings.ownCompanyId ? parseInt(settings.ownCompanyId) : null;
-  }
+  const settings = await chrome.storage.sync.get(['ownCompanyId']);
+  ownCompanyId = settings.ownCompanyId ? parseInt(settings.ownCompanyId) : null;
 
   // Initialize Dashboard API (non-blocking, best-effort)
   try {
@@ -1227,6 +1220,7 @@ async function generateNugget(kpis, yoy, items, f) {
       const timeoutId = setTimeout(() => reject(new Error('timeout')), 12000);
       chrome.runtime.sendMessage({
         type: 'anthropic-fetch',
+        feature: 'analytics-insights',
         body: {
           model: 'claude-haiku-4-5-20251001',
           max_tokens: 300,
@@ -1,23 +1,23 @@
 import { runBackgroundPublicationScan, recheckStickyErrors, PUB_SCAN_STICKY_KEY } from './publication-scanner-bg.js';
+import { recordUsage, getUsageSummary } from './ai-usage-ledger-bg.js';
+import { resolveProvider, loadProviderSettings, PROVIDER_SETTINGS_KEY } from './ai-providers-bg.js';
+import { RequestScheduler } from './ai-scheduler-bg.js';
+import { callWithResilience, getResilienceStatus, resetCircuitBreakers } from './ai-resilience-bg.js';
+import { withDevSession, getDevSessionState, startRecording, startReplay, stopDevSession, listDevSessions, deleteDevSession, exportDevSession, importDevSession } from './dev-session-bg.js';
+import { exportTeamProfile, importTeamProfile, listSettingsProfiles, saveSettingsProfile, switchSettingsProfile, deleteSettingsProfile } from './settings-profiles-bg.js';
+import { computeCacheKey, getCachedResponse, storeCachedResponse, getFeatureTtlMs, purgeCache, getCacheStats } from './ai-response-cache-bg.js';
+import { runStorageMigrations } from './storage-migrations-bg.js';
+import { getStorageInventory, clearStore, exportStore, enforceStoragePolicies } from './storage-inventory-bg.js';
+import { recordSnapshot, listSnapshots, deleteItemHistory } from './edit-history-bg.js';
+import { indexItems, findDuplicates } from './item-index-bg.js';
+import { ENHANCE_BATCH_ALARM, queueBatchItems, runEnhanceBatch, listBatchInbox, approveBatchItem, rejectBatchItem, cancelBatchQueue, clearBatchEntries, getBatchApply, reportBatchApply, handleBatchTabLoaded, handleBatchTabRemoved, openBatchInbox } from './enhance-batch-bg.js';
+import { CONFIG } from './modules/config.js';
 
 // Background script startup
 
-// One-time migration: move API key from sync to local storage (for security)
-(async () => {
-  try {
-    if (!chrome?.storage?.local) return; // Guard against missing storage API
-    const local = await chrome.storage.local.get(['anthropicApiKey']);
-    if (!local.anthropicApiKey && chrome?.storage?.sync) {
-      const sync = await chrome.storage.sync.get(['anthropicApiKey']);
-      if (sync.anthropicApiKey) {
-        await chrome.storage.local.set({ anthropicApiKey: sync.anthropicApiKey });
-        await chrome.storage.sync.remove('anthropicApiKey');
-      }
-    }
-  } catch (e) {
-    // Non-critical: migration will retry on next startup
-  }
-})();
+// Bring chrome.storage up to the current schema (storage-migrations-bg.js).
+// Also run from onInstalled; both calls share one run.
+runStorageMigrations();
 
 // ─── Publication Scanner Alarm ──────────────────────────────────────
 // Runs a full publication queue scan every 30 minutes in the background,
@@ -33,10 +33,19 @@ chrome.alarms.get('stickyErrorRecheck').then(existing => {
 chrome.alarms.get('dashboardSearchSnapshot').then(existing => {
   if (!existing) chrome.alarms.create('dashboardSearchSnapshot', { delayInMinutes: 10, periodInMinutes: 60 });
 });
+// Daily eviction of old caches (storage-inventory-bg.js)
+chrome.alarms.get('storageEviction').then(existing => {
+  if (!existing) chrome.alarms.create('storageEviction', { delayInMinutes: 15, periodInMinutes: 24 * 60 });
+});
 
-// Run an initial scan on extension install or update so data is fresh immediately
+// Migrate storage, then run an initial scan on extension install or update so data is fresh immediately
 chrome.runtime.onInstalled.addListener(() => {
-  runPublicationScanAndNotify();
+  runStorageMigrations().finally(() => runPublicationScanAndNotify());
+});
+
+// Evict old caches (incl. AI cache entries no feature could still use)
+chrome.runtime.onStartup.addListener(() => {
+  enforceStoragePolicies().catch(() => {});
 });
 
 chrome.alarms.onAlarm.addListener((alarm) => {
@@ -46,6 +55,11 @@ chrome.alarms.onAlarm.addListener((alarm) => {
     runStickyRecheckAndNotify();
   } else if (alarm.name === 'dashboardSearchSnapshot') {
     captureDashboardSearchSnapshot();
+  } else if (alarm.name === 'storageEviction') {
+    enforceStoragePolicies().catch(e => console.warn('[Storage] Eviction failed:', e.message));
+  } else if (alarm.name === ENHANCE_BATCH_ALARM) {
+    // Picks the queue up again after the service worker was stopped mid-batch
+    runEnhanceBatch();
   }
 });
 
@@ -141,8 +155,44 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
   if (request.type === 'anthropic-fetch') {
     // Handle async operation properly
-    handleAnthropicRequest(request, sendResponse);
+    handleAnthropicRequest(request, sender, sendResponse);
     return true; // Keep the message channel open for sendResponse
+  } else if (request.type === 'anthropic-cancel') {
+    // Cancel this tab's queued/running requests, optionally only one requestKey
+    const tabId = sender?.tab?.id;
+    const cancelled = tabId === undefined ? 0 : scheduler.cancelWhere(
+      j => j.tabId === tabId && (!request.requestKey || j.requestKey === request.requestKey)
+    );
+    sendResponse({ success: true, cancelled });
+    return false;
+  } else if (request.type === 'ai-usage-summary') {
+    getUsageSummary()
+      .then(summary => sendResponse({ success: true, summary }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.type === 'ai-cache-stats') {
+    getCacheStats()
+      .then(stats => sendResponse({ success: true, stats }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.type === 'ai-cache-purge') {
+    purgeCache({ expiredOnly: !!request.expiredOnly })
+      .then(removed => sendResponse({ success: true, removed }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.type === 'ai-resilience-status') {
+    getResilienceStatus()
+      .then(status => sendResponse({ success: true, status }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.type === 'ai-resilience-reset') {
+    resetCircuitBreakers()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.type === 'ai-provider-settings') {
+    handleProviderSettingsRequest(request, sendResponse);
+    return true;
   } else if (request.type === 'wikipedia-fetch') {
     handleWikipediaRequest(request, sendResponse);
     return true;
@@ -157,6 +207,33 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   } else if (request.type === 'fetch-admin-html') {
     handleAdminHtmlFetch(request, sendResponse);
     return true;
+  } else if (request.type === 'auctionet-api-fetch') {
+    handleAuctionetApiFetch(request, sendResponse);
+    return true;
+  } else if (request.type === 'dev-session') {
+    handleDevSessionRequest(request, sendResponse);
+    return true;
+  } else if (request.type === 'settings-profile') {
+    handleSettingsProfileRequest(request, sender, sendResponse);
+    return true;
+  } else if (request.type === 'storage-inventory') {
+    handleStorageInventoryRequest(request, sender, sendResponse);
+    return true;
+  } else if (request.type === 'edit-history') {
+    handleEditHistoryRequest(request, sendResponse);
+    return true;
+  } else if (request.type === 'item-index') {
+    handleItemIndexRequest(request, sendResponse);
+    return true;
+  } else if (request.type === 'enhance-batch') {
+    handleEnhanceBatchRequest(request, sender, sendResponse);
+    return true;
+  } else if (request.type === 'open-snippet-library') {
+    // Content scripts can't open extension pages themselves
+    chrome.tabs.create({ url: chrome.runtime.getURL('snippets.html') })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   } else if (request.type === 'dashboard-fetch') {
     handleDashboardFetch(request, sendResponse);
     return true;
@@ -181,98 +258,266 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 // Single pathway for all Claude API calls — used by both message handler
 // and publication scanner (which runs in the same service worker).
 
-// Concurrency limiter: max 3 parallel Anthropic requests to avoid rate-limit errors
+// Concurrency limiter: max 3 parallel Anthropic requests to avoid rate-limit errors.
+// Interactive requests jump ahead of batch and background work (ai-scheduler-bg.js).
 const MAX_CONCURRENT = 3;
-let activeRequests = 0;
-const requestQueue = [];
-
-function enqueue(fn) {
-  return new Promise((resolve, reject) => {
-    const run = () => {
-      activeRequests++;
-      fn().then(resolve, reject).finally(() => {
-        activeRequests--;
-        if (requestQueue.length > 0) requestQueue.shift()();
-      });
-    };
-    if (activeRequests < MAX_CONCURRENT) {
-      run();
+const scheduler = new RequestScheduler({ maxConcurrent: MAX_CONCURRENT, onQueueChange: reportQueueStatus });
+
+// Tell each tab with waiting requests where it stands ("3 förfrågningar före dig").
+// Only changed statuses are sent; a final { queued: 0 } clears the indicator.
+const lastQueueStatus = new Map(); // tabId → JSON of last status sent
+
+function reportQueueStatus() {
+  const tabIds = new Set([...scheduler.getTabIds(), ...lastQueueStatus.keys()]);
+  for (const tabId of tabIds) {
+    const status = scheduler.getTabStatus(tabId);
+    const json = JSON.stringify(status);
+    const previous = lastQueueStatus.get(tabId);
+    if (status.queued === 0) {
+      if (previous === undefined) continue;
+      lastQueueStatus.delete(tabId);
     } else {
-      requestQueue.push(run);
+      if (previous === json) continue;
+      lastQueueStatus.set(tabId, json);
     }
-  });
+    chrome.tabs.sendMessage(tabId, { type: 'ai-queue-status', status }).catch(() => {});
+  }
+}
+
+// A closed or reloaded page can no longer use its answers — free the slots.
+chrome.tabs.onRemoved.addListener((tabId) => {
+  scheduler.cancelTab(tabId, 'Sidan stängdes');
+  lastQueueStatus.delete(tabId);
+  handleBatchTabRemoved(tabId).catch(() => {});
+});
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') scheduler.cancelTab(tabId, 'Sidan laddades om');
+  // An Enhance All batch apply tab saved its form (enhance-batch-bg.js)
+  if (changeInfo.status === 'complete') handleBatchTabLoaded(tabId).catch(() => {});
+});
+
+// `feature` selects the provider (see ai-providers-bg.js) and, with `itemId`,
+// tags the usage ledger entry — neither is sent to the model. `priority`,
+// `tabId` and `requestKey` are scheduling hints (see ai-scheduler-bg.js).
+// Features with a cacheTtlHours are answered from ai-response-cache-bg.js when
+// possible; `noCache` forces a fresh call (the result still refreshes the cache).
+// With `onText` the response is streamed and each text delta passed on;
+// `signal` lets the caller abort (see the 'anthropic-stream' port below).
+// In a dev session (dev-session-bg.js) the whole call is recorded or replayed.
+async function callAnthropicAPI(body, options = {}) {
+  let emitted = false;
+  const onText = options.onText && (text => { emitted = true; options.onText(text); });
+  const data = await withDevSession(
+    'anthropic',
+    { model: body.model, system: body.system, messages: body.messages },
+    () => _callAnthropicAPILive(body, { ...options, onText }),
+    { feature: options.feature || 'other', model: body.model }
+  );
+  // A replayed answer arrives whole — still show it to a streaming caller
+  if (onText && !emitted) onText(data?.content?.[0]?.text || '');
+  return data;
 }
 
-async function callAnthropicAPI(body, { apiKey = null, timeoutMs = 30000 } = {}) {
-  return enqueue(() => _callAnthropicAPIInner(body, { apiKey, timeoutMs }));
+async function _callAnthropicAPILive(body, {
+  apiKey = null, timeoutMs = 30000, feature = 'other', itemId = null,
+  priority = null, tabId = null, requestKey = null, noCache = false,
+  onText = null, signal = null
+} = {}) {
+  let cacheKey = null;
+  if (getFeatureTtlMs(feature)) {
+    const { id: providerId } = await resolveProvider(feature);
+    cacheKey = await computeCacheKey(body, providerId);
+    const cached = noCache ? null : await getCachedResponse(cacheKey, feature);
+    if (cached) {
+      onText?.(cached.content?.[0]?.text || '');
+      return cached;
+    }
+  }
+
+  // Retries and model fallbacks (ai-resilience-bg.js) run inside the scheduler
+  // slot, so backing off from a 429 also slows the rest of the queue.
+  // A stream that has already shown text can't be retried invisibly.
+  let streamed = false;
+  let answeredBy = body.model;
+  const forwardText = onText && (text => { streamed = true; onText(text); });
+  const data = await scheduler.schedule(
+    ({ signal: jobSignal }) => callWithResilience(
+      (model, timeLeftMs) => {
+        answeredBy = model;
+        return _callAnthropicAPIInner({ ...body, model }, {
+          apiKey, timeoutMs: Math.min(timeoutMs, timeLeftMs), feature, signal: jobSignal, onText: forwardText
+        });
+      },
+      { model: body.model, feature, signal: jobSignal, canRetry: () => !streamed }
+    ),
+    { priority: priority || CONFIG.AI_FEATURES[feature]?.priority || 'background', tabId, requestKey, signal }
+  );
+  recordUsage({ feature, model: data?.model || body?.model, itemId, usage: data?.usage });
+  // A fallback model's answer must not be served later as the requested model's
+  if (cacheKey && answeredBy === body.model) storeCachedResponse(cacheKey, feature, data);
+  return data;
 }
 
-async function _callAnthropicAPIInner(body, { apiKey = null, timeoutMs = 30000 } = {}) {
+async function _callAnthropicAPIInner(body, { apiKey = null, timeoutMs = 30000, feature = 'other', signal = null, onText = null } = {}) {
+  const { provider, settings } = await resolveProvider(feature);
+
   // Resolve API key: use provided key or read from storage
-  if (!apiKey) {
+  if (provider.requiresApiKey && !apiKey) {
     try {
       const stored = await chrome.storage.local.get(['anthropicApiKey']);
       apiKey = stored.anthropicApiKey || null;
     } catch (e) { /* storage read failed */ }
   }
-  if (!apiKey) {
+  if (provider.requiresApiKey && !apiKey) {
     throw new Error('API key is required. Set it in the extension popup.');
   }
 
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  // Scheduler cancellation (tab closed, request superseded) aborts the fetch too
+  signal?.addEventListener('abort', () => controller.abort(), { once: true });
 
   try {
-    const headers = {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-      'anthropic-dangerous-direct-browser-access': 'true'
-    };
-
-    // Enable prompt caching when system messages use cache_control blocks
-    if (body?.system && Array.isArray(body.system) && body.system.some(b => b.cache_control)) {
-      headers['anthropic-beta'] = 'prompt-caching-2024-07-31';
+    const options = { apiKey, signal: controller.signal, settings, feature };
+    let data;
+    if (onText && provider.stream) {
+      data = await provider.stream(body, { ...options, onText });
+    } else {
+      data = await provider.send(body, options);
+      if (onText) onText(data?.content?.[0]?.text || '');
     }
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body),
-      signal: controller.signal
-    });
-
     clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    return await response.json();
+    return data;
   } catch (error) {
     clearTimeout(timeoutId);
     if (error.name === 'AbortError') {
-      throw new Error(`Request timed out after ${timeoutMs / 1000} seconds`);
+      const timeoutError = new Error(`Request timed out after ${Math.round(timeoutMs / 1000)} seconds`);
+      timeoutError.timeout = !signal?.aborted;
+      throw timeoutError;
     }
     throw error;
   }
 }
 
-// Export for publication-scanner-bg.js (same service worker)
+// Export for publication-scanner-bg.js and enhance-batch-bg.js (same service worker)
 globalThis.__callAnthropicAPI = callAnthropicAPI;
 
-async function handleAnthropicRequest(request, sendResponse) {
+// Item ID for ledger tagging: explicit on the message, else taken from the
+// sending tab's URL (edit/show pages are /admin/<house>/items/<id>...).
+function resolveItemId(request, sender) {
+  if (request.itemId) return String(request.itemId);
+  const match = sender?.tab?.url?.match(/\/items\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+// ─── Streaming Anthropic calls (long-lived port) ─────────────────────
+// Content scripts open a port named 'anthropic-stream' and post
+// { type: 'start', feature, body, requestKey }. The worker answers with
+// { type: 'delta', text } per text chunk, then { type: 'done', data } or
+// { type: 'error', error, cancelled }. { type: 'stop' } or disconnecting
+// aborts the upstream request.
+
+const STREAM_TIMEOUT_MS = 90000; // long Opus answers stream well past 30 s
+
+function postToPort(port, message) {
+  try {
+    port.postMessage(message);
+  } catch (e) {
+    // Port already closed — the page navigated away or the user stopped
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'anthropic-stream') return;
+  if (port.sender?.id !== chrome.runtime.id) {
+    port.disconnect();
+    return;
+  }
+
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort('Anslutningen stängdes'));
+
+  port.onMessage.addListener(async (message) => {
+    if (message.type === 'stop') {
+      controller.abort('Stoppad');
+      return;
+    }
+    if (message.type !== 'start') return;
+
+    const feature = message.feature || 'other';
+    try {
+      const data = await callAnthropicAPI(message.body, {
+        feature,
+        timeoutMs: STREAM_TIMEOUT_MS,
+        itemId: resolveItemId(message, port.sender),
+        priority: resolvePriority(message, port.sender, feature),
+        tabId: port.sender?.tab?.id ?? null,
+        requestKey: message.requestKey || null,
+        signal: controller.signal,
+        onText: text => postToPort(port, { type: 'delta', text })
+      });
+      postToPort(port, { type: 'done', data });
+    } catch (error) {
+      if (!error.cancelled) console.error('Anthropic stream error:', error.message);
+      postToPort(port, { type: 'error', error: error.message, cancelled: !!error.cancelled });
+    }
+  });
+});
+
+// Explicit message priority wins, then the feature's configured class. Anything
+// else sent from a page is someone waiting at the screen; the popup has no tab.
+function resolvePriority(request, sender, feature) {
+  if (request.priority) return request.priority;
+  if (CONFIG.AI_FEATURES[feature]?.priority) return CONFIG.AI_FEATURES[feature].priority;
+  return sender?.tab ? 'interactive' : 'batch';
+}
+
+async function handleAnthropicRequest(request, sender, sendResponse) {
   try {
     // Security: popup may send an unsaved key for "Test Connection" (before saving).
-    const data = await callAnthropicAPI(request.body, { apiKey: request.apiKey || null });
+    const feature = request.feature || 'other';
+    const data = await callAnthropicAPI(request.body, {
+      apiKey: request.apiKey || null,
+      feature,
+      itemId: resolveItemId(request, sender),
+      priority: resolvePriority(request, sender, feature),
+      tabId: sender?.tab?.id ?? null,
+      requestKey: request.requestKey || null,
+      noCache: !!request.noCache
+    });
     sendResponse({ success: true, data });
   } catch (error) {
+    if (error.cancelled) {
+      sendResponse({ success: false, error: error.message, cancelled: true });
+      return;
+    }
     console.error('Anthropic API error:', error.message);
     sendResponse({ success: false, error: error.message });
   }
 }
 
+// Popup reads and writes provider routing through here so the feature list
+// and provider labels come from CONFIG rather than being duplicated in popup.js.
+async function handleProviderSettingsRequest(request, sendResponse) {
+  try {
+    if (request.settings) {
+      // Merge so sections the popup doesn't edit (mock fixtures) survive a save
+      const stored = await chrome.storage.local.get([PROVIDER_SETTINGS_KEY]);
+      await chrome.storage.local.set({
+        [PROVIDER_SETTINGS_KEY]: { ...(stored[PROVIDER_SETTINGS_KEY] || {}), ...request.settings }
+      });
+    }
+    sendResponse({
+      success: true,
+      settings: await loadProviderSettings(),
+      providers: Object.fromEntries(Object.entries(CONFIG.PROVIDERS).map(([id, p]) => [id, p.label])),
+      features: Object.fromEntries(Object.entries(CONFIG.AI_FEATURES).map(([id, f]) => [id, f.label]))
+    });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 const ALLOWED_IMAGE_DOMAINS = ['images.auctionet.com', 'auctionet.com', 'upload.wikimedia.org'];
 
 async function handleFetchImageAsBase64(request, sendResponse) {
@@ -337,15 +582,174 @@ async function handleAdminHtmlFetch(request, sendResponse) {
       sendResponse({ success: false, error: 'URL must be an auctionet.com admin URL' });
       return;
     }
-    const response = await fetch(url, { credentials: 'include' });
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    const html = await response.text();
+    const html = await withDevSession('admin-html', url, async () => {
+      const response = await fetch(url, { credentials: 'include' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.text();
+    });
     sendResponse({ success: true, html });
   } catch (error) {
     sendResponse({ success: false, error: error.message });
   }
 }
 
+// ─── Auctionet API (dev sessions only) ───────────────────────────────
+// Content scripts fetch the public Auctionet API (and public artist and item
+// pages) directly. While a dev session is recording or replaying,
+// modules/core/auctionet-fetch.js routes the request here instead so it can be
+// archived or served from the archive. Admin pages have their own route.
+
+function isPublicAuctionetUrl(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    return origin === 'https://auctionet.com' && !pathname.startsWith('/admin');
+  } catch (e) {
+    return false;
+  }
+}
+
+async function handleAuctionetApiFetch(request, sendResponse) {
+  try {
+    const { url } = request;
+    if (!isPublicAuctionetUrl(url)) {
+      sendResponse({ success: false, error: 'URL must be a public Auctionet URL' });
+      return;
+    }
+    const result = await withDevSession('auctionet-api', url, async () => {
+      const response = await fetch(url);
+      return { status: response.status, statusText: response.statusText, body: await response.text() };
+    });
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// ─── Dev session control (popup) ────────────────────────────────────
+
+async function handleDevSessionRequest(request, sendResponse) {
+  try {
+    const { action } = request;
+    let result = null;
+    if (action === 'record') result = await startRecording(request.name);
+    else if (action === 'replay') result = await startReplay(request.sessionId);
+    else if (action === 'stop') await stopDevSession();
+    else if (action === 'delete') await deleteDevSession(request.sessionId);
+    else if (action === 'export') result = await exportDevSession(request.sessionId);
+    else if (action === 'import') result = await importDevSession(request.archive);
+    else if (action !== 'status') throw new Error(`Unknown dev session action: ${action}`);
+
+    sendResponse({
+      success: true,
+      result,
+      state: await getDevSessionState(),
+      sessions: await listDevSessions()
+    });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Team profile export/import and named per-user profiles (settings-profiles-bg.js)
+async function handleSettingsProfileRequest(request, sender, sendResponse) {
+  try {
+    // Profiles carry API keys — only the popup may read or change them
+    if (sender.tab) throw new Error('Settings profiles are only available from the popup');
+    const { action } = request;
+    let result = null;
+    if (action === 'export') result = await exportTeamProfile(request);
+    else if (action === 'import') result = await importTeamProfile(request.profile, request.passphrase);
+    else if (action === 'save') await saveSettingsProfile(request.name);
+    else if (action === 'switch') await switchSettingsProfile(request.name);
+    else if (action === 'delete') await deleteSettingsProfile(request.name);
+    else if (action !== 'list') throw new Error(`Unknown settings profile action: ${action}`);
+
+    sendResponse({ success: true, result, ...(await listSettingsProfiles()) });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Storage inventory page (storage.html) — list, clear and export stores
+async function handleStorageInventoryRequest(request, sender, sendResponse) {
+  try {
+    // Clearing is destructive — only extension pages, never content scripts
+    if (!sender.url?.startsWith(chrome.runtime.getURL(''))) throw new Error('Storage inventory is only available from extension pages');
+    const { action } = request;
+    let result = null;
+    if (action === 'clear') await clearStore(request.storeId);
+    else if (action === 'export') result = await exportStore(request.storeId);
+    else if (action === 'enforce') result = await enforceStoragePolicies();
+    else if (action !== 'list') throw new Error(`Unknown storage inventory action: ${action}`);
+
+    sendResponse({ success: true, result, ...(await getStorageInventory()) });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Per-item version history for the edit page (edit-history-bg.js)
+async function handleEditHistoryRequest(request, sendResponse) {
+  try {
+    const { action, itemId } = request;
+    let result = null;
+    if (action === 'record') result = await recordSnapshot(request.snapshot);
+    else if (action === 'clear') await deleteItemHistory(itemId);
+    else if (action !== 'list') throw new Error(`Unknown edit history action: ${action}`);
+
+    sendResponse({ success: true, result, snapshots: await listSnapshots(itemId) });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Local item index for the duplicate warning (item-index-bg.js)
+async function handleItemIndexRequest(request, sendResponse) {
+  try {
+    const { action } = request;
+    if (action === 'add') {
+      sendResponse({ success: true, ...(await indexItems(request.items, request.source)) });
+    } else if (action === 'find') {
+      sendResponse({ success: true, matches: await findDuplicates(request.query || {}) });
+    } else {
+      throw new Error(`Unknown item index action: ${action}`);
+    }
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Enhance All batch runner and its review inbox (enhance-batch-bg.js)
+async function handleEnhanceBatchRequest(request, sender, sendResponse) {
+  try {
+    const { action, itemId } = request;
+    if (action === 'start') {
+      sendResponse({ success: true, ...(await queueBatchItems(request.items, request.source)) });
+    } else if (action === 'list') {
+      sendResponse({ success: true, entries: await listBatchInbox() });
+    } else if (action === 'approve') {
+      sendResponse({ success: true, entry: await approveBatchItem(itemId, request.approved) });
+    } else if (action === 'reject') {
+      sendResponse({ success: true, entry: await rejectBatchItem(itemId) });
+    } else if (action === 'cancel') {
+      sendResponse({ success: true, removed: await cancelBatchQueue() });
+    } else if (action === 'clear') {
+      sendResponse({ success: true, removed: await clearBatchEntries(itemId || null) });
+    } else if (action === 'apply-request') {
+      sendResponse({ success: true, apply: await getBatchApply(itemId, sender.tab?.id) });
+    } else if (action === 'apply-report') {
+      sendResponse({ success: true, entry: await reportBatchApply(itemId, request.outcome, request.error) });
+    } else if (action === 'open-inbox') {
+      await openBatchInbox();
+      sendResponse({ success: true });
+    } else {
+      throw new Error(`Unknown enhance batch action: ${action}`);
+    }
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 async function handleDashboardFetch(request, sendResponse) {
   try {
     const { widgets } = request;
@@ -364,21 +768,23 @@ async function handleDashboardFetch(request, sendResponse) {
 
     const url = `https://dashboard.auctionet.com/sources?types=${widgets.join(',')}&token=${encodeURIComponent(token)}`;
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
-
-    const response = await fetch(url, { signal: controller.signal });
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      sendResponse({ success: false, error: `Dashboard API HTTP ${response.status}` });
-      return;
-    }
-
-    const data = await response.json();
+    // Keyed on the widget list only — the token never goes into a recording
+    const data = await withDevSession('dashboard', widgets, async () => {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+      try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) throw new Error(`Dashboard API HTTP ${response.status}`);
+        return await response.json();
+      } catch (error) {
+        throw error.name === 'AbortError' ? new Error('Dashboard API timeout (10s)') : error;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    });
     sendResponse({ success: true, data });
   } catch (error) {
-    sendResponse({ success: false, error: error.name === 'AbortError' ? 'Dashboard API timeout (10s)' : error.message });
+    sendResponse({ success: false, error: error.message });
   }
 }
 
@@ -36,9 +36,22 @@
     const { escapeHTML } = await import(chrome.runtime.getURL('modules/core/html-escape.js'));
     const { EnhanceAllManager } = await import(chrome.runtime.getURL('modules/enhance-all/enhance-all-manager.js'));
     const { EnhanceAllUI } = await import(chrome.runtime.getURL('modules/enhance-all/enhance-all-ui.js'));
+    const { applyBatchResult } = await import(chrome.runtime.getURL('modules/enhance-all/batch-apply.js'));
     const { FieldDistributor } = await import(chrome.runtime.getURL('modules/enhance-all/field-distributor.js'));
+    const { TranslationManager } = await import(chrome.runtime.getURL('modules/translation/translation-manager.js'));
+    const { TranslationUI } = await import(chrome.runtime.getURL('modules/translation/translation-ui.js'));
+    const { EditHistoryTracker } = await import(chrome.runtime.getURL('modules/edit-history/edit-history-tracker.js'));
+    const { EditHistoryUI } = await import(chrome.runtime.getURL('modules/edit-history/edit-history-ui.js'));
     const { DashboardAPI } = await import(chrome.runtime.getURL('modules/dashboard-api.js'));
     const { SearchRelevanceMatcher } = await import(chrome.runtime.getURL('modules/search-relevance.js'));
+    const { SearchDemand } = await import(chrome.runtime.getURL('modules/search-demand.js'));
+    const { KeywordDemandUI } = await import(chrome.runtime.getURL('modules/ui/keyword-demand-ui.js'));
+    const { CategoryHintUI } = await import(chrome.runtime.getURL('modules/ui/category-hint-ui.js'));
+    const { DuplicateWarningUI } = await import(chrome.runtime.getURL('modules/ui/duplicate-warning-ui.js'));
+    const { SnippetPickerUI } = await import(chrome.runtime.getURL('modules/ui/snippet-picker-ui.js'));
+    const { AIQueueIndicator } = await import(chrome.runtime.getURL('modules/ui/ai-queue-indicator.js'));
+    const { CommandPalette } = await import(chrome.runtime.getURL('modules/ui/command-palette.js'));
+    const { buildEditPageCommands } = await import(chrome.runtime.getURL('modules/ui/edit-page-commands.js'));
 
     // Initialize the assistant
     class AuctionetCatalogingAssistant {
@@ -101,6 +114,40 @@
         this.fieldDistributor.setQualityAnalyzer(this.qualityAnalyzer);
         this.fieldDistributor.setUIManager(this.uiManager);
 
+        // Initialize translation (writes the _en/_de/... fields through the same distributor)
+        this.translationManager = new TranslationManager();
+        this.translationUI = new TranslationUI();
+        this.translationUI.setTranslationManager(this.translationManager);
+        this.translationUI.setFieldDistributor(this.fieldDistributor);
+
+        // Per-item version history: snapshots on AI apply, manual edit, undo and save
+        this.editHistoryTracker = new EditHistoryTracker();
+        this.editHistoryUI = new EditHistoryUI();
+        this.editHistoryUI.setTracker(this.editHistoryTracker);
+        this.editHistoryUI.setFieldDistributor(this.fieldDistributor);
+        this.fieldDistributor.setEditHistory(this.editHistoryTracker);
+        this.uiManager.setEditHistory(this.editHistoryTracker);
+
+        // Buyer search demand per keyword (filled in init() from the stored search history)
+        this.searchDemand = null;
+        this.keywordDemandUI = new KeywordDemandUI();
+
+        // Likely category under the category select (local terms, AI on request)
+        this.categoryHintUI = new CategoryHintUI();
+
+        // "Möjlig dubblett" banner from the local item index
+        this.duplicateWarningUI = new DuplicateWarningUI();
+
+        // "Mallar" menus on the text fields, suggested from the title
+        this.snippetPickerUI = new SnippetPickerUI();
+
+        // Show queue position when the shared AI queue is busy
+        this.aiQueueIndicator = new AIQueueIndicator();
+        this.aiQueueIndicator.init();
+
+        // Ctrl+K command palette and direct shortcuts for the actions on this page
+        this.commandPalette = new CommandPalette();
+
         // Initialize condition guidance system
         this.dismissedTooltips = new Set();
         this.activeTooltips = new Map();
@@ -124,13 +171,37 @@
 
         this.uiManager.injectUI();
         this.enhanceAllUI.injectEnhanceAllButton();
+        this.translationUI.injectTranslationPanel();
+        this.editHistoryUI.injectHistoryButton();
+        this.editHistoryTracker.init();
+        this.categoryHintUI.init();
+        this.duplicateWarningUI.init();
+        this.snippetPickerUI.init();
         this.attachEventListeners();
 
+        // The palette owns the keyboard here, incl. the ignore-list shortcuts
+        this.qualityAnalyzer.artistIgnoreManager?.disableKeyboardShortcuts();
+        this.commandPalette.setCommands(buildEditPageCommands(this));
+        this.commandPalette.init();
+
+        // Opened from the batch review inbox: save the approved result
+        applyBatchResult(this.fieldDistributor);
+
         // Run initial quality analysis after API key is loaded
         await this.uiManager.runInitialQualityAnalysis();
 
         // Show search demand signal (non-blocking, best-effort)
         this.showSearchDemandSignal();
+        this.loadSearchDemand();
+      }
+
+      async loadSearchDemand() {
+        this.searchDemand = await SearchDemand.load();
+        if (this.searchDemand.isEmpty()) return;
+        this.uiManager.setSearchDemand(this.searchDemand);
+        this.enhanceAllManager.setSearchDemand(this.searchDemand);
+        this.keywordDemandUI.setSearchDemand(this.searchDemand);
+        this.keywordDemandUI.init();
       }
 
       async showSearchDemandSignal() {
@@ -193,6 +264,7 @@
             sendResponse({ success: true });
           } else if (request.type === 'refresh-settings') {
             this.apiManager.loadSettings(); // This also loads all settings including enableArtistInfo
+            this.translationUI.refreshLanguages();
             sendResponse({ success: true });
           }
         });
@@ -345,7 +417,7 @@
         this.showFieldLoadingIndicator(fieldType);
         
         try {
-          const improved = await this.apiManager.callClaudeAPI(itemData, fieldType);
+          const improved = await this.requestFieldImprovement(itemData, fieldType);
           
           // For single field improvements, extract the specific field value  
           // Handle title-correct mapping to title field
@@ -362,6 +434,8 @@
             throw new Error(`No ${fieldType} value in response`);
           }
         } catch (error) {
+          // A newer click on the same field took over — its indicator is already showing
+          if (error.cancelled) return;
           console.error('Error improving field:', error);
           this.showFieldErrorIndicator(fieldType, error.message);
         }
@@ -521,7 +595,9 @@
             // We'll still call with 'all' but handle condition exclusion in the response processing
           }
           
-          const improvements = await this.apiManager.callClaudeAPI(itemData, actualFieldType);
+          const improvements = fieldType === 'all'
+            ? await this.apiManager.callClaudeAPI(itemData, actualFieldType)
+            : await this.requestFieldImprovement(itemData, fieldType);
           
           if (fieldType === 'all') {
             if (improvements.title) {
@@ -553,6 +629,8 @@
           document.querySelectorAll('.faq-hint').forEach(h => h.remove());
           setTimeout(() => this.qualityAnalyzer.analyzeQuality(), 800);
         } catch (error) {
+          // A newer click on the same field took over — its indicator is already showing
+          if (error.cancelled) return;
           console.error('Error improving field:', error);
           this.showFieldErrorIndicator(fieldType, error.message);
         }
@@ -628,6 +706,7 @@
             const improvements = await this.apiManager.callClaudeAPI(itemData, 'all');
             this.applyAllImprovements(improvements);
           } catch (error) {
+            if (error.cancelled) return;
             this.showFieldErrorIndicator('all', error.message);
           }
           return;
@@ -637,7 +716,7 @@
         this.showFieldLoadingIndicator(fieldType);
         
         try {
-          const improved = await this.apiManager.callClaudeAPI(itemData, fieldType);
+          const improved = await this.requestFieldImprovement(itemData, fieldType);
 
           // Handle title-correct mapping to title field
           const responseField = fieldType === 'title-correct' ? 'title' : fieldType;
@@ -653,6 +732,8 @@
             throw new Error(`No ${fieldType} value in response`);
           }
         } catch (error) {
+          // A newer click on the same field took over — its indicator is already showing
+          if (error.cancelled) return;
           console.error('Error improving field:', error);
           this.showFieldErrorIndicator(fieldType, error.message);
         }
@@ -679,6 +760,54 @@
       }
 
       // Field-specific loading indicator methods - delegate to main content.js implementation
+      // Single-field enhancement streamed into the loading overlay, with a stop
+      // button that aborts the upstream request and leaves the field untouched.
+      async requestFieldImprovement(itemData, fieldType) {
+        if (fieldType === 'keywords' && this.searchDemand) {
+          itemData = { ...itemData, searchCandidates: this.searchDemand.candidatesFor(itemData) };
+        }
+        const controller = new AbortController();
+        this.showFieldStreamStopButton(fieldType, () => controller.abort());
+        return this.apiManager.streamClaudeAPI(itemData, fieldType, {
+          signal: controller.signal,
+          onText: (text) => this.updateFieldStreamPreview(fieldType, this.apiManager.parsePartialFieldText(text, fieldType))
+        });
+      }
+
+      showFieldStreamStopButton(fieldType, onStop) {
+        const overlay = document.querySelector(`.field-spinner-overlay[data-field-type="${fieldType}"]`);
+        if (!overlay) return;
+
+        const stopButton = document.createElement('button');
+        stopButton.type = 'button';
+        stopButton.className = 'ai-stream-stop';
+        stopButton.textContent = 'Stoppa';
+        stopButton.addEventListener('click', (e) => {
+          e.preventDefault();
+          onStop();
+          this.fallbackRemoveFieldLoadingIndicator(fieldType);
+        });
+        overlay.appendChild(stopButton);
+      }
+
+      updateFieldStreamPreview(fieldType, text) {
+        const overlay = document.querySelector(`.field-spinner-overlay[data-field-type="${fieldType}"]`);
+        if (!overlay || !text) return;
+
+        let preview = overlay.querySelector('.ai-stream-preview');
+        if (!preview) {
+          // First text replaces the spinner
+          overlay.classList.add('streaming');
+          overlay.querySelector('.ai-spinner')?.remove();
+          overlay.querySelector('.ai-processing-text')?.remove();
+          preview = document.createElement('div');
+          preview.className = 'ai-stream-preview';
+          overlay.insertBefore(preview, overlay.firstChild);
+        }
+        preview.textContent = text;
+        preview.scrollTop = preview.scrollHeight;
+      }
+
       showFieldLoadingIndicator(fieldType) {
 
         this.fallbackShowFieldLoadingIndicator(fieldType);
@@ -148,6 +148,27 @@ import('./modules/enhance-all/field-distributor.js').then(module => {
   window.FieldDistributor = module.FieldDistributor;
 }).catch(error => console.error('Failed to load FieldDistributor:', error));
 
+import('./modules/ui/category-hint-ui.js').then(module => {
+  window.CategoryHintUI = module.CategoryHintUI;
+}).catch(error => console.error('Failed to load CategoryHintUI:', error));
+
+import('./modules/ui/duplicate-warning-ui.js').then(module => {
+  window.DuplicateWarningUI = module.DuplicateWarningUI;
+}).catch(error => console.error('Failed to load DuplicateWarningUI:', error));
+
+import('./modules/ui/snippet-picker-ui.js').then(module => {
+  window.SnippetPickerUI = module.SnippetPickerUI;
+}).catch(error => console.error('Failed to load SnippetPickerUI:', error));
+
+import('./modules/item-index.js').then(module => {
+  window.ItemIndex = module;
+}).catch(error => console.error('Failed to load ItemIndex:', error));
+
+// AI queue position pill — self-contained, listens for background status messages
+import('./modules/ui/ai-queue-indicator.js').then(module => {
+  new module.AIQueueIndicator().init();
+}).catch(error => console.error('Failed to load AIQueueIndicator:', error));
+
 // SPA detection will be handled by the AuctionetCatalogingAssistant class
 
 class AuctionetCatalogingAssistant {
@@ -233,6 +254,13 @@ class AuctionetCatalogingAssistant {
     // Additional wait to ensure dynamic content is loaded
     await new Promise(resolve => setTimeout(resolve, 1000));
 
+    // Contract pages list the seller's items — keep them in the duplicate index
+    if (window.ItemIndex && /\/sellers\/\d+\/contracts\/\d+\/?$/.test(window.location.pathname)) {
+      const contractItems = window.ItemIndex.scrapeItemRows();
+      window.ItemIndex.indexItems(contractItems, 'contract');
+      this.injectContractBatchButton(contractItems);
+    }
+
     // Check if we're on the right page and determine page type
     const pageInfo = this.pageDetector.detectPageType();
 
@@ -297,6 +325,24 @@ class AuctionetCatalogingAssistant {
       if (this.enhanceAllUI) this.enhanceAllUI.injectEnhanceAllButton();
     }
 
+    // Likely category under the category select (local terms, AI on request)
+    if (window.CategoryHintUI) {
+      this.categoryHintUI = this.categoryHintUI || new window.CategoryHintUI();
+      this.categoryHintUI.init();
+    }
+
+    // "Möjlig dubblett" banner from the local item index
+    if (window.DuplicateWarningUI) {
+      this.duplicateWarningUI = this.duplicateWarningUI || new window.DuplicateWarningUI();
+      this.duplicateWarningUI.init();
+    }
+
+    // "Mallar" menus on the text fields, suggested from the title
+    if (window.SnippetPickerUI) {
+      this.snippetPickerUI = this.snippetPickerUI || new window.SnippetPickerUI();
+      this.snippetPickerUI.init();
+    }
+
     // FAQ inline hints are triggered via the UIController's quality callback chain:
     // UIController.setupLiveQualityUpdates() → onAnalyzeQuality() → analyzeQuality() → runFaqHints()
     // Only set up standalone FAQ monitoring if UIController is NOT active (fallback)
@@ -328,6 +374,47 @@ class AuctionetCatalogingAssistant {
     this.init();
   }
 
+  /**
+   * "Förbättra alla objekt på kontraktet" above the contract's item table:
+   * queues the items for the batch runner (enhance-batch-bg.js) and opens the
+   * review inbox. Nothing is saved until each proposal is approved there.
+   */
+  injectContractBatchButton(items) {
+    const firstLink = items.length > 0 && document.querySelector(`tr a[href*="/items/${items[0].id}"]`);
+    const table = firstLink?.closest('table');
+    if (!table || document.querySelector('.contract-enhance-batch')) return;
+
+    const bar = document.createElement('div');
+    bar.className = 'contract-enhance-batch';
+    bar.innerHTML = `
+      <button type="button" class="contract-enhance-batch__button">✨ Förbättra alla objekt på kontraktet (${items.length})</button>
+      <span class="contract-enhance-batch__status"></span>
+    `;
+    table.insertAdjacentElement('beforebegin', bar);
+
+    const button = bar.querySelector('button');
+    const status = bar.querySelector('.contract-enhance-batch__status');
+    button.addEventListener('click', () => {
+      if (!confirm(`Köra "Förbättra alla" på ${items.length} objekt i bakgrunden?\n\nInget sparas förrän du godkänner varje förslag i granskningskön.`)) return;
+      button.disabled = true;
+      chrome.runtime.sendMessage({
+        type: 'enhance-batch',
+        action: 'start',
+        source: 'contract',
+        items: items.map(item => ({ itemId: item.id, url: item.url, title: item.title }))
+      }, response => {
+        button.disabled = false;
+        if (chrome.runtime.lastError || !response?.success) {
+          status.textContent = `Kunde inte starta: ${response?.error || 'tillägget svarar inte'}`;
+          return;
+        }
+        status.textContent = response.skipped > 0
+          ? `${response.queued} objekt köade (${response.skipped} låg redan i kön)`
+          : `${response.queued} objekt köade`;
+        chrome.runtime.sendMessage({ type: 'enhance-batch', action: 'open-inbox' });
+      });
+    });
+  }
 
   async initializeFreetextParser() {
     try {
@@ -809,56 +896,11 @@ class AuctionetCatalogingAssistant {
   }
 
   calculateCurrentQualityScore(data) {
-    let score = 100;
-
-    // Check if "Inga anmärkningar" is checked
-    const noRemarksCheckbox = document.querySelector('input[type="checkbox"][value="Inga anmärkningar"]') ||
-      document.querySelector('input[type="checkbox"]#item_no_remarks') ||
-      document.querySelector('input[type="checkbox"][name*="no_remarks"]');
-    const noRemarksChecked = noRemarksCheckbox && noRemarksCheckbox.checked;
-
-    // Quick quality calculation (simplified version of analyzeQuality)
-    const descLength = data.description.replace(/<[^>]*>/g, '').length;
-    const condLength = data.condition.replace(/<[^>]*>/g, '').length;
-    const keywordsLength = data.keywords.length;
-
-    // Support both comma-separated and Auctionet space-separated formats
-    const keywordCount = data.keywords ?
-      (data.keywords.includes(',') ?
-        data.keywords.split(',').filter(k => k.trim().length > 0).length :
-        data.keywords.split(/\s+/).filter(k => k.trim().length > 0).length
-      ) : 0;
-
-    // Debug logging for calculateCurrentQualityScore
-
-    if (data.title.length < 20) score -= 20;
-    if (descLength < 50) score -= 25;
-
-    // Skip condition scoring if "Inga anmärkningar" is checked
-    if (!noRemarksChecked) {
-      if (condLength < 20) score -= 20;
-      if (data.condition.match(/^<p>bruksslitage\.?<\/p>$/i)) score -= 25; // Increased penalty
-
-      // Check for other vague condition terms
-      const vaguePhrases = ['normalt slitage', 'vanligt slitage', 'åldersslitage', 'slitage förekommer'];
-      const conditionText = data.condition.toLowerCase();
-      const hasVaguePhrase = vaguePhrases.some(phrase =>
-        conditionText.includes(phrase) && conditionText.replace(/<[^>]*>/g, '').trim().length < 30
-      );
-
-      if (hasVaguePhrase) score -= 15;
+    // Same rule set and score as the edit page (modules/core/quality-rules.js)
+    if (this.faqHintAnalyzer) {
+      return this.faqHintAnalyzer.calculateCurrentQualityScore(data);
     }
-
-    // Updated keyword scoring with more reasonable thresholds
-    if (keywordsLength === 0 || !data.keywords || data.keywords.trim() === '') score -= 30;
-    else if (keywordCount < 2) score -= 20;
-    else if (keywordCount < 4) score -= 10;
-    // 4-12 keywords = no penalty (sweet spot)
-    else if (keywordCount > 12) score -= 15;
-
-    if (!data.description.match(/\d+[\s,]*(x|cm)/i)) score -= 20;
-
-    return Math.max(0, score);
+    return 100;
   }
 
   async processWithAdditionalInfo(info) {
@@ -0,0 +1,241 @@
+/**
+ * Dev Session Recorder — Background Service Worker Module
+ * Developer toggle for reproducing a session offline. In 'record' mode every
+ * exchange of the kinds below is archived; in 'replay' mode the archive is
+ * served instead of the network, so an edit, valuation or analytics session
+ * can be re-run exactly.
+ *
+ *   anthropic      — anthropic-fetch / anthropic-stream (keyed on model + system + messages)
+ *   admin-html     — fetch-admin-html (keyed on URL)
+ *   dashboard      — dashboard-fetch (keyed on widget list)
+ *   auctionet-api  — Auctionet API searches and public artist/item pages routed via
+ *                    'auctionet-api-fetch' (keyed on URL)
+ *
+ * Identical requests are replayed in recorded order; once a key's recordings
+ * run out the last one is repeated.
+ *
+ * chrome.storage.local 'devSession' = { mode: 'off'|'record'|'replay', sessionId }
+ * IndexedDB 'devSessions':
+ *   sessions  — { id, name, startedAt, endedAt, count }
+ *   exchanges — { id, sessionId, kind, key, ts, request, response, error }
+ */
+
+const DEV_SESSION_KEY = 'devSession';
+const DB_NAME = 'devSessions';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+let state = null;                 // cached copy of chrome.storage.local 'devSession'
+const replayCursors = new Map();  // `${kind}:${key}` → next index to serve
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('sessions')) {
+        db.createObjectStore('sessions', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('exchanges')) {
+        const store = db.createObjectStore('exchanges', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('sessionKey', ['sessionId', 'kind', 'key']);
+        store.createIndex('sessionId', 'sessionId');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+function runTransaction(storeNames, mode, work) {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+    result = work(tx);
+  }));
+}
+
+function requestResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function hashKey(material) {
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(material)));
+  return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ─── State ──────────────────────────────────────────────────────────
+
+export async function getDevSessionState() {
+  if (!state) {
+    const stored = await chrome.storage.local.get([DEV_SESSION_KEY]);
+    state = stored[DEV_SESSION_KEY] || { mode: 'off', sessionId: null };
+  }
+  return state;
+}
+
+async function setState(next) {
+  state = next;
+  replayCursors.clear();
+  await chrome.storage.local.set({ [DEV_SESSION_KEY]: next });
+  updateBadge();
+}
+
+// REC / PLAY on the toolbar icon so nobody forgets a session is active
+function updateBadge() {
+  const text = state?.mode === 'record' ? 'REC' : state?.mode === 'replay' ? 'PLAY' : '';
+  chrome.action?.setBadgeText({ text }).catch(() => {});
+  if (text) chrome.action?.setBadgeBackgroundColor({ color: state.mode === 'record' ? '#dc2626' : '#2563eb' }).catch(() => {});
+}
+
+// Restore the badge after the service worker restarts
+getDevSessionState().then(updateBadge).catch(() => {});
+
+// ─── Session control ────────────────────────────────────────────────
+
+export async function startRecording(name) {
+  const session = {
+    id: `rec-${Date.now()}`,
+    name: name || new Date().toLocaleString('sv-SE'),
+    startedAt: Date.now(),
+    endedAt: null,
+    count: 0
+  };
+  await runTransaction(['sessions'], 'readwrite', tx => { tx.objectStore('sessions').put(session); });
+  await setState({ mode: 'record', sessionId: session.id });
+  return session;
+}
+
+export async function startReplay(sessionId) {
+  const session = await runTransaction(['sessions'], 'readonly',
+    tx => requestResult(tx.objectStore('sessions').get(sessionId)));
+  if (!session) throw new Error('Inspelningen finns inte');
+  await setState({ mode: 'replay', sessionId });
+  return session;
+}
+
+export async function stopDevSession() {
+  const current = await getDevSessionState();
+  if (current.mode === 'record' && current.sessionId) {
+    await runTransaction(['sessions'], 'readwrite', tx => {
+      const store = tx.objectStore('sessions');
+      const req = store.get(current.sessionId);
+      req.onsuccess = () => {
+        if (req.result) store.put({ ...req.result, endedAt: Date.now() });
+      };
+    });
+  }
+  await setState({ mode: 'off', sessionId: null });
+}
+
+export async function listDevSessions() {
+  const sessions = await runTransaction(['sessions'], 'readonly',
+    tx => requestResult(tx.objectStore('sessions').getAll()));
+  return sessions.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+export async function deleteDevSession(sessionId) {
+  const current = await getDevSessionState();
+  if (current.sessionId === sessionId) await setState({ mode: 'off', sessionId: null });
+  await runTransaction(['sessions', 'exchanges'], 'readwrite', tx => {
+    tx.objectStore('sessions').delete(sessionId);
+    const index = tx.objectStore('exchanges').index('sessionId');
+    index.openKeyCursor(IDBKeyRange.only(sessionId)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      tx.objectStore('exchanges').delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  });
+}
+
+/** Whole session as a JSON-serialisable archive (for sharing a reproduction) */
+export async function exportDevSession(sessionId) {
+  return runTransaction(['sessions', 'exchanges'], 'readonly', tx => Promise.all([
+    requestResult(tx.objectStore('sessions').get(sessionId)),
+    requestResult(tx.objectStore('exchanges').index('sessionId').getAll(IDBKeyRange.only(sessionId)))
+  ])).then(([session, exchanges]) => {
+    if (!session) throw new Error('Inspelningen finns inte');
+    return { format: 'auctionet-dev-session', version: 1, session, exchanges: exchanges.map(({ id, ...rest }) => rest) };
+  });
+}
+
+export async function importDevSession(archive) {
+  if (archive?.format !== 'auctionet-dev-session' || !archive.session || !Array.isArray(archive.exchanges)) {
+    throw new Error('Ogiltig inspelningsfil');
+  }
+  const id = `imp-${Date.now()}`;
+  const session = { ...archive.session, id, name: `${archive.session.name} (importerad)` };
+  await runTransaction(['sessions', 'exchanges'], 'readwrite', tx => {
+    tx.objectStore('sessions').put(session);
+    const exchanges = tx.objectStore('exchanges');
+    for (const ex of archive.exchanges) exchanges.add({ ...ex, sessionId: id });
+  });
+  return session;
+}
+
+// ─── Record / replay ────────────────────────────────────────────────
+
+async function recordExchange(sessionId, entry) {
+  await runTransaction(['sessions', 'exchanges'], 'readwrite', tx => {
+    tx.objectStore('exchanges').add({ sessionId, ts: Date.now(), ...entry });
+    const sessions = tx.objectStore('sessions');
+    const req = sessions.get(sessionId);
+    req.onsuccess = () => {
+      if (req.result) sessions.put({ ...req.result, count: (req.result.count || 0) + 1 });
+    };
+  });
+}
+
+async function replayExchange(sessionId, kind, key) {
+  const matches = await runTransaction(['exchanges'], 'readonly',
+    tx => requestResult(tx.objectStore('exchanges').index('sessionKey').getAll([sessionId, kind, key])));
+  if (matches.length === 0) return null;
+  const cursorKey = `${kind}:${key}`;
+  const index = replayCursors.get(cursorKey) || 0;
+  replayCursors.set(cursorKey, index + 1);
+  return matches[Math.min(index, matches.length - 1)];
+}
+
+/**
+ * Run `live()` under the current dev session mode.
+ * @param {string} kind — exchange kind (see header)
+ * @param {*} keyMaterial — what identifies "the same request"
+ * @param {function(): Promise} live — performs the real request
+ * @param {*} [requestSummary] — stored alongside the recording for inspection
+ */
+export async function withDevSession(kind, keyMaterial, live, requestSummary = keyMaterial) {
+  const { mode, sessionId } = await getDevSessionState();
+  if (mode === 'off' || !sessionId) return live();
+
+  const key = await hashKey(keyMaterial);
+
+  if (mode === 'replay') {
+    const recorded = await replayExchange(sessionId, kind, key);
+    if (!recorded) throw new Error(`Ingen inspelning för denna förfrågan (${kind}, uppspelningsläge)`);
+    if (recorded.error) throw new Error(recorded.error);
+    return recorded.response;
+  }
+
+  try {
+    const response = await live();
+    recordExchange(sessionId, { kind, key, request: requestSummary, response }).catch(() => {});
+    return response;
+  } catch (error) {
+    if (!error.cancelled) {
+      recordExchange(sessionId, { kind, key, request: requestSummary, error: error.message }).catch(() => {});
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Edit History — Background Service Worker Module
+ * Local per-item version history for the edit page. The content script
+ * (modules/edit-history/) sends a snapshot of all catalog fields on every AI
+ * apply, manual edit (blur), save and restore; this module stores them and
+ * serves the timeline.
+ *
+ * IndexedDB 'editHistory':
+ *   snapshots — { id, itemId, ts, trigger, author: { type: 'ai'|'human', label, model? },
+ *                 changed: string[], savedAt?, fields: { title, description, ... } }
+ *
+ * A snapshot identical to the item's latest one is not stored again; a save
+ * with no changes only stamps `savedAt` on the latest snapshot.
+ * Policy: newest MAX_PER_ITEM snapshots per item, nothing older than MAX_AGE_DAYS.
+ */
+
+const DB_NAME = 'editHistory';
+const DB_VERSION = 1;
+const MAX_PER_ITEM = 100;
+const MAX_AGE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('snapshots')) {
+        const store = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('itemId', 'itemId');
+        store.createIndex('ts', 'ts');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+function runTransaction(mode, work) {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction('snapshots', mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+    result = work(tx.objectStore('snapshots'));
+  }));
+}
+
+function requestResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function sameFields(a, b) {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return [...keys].every(key => (a?.[key] ?? '') === (b?.[key] ?? ''));
+}
+
+// ─── Snapshots ──────────────────────────────────────────────────────
+
+/**
+ * Oldest first.
+ */
+export async function listSnapshots(itemId) {
+  const snapshots = await runTransaction('readonly', store => requestResult(store.index('itemId').getAll(String(itemId))));
+  return snapshots.sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Store a snapshot unless it matches the item's latest one.
+ * @returns {Promise<object|null>} the stored (or save-stamped) snapshot, null when skipped
+ */
+export async function recordSnapshot({ itemId, trigger, author, fields }) {
+  if (!itemId || !fields) throw new Error('itemId and fields are required');
+  const history = await listSnapshots(itemId);
+  const latest = history[history.length - 1];
+  const now = Date.now();
+
+  if (latest && sameFields(latest.fields, fields)) {
+    if (trigger !== 'save') return null;
+    latest.savedAt = now;
+    await runTransaction('readwrite', store => store.put(latest));
+    return latest;
+  }
+
+  const snapshot = {
+    itemId: String(itemId),
+    ts: now,
+    trigger,
+    author: author || { type: 'human', label: 'Katalogiserare' },
+    changed: Object.keys(fields).filter(key => (latest?.fields[key] ?? '') !== (fields[key] ?? '')),
+    fields
+  };
+  if (trigger === 'save') snapshot.savedAt = now;
+
+  const overflow = history.slice(0, Math.max(0, history.length + 1 - MAX_PER_ITEM));
+  snapshot.id = await runTransaction('readwrite', store => {
+    for (const old of overflow) store.delete(old.id);
+    return requestResult(store.add(snapshot));
+  });
+  return snapshot;
+}
+
+export async function deleteItemHistory(itemId) {
+  const history = await listSnapshots(itemId);
+  await runTransaction('readwrite', store => {
+    for (const snapshot of history) store.delete(snapshot.id);
+  });
+}
+
+// ─── Inventory / policy (storage-inventory-bg.js) ───────────────────
+
+export async function getEditHistoryStats() {
+  const all = await runTransaction('readonly', store => requestResult(store.getAll()));
+  const times = all.map(s => s.ts);
+  return {
+    entries: all.length,
+    items: new Set(all.map(s => s.itemId)).size,
+    oldestAt: times.length ? Math.min(...times) : null,
+    newestAt: times.length ? Math.max(...times) : null
+  };
+}
+
+export async function exportEditHistory() {
+  return runTransaction('readonly', store => requestResult(store.getAll()));
+}
+
+export async function clearEditHistory() {
+  await runTransaction('readwrite', store => store.clear());
+}
+
+/**
+ * Drop snapshots older than MAX_AGE_DAYS.
+ * @returns {Promise<number>} removed count
+ */
+export async function pruneEditHistory() {
+  const cutoff = Date.now() - MAX_AGE_DAYS * DAY_MS;
+  const expired = await runTransaction('readonly', store =>
+    requestResult(store.index('ts').getAllKeys(IDBKeyRange.upperBound(cutoff))));
+  if (expired.length > 0) {
+    await runTransaction('readwrite', store => {
+      for (const id of expired) store.delete(id);
+    });
+  }
+  return expired.length;
+}
+
+export const EDIT_HISTORY_POLICY = `högst ${MAX_PER_ITEM} versioner per objekt, max ${MAX_AGE_DAYS} dagar`;
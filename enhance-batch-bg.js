@@ -0,0 +1,332 @@
+/**
+ * Enhance All Batch — Background Service Worker Module
+ * Runs "Förbättra alla" on a queue of items without opening them: fetches
+ * each edit page, runs the tier the item's valuation calls for (the same
+ * EnhanceAllManager as the edit page) and files the proposal in a review
+ * inbox (enhance-inbox.html). Nothing is written until the cataloger approves
+ * an item there. The approved fields are then applied and saved through the
+ * item's own edit form in a background tab (modules/enhance-all/batch-apply.js),
+ * and the saved page is fetched again to confirm the write.
+ *
+ * chrome.storage.local 'enhanceBatchInbox':
+ *   { [itemId]: { itemId, editUrl, title, source, status, queuedAt, updatedAt,
+ *                 tier?, tierLabel?, original?: { title, description, condition, keywords },
+ *                 result?: { title, description, condition, keywords, _grounding, ... },
+ *                 approved?: { title?, description?, condition?, keywords? },
+ *                 tabId?, submittedAt?, error? } }
+ *
+ * status: queued → running → ready → applying → applied, or rejected / failed /
+ * conflict (the item was edited after the run). The queue is the 'queued'
+ * entries, so a restarted service worker carries on from the
+ * 'enhanceBatchResume' alarm.
+ */
+
+import { EnhanceAllManager } from './modules/enhance-all/enhance-all-manager.js';
+import { SearchDemand } from './modules/search-demand.js';
+import { BATCH_APPLY_HASH } from './modules/enhance-all/batch-apply.js';
+import { acquireOffscreen, releaseOffscreen, parseAdminHtml, fetchAdminPage } from './admin-pages-bg.js';
+
+export const ENHANCE_BATCH_KEY = 'enhanceBatchInbox';
+export const ENHANCE_BATCH_ALARM = 'enhanceBatchResume';
+
+const INBOX_PAGE = 'enhance-inbox.html';
+
+// Fields the inbox reviews and the apply step may write
+const REVIEW_FIELDS = ['title', 'description', 'condition', 'keywords'];
+
+// An item waiting for, or in the middle of, a step — not queued again
+const ACTIVE_STATUSES = new Set(['queued', 'running', 'ready', 'applying']);
+
+const AI_TIMEOUT_MS = 120000; // Opus tiers with maker context take a while
+
+let batchRunning = false;
+let writeChain = Promise.resolve();
+
+// ─── Inbox storage ──────────────────────────────────────────────────
+
+async function loadInbox() {
+  const { [ENHANCE_BATCH_KEY]: inbox } = await chrome.storage.local.get(ENHANCE_BATCH_KEY);
+  return inbox || {};
+}
+
+/**
+ * Read-modify-write the inbox, one change at a time.
+ * @param {(inbox: object) => any} change — mutates the inbox, returns the call's result
+ */
+function updateInbox(change) {
+  const run = writeChain.then(async () => {
+    const inbox = await loadInbox();
+    const result = change(inbox);
+    await chrome.storage.local.set({ [ENHANCE_BATCH_KEY]: inbox });
+    return result;
+  });
+  writeChain = run.catch(() => {});
+  return run;
+}
+
+function updateEntry(itemId, fields) {
+  return updateInbox(inbox => {
+    if (!inbox[itemId]) return null;
+    Object.assign(inbox[itemId], fields, { updatedAt: Date.now() });
+    return inbox[itemId];
+  });
+}
+
+/**
+ * All entries, newest first.
+ */
+export async function listBatchInbox() {
+  return Object.values(await loadInbox()).sort((a, b) => (b.queuedAt || 0) - (a.queuedAt || 0));
+}
+
+// ─── Queue ──────────────────────────────────────────────────────────
+
+function toEditUrl(url) {
+  const absolute = new URL(url, 'https://auctionet.com');
+  absolute.hash = '';
+  absolute.pathname = absolute.pathname.replace(/\/edit\/?$/, '').replace(/\/$/, '') + '/edit';
+  return absolute.href;
+}
+
+/**
+ * Queue items for a batch run and start the runner.
+ * @param {Array<{ itemId, editUrl?, url?, title? }>} items — editUrl, or the item's admin URL
+ * @param {string} source — where the list came from: 'publishables' | 'contract'
+ * @returns {Promise<{ queued: number, skipped: number }>}
+ */
+export async function queueBatchItems(items, source) {
+  const now = Date.now();
+  const counts = await updateInbox(inbox => {
+    let queued = 0;
+    let skipped = 0;
+    for (const item of items || []) {
+      const itemId = String(item.itemId || '').trim();
+      const url = item.editUrl || item.url;
+      if (!itemId || !url) continue;
+      if (ACTIVE_STATUSES.has(inbox[itemId]?.status)) {
+        skipped++;
+        continue;
+      }
+      inbox[itemId] = {
+        itemId,
+        editUrl: toEditUrl(url),
+        title: (item.title || '').replace(/^\d+\.\s*/, ''),
+        source,
+        status: 'queued',
+        queuedAt: now,
+        updatedAt: now
+      };
+      queued++;
+    }
+    return { queued, skipped };
+  });
+  if (counts.queued > 0) runEnhanceBatch();
+  return counts;
+}
+
+/**
+ * Drop every item that hasn't run yet.
+ * @returns {Promise<number>} items removed
+ */
+export function cancelBatchQueue() {
+  return updateInbox(inbox => {
+    const queued = Object.values(inbox).filter(entry => entry.status === 'queued');
+    queued.forEach(entry => delete inbox[entry.itemId]);
+    return queued.length;
+  });
+}
+
+/**
+ * Remove finished entries (applied and rejected), or one entry by id.
+ */
+export function clearBatchEntries(itemId = null) {
+  return updateInbox(inbox => {
+    if (itemId) {
+      if (inbox[itemId]?.status === 'running' || inbox[itemId]?.status === 'applying') return 0;
+      delete inbox[itemId];
+      return 1;
+    }
+    const done = Object.values(inbox).filter(entry => entry.status === 'applied' || entry.status === 'rejected');
+    done.forEach(entry => delete inbox[entry.itemId]);
+    return done.length;
+  });
+}
+
+/**
+ * Work through the queue, one item at a time. Safe to call at any time —
+ * returns at once when a run is already going.
+ */
+export async function runEnhanceBatch() {
+  if (batchRunning) return;
+  batchRunning = true;
+  chrome.alarms.create(ENHANCE_BATCH_ALARM, { periodInMinutes: 1 });
+
+  try {
+    // A worker that stopped mid-item left it 'running' — run it again
+    await updateInbox(inbox => {
+      Object.values(inbox).filter(entry => entry.status === 'running').forEach(entry => { entry.status = 'queued'; });
+    });
+
+    await acquireOffscreen('enhance-batch');
+    const searchDemand = await SearchDemand.load();
+
+    for (;;) {
+      const next = (await listBatchInbox())
+        .filter(entry => entry.status === 'queued')
+        .sort((a, b) => a.queuedAt - b.queuedAt)[0];
+      if (!next) break;
+      await enhanceBatchItem(next, searchDemand);
+    }
+  } catch (error) {
+    console.error('[EnhanceBatch] Run failed:', error);
+  } finally {
+    batchRunning = false;
+    chrome.alarms.clear(ENHANCE_BATCH_ALARM);
+    releaseOffscreen('enhance-batch');
+  }
+}
+
+async function enhanceBatchItem(entry, searchDemand) {
+  await updateEntry(entry.itemId, { status: 'running', error: null });
+  try {
+    const html = await fetchAdminPage(entry.editUrl);
+    const fields = await parseAdminHtml('parse-edit-page', html);
+    if (!fields?.editTitle) throw new Error('Kunde inte läsa redigeringssidan — är du inloggad?');
+
+    const manager = new EnhanceAllManager();
+    manager.setSearchDemand(searchDemand);
+    manager.setApiCaller(body => globalThis.__callAnthropicAPI(body, {
+      feature: 'enhance-batch', itemId: entry.itemId, timeoutMs: AI_TIMEOUT_MS
+    }));
+
+    const formData = manager.prepareFormData({
+      category: fields.category,
+      title: fields.editTitle,
+      description: fields.description,
+      condition: fields.condition,
+      artist: fields.artist,
+      artistDates: fields.artistDates,
+      keywords: fields.keywords,
+      estimate: fields.estimate,
+      upperEstimate: fields.upperEstimate,
+      reserve: fields.reserve,
+      acceptedReserve: fields.acceptedReserve,
+      noRemarks: fields.noRemarks
+    });
+    const tier = manager.resolveTier(formData);
+    const result = await manager.enhanceFormData(formData, tier);
+    if (!result) throw new Error('AI-förbättringen misslyckades');
+
+    await updateEntry(entry.itemId, {
+      status: 'ready',
+      title: fields.editTitle,
+      tier: tier.id,
+      tierLabel: tier.label,
+      original: Object.fromEntries(REVIEW_FIELDS.map(field => [field, formData[field] || ''])),
+      result: {
+        ...Object.fromEntries(REVIEW_FIELDS.map(field => [field, result[field] || null])),
+        _grounding: result._grounding,
+        _artistDetection: result._artistDetection,
+        _noRemarks: !!result._noRemarks
+      }
+    });
+  } catch (error) {
+    console.warn(`[EnhanceBatch] Item ${entry.itemId} failed:`, error.message);
+    await updateEntry(entry.itemId, { status: 'failed', error: error.message });
+  }
+}
+
+// ─── Review ─────────────────────────────────────────────────────────
+
+/**
+ * Approve the reviewed fields and write them through the item's edit page,
+ * opened in a background tab.
+ * @param {object} approved — field → final text (keywords: the keywords to add)
+ */
+export async function approveBatchItem(itemId, approved) {
+  const fields = Object.fromEntries(
+    Object.entries(approved || {}).filter(([field, value]) => REVIEW_FIELDS.includes(field) && value)
+  );
+  const entry = (await loadInbox())[itemId];
+  if (entry?.status !== 'ready') throw new Error('Objektet väntar inte på granskning');
+  if (Object.keys(fields).length === 0) return rejectBatchItem(itemId);
+
+  const tab = await chrome.tabs.create({ url: entry.editUrl + BATCH_APPLY_HASH, active: false });
+  return updateEntry(itemId, { status: 'applying', approved: fields, tabId: tab.id, submittedAt: null, error: null });
+}
+
+export function rejectBatchItem(itemId) {
+  return updateEntry(itemId, { status: 'rejected' });
+}
+
+/**
+ * For the edit page opened by approveBatchItem(): what to apply, if anything.
+ * Only that tab gets an answer — a cataloger's own tab on the item never writes.
+ */
+export async function getBatchApply(itemId, tabId) {
+  const entry = (await loadInbox())[itemId];
+  if (entry?.status !== 'applying' || entry.submittedAt || entry.tabId !== tabId) return null;
+  return { original: entry.original, approved: entry.approved, tierLabel: entry.tierLabel };
+}
+
+/**
+ * The edit page reports back: 'submitted' (form sent) or 'conflict'.
+ */
+export async function reportBatchApply(itemId, outcome, message = null) {
+  if (outcome === 'submitted') return updateEntry(itemId, { submittedAt: Date.now() });
+  const entry = await updateEntry(itemId, { status: 'conflict', error: message });
+  if (entry?.tabId) chrome.tabs.remove(entry.tabId).catch(() => {});
+  return entry;
+}
+
+const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+
+function isSaved(approved, saved) {
+  return Object.entries(approved).every(([field, value]) => {
+    if (field !== 'keywords') return normalize(saved[field]) === normalize(value);
+    // Keywords are merged into the existing ones
+    const savedKeywords = new Set(normalize(saved.keywords).toLowerCase().split(' '));
+    return normalize(value).toLowerCase().split(' ').every(keyword => savedKeywords.has(keyword));
+  });
+}
+
+/**
+ * A tab finished loading: after the apply tab's save, confirm the write by
+ * reading the edit page back. Called from background.js.
+ */
+export async function handleBatchTabLoaded(tabId) {
+  const entry = Object.values(await loadInbox()).find(e => e.tabId === tabId && e.status === 'applying' && e.submittedAt);
+  if (!entry) return;
+
+  try {
+    await acquireOffscreen('enhance-batch-verify');
+    const fields = await parseAdminHtml('parse-edit-page', await fetchAdminPage(entry.editUrl));
+    const saved = { ...fields, title: fields.editTitle };
+    if (isSaved(entry.approved, saved)) {
+      await updateEntry(entry.itemId, { status: 'applied', title: fields.editTitle, tabId: null });
+      chrome.tabs.remove(tabId).catch(() => {});
+    } else {
+      // Left open: Auctionet shows why it didn't save
+      await updateEntry(entry.itemId, { status: 'failed', error: 'Auctionet sparade inte ändringarna — se fliken' });
+    }
+  } catch (error) {
+    await updateEntry(entry.itemId, { status: 'failed', error: `Kunde inte bekräfta sparningen: ${error.message}` });
+  } finally {
+    releaseOffscreen('enhance-batch-verify');
+  }
+}
+
+/**
+ * The apply tab was closed before the save went through — back to review.
+ */
+export async function handleBatchTabRemoved(tabId) {
+  await updateInbox(inbox => {
+    const entry = Object.values(inbox).find(e => e.tabId === tabId && e.status === 'applying');
+    if (!entry) return;
+    Object.assign(entry, { status: 'ready', tabId: null, submittedAt: null, error: 'Fliken stängdes innan ändringarna sparades', updatedAt: Date.now() });
+  });
+}
+
+export function openBatchInbox() {
+  return chrome.tabs.create({ url: chrome.runtime.getURL(INBOX_PAGE) });
+}
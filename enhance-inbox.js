@@ -0,0 +1,358 @@
+// enhance-inbox.js — Review inbox for the Enhance All batch runner
+// Lists the items enhance-batch-bg.js has run and steps through their
+// proposals: per-field word diff with clickable hunks (as in the edit page's
+// preview), grounding notes and a checkbox per field. Approving sends the
+// chosen text back, and the background saves it through the item's edit page.
+
+import { escapeHTML } from './modules/core/html-escape.js';
+import { diffText, linkedHunkIds, applyHunks } from './modules/enhance-all/text-diff.js';
+import { factRanges, FACT_LABELS } from './modules/enhance-all/grounding-verifier.js';
+
+const INBOX_KEY = 'enhanceBatchInbox';
+
+const STATUS_LABELS = {
+  queued: 'I kö',
+  running: 'Körs',
+  ready: 'Att granska',
+  applying: 'Sparas',
+  applied: 'Sparad',
+  rejected: 'Avvisad',
+  failed: 'Fel',
+  conflict: 'Ändrad sedan körningen'
+};
+
+// List order: what needs the cataloger first
+const STATUS_ORDER = ['ready', 'conflict', 'failed', 'applying', 'running', 'queued', 'applied', 'rejected'];
+
+const FIELDS = [
+  ['title', 'Titel'],
+  ['description', 'Beskrivning'],
+  ['condition', 'Kondition'],
+  ['keywords', 'Sökord']
+];
+const DIFF_FIELDS = ['title', 'description', 'condition'];
+
+const $ = id => document.getElementById(id);
+
+let entries = [];
+let selectedId = null;
+let selectedVersion = null;
+// field → { segments, rejected: Set<hunk id> } for the selected item
+let fieldDiffs = {};
+
+function sendMessageAsync(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: 'enhance-batch', ...message }, (response) => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else if (!response?.success) reject(new Error(response?.error || 'Okänt fel'));
+      else resolve(response);
+    });
+  });
+}
+
+function showStatus(message, type) {
+  const el = $('status');
+  el.textContent = message;
+  el.className = `status ${type || ''}`;
+}
+
+const proposed = (entry, field) => {
+  const value = entry.result?.[field];
+  return value && value.trim() !== (entry.original?.[field] || '').trim() ? value : null;
+};
+
+// ─── List ───────────────────────────────────────────────────────────
+
+function renderSummary() {
+  const count = (...statuses) => entries.filter(entry => statuses.includes(entry.status)).length;
+  $('summaryCards').innerHTML = [
+    [count('queued', 'running'), 'I kö', ''],
+    [count('ready'), 'Att granska', 'orange'],
+    [count('applied'), 'Sparade', 'green'],
+    [count('failed', 'conflict'), 'Fel', 'red']
+  ].map(([value, label, color]) => `<div class="card ${color}"><div class="value">${value}</div><div class="label">${label}</div></div>`).join('');
+}
+
+function renderList() {
+  const sorted = [...entries].sort((a, b) =>
+    STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || a.queuedAt - b.queuedAt
+  );
+  $('itemList').innerHTML = sorted.length === 0
+    ? '<li class="muted">Kön är tom. Starta en körning från publiceringskontrollen eller en kontraktssida.</li>'
+    : sorted.map(entry => `
+      <li data-id="${escapeHTML(entry.itemId)}" class="${entry.itemId === selectedId ? 'selected' : ''}">
+        <span class="item-title">${escapeHTML(entry.title || `Objekt ${entry.itemId}`)}</span>
+        <span class="tag tag-${escapeHTML(entry.status)}">${escapeHTML(STATUS_LABELS[entry.status] || entry.status)}</span>
+        <span class="item-meta">#${escapeHTML(entry.itemId)}${entry.tierLabel ? ` · ${escapeHTML(entry.tierLabel)}` : ''}</span>
+      </li>`).join('');
+  $('itemList').querySelectorAll('li[data-id]').forEach(li => {
+    li.addEventListener('click', () => select(li.dataset.id));
+  });
+}
+
+// ─── Detail ─────────────────────────────────────────────────────────
+
+function markRanges(text, offset, ranges) {
+  let html = '';
+  let inMark = false;
+  for (let i = 0; i < text.length; i++) {
+    const marked = ranges.some(([from, to]) => offset + i >= from && offset + i < to);
+    if (marked !== inMark) {
+      html += marked ? '<mark class="grounding-flag" title="Finns inte i källfälten">' : '</mark>';
+      inMark = marked;
+    }
+    html += escapeHTML(text[i]);
+  }
+  return inMark ? html + '</mark>' : html;
+}
+
+function buildDiff(field, original, value, ranges) {
+  const segments = diffText(original, value);
+  fieldDiffs[field] = { segments, rejected: new Set() };
+  let position = 0;
+  return segments.map(segment => {
+    if (segment.type === 'equal') {
+      position += segment.text.length;
+      return escapeHTML(segment.text);
+    }
+    const start = position;
+    position += segment.inserted.length;
+    const moved = segment.moveIds.length > 0;
+    const flagged = ranges.some(([from, to]) => from < position && to > start);
+    return `<span class="diff-hunk${moved ? ' diff-moved' : ''}${flagged ? ' grounding-flagged' : ''}" data-hunk="${segment.id}" title="Klicka för att avvisa/återta ändringen">`
+      + (segment.deleted ? `<del>${escapeHTML(segment.deleted)}</del>` : '')
+      + (segment.inserted ? `<ins>${markRanges(segment.inserted, start, ranges)}</ins>` : '')
+      + '</span>';
+  }).join('');
+}
+
+function groundingNote(title, facts, hint, stripped = false) {
+  if (!facts?.length) return '';
+  const list = facts.map(fact => `<strong>${escapeHTML(fact.text)}</strong> (${FACT_LABELS[fact.type]})`).join(', ');
+  return `<div class="grounding-note${stripped ? ' stripped' : ''}">${stripped ? '&#10003;' : '&#9888;'} ${title}: ${list} — ${hint}</div>`;
+}
+
+function buildField(entry, field, label) {
+  const original = entry.original?.[field] || '';
+  const value = proposed(entry, field);
+  if (!value) {
+    return `
+      <div class="field">
+        <div class="field-header"><span class="field-label">${label}</span><span class="muted">Oförändrad</span></div>
+        <div class="field-text unchanged">${escapeHTML(original || '(tom)')}</div>
+      </div>`;
+  }
+
+  const unsupported = entry.result._grounding?.unsupported?.[field] || [];
+  const stripped = entry.result._grounding?.stripped?.[field] || [];
+  const ranges = factRanges(value, unsupported);
+  const body = DIFF_FIELDS.includes(field) && original.trim()
+    ? buildDiff(field, original, value, ranges)
+    : markRanges(value, 0, ranges);
+  const hint = field === 'keywords' && original.trim() ? ' <span class="muted">(läggs till befintliga sökord)</span>' : '';
+
+  return `
+    <div class="field" data-field="${field}">
+      <div class="field-header">
+        <span class="field-label">${label}${hint}</span>
+        <label class="field-toggle"><input type="checkbox" data-field="${field}" checked> Godkänn</label>
+      </div>
+      <div class="field-text">${body}</div>
+      ${groundingNote('Ej i källfälten', unsupported, 'kontrollera eller avvisa markerade ändringar')}
+      ${groundingNote('Borttaget (Städa)', stripped, 'fanns inte i källfälten', true)}
+    </div>`;
+}
+
+function renderDetail() {
+  const entry = entries.find(e => e.itemId === selectedId);
+  const detail = $('detail');
+  fieldDiffs = {};
+  selectedVersion = entry ? `${entry.status}:${entry.updatedAt}` : null;
+  if (!entry) {
+    detail.innerHTML = '<p class="muted">Välj ett objekt i listan.</p>';
+    return;
+  }
+
+  const header = `
+    <h2>${escapeHTML(entry.title || `Objekt ${entry.itemId}`)}</h2>
+    <div class="muted">
+      #${escapeHTML(entry.itemId)} · <span class="tag tag-${escapeHTML(entry.status)}">${escapeHTML(STATUS_LABELS[entry.status] || entry.status)}</span>
+      ${entry.tierLabel ? ` · Nivå: ${escapeHTML(entry.tierLabel)}` : ''}
+      · <a href="${escapeHTML(entry.editUrl)}" target="_blank" rel="noopener">Öppna redigeringssidan</a>
+    </div>
+    ${entry.error ? `<div class="error-text">${escapeHTML(entry.error)}</div>` : ''}`;
+
+  if (entry.status !== 'ready') {
+    const canRetry = entry.status === 'failed' || entry.status === 'conflict' || entry.status === 'rejected';
+    detail.innerHTML = header + `
+      <div class="detail-actions">
+        ${canRetry ? '<button id="retryBtn">Kör igen</button>' : ''}
+        ${entry.status === 'running' || entry.status === 'applying' ? '' : '<button id="removeBtn" class="secondary">Ta bort ur kön</button>'}
+      </div>`;
+    $('retryBtn')?.addEventListener('click', () => retry(entry));
+    $('removeBtn')?.addEventListener('click', () => remove(entry));
+    return;
+  }
+
+  const changed = FIELDS.filter(([field]) => proposed(entry, field));
+  detail.innerHTML = header
+    + (entry.result._artistDetection?.detectedName
+      ? `<div class="grounding-note">&#9888; Titeln verkar innehålla konstnären <strong>${escapeHTML(entry.result._artistDetection.detectedName)}</strong> — flytta den till konstnärsfältet på redigeringssidan.</div>`
+      : '')
+    + FIELDS.map(([field, label]) => buildField(entry, field, label)).join('')
+    + `
+      <div class="detail-actions">
+        <button id="approveBtn"${changed.length ? '' : ' disabled'}>Godkänn och spara</button>
+        <button id="rejectBtn" class="danger">Avvisa</button>
+        <button id="nextBtn" class="secondary">Nästa</button>
+      </div>`;
+
+  detail.querySelectorAll('.field[data-field]').forEach(fieldEl => {
+    const field = fieldEl.dataset.field;
+    fieldEl.querySelectorAll('.diff-hunk').forEach(hunkEl => {
+      hunkEl.addEventListener('click', () => toggleHunk(fieldEl, field, Number(hunkEl.dataset.hunk)));
+    });
+    fieldEl.querySelector('input[type="checkbox"]')?.addEventListener('change', event => {
+      fieldEl.classList.toggle('off', !event.target.checked);
+    });
+  });
+  $('approveBtn').addEventListener('click', () => approve(entry));
+  $('rejectBtn').addEventListener('click', () => reject(entry));
+  $('nextBtn').addEventListener('click', () => selectNext(entry.itemId));
+}
+
+function toggleHunk(fieldEl, field, hunkId) {
+  const { segments, rejected } = fieldDiffs[field];
+  const rejecting = !rejected.has(hunkId);
+  for (const id of linkedHunkIds(segments, hunkId)) {
+    if (rejecting) rejected.add(id);
+    else rejected.delete(id);
+    fieldEl.querySelector(`.diff-hunk[data-hunk="${id}"]`)?.classList.toggle('rejected', rejecting);
+  }
+}
+
+/**
+ * The checked fields' final text, with rejected hunks reverted.
+ */
+function collectApproved(entry) {
+  const approved = {};
+  $('detail').querySelectorAll('input[type="checkbox"][data-field]:checked').forEach(box => {
+    const field = box.dataset.field;
+    const diff = fieldDiffs[field];
+    if (!diff) {
+      approved[field] = entry.result[field];
+      return;
+    }
+    const hunkCount = diff.segments.filter(s => s.type === 'hunk').length;
+    if (diff.rejected.size < hunkCount) approved[field] = applyHunks(diff.segments, diff.rejected);
+  });
+  return approved;
+}
+
+// ─── Actions ────────────────────────────────────────────────────────
+
+function select(itemId) {
+  selectedId = itemId;
+  renderList();
+  renderDetail();
+}
+
+function selectNext(afterId) {
+  const ready = entries.filter(entry => entry.status === 'ready' && entry.itemId !== afterId)
+    .sort((a, b) => a.queuedAt - b.queuedAt);
+  if (ready.length === 0) {
+    showStatus('Inga fler objekt att granska.', 'success');
+    return;
+  }
+  select((ready.find(entry => entry.queuedAt >= (entries.find(e => e.itemId === afterId)?.queuedAt || 0)) || ready[0]).itemId);
+}
+
+async function approve(entry) {
+  const approved = collectApproved(entry);
+  try {
+    if (Object.keys(approved).length === 0) {
+      await sendMessageAsync({ action: 'reject', itemId: entry.itemId });
+      showStatus('Inga fält godkända — objektet avvisades.', 'success');
+    } else {
+      await sendMessageAsync({ action: 'approve', itemId: entry.itemId, approved });
+      showStatus(`Sparar ${entry.title || entry.itemId} i en bakgrundsflik…`, 'success');
+    }
+    await load();
+    selectNext(entry.itemId);
+  } catch (error) {
+    showStatus(`Kunde inte godkänna: ${error.message}`, 'error');
+  }
+}
+
+async function reject(entry) {
+  try {
+    await sendMessageAsync({ action: 'reject', itemId: entry.itemId });
+    await load();
+    selectNext(entry.itemId);
+  } catch (error) {
+    showStatus(`Kunde inte avvisa: ${error.message}`, 'error');
+  }
+}
+
+async function retry(entry) {
+  try {
+    await sendMessageAsync({ action: 'start', source: entry.source, items: [{ itemId: entry.itemId, editUrl: entry.editUrl, title: entry.title }] });
+    showStatus('Objektet ligger i kön igen.', 'success');
+    await load();
+  } catch (error) {
+    showStatus(`Kunde inte köa om: ${error.message}`, 'error');
+  }
+}
+
+async function remove(entry) {
+  try {
+    await sendMessageAsync({ action: 'clear', itemId: entry.itemId });
+    selectedId = null;
+    await load();
+  } catch (error) {
+    showStatus(`Kunde inte ta bort: ${error.message}`, 'error');
+  }
+}
+
+async function load() {
+  try {
+    ({ entries } = await sendMessageAsync({ action: 'list' }));
+  } catch (error) {
+    showStatus(`Kunde inte läsa kön: ${error.message}`, 'error');
+    return;
+  }
+  if (!selectedId) selectedId = entries.find(entry => entry.status === 'ready')?.itemId || null;
+  const entry = entries.find(e => e.itemId === selectedId);
+  renderSummary();
+  renderList();
+  // Keep hunk choices in progress unless the selected item itself changed
+  if (!entry || `${entry.status}:${entry.updatedAt}` !== selectedVersion) renderDetail();
+}
+
+$('refreshBtn').addEventListener('click', load);
+$('cancelBtn').addEventListener('click', async () => {
+  try {
+    const { removed } = await sendMessageAsync({ action: 'cancel' });
+    showStatus(`${removed} objekt togs bort ur kön.`, 'success');
+    await load();
+  } catch (error) {
+    showStatus(`Kunde inte avbryta: ${error.message}`, 'error');
+  }
+});
+$('clearBtn').addEventListener('click', async () => {
+  try {
+    const { removed } = await sendMessageAsync({ action: 'clear' });
+    showStatus(`${removed} sparade eller avvisade objekt rensades.`, 'success');
+    if (!entries.some(entry => entry.itemId === selectedId && !['applied', 'rejected'].includes(entry.status))) selectedId = null;
+    await load();
+  } catch (error) {
+    showStatus(`Kunde inte rensa: ${error.message}`, 'error');
+  }
+});
+
+// The runner and the apply tabs update the inbox while the page is open
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[INBOX_KEY]) load();
+});
+
+load();
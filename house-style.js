@@ -0,0 +1,308 @@
+// house-style.js — Admin editor for the house style layer over ai-rules-config.json
+// Edits the 'aiRulesOverride' object (see ai-rules-overrides.js), validates the
+// merged rules with AIRulesManager.validateConfiguration() and previews them on
+// sample items before saving.
+
+import { AIRulesManager } from './modules/refactored/ai-rules-system/ai-rules-manager.js';
+import {
+  emptyOverride,
+  normalizeOverride,
+  isOverrideEmpty,
+  saveRulesOverride
+} from './modules/refactored/ai-rules-system/ai-rules-overrides.js';
+
+const EXPORT_FORMAT = 'auctionet-house-style';
+
+const SAMPLE_ITEMS = [
+  {
+    title: 'ARMBANDSUR, stål, omega Seamaster, automatic, 1960-tal.',
+    description: 'Vacker och sällsynt klocka. Boettdiameter 34 mm.',
+    category: 'Klockor & Ur / Armbandsur'
+  },
+  {
+    title: 'VAS, glas, orrefors, Nils Landberg, "Tulpanglas".',
+    description: 'Utsökt glas på hög fot, signerad. Höjd 45 cm.',
+    category: 'Glas / Konstglas'
+  },
+  {
+    title: 'SERVISDELAR, 24 delar, flintgods, "Mon Amie", rörstrand.',
+    description: 'Bestående av tallrikar, koppar och fat. Typisk 1950-talsdesign.',
+    category: 'Porslin & Keramik / Serviser'
+  },
+  {
+    title: 'RING, 18K guld, briljantslipad diamant ca 0,25 ct.',
+    description: 'Exklusiv ring i fint skick. Storlek 17 mm.',
+    category: 'Smycken & Ädelstenar / Ringar'
+  }
+];
+
+const escapeHTML = s => s == null ? '' : String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+
+const $ = id => document.getElementById(id);
+
+const manager = new AIRulesManager();
+
+function showStatus(message, type) {
+  const el = $('status');
+  el.textContent = message;
+  el.className = `status ${type || ''}`;
+}
+
+function download(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// ─── Form ↔ override ───
+
+function parseLines(text) {
+  return [...new Set(text.split('\n').map(line => line.trim()).filter(Boolean))];
+}
+
+function formatJson(value) {
+  return Object.keys(value).length ? JSON.stringify(value, null, 2) : '';
+}
+
+function parseJsonSection(text, label, problems) {
+  if (!text.trim()) return {};
+  try {
+    const value = JSON.parse(text);
+    if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+    problems.push(`${label}: måste vara ett JSON-objekt`);
+  } catch (error) {
+    problems.push(`${label}: ogiltig JSON (${error.message})`);
+  }
+  return {};
+}
+
+/**
+ * @returns {{ override: object, problems: string[] }} problems = form input that could not be read
+ */
+function readForm() {
+  const problems = [];
+  const set = {};
+  $('brandSet').value.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    const [wrong, ...rest] = line.split('=');
+    const right = rest.join('=').trim();
+    if (!wrong.trim() || !right) {
+      problems.push(`Varumärkesrättelser rad ${i + 1}: skriv "fel = Rätt"`);
+      return;
+    }
+    set[wrong.trim().toLowerCase()] = right;
+  });
+
+  return {
+    override: {
+      forbiddenWords: { add: parseLines($('forbiddenAdd').value), remove: parseLines($('forbiddenRemove').value) },
+      brandCorrections: { set, remove: parseLines($('brandRemove').value).map(w => w.toLowerCase()) },
+      categoryRules: parseJsonSection($('categoryRules').value, 'Kategoriregler', problems),
+      fieldRules: parseJsonSection($('fieldRules').value, 'Fältregler', problems)
+    },
+    problems
+  };
+}
+
+function fillForm(override) {
+  const o = normalizeOverride(override);
+  $('forbiddenAdd').value = o.forbiddenWords.add.join('\n');
+  $('forbiddenRemove').value = o.forbiddenWords.remove.join('\n');
+  $('brandSet').value = Object.entries(o.brandCorrections.set).map(([wrong, right]) => `${wrong} = ${right}`).join('\n');
+  $('brandRemove').value = o.brandCorrections.remove.join('\n');
+  $('categoryRules').value = formatJson(o.categoryRules);
+  $('fieldRules').value = formatJson(o.fieldRules);
+}
+
+function copyShippedRule(section, key, textareaId) {
+  const problems = [];
+  const current = parseJsonSection($(textareaId).value, section, problems);
+  if (problems.length) {
+    showStatus(problems[0], 'error');
+    return;
+  }
+  if (!(key in current)) current[key] = manager.baseRules[section][key];
+  $(textareaId).value = formatJson(current);
+}
+
+// ─── Validation and preview ───
+
+/**
+ * Apply the form to the manager in memory and validate the merged rules.
+ * @returns {object|null} the override when it is valid
+ */
+function validateDraft() {
+  const { override, problems } = readForm();
+  manager.setOverride(override);
+  const { errors, warnings } = manager.validateConfiguration();
+  const allErrors = [...problems, ...errors];
+
+  $('validation').innerHTML = [
+    ...allErrors.map(message => `<li class="error">&#10007; ${escapeHTML(message)}</li>`),
+    ...warnings.map(message => `<li class="warning">&#9888; ${escapeHTML(message)}</li>`)
+  ].join('');
+  $('forbiddenCount').textContent = `${manager.getForbiddenWords().length} förbjudna ord totalt`;
+
+  renderPreview(override);
+  return allErrors.length === 0 ? override : null;
+}
+
+function evaluate(item) {
+  const words = `${item.title} ${item.description}`.toLowerCase().match(/[\p{L}]+/gu) || [];
+  const maxLength = manager.getFieldRules('title').maxLength;
+  return {
+    title: manager.applyBrandCorrections(item.title),
+    forbidden: [...new Set(words.filter(word => manager.isForbiddenWord(word)))],
+    maxLength,
+    categoryPrompt: manager.getCategorySpecificPrompt(item)
+  };
+}
+
+function renderPreview(override) {
+  const samples = [...SAMPLE_ITEMS];
+  if ($('sampleTitle').value.trim() || $('sampleDescription').value.trim()) {
+    samples.unshift({ title: $('sampleTitle').value.trim(), description: $('sampleDescription').value.trim(), category: '' });
+  }
+
+  manager.setOverride(null);
+  const shipped = samples.map(evaluate);
+  manager.setOverride(override);
+  const house = samples.map(evaluate);
+
+  const titleCell = ({ title, maxLength }) =>
+    `${escapeHTML(title)} <span class="${title.length > maxLength ? 'over' : 'muted'}">(${title.length}/${maxLength ?? '—'})</span>`;
+  const wordsCell = (words, other) => words.length
+    ? words.map(w => `<span class="word ${other.includes(w) ? '' : 'new'}">${escapeHTML(w)}</span>`).join('')
+    : '<span class="muted">inga</span>';
+  const promptCell = prompt => prompt
+    ? escapeHTML(prompt.length > 160 ? prompt.slice(0, 160) + '…' : prompt)
+    : '<span class="muted">ingen kategoriregel</span>';
+  const row = (label, a, b, changed) => `
+    <tr>
+      <td class="label">${label}</td>
+      <td>${a}</td>
+      <td class="${changed ? 'changed' : ''}">${b}</td>
+    </tr>`;
+
+  $('preview').innerHTML = samples.map((item, i) => {
+    const s = shipped[i];
+    const h = house[i];
+    return `
+      <table>
+        <thead><tr><th style="width: 140px;">${escapeHTML(item.category || 'Eget exempel')}</th><th>Levererade regler</th><th>Med husstil</th></tr></thead>
+        <tbody>
+          ${row('Titel', titleCell(s), titleCell(h), s.title !== h.title || s.maxLength !== h.maxLength)}
+          ${row('Förbjudna ord', wordsCell(s.forbidden, h.forbidden), wordsCell(h.forbidden, s.forbidden), s.forbidden.join() !== h.forbidden.join())}
+          ${row('Kategoriregel', promptCell(s.categoryPrompt), promptCell(h.categoryPrompt), s.categoryPrompt !== h.categoryPrompt)}
+        </tbody>
+      </table>
+    `;
+  }).join('');
+}
+
+// ─── Actions ───
+
+async function save() {
+  const override = validateDraft();
+  if (!override) {
+    showStatus('Rätta felen innan du sparar', 'error');
+    return;
+  }
+  try {
+    await saveRulesOverride(override);
+    showStatus(isOverrideEmpty(override)
+      ? 'Inga ändringar — de levererade reglerna gäller'
+      : 'Husstil sparad — gäller direkt i öppna flikar', 'success');
+  } catch (error) {
+    showStatus('Kunde inte spara: ' + error.message, 'error');
+  }
+}
+
+async function reset() {
+  if (!confirm('Ta bort husets alla ändringar och gå tillbaka till de levererade reglerna?')) return;
+  try {
+    await saveRulesOverride(emptyOverride());
+    fillForm(null);
+    validateDraft();
+    showStatus('Återställd till levererade regler', 'success');
+  } catch (error) {
+    showStatus('Kunde inte återställa: ' + error.message, 'error');
+  }
+}
+
+function exportConfig() {
+  if (!validateDraft()) {
+    showStatus('Rätta felen innan du exporterar', 'error');
+    return;
+  }
+  download(manager.exportConfiguration(), 'ai-rules-config.json');
+}
+
+function exportOverride() {
+  const { override, problems } = readForm();
+  if (problems.length) {
+    showStatus(problems[0], 'error');
+    return;
+  }
+  download({ format: EXPORT_FORMAT, exportedAt: new Date().toISOString(), override },
+    `husstil-${new Date().toISOString().slice(0, 10)}.json`);
+}
+
+async function importOverride(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    const data = JSON.parse(await file.text());
+    if (data.format !== EXPORT_FORMAT || !data.override) throw new Error('Filen är ingen husstilsexport');
+    fillForm(data.override);
+    validateDraft();
+    showStatus('Husstil importerad — granska förhandsgranskningen och spara', 'success');
+  } catch (error) {
+    showStatus('Kunde inte importera: ' + error.message, 'error');
+  }
+}
+
+// ─── Init ───
+
+async function init() {
+  const { adminUnlocked } = await chrome.storage.sync.get('adminUnlocked');
+  if (!adminUnlocked) {
+    $('locked').style.display = '';
+    return;
+  }
+
+  try {
+    await manager.loadRules();
+  } catch (error) {
+    showStatus('Kunde inte läsa AI-reglerna: ' + error.message, 'error');
+    return;
+  }
+  $('editor').style.display = 'block';
+
+  $('categorySelect').innerHTML = Object.entries(manager.baseRules.categoryRules)
+    .map(([key, rules]) => `<option value="${escapeHTML(key)}">${escapeHTML(rules.name || key)} (${escapeHTML(key)})</option>`).join('');
+  $('fieldSelect').innerHTML = Object.keys(manager.baseRules.fieldRules)
+    .map(key => `<option value="${escapeHTML(key)}">${escapeHTML(key)}</option>`).join('');
+
+  fillForm(manager.override);
+  validateDraft();
+
+  $('copyCategory').addEventListener('click', () => copyShippedRule('categoryRules', $('categorySelect').value, 'categoryRules'));
+  $('copyField').addEventListener('click', () => copyShippedRule('fieldRules', $('fieldSelect').value, 'fieldRules'));
+  $('previewBtn').addEventListener('click', () => {
+    const valid = !!validateDraft();
+    showStatus(valid ? 'Inga fel' : 'Husstilen innehåller fel', valid ? 'success' : 'error');
+  });
+  $('saveBtn').addEventListener('click', save);
+  $('resetBtn').addEventListener('click', reset);
+  $('exportConfigBtn').addEventListener('click', exportConfig);
+  $('exportOverrideBtn').addEventListener('click', exportOverride);
+  $('importOverrideBtn').addEventListener('click', () => $('importFile').click());
+  $('importFile').addEventListener('change', importOverride);
+}
+
+init();
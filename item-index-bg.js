@@ -0,0 +1,155 @@
+/**
+ * Item Index — Background Service Worker Module
+ * A local index of the house's items for the "Möjlig dubblett" warning on the
+ * add and edit pages. Fed by the publication scanner (publishable queue), the
+ * unsolds list and contract pages; queried with the text and photos of the
+ * item being cataloged (scoring in modules/core/duplicate-matcher.js).
+ *
+ * chrome.storage.local 'itemDuplicateIndex':
+ *   { [itemId]: { id, title, description, sellerId, contractId, url, imageUrl,
+ *                 imageHash, source: 'publishables'|'unsolds'|'contract', seenAt } }
+ *
+ * Image hashes are 64-bit dHashes of the first photo, computed here (fetch +
+ * OffscreenCanvas) and only when the photo URL changes.
+ * Policy: newest MAX_ENTRIES items (also enforced by storage-inventory-bg.js).
+ */
+
+import { tokenize, buildWordWeights, scoreDuplicate, differenceHash, DUPLICATE_THRESHOLD } from './modules/core/duplicate-matcher.js';
+
+export const ITEM_INDEX_KEY = 'itemDuplicateIndex';
+export const ITEM_INDEX_MAX_ENTRIES = 5000;
+
+const MAX_DESCRIPTION_LENGTH = 400;
+// Photos hashed per indexing call — the rest are picked up the next time the items are seen
+const MAX_HASHES_PER_BATCH = 40;
+const MAX_QUERY_IMAGES = 3;
+const MAX_RESULTS = 5;
+
+// Writes are read-modify-write on one key; run them one at a time
+let writeChain = Promise.resolve();
+// Query photos hashed this session, by URL
+const queryHashCache = new Map();
+
+async function loadIndex() {
+  const { [ITEM_INDEX_KEY]: index } = await chrome.storage.local.get(ITEM_INDEX_KEY);
+  return index || {};
+}
+
+function isItemPhoto(url) {
+  try {
+    return new URL(url).hostname === 'images.auctionet.com' && !url.includes('placeholder');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * dHash of a photo, or null when it can't be fetched or decoded.
+ */
+async function hashImage(url) {
+  if (!isItemPhoto(url)) return null;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const bitmap = await createImageBitmap(await response.blob());
+    const canvas = new OffscreenCanvas(9, 8);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, 9, 8);
+    bitmap.close();
+    return differenceHash(ctx.getImageData(0, 0, 9, 8).data);
+  } catch (e) {
+    console.warn('[ItemIndex] Could not hash image:', url, e.message);
+    return null;
+  }
+}
+
+/**
+ * Add or refresh items in the index.
+ * @param {Array<{ id, title, description?, sellerId?, contractId?, url?, imageUrl? }>} items
+ * @param {string} source — 'publishables' | 'unsolds' | 'contract'
+ * @returns {Promise<{ indexed: number, total: number }>}
+ */
+export function indexItems(items, source) {
+  const run = writeChain.then(async () => {
+    const index = await loadIndex();
+    const now = Date.now();
+    let hashed = 0;
+    let indexed = 0;
+
+    for (const item of items || []) {
+      const id = String(item.id || '').trim();
+      if (!id || !item.title) continue;
+      const previous = index[id] || {};
+      const imageUrl = item.imageUrl || previous.imageUrl || null;
+      let imageHash = imageUrl === previous.imageUrl ? previous.imageHash || null : null;
+      if (!imageHash && imageUrl && hashed < MAX_HASHES_PER_BATCH) {
+        imageHash = await hashImage(imageUrl);
+        hashed++;
+      }
+
+      index[id] = {
+        id,
+        title: item.title.trim(),
+        description: (item.description || previous.description || '').slice(0, MAX_DESCRIPTION_LENGTH),
+        sellerId: item.sellerId ? String(item.sellerId) : previous.sellerId || null,
+        contractId: item.contractId ? String(item.contractId) : previous.contractId || null,
+        url: item.url || previous.url || null,
+        imageUrl,
+        imageHash,
+        source,
+        seenAt: now
+      };
+      indexed++;
+    }
+
+    const entries = Object.entries(index);
+    if (entries.length > ITEM_INDEX_MAX_ENTRIES) {
+      entries.sort(([, a], [, b]) => (b.seenAt || 0) - (a.seenAt || 0));
+      await chrome.storage.local.set({ [ITEM_INDEX_KEY]: Object.fromEntries(entries.slice(0, ITEM_INDEX_MAX_ENTRIES)) });
+    } else {
+      await chrome.storage.local.set({ [ITEM_INDEX_KEY]: index });
+    }
+    return { indexed, total: Math.min(entries.length, ITEM_INDEX_MAX_ENTRIES) };
+  });
+  writeChain = run.catch(() => {});
+  return run;
+}
+
+async function hashQueryImage(url) {
+  if (!queryHashCache.has(url)) queryHashCache.set(url, await hashImage(url));
+  return queryHashCache.get(url);
+}
+
+/**
+ * Indexed items that may be the same object as the one being cataloged.
+ * @param {{ itemId?, sellerId?, title, description?, imageUrls?: string[] }} query
+ * @returns {Promise<Array<{ id, title, url, source, sellerId, seenAt, score, reasons: string[] }>>}
+ */
+export async function findDuplicates(query) {
+  const index = await loadIndex();
+  const ownId = query.itemId ? String(query.itemId) : null;
+  const entries = Object.values(index)
+    .filter(entry => entry.id !== ownId)
+    .map(entry => ({ ...entry, titleWords: tokenize(entry.title), descriptionWords: tokenize(entry.description) }));
+  if (entries.length === 0) return [];
+
+  const imageUrls = (query.imageUrls || []).filter(isItemPhoto).slice(0, MAX_QUERY_IMAGES);
+  const imageHashes = (await Promise.all(imageUrls.map(hashQueryImage))).filter(Boolean);
+  const target = {
+    titleWords: tokenize(query.title),
+    descriptionWords: tokenize(query.description),
+    imageHashes,
+    sellerId: query.sellerId || null
+  };
+  const weight = buildWordWeights(entries);
+
+  return entries
+    .map(entry => ({ entry, ...scoreDuplicate(target, entry, weight) }))
+    .filter(match => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS)
+    .map(({ entry, score, reasons }) => ({
+      id: entry.id, title: entry.title, url: entry.url, source: entry.source,
+      sellerId: entry.sellerId, seenAt: entry.seenAt, score: Math.round(score * 100) / 100, reasons
+    }));
+}
@@ -228,6 +228,7 @@ export class AddItemsAIEnhancement {
       const response = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'add-items',
           body: {
             model: this.apiManager.getCurrentModel().id,
             max_tokens: fieldType === 'title-correct' ? 500 : 4000,
@@ -238,6 +238,7 @@ Om INGET saknas, returnera: {"missingElements": []}`;
       const response = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'add-items',
           body: {
             model: this.apiManager.getCurrentModel().id,
             max_tokens: 1000,
@@ -174,6 +174,7 @@ Return JSON format:
       const response = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'search-query',
           body: {
             model: 'claude-haiku-4-5',
             max_tokens: 300,
@@ -115,6 +115,7 @@ export async function generateInsights(dataSummary, companyId, filters) {
 
     chrome.runtime.sendMessage({
       type: 'anthropic-fetch',
+      feature: 'analytics-insights',
       body: {
         model: 'claude-sonnet-4-5',
         max_tokens: 1500,
@@ -1,6 +1,15 @@
 // data-cache.js — Manages cached analytics data in chrome.storage.local
 
 const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const LAST_USED_KEY = 'storageLastUsed'; // read by storage-inventory-bg.js for LRU eviction
+
+// Record that a cache key was used so the background can evict the least recently used
+async function markUsed(key) {
+  try {
+    const result = await chrome.storage.local.get([LAST_USED_KEY]);
+    await chrome.storage.local.set({ [LAST_USED_KEY]: { ...(result[LAST_USED_KEY] || {}), [key]: Date.now() } });
+  } catch (e) { /* eviction falls back to fetchedAt */ }
+}
 
 function cacheKey(companyId) {
   return `analytics_${companyId}`;
@@ -27,6 +36,7 @@ export async function loadCache(companyId) {
   const result = await chrome.storage.local.get([key]);
   const cached = result[key];
   if (!cached) return null;
+  markUsed(key);
 
   const age = Date.now() - cached.fetchedAt;
   return {
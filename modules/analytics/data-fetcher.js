@@ -2,6 +2,7 @@
 
 import { SUB_CATEGORY_IDS } from './category-registry.js';
 import { compressItem, saveCache, loadCache } from './data-cache.js';
+import { auctionetFetch } from '../core/auctionet-fetch.js';
 
 const API_BASE = 'https://auctionet.com/api/v2/items.json';
 const PER_PAGE = 200;
@@ -16,7 +17,7 @@ async function fetchPage(companyId, page, categoryId = null) {
   let url = `${API_BASE}?is=ended&company_id=${companyId}&per_page=${PER_PAGE}&page=${page}`;
   if (categoryId) url += `&category_id=${categoryId}`;
 
-  const resp = await fetch(url);
+  const resp = await auctionetFetch(url);
   if (!resp.ok) throw new Error(`API ${resp.status}: ${resp.statusText}`);
   const data = await resp.json();
   return data.items || [];
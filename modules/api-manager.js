@@ -2,6 +2,7 @@
 import { CONFIG } from './config.js';
 import { AuctionetAPI } from './auctionet-api.js';
 import { AIAnalysisEngine } from './core/ai-analysis-engine.js';
+import { FEW_RESULTS } from './search-demand.js';
 
 export class APIManager {
   constructor() {
@@ -51,7 +52,7 @@ export class APIManager {
     return CONFIG.MODELS[this.currentModel] || CONFIG.MODELS['sonnet'];
   }
 
-  async callClaudeAPI(itemData, fieldType, retryCount = 0) {
+  async callClaudeAPI(itemData, fieldType) {
     if (!this.apiKey) {
       throw new Error('API key not configured. Please set your Anthropic API key in the extension popup.');
     }
@@ -59,34 +60,20 @@ export class APIManager {
     const systemPrompt = this.getSystemPrompt();
     const userPrompt = this.getUserPrompt(itemData, fieldType);
 
-    // Format system prompt with cache_control for Anthropic prompt caching
-    // The large system prompt (~3500 tokens) is identical across calls — caching saves ~90% on input cost
-    const systemWithCache = [{
-      type: 'text',
-      text: systemPrompt,
-      cache_control: { type: 'ephemeral' }
-    }];
-
     try {
       const response = await new Promise((resolve, reject) => {
         // Guard against the service worker being terminated — without this the
         // Promise would hang forever if the background script never responds.
         const timeoutId = setTimeout(() => {
           reject(new Error('Claude API request timed out (background script did not respond)'));
-        }, 35000);
+        }, 120000); // generous: the call may queue and back off in background.js
 
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
-          body: {
-            model: this.getCurrentModel().id,
-            max_tokens: fieldType === 'title-correct' ? 500 : CONFIG.API.maxTokens,
-            temperature: CONFIG.API.temperature,
-            system: systemWithCache,
-            messages: [{
-              role: 'user',
-              content: userPrompt
-            }]
-          }
+          feature: 'field-enhance',
+          // Re-clicking the same field button supersedes the request still in flight
+          requestKey: `field-enhance:${fieldType}`,
+          body: this.buildFieldRequestBody(systemPrompt, userPrompt, fieldType)
         }, (response) => {
           clearTimeout(timeoutId);
           if (chrome.runtime.lastError) {
@@ -94,7 +81,9 @@ export class APIManager {
           } else if (response.success) {
             resolve(response);
           } else {
-            reject(new Error(response.error || 'API request failed'));
+            const error = new Error(response.error || 'API request failed');
+            error.cancelled = !!response.cancelled;
+            reject(error);
           }
         });
       });
@@ -102,21 +91,118 @@ export class APIManager {
       return await this.processAPIResponse(response, systemPrompt, userPrompt, fieldType);
 
     } catch (error) {
-      if ((error.message.includes('Overloaded') || error.message.includes('rate limit') || error.message.includes('429')) && retryCount < 3) {
-        const delay = Math.pow(2, retryCount) * 1000;
+      // Superseded or page closing — nothing to report
+      if (error.cancelled) throw error;
+      // Overload retries and model fallback already happened in background.js
+      console.error('Claude API call failed:', error.message);
+      throw error;
+    }
+  }
 
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return this.callClaudeAPI(itemData, fieldType, retryCount + 1);
-      }
+  buildFieldRequestBody(systemPrompt, userPrompt, fieldType) {
+    return {
+      model: this.getCurrentModel().id,
+      max_tokens: fieldType === 'title-correct' ? 500 : CONFIG.API.maxTokens,
+      temperature: CONFIG.API.temperature,
+      // Format system prompt with cache_control for Anthropic prompt caching
+      // The large system prompt (~3500 tokens) is identical across calls — caching saves ~90% on input cost
+      system: [{
+        type: 'text',
+        text: systemPrompt,
+        cache_control: { type: 'ephemeral' }
+      }],
+      messages: [{
+        role: 'user',
+        content: userPrompt
+      }]
+    };
+  }
 
-      if (error.message.includes('Overloaded')) {
-        throw new Error('Claude API är överbelastad just nu. Vänta en stund och försök igen.');
-      }
+  /**
+   * Streaming variant of callClaudeAPI for single-field enhancements.
+   * Uses a long-lived 'anthropic-stream' port to background.js; `onText`
+   * receives the full text so far after every delta and aborting `signal`
+   * stops the upstream request. Resolves to the same parsed result.
+   */
+  async streamClaudeAPI(itemData, fieldType, { onText = null, signal = null } = {}) {
+    if (!this.apiKey) {
+      throw new Error('API key not configured. Please set your Anthropic API key in the extension popup.');
+    }
 
+    const systemPrompt = this.getSystemPrompt();
+    const userPrompt = this.getUserPrompt(itemData, fieldType);
+
+    try {
+      const response = await new Promise((resolve, reject) => {
+        const port = chrome.runtime.connect({ name: 'anthropic-stream' });
+        let text = '';
+        let settled = false;
+
+        const settle = (fn, value) => {
+          if (settled) return;
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          try { port.disconnect(); } catch (e) { /* already closed */ }
+          fn(value);
+        };
+        const onAbort = () => {
+          try { port.postMessage({ type: 'stop' }); } catch (e) { /* already closed */ }
+          const error = new Error('Förbättringen stoppades');
+          error.cancelled = true;
+          settle(reject, error);
+        };
+
+        port.onMessage.addListener((message) => {
+          if (message.type === 'delta') {
+            text += message.text;
+            onText?.(text);
+          } else if (message.type === 'done') {
+            settle(resolve, { success: true, data: message.data });
+          } else if (message.type === 'error') {
+            const error = new Error(message.error || 'API request failed');
+            error.cancelled = !!message.cancelled;
+            settle(reject, error);
+          }
+        });
+        port.onDisconnect.addListener(() => {
+          settle(reject, new Error(chrome.runtime.lastError?.message || 'Background script disconnected'));
+        });
+
+        if (signal?.aborted) {
+          onAbort();
+          return;
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        port.postMessage({
+          type: 'start',
+          feature: 'field-enhance',
+          requestKey: `field-enhance:${fieldType}`,
+          body: this.buildFieldRequestBody(systemPrompt, userPrompt, fieldType)
+        });
+      });
+
+      return await this.processAPIResponse(response, systemPrompt, userPrompt, fieldType);
+
+    } catch (error) {
+      if (!error.cancelled) console.error('Claude API stream failed:', error.message);
       throw error;
     }
   }
 
+  // Best-effort field value from an incomplete streamed response, for live
+  // preview only — the final value comes from parseClaudeResponse.
+  parsePartialFieldText(text, fieldType) {
+    // Wait until the "TITEL:" style label has fully arrived
+    if (/^\s*\**[A-ZÅÄÖ]*$/.test(text)) return '';
+    try {
+      const parsed = this.parseClaudeResponse(text, fieldType);
+      return parsed[fieldType === 'title-correct' ? 'title' : fieldType] || '';
+    } catch (e) {
+      return '';
+    }
+  }
+
   async processAPIResponse(response, systemPrompt, userPrompt, fieldType) {
     const data = response.data;
 
@@ -154,6 +240,7 @@ Vänligen korrigera dessa problem och returnera förbättrade versioner som föl
       const correctionResponse = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'field-enhance',
           body: {
             model: this.getCurrentModel().id,
             max_tokens: CONFIG.API.maxTokens,
@@ -814,6 +901,21 @@ BESKRIVNING FÖR UR:
     return '';
   }
 
+  /**
+   * Buyer searches (from the search history) that touch the item, for the keyword prompt.
+   * @param {Array<{ query, searches, results }>} candidates — SearchDemand.candidatesFor()
+   */
+  formatSearchCandidates(candidates) {
+    if (!candidates?.length) return '';
+    const lines = candidates.map(c => `• "${c.query}" — sökt under ${c.searches} timmar${c.results !== null && c.results <= FEW_RESULTS ? `, bara ${c.results} träffar` : ''}`);
+    return `
+
+KÖPARNAS SÖKNINGAR (senaste 7 dagarna, som berör föremålet):
+${lines.join('\n')}
+• Använd en sökning som sökord ENDAST om den stämmer med föremålet — skriv den i sökordsformat ("art deco" → "art-deco")
+• Sökningar med få träffar är extra värdefulla — föremålet syns där konkurrensen är liten`;
+  }
+
   isSpecializedCategory(itemData) {
     const category = itemData.category?.toLowerCase() || '';
     const title = itemData.title?.toLowerCase() || '';
@@ -1429,7 +1531,7 @@ KRITISKT - RETURFORMAT:
 • MAX 10-12 relevanta termer
 • EXEMPEL: "grafik reproduktion svensk-design 1970-tal dekor inredning"
 
-STRIKT REGEL: Läs titel och beskrivning noggrant - om ett ord redan finns där (även delvis), använd det ALDRIG i sökorden.`;
+STRIKT REGEL: Läs titel och beskrivning noggrant - om ett ord redan finns där (även delvis), använd det ALDRIG i sökorden.${this.formatSearchCandidates(itemData.searchCandidates)}`;
 
       case 'all-enhanced':
         return baseInfo + `
@@ -2194,6 +2296,7 @@ Svara ENDAST med giltig JSON:
 
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'market-analysis',
           body: {
             model: this.getCurrentModel().id,
             max_tokens: 1000,
@@ -470,19 +470,24 @@ export class ArtistIgnoreManager {
     });
   }
 
+  // Clear the list, tell the cataloger and reload so the detections come back
+  clearIgnoredArtistsAndReload() {
+    if (this.ignoredArtists.length > 0) {
+      const count = this.clearAllIgnoredArtists();
+      alert(`✅ Cleared ${count} ignored artists! Page will refresh.`);
+      setTimeout(() => window.location.reload(), 1000);
+    } else {
+      alert('No ignored artists to clear.');
+    }
+  }
+
   // NEW: Setup keyboard shortcuts for easier management
   setupKeyboardShortcuts() {
-    document.addEventListener('keydown', (e) => {
+    this.keyboardHandler = (e) => {
       // Ctrl+Shift+C = Clear all ignored artists
       if (e.ctrlKey && e.shiftKey && e.key === 'C') {
         e.preventDefault();
-        if (this.ignoredArtists.length > 0) {
-          const count = this.clearAllIgnoredArtists();
-          alert(`✅ Cleared ${count} ignored artists! Page will refresh.`);
-          setTimeout(() => window.location.reload(), 1000);
-        } else {
-          alert('No ignored artists to clear.');
-        }
+        this.clearIgnoredArtistsAndReload();
       }
       
       // Ctrl+Shift+I = Show ignored artists management
@@ -490,8 +495,12 @@ export class ArtistIgnoreManager {
         e.preventDefault();
         this.showManagementUI();
       }
-    });
-    
+    };
+    document.addEventListener('keydown', this.keyboardHandler);
+  }
 
+  // The edit page's command palette binds these actions itself (configurable keys)
+  disableKeyboardShortcuts() {
+    document.removeEventListener('keydown', this.keyboardHandler);
   }
 } 
\ No newline at end of file
@@ -1,6 +1,8 @@
 // modules/auctionet-api.js - Auctionet API Integration Module
 // Access to 3.65M+ real auction results for market analysis
 
+import { auctionetFetch } from './core/auctionet-fetch.js';
+
 export class AuctionetAPI {
   constructor() {
     this.baseUrl = 'https://auctionet.com/api/v2/items.json';
@@ -21,13 +23,8 @@ export class AuctionetAPI {
   // Load own company ID from Chrome storage
   async loadOwnCompanySetting() {
     try {
-      // Migration: excludeCompanyId → ownCompanyId
-      const result = await chrome.storage.sync.get(['excludeCompanyId', 'ownCompanyId']);
-      if (result.excludeCompanyId && !result.ownCompanyId) {
-        await chrome.storage.sync.set({ ownCompanyId: result.excludeCompanyId });
-        await chrome.storage.sync.remove('excludeCompanyId');
-        this.ownCompanyId = result.excludeCompanyId.trim();
-      } else if (result.ownCompanyId) {
+      const result = await chrome.storage.sync.get(['ownCompanyId']);
+      if (result.ownCompanyId) {
         this.ownCompanyId = result.ownCompanyId.trim();
       } else {
         this.ownCompanyId = null;
@@ -436,7 +433,7 @@ export class AuctionetAPI {
 
       
       
-      const response = await fetch(url);
+      const response = await auctionetFetch(url);
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -1086,7 +1083,7 @@ export class AuctionetAPI {
       
       while (page <= MAX_PAGES && hasMorePages) {
         const url = `${this.baseUrl}?is=ended&q=${encodeURIComponent(query)}&per_page=${PER_PAGE}&page=${page}`;
-        const response = await fetch(url);
+        const response = await auctionetFetch(url);
         
         if (!response.ok) {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -1400,11 +1397,13 @@ Svara ENBART med en JSON-array. Varje element: {"i": nummer, "r": true/false}
 Där "i" = resultatnummer (1-baserat), "r" = true om jämförbar, false om inte.
 Ingen annan text.`;
 
-      const callValidationAPI = (model) => new Promise((resolve, reject) => {
+      // Haiku → Sonnet fallback on overload: CONFIG.AI_FEATURES['market-relevance'].fallbackModels
+      const response = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'market-relevance',
           body: {
-            model,
+            model: 'claude-haiku-4-5',
             max_tokens: 500,
             temperature: 0,
             messages: [{ role: 'user', content: prompt }]
@@ -1420,22 +1419,6 @@ Ingen annan text.`;
         });
       });
 
-      let response;
-      try {
-        response = await callValidationAPI('claude-haiku-4-5');
-      } catch (haikuError) {
-        const isOverloaded = haikuError.message && (
-          haikuError.message.includes('Overloaded') || haikuError.message.includes('overloaded') ||
-          haikuError.message.includes('rate limit') || haikuError.message.includes('429')
-        );
-        if (isOverloaded) {
-          console.warn('AI validation: Haiku overloaded — retrying with Sonnet');
-          response = await callValidationAPI('claude-sonnet-4-5');
-        } else {
-          throw haikuError;
-        }
-      }
-
       if (!response.success || !response.data?.content?.[0]?.text) {
         return null;
       }
@@ -2,6 +2,8 @@
 // Fetch verified artist biographies from Auctionet's artist pages
 // Replaces AI-generated biographies to eliminate hallucinations
 
+import { auctionetFetch } from './core/auctionet-fetch.js';
+
 export class AuctionetArtistLookup {
     constructor() {
         this.cache = new Map();
@@ -67,7 +69,7 @@ export class AuctionetArtistLookup {
         for (const url of urlPatterns) {
             try {
 
-                const response = await fetch(url);
+                const response = await auctionetFetch(url);
 
                 if (response.ok) {
                     const html = await response.text();
@@ -96,7 +98,7 @@ export class AuctionetArtistLookup {
 
                 try {
 
-                    const response = await fetch(urlWithId);
+                    const response = await auctionetFetch(urlWithId);
 
                     if (response.ok) {
                         const html = await response.text();
@@ -129,7 +131,7 @@ export class AuctionetArtistLookup {
             const searchUrl = `https://auctionet.com/api/v2/items.json?q=artist:"${encodeURIComponent(artistName)}"&per_page=1`;
 
 
-            const response = await fetch(searchUrl);
+            const response = await auctionetFetch(searchUrl);
 
             if (!response.ok) {
                 return null;
@@ -183,7 +185,7 @@ export class AuctionetArtistLookup {
 
         try {
 
-            const response = await fetch(itemUrl);
+            const response = await auctionetFetch(itemUrl);
             if (!response.ok) return null;
 
             const html = await response.text();
@@ -158,6 +158,7 @@ Om inga felstavningar hittas: {"issues":[]}`;
       const response = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'brand-validation',
           body: {
             model: 'claude-haiku-4-5',
             max_tokens: 200,
@@ -11,6 +11,11 @@ export const CONFIG = {
       id: 'claude-haiku-4-5', // Claude Haiku 4.5 — fast/cheap ($1/$5 per MTok)
       name: 'Claude Haiku 4.5',
       cost: 'Budget'
+    },
+    'opus': {
+      id: 'claude-opus-4-6', // Claude Opus 4.6 — Enhance All tier 3 and biographies
+      name: 'Claude Opus 4.6',
+      cost: 'Premium'
     }
   },
 
@@ -41,6 +46,76 @@ export const CONFIG = {
     criticalQualityThreshold: 20
   },
 
+  // Token pricing in USD per million tokens, matched on model family.
+  // Cache writes cost 1.25× input, cache reads 0.1× input (Anthropic list prices).
+  // Overridable per installation via chrome.storage.local 'aiUsagePricing'.
+  PRICING: {
+    usdToSek: 10.5,
+    models: {
+      opus: { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+      sonnet: { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+      haiku: { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 }
+    }
+  },
+
+  // LLM backends selectable per feature (implemented in ai-providers-bg.js)
+  PROVIDERS: {
+    'anthropic': { label: 'Anthropic (Claude)' },
+    'openai': { label: 'OpenAI-kompatibel (t.ex. lokal llama.cpp/Ollama)' },
+    'mock': { label: 'Mock (deterministiska testsvar)' }
+  },
+
+  // Retry/fallback policy for all AI calls (implemented in ai-resilience-bg.js).
+  // fallbackChains is keyed by model id or family; a feature's own
+  // `fallbackModels` replaces the chain for that feature.
+  AI_RESILIENCE: {
+    maxRetries: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 16000,
+    // Retries, backoff and fallbacks together — below the 90–120 s content scripts
+    // wait for an answer, so the worker gives up before the page reports a timeout
+    totalTimeoutMs: 80000,
+    breaker: {
+      failureThreshold: 3,   // failures within windowMs that open the breaker
+      windowMs: 60000,
+      cooldownMs: 120000     // how long an open breaker routes around the model
+    },
+    fallbackChains: {
+      'opus': ['claude-sonnet-4-5'],
+      'sonnet': [],
+      'haiku': []
+    }
+  },
+
+  // AI features that route calls through background.js. The id is sent as
+  // `feature` on every 'anthropic-fetch' message and tags ledger entries.
+  // `priority` pins a scheduling class; otherwise requests from a page are
+  // 'interactive' and requests without a tab are 'batch'. `cacheTtlHours`
+  // enables the shared response cache (ai-response-cache-bg.js) — features
+  // where "try again" should give a new answer are left uncached.
+  // `fallbackModels` overrides AI_RESILIENCE.fallbackChains for the feature.
+  AI_FEATURES: {
+    'field-enhance': { label: 'Fältförbättring' },
+    'enhance-all': { label: 'Förbättra alla' },
+    'enhance-batch': { label: 'Förbättra alla (batch)', priority: 'batch' },
+    'translation': { label: 'Översättning', cacheTtlHours: 24 * 7 },
+    'biography': { label: 'Biografi', cacheTtlHours: 24 * 30 },
+    'artist-detection': { label: 'Konstnärsdetektering', cacheTtlHours: 24 * 7 },
+    'brand-validation': { label: 'Stavning & varumärken', cacheTtlHours: 24 * 7 },
+    'category-prediction': { label: 'Kategoriförslag', cacheTtlHours: 24 * 7 },
+    'search-query': { label: 'Söktermer', cacheTtlHours: 24 },
+    'market-analysis': { label: 'Marknadsanalys' },
+    'market-relevance': { label: 'Relevans jämförelseobjekt', cacheTtlHours: 24, fallbackModels: ['claude-sonnet-4-5'] },
+    'image-analysis': { label: 'Bildanalys' },
+    'freetext-parser': { label: 'Snabbkatalogisering' },
+    'add-items': { label: 'Lägg till objekt' },
+    'valuation': { label: 'Värderingsförfrågan' },
+    'spelling-audit': { label: 'Stavningsaudit', priority: 'batch', cacheTtlHours: 24 * 7 },
+    'analytics-insights': { label: 'Försäljningsanalys', priority: 'batch' },
+    'connection-test': { label: 'Anslutningstest', priority: 'interactive', fallbackModels: [] },
+    'other': { label: 'Övrigt' }
+  },
+
   // Feature flags
   FEATURES: {
     enableQualityValidation: true,
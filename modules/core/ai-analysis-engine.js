@@ -73,6 +73,7 @@ Svara ENDAST JSON:
     const response = await new Promise((resolve, reject) => {
       chrome.runtime.sendMessage({
         type: 'anthropic-fetch',
+        feature: 'artist-detection',
         body: {
           model: 'claude-haiku-4-5', // Claude Haiku 4.5 — fast artist detection
           max_tokens: 100, // Reduced from 300 to 100 for faster processing
@@ -264,6 +265,7 @@ JSON:
       const response = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'artist-detection',
           body: {
             model: 'claude-haiku-4-5', // Claude Haiku 4.5 — fast bio generation
             max_tokens: 200, // Reduced from 400 to 200 for faster response
@@ -0,0 +1,51 @@
+// modules/core/auctionet-fetch.js — fetch() for the public Auctionet API and pages
+// Identical to fetch(url) normally. While a developer record/replay session
+// is active (see dev-session-bg.js) the request goes through background.js
+// so it can be archived or answered from the archive.
+
+let sessionMode = null;
+let sessionModeLoaded = null;
+
+async function getSessionMode() {
+  if (!sessionModeLoaded) {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && changes.devSession) {
+        sessionMode = changes.devSession.newValue?.mode || 'off';
+      }
+    });
+    sessionModeLoaded = (async () => {
+      try {
+        const { devSession } = await chrome.storage.local.get('devSession');
+        sessionMode ??= devSession?.mode || 'off';
+      } catch (e) {
+        sessionMode ??= 'off';
+      }
+    })();
+  }
+  await sessionModeLoaded;
+  return sessionMode;
+}
+
+/**
+ * @param {string} url — https://auctionet.com/api/v2/... URL, or a public
+ *   auctionet.com page (artist and item pages)
+ * @returns {Promise<Response>}
+ */
+export async function auctionetFetch(url) {
+  if ((await getSessionMode()) === 'off') {
+    return fetch(url);
+  }
+
+  const result = await new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: 'auctionet-api-fetch', url }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!response?.success) {
+        reject(new Error(response?.error || 'Auctionet API request failed'));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+  return new Response(result.body, { status: result.status, statusText: result.statusText });
+}
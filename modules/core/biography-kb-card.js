@@ -329,11 +329,12 @@ Regler:
 - VIKTIGT: Svara BARA med JSON, ingen text före eller efter`;
 
     try {
-      const callBioAPI = (model) => new Promise((resolve, reject) => {
+      const response = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'biography',
           body: {
-            model,
+            model: 'claude-sonnet-4-5',
             max_tokens: 250,
             temperature: 0.2,
             system: 'Du är en konstexpert. Svara ALLTID med valid JSON. Inga kommentarer utanför JSON.',
@@ -350,8 +351,6 @@ Regler:
         });
       });
 
-      const response = await callBioAPI('claude-sonnet-4-5');
-
       if (response.success && response.data?.content?.[0]?.text) {
         const text = response.data.content[0].text.trim();
         try {
@@ -812,6 +811,7 @@ Regler:
       const response = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'biography',
           body: {
             model: this.apiManager.getCurrentModel().id,
             max_tokens: 300,
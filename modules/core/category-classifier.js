@@ -0,0 +1,472 @@
+/**
+ * Category Classifier - SSoT Component
+ * Predicts the most likely Auctionet category (parent + subcategory group)
+ * from title, description and keywords with a local term table, and flags
+ * items whose selected category disagrees. Used by the 'category-mismatch'
+ * quality rule (edit page, add page, publication scanner) and by the
+ * category hint under the category select, which falls back to AI when the
+ * local terms are inconclusive.
+ */
+
+import { getParentCategoryId, getCategoryName, PARENT_CATEGORY_IDS } from '../analytics/category-registry.js';
+
+// Term syntax: 'stol' whole word (with inflections), '*stol' also as the head
+// of a compound (karmstol, matstol), 'allmoge*' as a prefix (allmogeskåp),
+// 'olja på duk' a phrase. When several terms match one word the longest wins,
+// so 'bordslampa' is a lamp and 'dockskåp' a toy; a prefix counts on top of
+// the compound head, so 'allmogeskåp' is both allmoge and a cabinet.
+//   subs   — term groups named after the subcategory they point to
+//   brands — makers that practically only make this kind of object
+//   strong — origin terms that decide the category on their own (counted double)
+//   weak   — materials and techniques that only hint (counted half)
+const CATEGORY_TERMS = {
+  1: {
+    subs: [
+      { label: 'Taklampor & ljuskronor', terms: ['ljuskrona', 'takkrona', 'kristallkrona', 'prismakrona', 'hängkrona', '*taklampa', 'plafond', '*plafond', 'ampel'] },
+      { label: 'Bords- & golvlampor', terms: ['*bordslampa', '*golvlampa', '*fotogenlampa', 'lampfot', '*lampa'] },
+      { label: 'Vägglampor', terms: ['*vägglampa', 'lampett', '*lampett', 'applique'] },
+      { label: 'Ljusstakar & lyktor', terms: ['*ljusstake', 'kandelaber', 'girandol', '*lykta', 'ljusplåt'] }
+    ],
+    weak: ['lampskärm', 'glödlampa', 'prismor', 'armatur']
+  },
+  6: {
+    subs: [
+      { label: 'Konstglas', terms: ['konstglas', 'graal', 'ariel', 'glasskulptur', 'glasobjekt', 'unika'] },
+      { label: 'Bruksglas', terms: ['*vinglas', 'snapsglas', 'ölglas', 'champagneglas', 'cocktailglas', 'dricksglas', 'remmare', 'karaff', '*karaff', 'glasservis', 'glas*'] }
+    ],
+    brands: ['orrefors', 'kosta', 'kosta boda', 'boda', 'pukeberg', 'reijmyre', 'gullaskruf', 'skruf', 'målerås', 'iittala', 'nuutajärvi', 'riihimäki', 'holmegaard', 'venini', 'lalique', 'daum', 'gallé', 'ekenäs', 'åfors', 'bergdala', 'strömbergshyttan', 'lindshammar', 'johansfors', 'alsterfors', 'flygsfors', 'limmared', 'sea glasbruk'],
+    weak: ['glas', 'kristall', 'ofärgat glas', 'färgat glas', 'överfång']
+  },
+  9: {
+    subs: [
+      { label: 'Servis & porslin', terms: ['*servis', '*tallrik', '*assiett', 'kopp', '*kopp', 'terrin', '*terrin', 'såsskål', 'tekanna', 'kaffekanna'] },
+      { label: 'Figuriner', terms: ['figurin', '*figurin'] },
+      { label: 'Keramik', terms: ['konstkeramik', 'studiokeramik', 'krus', '*krus', 'kakelplatta'] }
+    ],
+    brands: ['rörstrand', 'gustavsberg', 'arabia', 'bing & grøndahl', 'bing & gröndahl', 'royal copenhagen', 'upsala ekeby', 'upsala-ekeby', 'höganäs', 'meissen', 'herend', 'villeroy & boch', 'wedgwood', 'porsgrund', 'figgjo', 'bo fajans', 'allt i keramik', 'nymølle', 'gefle porslin', 'rosenthal', 'sèvres', 'augarten', 'kpm'],
+    weak: ['porslin', 'keramik', 'fajans', 'stengods', 'flintgods', 'lergods', 'benporslin', 'glasyr*', 'krakelyr']
+  },
+  13: {
+    subs: [
+      { label: 'Ringar', terms: ['ring', 'armring', 'alliansring', 'signetring', 'kråsring', 'solitärring', 'vigselring', 'förlovningsring', 'cocktailring', 'diamantring', 'guldring', 'silverring', 'ringskena'] },
+      { label: 'Armband', terms: ['*armband', 'armlänk'] },
+      { label: 'Halsband & hängen', terms: ['*halsband', 'collier', '*hänge', 'berlock', '*berlock', 'medaljong', 'halskedja'] },
+      { label: 'Örhängen', terms: ['*örhänge', 'örclips', 'örstickor', 'örhängen'] },
+      { label: 'Broscher', terms: ['*brosch', '*nål', 'slipsnål', 'kavajnål'] },
+      { label: 'Manschettknappar', terms: ['manschettknapp', 'manschettknappar'] },
+      { label: 'Ädelstenar', terms: ['briljant', '*briljant', 'briljantslipad', 'safir', 'rubin', 'smaragd', 'opal', 'akvamarin', 'ametist', 'odlad pärla', 'lös sten'] }
+    ],
+    weak: ['guld', '18k', '14k', '20k', '22k', 'karat', 'vitguld', 'rödguld', 'gulguld', 'diamant', 'diamanter', 'pärlor']
+  },
+  16: {
+    subs: [
+      { label: 'Bord', terms: ['*bord', 'konsolbord', 'piedestal'] },
+      { label: 'Stolar & fåtöljer', terms: ['*stol', '*fåtölj', 'taburett', '*pall', 'pall'] },
+      { label: 'Soffor & dagbäddar', terms: ['*soffa', 'divan', '*dagbädd', 'schäslong', 'kanapé', 'sittbänk'] },
+      { label: 'Skåp & vitriner', terms: ['*skåp', 'vitrin', '*vitrin', 'skänk', 'sideboard', '*hylla', 'bokhylla'] },
+      { label: 'Byråar & sekretärer', terms: ['*byrå', 'kommod', 'sekretär', 'chiffonjé', 'klaffbyrå'] },
+      { label: 'Sängar', terms: ['*säng'] },
+      { label: 'Möbelgrupper', terms: ['matsalsgrupp', 'soffgrupp', 'möbelgrupp', 'trädgårdsgrupp', 'möbel*'] }
+    ],
+    weak: ['mahogny', 'valnöt', 'björk', 'fanér', 'fanerad', 'klädsel', 'ekfanér', 'teak', 'palisander']
+  },
+  25: {
+    subs: [
+      { label: 'Måleri', terms: ['*målning', 'oljemålning', 'akvarell', 'gouache', 'tempera', 'på duk', 'på pannå', 'på masonit', 'på kartong', 'olja på', 'akryl på', 'stilleben', '*tavla'] },
+      { label: 'Grafik', terms: ['litografi', '*litografi', '*grafik', 'etsning', '*etsning', 'träsnitt', 'serigrafi', 'kopparstick', 'gravyr', 'linoleumsnitt', 'torrnål', 'aquatint', 'numrerad'] },
+      { label: 'Teckningar', terms: ['*teckning', 'blyerts', 'pastell', 'kolteckning', 'tusch'] },
+      { label: 'Skulptur', terms: ['*skulptur', 'byst', 'relief', 'bronsskulptur'] }
+    ],
+    weak: ['inramad', 'passepartout', 'signerad och daterad', 'bildyta', 'motiv']
+  },
+  31: {
+    subs: [
+      { label: 'Armbandsur', terms: ['*armbandsur', 'herrur', 'damur', 'dykarur', 'kronograf', 'chronograph', 'klockarmband'] },
+      { label: 'Fickur', terms: ['*fickur', 'savonett', 'urkedja'] },
+      { label: 'Golvur & väggur', terms: ['golvur', 'golvklocka', 'moraklocka', 'mora*', 'väggur', 'väggklocka', 'regulator'] },
+      { label: 'Bordsur', terms: ['bordsur', 'pendyl', 'kaminur', '*klocka', 'bordsklocka'] }
+    ],
+    brands: ['rolex', 'omega', 'longines', 'patek philippe', 'patek', 'tissot', 'tag heuer', 'heuer', 'breitling', 'iwc', 'seiko', 'certina', 'zenith', 'jaeger-lecoultre', 'jaeger lecoultre', 'audemars piguet', 'universal geneve', 'eterna', 'doxa', 'rado', 'oris', 'tudor', 'hamilton', 'movado', 'junghans', 'halda', 'vacheron constantin', 'swatch', 'citizen', 'panerai'],
+    weak: ['urverk', 'boett', 'urtavla', 'visare', 'automatiskt verk', 'quartz', 'kvarts', 'manuellt uppdrag', 'pendel']
+  },
+  35: {
+    subs: [
+      { label: 'Mattor', terms: ['*matta', 'röllakan', 'rya', '*rya', 'flossa', 'kelim', 'gabbeh', 'heriz', 'kilim', 'persisk', 'orientalisk matta', 'löpare'] },
+      { label: 'Textilier', terms: ['bonad', '*bonad', 'gobeläng', 'tapisseri', 'broderi', '*broderi', 'bordsduk', '*handduk', '*kudde', '*överkast', 'pläd', '*filt', 'textil*', 'vävnad', 'gardin', '*gardin', 'spetsar'] }
+    ],
+    weak: ['ull', 'bomull', 'lin', 'linne', 'silke', 'handknuten', 'handvävd', 'maskinvävd']
+  },
+  38: {
+    subs: [
+      { label: 'Silver', terms: ['silver', 'sterling', '*bestick', '*sked', '*gaffel', 'bägare', '*bägare', 'pokal', 'sockerskål', 'sockerströare', 'gräddkanna', 'tesil', 'skopa', 'förgyllt silver', 'nysilver', 'alpacka'] },
+      { label: 'Tenn', terms: ['tenn', 'tennfat', 'tennkanna'] },
+      { label: 'Mässing & koppar', terms: ['mässing', 'koppar', 'mortel', 'kopparkittel'] }
+    ]
+  },
+  42: {
+    subs: [
+      { label: 'Speglar', terms: ['*spegel', 'trumeau', 'toalettspegel', 'spegellampett'] }
+    ]
+  },
+  44: {
+    subs: [
+      { label: 'Leksaker', terms: ['leksak*', '*leksak', '*docka', 'dockskåp', 'dockvagn', 'nalle', 'teddybjörn', 'plåtleksak', 'modelltåg', 'ånglok', 'lok', 'tennsoldater', 'gunghäst'] }
+    ],
+    brands: ['lego', 'märklin', 'schuco', 'dinky toys', 'corgi', 'matchbox', 'britains', 'steiff', 'brio', 'tipp & co', 'tekno']
+  },
+  46: {
+    subs: [
+      { label: 'Mynt & sedlar', terms: ['mynt', '*mynt', 'riksdaler', '*daler', 'dukat', 'sedel', '*sedel', 'myntset', 'skilling'] },
+      { label: 'Medaljer', terms: ['medalj', '*medalj', 'plakett', 'minnesmedalj'] },
+      { label: 'Frimärken', terms: ['*frimärke', 'frimärksalbum', 'frimärkssamling', 'frankerat'] }
+    ]
+  },
+  49: {
+    subs: [
+      { label: 'Väskor', terms: ['*väska', 'necessär', 'portfölj', 'plånbok', 'koffert'] },
+      { label: 'Kläder & accessoarer', terms: ['*kappa', '*klänning', '*jacka', 'sjal', '*sjal', 'scarf', 'sidenscarf', 'hatt', '*hatt', 'handskar', '*skor', 'päls*', '*päls', 'kavaj', 'kostym', 'kimono', 'solglasögon', 'slips'] }
+    ],
+    brands: ['louis vuitton', 'hermès', 'hermes', 'chanel', 'gucci', 'prada', 'dior', 'yves saint laurent', 'burberry', 'mulberry', 'celine', 'fendi', 'bottega veneta', 'balenciaga', 'moncler']
+  },
+  50: {
+    subs: [
+      { label: 'Böcker', terms: ['böcker', '*bok', 'bokverk', 'bibel', 'psalmbok', 'förstaupplaga', 'volym', 'volymer', 'halvfranskt band', 'inbunden', 'häftad', 'upplaga'] },
+      { label: 'Kartor', terms: ['*karta', 'atlas', 'sjökort'] },
+      { label: 'Handskrifter & dokument', terms: ['manuskript', 'handskrift', '*brev', 'diplom', 'dokument', 'almanacka', 'pergament'] }
+    ]
+  },
+  57: {
+    subs: [
+      { label: 'Kameror', terms: ['*kamera', 'objektiv', 'filmkamera', 'systemkamera', 'mellanformat'] },
+      { label: 'Optik', terms: ['*kikare', 'mikroskop', 'teleskop', 'stereoskop', 'laterna magica', 'sextant', 'kompass'] },
+      { label: 'Fotografier', terms: ['fotografi', '*fotografi', 'gelatinsilvertryck', 'albumintryck', 'dagerrotypi', 'fotoalbum'] }
+    ],
+    brands: ['leica', 'hasselblad', 'zeiss', 'nikon', 'canon', 'rolleiflex', 'rollei', 'voigtländer', 'contax', 'minolta']
+  },
+  58: {
+    subs: [
+      { label: 'Allmoge', terms: ['allmoge*', '*allmoge', 'kurbits', 'dalmålning', 'dalmålad', '*ämbar', 'brudkista', 'kåsa', '*kåsa', 'laggkärl', 'svepask', 'tina', 'spånkorg', 'mangelbräde', 'kistbrud', 'bjälkskåp', 'bonadsmålning', 'hälsingemålning'] }
+    ],
+    weak: ['bondeskåp', 'bemålad', 'marmorerad', 'ådringsmålad']
+  },
+  59: {
+    subs: [
+      { label: 'Licensvapen', terms: ['*gevär', 'studsare', 'hagelgevär', 'kulgevär', 'jaktgevär', 'revolver', '*revolver', '*pistol', 'kikarsikte', 'vapenlicens', 'licenspliktig'] }
+    ],
+    brands: ['husqvarna vapenfabrik', 'carl gustaf', 'browning', 'beretta', 'sauer', 'mauser', 'winchester', 'remington']
+  },
+  117: {
+    subs: [
+      { label: 'Kina', terms: ['qing', 'ming', 'kangxi', 'qianlong', 'yongzheng', 'jiaqing', 'daoguang', 'guangxu', 'tongzhi', 'famille rose', 'famille verte', 'blanc de chine', 'kantonemalj'] },
+      { label: 'Japan', terms: ['meiji', 'edo', 'taisho', 'showa', 'satsuma', 'imari', 'kakiemon', 'netsuke', 'okimono', 'inro', 'tsuba'] },
+      { label: 'Övriga Asien', terms: ['tibet', 'tibetansk', 'thailändsk', 'vietnamesisk', 'burmesisk', 'indonesisk', 'indisk'] }
+    ],
+    strong: ['kina', 'kinesisk', 'kinesiska', 'kinesiskt', 'japan', 'japansk', 'japanska', 'japanskt', 'korea', 'koreansk', 'chinese export', 'ostindiskt', 'kompaniporslin']
+  },
+  134: {
+    subs: [
+      { label: 'Etnografika', terms: ['afrikansk', 'afrikanska', 'yoruba', 'dogon', 'baule', 'dan', 'senufo', 'maori', 'aboriginal', 'inuit', 'oceanien', 'papua', 'rituell', 'fetisch', 'stamkonst'] }
+    ],
+    strong: ['etnografika', 'etnografisk', 'afrika', 'nigeria', 'kongo', 'kamerun', 'elfenbenskusten']
+  },
+  137: {
+    subs: [
+      { label: 'Blankvapen', terms: ['sabel', '*sabel', 'värja', '*värja', 'bajonett', 'dolk', '*dolk', 'svärd', '*svärd', 'huggare', 'balja'] },
+      { label: 'Militaria', terms: ['*hjälm', 'uniform', '*uniform', 'orden', 'ordenstecken', 'militär*', 'militaria', 'fältflaska', 'pickelhaube', 'kask', 'epålett'] },
+      { label: 'Äldre skjutvapen', terms: ['flintlåsgevär', 'slaglåsgevär', 'flintlåspistol', 'slaglåspistol', 'musköt', 'flintlås', 'slaglås', 'kruthorn'] }
+    ]
+  },
+  170: {
+    subs: [
+      { label: 'Vin & sprit', terms: ['vin', 'rödvin', 'vitvin', 'portvin', 'champagne', 'whisky', 'whiskey', 'cognac', 'konjak', 'armagnac', 'calvados', 'madeira', 'bordeaux', 'bourgogne', 'single malt', 'flaskor vin', 'akvavit'] }
+    ],
+    brands: ['château', 'chateau', 'macallan', 'dom pérignon', 'moët', 'krug', 'bollinger', 'hennessy', 'rémy martin', 'martell', 'glenfiddich']
+  },
+  249: {
+    subs: [
+      { label: 'Bilar & motorcyklar', terms: ['bil', 'personbil', 'veteranbil', 'sportbil', 'motorcykel', '*motorcykel', 'moped', 'traktor', 'registreringsbevis', 'besiktigad', 'miltal', 'mätarställning'] },
+      { label: 'Båtar', terms: ['*båt', 'snipa', 'utombordare', 'utombordsmotor', 'kanot', 'eka', 'segelbåt', 'motorbåt'] },
+      { label: 'Cyklar & övrigt', terms: ['*cykel', 'husvagn', 'släpvagn', 'snöskoter', 'sparkstötting'] }
+    ],
+    brands: ['volvo', 'saab', 'vespa', 'porsche', 'mercedes-benz', 'monark', 'crescent', 'lambretta', 'harley-davidson']
+  },
+  261: {
+    subs: [
+      { label: 'Vykort & tryck', terms: ['*vykort', 'serietidning', 'serietidningar', 'affisch', '*affisch', 'poster', 'reklamaffisch'] },
+      { label: 'Skyltar & reklam', terms: ['reklamskylt', 'emaljskylt', 'plåtskylt', '*skylt', 'reklamföremål'] },
+      { label: 'Musik & media', terms: ['grammofon', '*grammofon', 'vinylskiva', 'vinylskivor', 'lp-skiva', 'lp-skivor', 'jukebox', 'flipper', 'radioapparat', 'rörradio', 'skivspelare'] },
+      { label: 'Memorabilia', terms: ['memorabilia', 'autograf', '*autograf', 'signerad av', 'tändare', 'pipa', 'snusdosa', 'tennsoldat', 'tennsoldater'] }
+    ]
+  },
+  270: {
+    subs: [
+      { label: 'Trädgård', terms: ['trädgårds*', 'fontän', 'fågelbad', 'planteringskärl', 'trädgårdsurna'] },
+      { label: 'Byggnadsvård', terms: ['kakelugn', '*kakelugn', 'kakelugnskakel', '*dörr', 'fönsterbåge', 'vedspis', 'eldstad', 'spisinsats', '*räcke', '*grind', 'takpanna', 'bjälke', 'dörrhandtag', 'trappräcke'] }
+    ],
+    weak: ['gjutjärn', 'sandsten', 'kalksten', 'smide', 'smidesjärn']
+  }
+};
+
+// Övrigt — never suggested, and anything confidently placed is better elsewhere
+const FALLBACK_CATEGORY_ID = 43;
+
+// Title position matters: "KARMSTOL, ek, 1900-tal" is a chair whatever the text says later
+const SOURCE_WEIGHTS = { titleHead: 3, title: 2, keywords: 1, description: 1 };
+const KIND_FACTORS = { weak: 0.5, term: 1, strong: 2 };
+
+// A mismatch is reported when the best category scores at least this much…
+const MIN_SCORE = 3;
+// …and this many times the selected category's own score
+const MISMATCH_RATIO = 2;
+
+const SUFFIXES = ['', 's', 'n', 'en', 'et', 'na', 'ns', 'ens', 'ar', 'or', 'er', 'r', 'arna', 'orna', 'erna'];
+
+/**
+ * Inflected forms of a base: "stol" → stolar, stolen …; "lampa" → lampor;
+ * "spegel" → speglar.
+ */
+function inflections(base) {
+  const forms = new Set(SUFFIXES.map(suffix => base + suffix));
+  if (base.endsWith('a')) ['or', 'orna', 'ornas'].forEach(s => forms.add(base.slice(0, -1) + s));
+  if (base.endsWith('el')) ['ar', 'arna', 'n'].forEach(s => forms.add(base.slice(0, -2) + 'l' + s));
+  if (base.endsWith('e')) ['ar', 'arna'].forEach(s => forms.add(base.slice(0, -1) + s));
+  return [...forms];
+}
+
+function buildIndex() {
+  const phrases = [];
+  const words = [];
+  const add = (raw, parentId, sub, kind) => {
+    const mode = raw.startsWith('*') ? 'head' : raw.endsWith('*') ? 'prefix' : 'exact';
+    const base = raw.replace(/^\*|\*$/g, '');
+    const entry = { base, mode, parentId, sub, factor: KIND_FACTORS[kind] };
+    if (/[\s&-]/.test(base)) phrases.push(entry);
+    else words.push({ ...entry, forms: mode === 'prefix' ? [base] : inflections(base) });
+  };
+  for (const [parentId, def] of Object.entries(CATEGORY_TERMS)) {
+    const id = Number(parentId);
+    def.subs?.forEach(sub => sub.terms.forEach(term => add(term, id, sub.label, 'term')));
+    def.brands?.forEach(term => add(term, id, null, 'term'));
+    def.strong?.forEach(term => add(term, id, null, 'strong'));
+    def.weak?.forEach(term => add(term, id, null, 'weak'));
+  }
+  // Longest phrase first so "kosta boda" is consumed before "boda"
+  phrases.sort((a, b) => b.base.length - a.base.length);
+  return { phrases, words };
+}
+
+const INDEX = buildIndex();
+
+function normalize(text) {
+  return (text || '').replace(/<[^>]*>/g, ' ').toLowerCase().replace(/[^\p{L}\d&-]+/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function matchesWord(entry, word) {
+  if (entry.mode === 'prefix') return word.startsWith(entry.base);
+  if (entry.mode === 'exact') return entry.forms.includes(word);
+  // Compound head: "karmstol" ends with "stol"; "pistol" doesn't count (too short a prefix)
+  return entry.forms.some(form => word.endsWith(form) && (word.length === form.length || word.length - form.length >= 3));
+}
+
+/**
+ * Matches in one text: phrases first (and removed), then the longest term
+ * per word (and the longest prefix).
+ * @returns {Array<{ entry: object, word: string }>}
+ */
+function matchText(text) {
+  let remaining = ` ${normalize(text)} `;
+  const hits = [];
+  for (const entry of INDEX.phrases) {
+    const pattern = new RegExp(`(?<![\\p{L}\\d])${escapeRegExp(entry.base)}(?![\\p{L}\\d])`, 'giu');
+    if (!pattern.test(remaining)) continue;
+    hits.push({ entry, word: entry.base });
+    remaining = remaining.replace(pattern, ' ');
+  }
+  for (const word of remaining.split(/[\s-]+/).filter(w => w.length >= 2)) {
+    const candidates = INDEX.words.filter(entry => matchesWord(entry, word));
+    for (const group of [candidates.filter(e => e.mode === 'prefix'), candidates.filter(e => e.mode !== 'prefix')]) {
+      if (group.length === 0) continue;
+      const longest = Math.max(...group.map(e => e.base.length));
+      group.filter(e => e.base.length === longest).forEach(entry => hits.push({ entry, word }));
+    }
+  }
+  return hits;
+}
+
+/**
+ * Most likely category for an item, from the local term table.
+ * @param {object} item — { title, description, keywords } (HTML is stripped)
+ * @returns {{ parentId: number, parentName: string, sub: string|null, score: number,
+ *   confidence: 'high'|'medium'|'low', matched: string[], scores: Object<number, number>,
+ *   alternatives: Array<{ parentId: number, parentName: string, score: number }> } | null}
+ *   null when no term matched
+ */
+export function predictCategory(item) {
+  const title = item.title || '';
+  const commaAt = title.indexOf(',');
+  const sources = [
+    [commaAt === -1 ? title : title.slice(0, commaAt), SOURCE_WEIGHTS.titleHead],
+    [commaAt === -1 ? '' : title.slice(commaAt + 1), SOURCE_WEIGHTS.title],
+    [item.keywords, SOURCE_WEIGHTS.keywords],
+    [item.description, SOURCE_WEIGHTS.description]
+  ];
+
+  // Each term counts once, at the best position it appears in
+  const best = new Map();
+  for (const [text, weight] of sources) {
+    for (const { entry, word } of matchText(text)) {
+      const points = weight * entry.factor;
+      const key = `${entry.parentId}|${entry.base}`;
+      if ((best.get(key)?.points || 0) < points) best.set(key, { entry, word, points });
+    }
+  }
+  if (best.size === 0) return null;
+
+  const scores = {};
+  const subScores = {};
+  for (const { entry, points } of best.values()) {
+    scores[entry.parentId] = (scores[entry.parentId] || 0) + points;
+    if (entry.sub) {
+      const key = `${entry.parentId}|${entry.sub}`;
+      subScores[key] = (subScores[key] || 0) + points;
+    }
+  }
+
+  const ranked = Object.entries(scores).map(([id, score]) => ({ parentId: Number(id), score })).sort((a, b) => b.score - a.score);
+  const [top, second] = ranked;
+  const secondScore = second?.score || 0;
+  const confidence = top.score >= 2 * MIN_SCORE && top.score >= 2 * secondScore ? 'high'
+    : top.score >= MIN_SCORE && top.score >= 1.5 * secondScore ? 'medium' : 'low';
+
+  const sub = Object.entries(subScores)
+    .filter(([key]) => key.startsWith(`${top.parentId}|`))
+    .sort((a, b) => b[1] - a[1])[0]?.[0].split('|')[1] || null;
+
+  const matched = [...best.values()]
+    .filter(hit => hit.entry.parentId === top.parentId)
+    .sort((a, b) => b.points - a.points)
+    .map(hit => hit.word);
+
+  return {
+    parentId: top.parentId,
+    parentName: getCategoryName(top.parentId),
+    sub,
+    score: top.score,
+    confidence,
+    matched: [...new Set(matched)],
+    scores,
+    alternatives: ranked.slice(1, 4).map(r => ({ parentId: r.parentId, parentName: getCategoryName(r.parentId), score: r.score }))
+  };
+}
+
+/**
+ * "Möbler › Stolar & fåtöljer"
+ */
+export function describePrediction(prediction) {
+  return prediction.sub && prediction.sub !== prediction.parentName
+    ? `${prediction.parentName} › ${prediction.sub}`
+    : prediction.parentName;
+}
+
+/**
+ * Does the selected category disagree with what the text describes?
+ * Only confident predictions count, and the selected category must score
+ * well below the predicted one, so related categories (Allmoge/Möbler,
+ * Silver/Smycken) don't trip it.
+ * @param {object} item — { title, description, keywords }
+ * @param {number|string} categoryId — the selected (sub)category id
+ * @returns {object|null} the prediction plus selectedId, selectedParentId, selectedName
+ */
+export function checkCategoryMismatch(item, categoryId) {
+  const selectedId = Number(categoryId);
+  if (!selectedId) return null;
+  const selectedParentId = getParentCategoryId(selectedId);
+  if (!PARENT_CATEGORY_IDS.includes(selectedParentId)) return null;
+
+  const prediction = predictCategory(item);
+  if (!prediction || prediction.confidence === 'low' || prediction.parentId === selectedParentId) return null;
+  if (selectedParentId !== FALLBACK_CATEGORY_ID && (prediction.scores[selectedParentId] || 0) * MISMATCH_RATIO > prediction.score) return null;
+
+  return { ...prediction, selectedId, selectedParentId, selectedName: getCategoryName(selectedId) };
+}
+
+/**
+ * The category select option that fits a prediction best: an option under
+ * the predicted parent whose text names the subcategory's terms.
+ * @param {Array<{ value: string, text: string }>} options — the page's category options
+ * @returns {{ value: string, text: string } | null}
+ */
+export function findCategoryOption(options, prediction) {
+  const candidates = options.filter(o => Number(o.value) && getParentCategoryId(Number(o.value)) === prediction.parentId);
+  if (candidates.length <= 1) return candidates[0] || null;
+
+  const subTerms = CATEGORY_TERMS[prediction.parentId]?.subs?.find(s => s.label === prediction.sub)?.terms || [];
+  const hints = [...subTerms.map(t => t.replace(/^\*|\*$/g, '')), ...(prediction.sub || '').toLowerCase().split(/[\s&,]+/)]
+    .filter(h => h.length >= 3)
+    // "stolar" in the option text should match the term "stol"
+    .map(h => h.length > 5 ? h.slice(0, -1) : h);
+  const scored = candidates
+    .map(option => ({ option, hits: hints.filter(h => option.text.toLowerCase().includes(h)).length }))
+    .sort((a, b) => b.hits - a.hits);
+  return scored[0].hits > 0 ? scored[0].option : null;
+}
+
+/**
+ * Ask the AI to pick the category when the local terms are inconclusive.
+ * Content scripts only (goes through the background AI queue).
+ * @param {object} item — { title, description, keywords }
+ * @param {Array<{ value: string, text: string }>} options — the page's category options
+ * @returns {Promise<{ option: { value: string, text: string }, reason: string } | null>}
+ */
+export async function predictCategoryWithAI(item, options) {
+  const choices = options.filter(o => Number(o.value));
+  if (choices.length === 0) return null;
+
+  const prompt = `Välj den Auctionet-kategori som passar föremålet bäst.
+
+TITEL: ${item.title || ''}
+BESKRIVNING: ${normalize(item.description).slice(0, 800)}
+SÖKORD: ${item.keywords || ''}
+
+KATEGORIER (id: namn):
+${choices.map(o => `${o.value}: ${o.text.trim()}`).join('\n')}
+
+Svara ENDAST med JSON: {"id":"123","reason":"kort motivering på svenska"}`;
+
+  try {
+    const response = await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        type: 'anthropic-fetch',
+        feature: 'category-prediction',
+        body: {
+          model: 'claude-haiku-4-5',
+          max_tokens: 150,
+          temperature: 0,
+          system: 'Du kategoriserar föremål för en svensk auktionssajt. Svara ALLTID med valid JSON.',
+          messages: [{ role: 'user', content: prompt }]
+        }
+      }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response?.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response?.error || 'Category prediction AI call failed'));
+        }
+      });
+    });
+
+    const jsonMatch = response.data?.content?.[0]?.text?.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+    const result = JSON.parse(jsonMatch[0]);
+    const option = choices.find(o => o.value === String(result.id));
+    return option ? { option, reason: result.reason || '' } : null;
+  } catch (error) {
+    console.warn('[CategoryClassifier] AI prediction failed:', error.message);
+    return null;
+  }
+}
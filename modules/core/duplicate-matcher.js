@@ -0,0 +1,131 @@
+/**
+ * Duplicate Matcher - SSoT Component
+ * Scores how likely two catalog entries describe the same object: title and
+ * description word overlap (rare words such as a designer's name weigh more
+ * than "vas" or "glas") plus perceptual image hashes. Used by the item index
+ * in the background (item-index-bg.js) for the "Möjlig dubblett" warning.
+ */
+
+// Words that say nothing about which object it is
+const STOPWORDS = new Set([
+  'och', 'med', 'samt', 'på', 'av', 'i', 'en', 'ett', 'st', 'ca', 'cirka', 'cm', 'mm', 'höjd', 'bredd', 'djup',
+  'längd', 'diameter', 'signerad', 'märkt', 'stämplad', 'tal', 'talets', 'del', 'hälft', 'sverige', 'svensk'
+]);
+
+// Reported at or above this score
+export const DUPLICATE_THRESHOLD = 0.6;
+
+// dHash bits (of 64) that may differ: re-shot or recropped photo / same photo
+const IMAGE_SIMILAR_BITS = 10;
+const IMAGE_SAME_BITS = 4;
+
+// A text-only match must share at least this many words, so two "VAS, glas" aren't duplicates
+const MIN_SHARED_WORDS = 3;
+
+/**
+ * "4894862. VAS, glas, Orrefors, 1950-tal." → ['vas', 'glas', 'orrefors', '1950-tal']
+ */
+export function tokenize(text) {
+  const words = (text || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/^\s*\d+\.\s*/, '')
+    .toLowerCase()
+    .split(/[^\p{L}\d-]+/u)
+    .map(w => w.replace(/^-+|-+$/g, ''))
+    .filter(w => w.length >= 2 && !STOPWORDS.has(w));
+  return [...new Set(words)];
+}
+
+/**
+ * Word weights for an index: rare words weigh more (inverse document frequency).
+ * @param {Array<{ titleWords: string[] }>} entries
+ * @returns {(word: string) => number}
+ */
+export function buildWordWeights(entries) {
+  const df = new Map();
+  for (const entry of entries) {
+    for (const word of entry.titleWords) df.set(word, (df.get(word) || 0) + 1);
+  }
+  const total = entries.length + 1;
+  return word => Math.log(1 + total / ((df.get(word) || 0) + 1));
+}
+
+/**
+ * Weighted Dice coefficient of two word sets, 0–1.
+ */
+function overlap(a, b, weight) {
+  if (a.length === 0 || b.length === 0) return { score: 0, shared: [] };
+  const setB = new Set(b);
+  const shared = a.filter(w => setB.has(w));
+  const sum = words => words.reduce((total, w) => total + weight(w), 0);
+  return { score: (2 * sum(shared)) / (sum(a) + sum(b)), shared };
+}
+
+/**
+ * Hamming distance between two 64-bit hashes as 16 hex digits.
+ */
+export function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (x) {
+      distance += x & 1;
+      x >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * dHash of 9×8 greyscale pixels (RGBA, row by row): one bit per pixel that is
+ * brighter than its right neighbour.
+ * @param {Uint8ClampedArray} rgba — 9 * 8 * 4 values
+ * @returns {string} 16 hex digits
+ */
+export function differenceHash(rgba) {
+  const grey = i => 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+  let hex = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      byte = (byte << 1) | (grey(row * 9 + col) > grey(row * 9 + col + 1) ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * How likely an index entry is the same object as the item being cataloged.
+ * @param {object} query — { titleWords, descriptionWords, imageHashes: string[], sellerId }
+ * @param {object} entry — index entry { titleWords, descriptionWords, imageHash, sellerId }
+ * @param {(word: string) => number} weight — from buildWordWeights()
+ * @returns {{ score: number, reasons: string[] }}
+ */
+export function scoreDuplicate(query, entry, weight) {
+  const title = overlap(query.titleWords, entry.titleWords, weight);
+  const description = query.descriptionWords.length >= 5 && entry.descriptionWords.length >= 5
+    ? overlap(query.descriptionWords, entry.descriptionWords, weight)
+    : null;
+  const textScore = description ? 0.7 * title.score + 0.3 * description.score : title.score;
+  const imageDistance = Math.min(...query.imageHashes.map(hash => hammingDistance(hash, entry.imageHash)));
+
+  const reasons = [];
+  let score = title.shared.length >= MIN_SHARED_WORDS ? textScore : 0;
+  if (imageDistance <= IMAGE_SAME_BITS) {
+    score = Math.max(score, 0.9);
+    reasons.push('samma bild');
+  } else if (imageDistance <= IMAGE_SIMILAR_BITS && textScore >= 0.3) {
+    score = Math.max(score, 0.8);
+    reasons.push('liknande bild');
+  }
+  if (score === 0) return { score: 0, reasons: [] };
+
+  if (title.shared.length > 0) reasons.unshift(`titel ${Math.round(title.score * 100)} %`);
+  if (query.sellerId && entry.sellerId && String(query.sellerId) === String(entry.sellerId)) {
+    score = Math.min(1, score + 0.1);
+    reasons.push('samma säljare');
+  }
+  return { score, reasons };
+}
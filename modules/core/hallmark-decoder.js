@@ -0,0 +1,197 @@
+/**
+ * Hallmark Decoder - SSoT Component
+ * Decodes Swedish date letters (årsbokstäver), town marks and well-known
+ * Swedish and Nordic maker marks quoted in a description
+ * ("stämplad GAB, Stockholm, G8") into a year, town and maker, and suggests
+ * the period wording for the title. Used by the period rules in
+ * quality-rules.js and by Enhance All.
+ */
+
+// The national series: 24 letters (no J, W, Å, Ä, Ö), one per year
+const DATE_LETTERS = 'ABCDEFGHIKLMNOPQRSTUVXYZ';
+
+// First year of each cycle. Cycle 1 (1759–1782) has no number after the letter;
+// later cycles add 2, 3 … 10. Marking became voluntary in 1999.
+const FIRST_CYCLE_YEAR = 1759;
+const LAST_CYCLE = 10;
+
+export const SWEDISH_TOWN_MARKS = [
+  { town: 'Stockholm', aliases: ['stockholm', 's:t eriks huvud', 'sankt eriks huvud', 'st eriks huvud'] },
+  { town: 'Göteborg', aliases: ['göteborg', 'götheborg'] },
+  { town: 'Malmö', aliases: ['malmö'] },
+  { town: 'Uppsala', aliases: ['uppsala', 'upsala'] },
+  { town: 'Eskilstuna', aliases: ['eskilstuna'] },
+  { town: 'Norrköping', aliases: ['norrköping'] },
+  { town: 'Linköping', aliases: ['linköping'] },
+  { town: 'Lund', aliases: ['lund'] },
+  { town: 'Kalmar', aliases: ['kalmar'] },
+  { town: 'Karlskrona', aliases: ['karlskrona'] },
+  { town: 'Kristianstad', aliases: ['kristianstad', 'christianstad'] },
+  { town: 'Helsingborg', aliases: ['helsingborg'] },
+  { town: 'Ystad', aliases: ['ystad'] },
+  { town: 'Jönköping', aliases: ['jönköping'] },
+  { town: 'Örebro', aliases: ['örebro'] },
+  { town: 'Västerås', aliases: ['västerås'] },
+  { town: 'Gävle', aliases: ['gävle', 'gefle'] },
+  { town: 'Falun', aliases: ['falun'] },
+  { town: 'Karlstad', aliases: ['karlstad', 'carlstad'] },
+  { town: 'Visby', aliases: ['visby'] },
+  { town: 'Växjö', aliases: ['växjö'] },
+  { town: 'Sundsvall', aliases: ['sundsvall'] },
+  { town: 'Härnösand', aliases: ['härnösand'] },
+  { town: 'Uddevalla', aliases: ['uddevalla'] },
+  { town: 'Landskrona', aliases: ['landskrona'] },
+  { town: 'Mora', aliases: ['mora'] },
+  // Nordic
+  { town: 'Köpenhamn', country: 'Danmark', aliases: ['köpenhamn', 'københavn', 'copenhagen'] },
+  { town: 'Oslo', country: 'Norge', aliases: ['oslo', 'kristiania', 'christiania'] },
+  { town: 'Bergen', country: 'Norge', aliases: ['bergen'] },
+  { town: 'Helsingfors', country: 'Finland', aliases: ['helsingfors', 'helsinki'] },
+  { town: 'Åbo', country: 'Finland', aliases: ['åbo', 'turku'] }
+];
+
+// `founded` is used to question date letters that predate the firm
+export const MAKER_MARKS = [
+  { name: 'GAB', marks: ['gab', 'guldsmedsaktiebolaget', 'guldsmedsaktiebolag'], town: 'Stockholm', founded: 1867 },
+  { name: 'C.G. Hallberg', marks: ['cgh', 'c.g. hallberg', 'cg hallberg', 'c g hallberg', 'hallbergs'], town: 'Stockholm', founded: 1860 },
+  { name: 'W.A. Bolin', marks: ['w.a. bolin', 'wa bolin', 'bolin'], town: 'Stockholm', founded: 1916 },
+  { name: 'Atelier Borgila', marks: ['atelier borgila', 'borgila'], town: 'Stockholm', founded: 1921 },
+  { name: 'K. Anderson', marks: ['k. anderson', 'k anderson'], town: 'Stockholm' },
+  { name: 'Sporrong', marks: ['sporrong'], town: 'Stockholm' },
+  { name: 'Wiwen Nilsson', marks: ['wiwen nilsson'], town: 'Lund' },
+  { name: 'Guldsmedshyttan', marks: ['guldsmedshyttan', 'ghab'] },
+  { name: 'Georg Jensen', marks: ['georg jensen'], town: 'Köpenhamn', founded: 1904 },
+  { name: 'A. Michelsen', marks: ['a. michelsen', 'a michelsen'], town: 'Köpenhamn', founded: 1841 },
+  { name: 'Evald Nielsen', marks: ['evald nielsen'], town: 'Köpenhamn', founded: 1905 },
+  { name: 'Hans Hansen', marks: ['hans hansen'], town: 'Kolding', founded: 1906 },
+  { name: 'Cohr', marks: ['cohr'], town: 'Fredericia', founded: 1860 },
+  { name: 'David-Andersen', marks: ['david-andersen', 'david andersen'], town: 'Oslo', founded: 1876 },
+  { name: 'J. Tostrup', marks: ['j. tostrup', 'tostrup'], town: 'Oslo', founded: 1832 },
+  { name: 'Kalevala Koru', marks: ['kalevala koru', 'kalevala'], town: 'Helsingfors', founded: 1937 },
+  { name: 'Lapponia', marks: ['lapponia'], town: 'Helsingfors', founded: 1960 }
+];
+
+// A text only counts as quoting hallmarks when it talks about marks or hallmarked metal
+const HALLMARK_CONTEXT = /(stämpl|stämpel|årsbokstav|kontrollstämpel|silver|guld|tenn)/i;
+
+// Swedish date letters are only struck on silver, gold and tin — "G8" on a glass or print is something else
+export const HALLMARK_CATEGORIES = ['silver', 'guld', 'tenn', 'smycke'];
+
+export function isHallmarkCategory(category) {
+  const lower = (category || '').toLowerCase();
+  return HALLMARK_CATEGORIES.some(c => lower.includes(c));
+}
+
+const DATE_LETTER_PATTERN = /(?<![\p{L}\d])([A-IK-VX-Z])\s?(10|[2-9])(?![\p{L}\d])/gu;
+const SINGLE_LETTER_PATTERN = /årsbokstav(?:en)?\s*:?\s*([A-IK-VX-Z])(?![\p{L}\d])/iu;
+
+/**
+ * Year of a Swedish date letter: "G8" → 1933, "A" (cycle 1) → 1759.
+ * @returns {number|null}
+ */
+export function decodeDateLetter(letter, cycle = 1) {
+  const index = DATE_LETTERS.indexOf(letter.toUpperCase());
+  if (index === -1 || cycle < 1 || cycle > LAST_CYCLE) return null;
+  return FIRST_CYCLE_YEAR + (cycle - 1) * DATE_LETTERS.length + index;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function findAlias(lower, aliases) {
+  return aliases.find(alias => new RegExp(`(?<![\\p{L}])${escapeRegExp(alias)}(?![\\p{L}])`, 'iu').test(lower));
+}
+
+/**
+ * Hallmarks quoted in a text.
+ * @param {string} text — usually the description (plain text or HTML)
+ * @returns {{ dateLetters: Array<{ token: string, year: number }>, year: number|null,
+ *   town: object|null, maker: object|null, notes: string[] }}
+ */
+export function parseHallmarks(text) {
+  const plain = (text || '').replace(/<[^>]*>/g, ' ');
+  const empty = { dateLetters: [], year: null, town: null, maker: null, notes: [] };
+  if (!HALLMARK_CONTEXT.test(plain)) return empty;
+
+  const dateLetters = [];
+  for (const match of plain.matchAll(DATE_LETTER_PATTERN)) {
+    const year = decodeDateLetter(match[1], Number(match[2]));
+    if (year) dateLetters.push({ token: `${match[1]}${match[2]}`, year });
+  }
+  const single = plain.match(SINGLE_LETTER_PATTERN);
+  if (single && dateLetters.length === 0) {
+    dateLetters.push({ token: single[1].toUpperCase(), year: decodeDateLetter(single[1], 1) });
+  }
+
+  const lower = plain.toLowerCase();
+  const townEntry = SWEDISH_TOWN_MARKS.find(entry => findAlias(lower, entry.aliases));
+  const makerEntry = MAKER_MARKS.find(entry => findAlias(lower, entry.marks));
+
+  const years = [...new Set(dateLetters.map(d => d.year))];
+  const notes = [];
+  if (years.length > 1) notes.push(`Flera årsbokstäver (${dateLetters.map(d => `${d.token} = ${d.year}`).join(', ')}) — ange intervall eller kontrollera`);
+  const year = years.length === 1 ? years[0] : null;
+  if (year && makerEntry?.founded && year < makerEntry.founded) {
+    notes.push(`${makerEntry.name} grundades ${makerEntry.founded} — kontrollera årsbokstaven`);
+  }
+  if (year && townEntry?.country) {
+    notes.push(`Årsbokstäverna gäller svenska stämplar — ${townEntry.town} (${townEntry.country}) har egen märkning`);
+  }
+
+  return {
+    dateLetters,
+    year,
+    town: townEntry ? { name: townEntry.town, country: townEntry.country || 'Sverige' } : null,
+    maker: makerEntry ? { name: makerEntry.name, town: makerEntry.town || null, founded: makerEntry.founded || null } : null,
+    notes
+  };
+}
+
+/**
+ * Period wording for the title: "GAB, Stockholm 1933", or the decade
+ * when several letters span more than one year.
+ * @param {object} hallmarks — from parseHallmarks()
+ * @returns {string|null}
+ */
+export function suggestPeriod(hallmarks) {
+  let period = null;
+  if (hallmarks.year) {
+    period = String(hallmarks.year);
+  } else if (hallmarks.dateLetters.length > 1) {
+    const years = hallmarks.dateLetters.map(d => d.year);
+    const [from, to] = [Math.min(...years), Math.max(...years)];
+    period = Math.floor(from / 10) === Math.floor(to / 10) ? `${Math.floor(from / 10)}0-tal` : `${from}–${to}`;
+  }
+  if (!period) return null;
+
+  const parts = [];
+  if (hallmarks.maker) parts.push(hallmarks.maker.name);
+  parts.push(hallmarks.town ? `${hallmarks.town.name} ${period}` : period);
+  return parts.join(', ');
+}
+
+// "1933", "1930-tal", "1800-talets senare hälft" — not "1200 g" or "1500 kr"
+const PERIOD_PATTERN = /(?<![\d,.])(1[5-9]|20)(\d{2})(-tal\p{L}*)?(?!\d|[,.]\d|\s*(?:g|gram|kg|mm|cm|m|kr|sek|st)(?![\p{L}]))/giu;
+
+/**
+ * Periods written in a text.
+ * @returns {Array<{ text: string, from: number, to: number }>} `to` inclusive
+ */
+export function findPeriods(text) {
+  return [...(text || '').matchAll(PERIOD_PATTERN)].map(([match, century, rest, decadeSuffix]) => {
+    const from = Number(century + rest);
+    if (!decadeSuffix) return { text: match, from, to: from };
+    return { text: match, from, to: from + (rest === '00' ? 99 : 9) };
+  });
+}
+
+/**
+ * Does any period in the text ("1930-tal", "1933", "1900-talets första hälft") cover the year?
+ * @returns {boolean|null} null when the text has no period at all
+ */
+export function periodCoversYear(text, year) {
+  const periods = findPeriods(text);
+  if (periods.length === 0) return null;
+  return periods.some(period => year >= period.from && year <= period.to);
+}
@@ -0,0 +1,256 @@
+/**
+ * Measurement Parser - SSoT Component
+ * Turns free-text dimensions ("höjd 32, diam ca 14,5cm", "45x78 cm, ram 50 x 60")
+ * into structured values, writes them back in the Auctionet format
+ * ("Höjd 32, diameter ca 14,5 cm" — unit only after the last measurement)
+ * and flags values that are implausible for the category.
+ * Pure functions, no DOM access.
+ */
+
+export const DIMENSION_LABELS = {
+  height: 'Höjd',
+  width: 'Bredd',
+  depth: 'Djup',
+  diameter: 'Diameter',
+  length: 'Längd',
+  size: 'Mått',
+  frame: 'Ram'
+};
+
+const LABEL_TYPES = [
+  [/^(höjden|höjd|h)$/, 'height'],
+  [/^(bredden|bredd|bred|b)$/, 'width'],
+  [/^(djupet|djup|d)$/, 'depth'],
+  [/^(diametern|diameter|diam|ø)$/, 'diameter'],
+  [/^(längden|längd|l)$/, 'length']
+];
+
+const NUM = '\\d+(?:[.,]\\d+)?';
+const APPROX = '(?:ca\\.?|cirka|c:a|ungefär)';
+const UNIT = '(mm|cm|m)(?![\\p{L}])';
+
+// "Höjd 32 cm", "diam. ca 14,5cm", "H 8–27"
+const LABELED_PATTERN = new RegExp(
+  `(?<![\\p{L}])(höjden|höjd|h|bredden|bredd|bred|b|djupet|djup|d|diametern|diameter|diam|ø)\\.?\\s*:?\\s*` +
+  `(?:(${APPROX})\\s*)?(${NUM})(?:\\s*[-–]\\s*(${NUM}))?(?:\\s*${UNIT})?`,
+  'giu'
+);
+const LENGTH_PATTERN = new RegExp(
+  `(?<![\\p{L}])(längden|längd|l)\\.?\\s*:?\\s*(?:(${APPROX})\\s*)?(${NUM})(?:\\s*[-–]\\s*(${NUM}))?(?:\\s*${UNIT})?`,
+  'giu'
+);
+
+// "45 x 78 cm", "Ram 50 x 60", "Mått: ca 40 × 30 × 20 cm"
+const CROSS_PATTERN = new RegExp(
+  `(?:(?<![\\p{L}])(ramens mått|rammått|med ram|ram|bildyta|bladstorlek|mått)\\s*:?\\s*)?(?:(${APPROX})\\s*)?` +
+  `(${NUM})\\s*(?:mm|cm)?\\s*[x×]\\s*(${NUM})(?:\\s*(?:mm|cm)?\\s*[x×]\\s*(${NUM}))?(?:\\s*${UNIT})?`,
+  'giu'
+);
+
+// Separators allowed between the parts of one measurement statement
+const RUN_GAP = /^\s*[,;]?\s*(?:(?:och|samt)\s+)?$/i;
+
+const UNIT_IN_CM = { mm: 0.1, cm: 1, m: 100 };
+
+// Plausible size (cm) of the largest dimension per category keyword; first match wins
+const PLAUSIBLE_RANGES = [
+  { categories: ['armbandsur', 'fickur'], label: 'ur', max: 8 },
+  { categories: ['ringar'], label: 'ringar', max: 5 },
+  { categories: ['smycke'], label: 'smycken', max: 120 },
+  { categories: ['matta', 'mattor'], label: 'mattor', min: 20, max: 1500 },
+  { categories: ['möbler'], label: 'möbler', min: 5, max: 500 },
+  { categories: ['glas', 'porslin', 'keramik'], label: 'glas och keramik', max: 150 },
+  { categories: ['silver'], label: 'silver', max: 150 },
+  { categories: ['konst', 'måleri', 'grafik', 'tavl'], label: 'konst', min: 1, max: 600 }
+];
+
+const ABSOLUTE_MAX_CM = 2000;
+
+function parseNumber(s) {
+  return s ? parseFloat(s.replace(',', '.')) : null;
+}
+
+export function formatNumber(n) {
+  return String(Number(n.toFixed(2))).replace('.', ',');
+}
+
+function labelType(label) {
+  const lower = label.toLowerCase();
+  return LABEL_TYPES.find(([pattern]) => pattern.test(lower))?.[1] || null;
+}
+
+function collectAtoms(text) {
+  const atoms = [];
+  for (const pattern of [LABELED_PATTERN, LENGTH_PATTERN]) {
+    for (const m of text.matchAll(pattern)) {
+      atoms.push({
+        start: m.index, end: m.index + m[0].length,
+        type: labelType(m[1]), values: [parseNumber(m[3])], max: parseNumber(m[4]),
+        unit: m[5]?.toLowerCase() || null, approx: !!m[2], abbreviated: m[1].length === 1
+      });
+    }
+  }
+  for (const m of text.matchAll(CROSS_PATTERN)) {
+    // Without a label or unit "2 x 3" is more likely a count than a size
+    if (!m[1] && !m[6]) continue;
+    const label = (m[1] || '').toLowerCase();
+    atoms.push({
+      start: m.index, end: m.index + m[0].length,
+      type: label.includes('ram') ? 'frame' : 'size',
+      label: label || null,
+      values: [m[3], m[4], m[5]].filter(Boolean).map(parseNumber), max: null,
+      unit: m[6]?.toLowerCase() || null, approx: !!m[2]
+    });
+  }
+
+  atoms.sort((a, b) => a.start - b.start || b.end - a.end);
+  return atoms.filter((atom, i) => !atoms.slice(0, i).some(prev => atom.start < prev.end));
+}
+
+function toDimension(atom, unit, unitGuessed) {
+  const factor = UNIT_IN_CM[unit];
+  return {
+    type: atom.type,
+    label: atom.label || null,
+    values: atom.values,
+    max: atom.max,
+    unit,
+    approx: atom.approx,
+    unitGuessed,
+    valuesCm: atom.values.map(v => v * factor),
+    maxCm: atom.max === null ? null : atom.max * factor
+  };
+}
+
+/**
+ * Parse every measurement statement in a text.
+ * A part without its own unit takes the unit of the next part in the same
+ * statement ("Längd 84, bredd 47, höjd 92 cm"), else the previous one, else cm.
+ * @param {string} text — plain text or HTML
+ * @returns {{ dimensions: Array<object>, runs: Array<{ start: number, end: number, dimensions: Array<object> }> }}
+ *   dimension = { type, label, values, max, unit, approx, unitGuessed, valuesCm, maxCm };
+ *   `values` has one entry, or 2–3 for 'size' / 'frame' ("45 x 78"); `label` is the
+ *   source's own wording for those ("bildyta", "bladstorlek", "med ram"), else null
+ */
+export function parseMeasurements(text) {
+  const plain = (text || '').replace(/<[^>]*>/g, ' ');
+  const atoms = collectAtoms(plain);
+
+  const groups = [];
+  for (const atom of atoms) {
+    const last = groups[groups.length - 1];
+    if (last && RUN_GAP.test(plain.slice(last[last.length - 1].end, atom.start))) last.push(atom);
+    else groups.push([atom]);
+  }
+
+  const runs = groups
+    // "H. 1890" in a signature is not a height: one-letter labels need a unit in the statement
+    .map(group => group.some(a => a.unit) ? group : group.filter(a => !a.abbreviated))
+    .filter(group => group.length)
+    .map(group => {
+      const dimensions = group.map((atom, i) => {
+        if (atom.unit) return toDimension(atom, atom.unit, false);
+        const inherited = group.slice(i + 1).find(a => a.unit)?.unit
+          || group.slice(0, i).reverse().find(a => a.unit)?.unit;
+        return toDimension(atom, inherited || 'cm', !inherited);
+      });
+      return { start: group[0].start, end: group[group.length - 1].end, dimensions };
+    });
+
+  return { dimensions: runs.flatMap(run => run.dimensions), runs };
+}
+
+/**
+ * Write dimensions in the Auctionet format: "Höjd 32, diameter ca 14,5 cm",
+ * "Höjd 8–27 cm", "45 x 78 cm, ram 50 x 60 cm". A "45 x 78" size keeps the
+ * label it was written with ("Bildyta", "bladstorlek"). Metres become centimetres,
+ * and mixed units are converted to cm. The unit is written once at the end
+ * unless a "45 x 78" size is part of the statement.
+ * @param {Array<object>} dimensions — from parseMeasurements()
+ * @param {object} [options] — { capitalize: true }
+ */
+export function formatDimensions(dimensions, { capitalize = true } = {}) {
+  if (!dimensions.length) return '';
+  const units = new Set(dimensions.map(d => d.unit === 'm' ? 'cm' : d.unit));
+  const unit = units.size === 1 ? [...units][0] : 'cm';
+  const inUnit = value => formatNumber(value / UNIT_IN_CM[unit]);
+  const hasCross = dimensions.some(d => d.values.length > 1);
+
+  const parts = dimensions.map((d, i) => {
+    const cm = d.valuesCm;
+    const approx = d.approx ? 'ca ' : '';
+    let label = d.label || (d.type === 'size' ? '' : DIMENSION_LABELS[d.type]);
+    if (label) label = i === 0 && capitalize ? label[0].toUpperCase() + label.slice(1) : label.toLowerCase();
+    const value = cm.map(inUnit).join(' x ') + (d.maxCm === null ? '' : `–${inUnit(d.maxCm)}`);
+    const part = `${label ? label + ' ' : ''}${approx}${value}`;
+    return hasCross ? `${part} ${unit}` : part;
+  });
+
+  return hasCross ? parts.join(', ') : `${parts.join(', ')} ${unit}`;
+}
+
+/**
+ * Rewrite every measurement statement in a text in the Auctionet format,
+ * leaving the rest of the text untouched.
+ * @returns {{ text: string, dimensions: Array<object> }}
+ */
+export function normalizeMeasurements(text) {
+  if (!text || /<[^>]*>/.test(text)) return { text: text || '', dimensions: parseMeasurements(text).dimensions };
+  const { runs, dimensions } = parseMeasurements(text);
+  let result = text;
+  for (const run of [...runs].reverse()) {
+    const before = result.slice(0, run.start).trimEnd();
+    const sentenceStart = before === '' || /[.!?:\n]$/.test(before);
+    result = result.slice(0, run.start) + formatDimensions(run.dimensions, { capitalize: sentenceStart }) + result.slice(run.end);
+  }
+  return { text: result, dimensions };
+}
+
+/**
+ * Values that are unlikely for the category — usually a mm/cm mix-up or a typo.
+ * @param {Array<object>} dimensions — from parseMeasurements()
+ * @param {string} [category] — category name as shown on the edit page
+ * @returns {Array<{ type: string, text: string, message: string }>}
+ */
+export function checkPlausibility(dimensions, category = '') {
+  const lower = category.toLowerCase();
+  const range = PLAUSIBLE_RANGES.find(r => r.categories.some(c => lower.includes(c)));
+  const problems = [];
+
+  for (const d of dimensions) {
+    const text = formatDimensions([d]);
+    const all = d.maxCm === null ? d.valuesCm : [...d.valuesCm, d.maxCm];
+    const largest = Math.max(...all);
+    if (all.some(v => v <= 0)) {
+      problems.push({ type: d.type, text, message: `${text}: mått kan inte vara 0` });
+    } else if (d.maxCm !== null && d.maxCm < d.valuesCm[0]) {
+      problems.push({ type: d.type, text, message: `${text}: intervallet är omvänt` });
+    } else if (largest > ABSOLUTE_MAX_CM) {
+      problems.push({ type: d.type, text, message: `${text} verkar orimligt — kontrollera siffror och enhet` });
+    } else if (range && (largest > range.max || (range.min && largest < range.min))) {
+      problems.push({ type: d.type, text, message: `${text} verkar orimligt för ${range.label} — kontrollera siffror och enhet (mm/cm)` });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Outer size in cm, largest first, for size classes and shipping estimates.
+ * A diameter counts for both width and depth; a frame wins over the image size.
+ * @returns {{ length: number, width: number, height: number } | null}
+ */
+export function boundingBoxCm(dimensions) {
+  const largest = type => {
+    const values = dimensions.filter(d => d.type === type).flatMap(d => d.maxCm === null ? d.valuesCm : [d.maxCm]);
+    return values.length ? Math.max(...values) : null;
+  };
+  const cross = dimensions.find(d => d.type === 'frame') || dimensions.find(d => d.type === 'size');
+  const sides = cross
+    ? [...cross.valuesCm]
+    : [largest('length'), largest('width') ?? largest('diameter'), largest('depth') ?? largest('diameter'), largest('height')]
+      .filter(v => v !== null);
+  if (!sides.length) return null;
+
+  sides.sort((a, b) => b - a);
+  return { length: sides[0], width: sides[1] ?? 0, height: sides[2] ?? 0 };
+}
@@ -0,0 +1,191 @@
+/**
+ * Precious Metal - SSoT Component
+ * Reads gram weights and fineness (830, 925, 18K/750, "lödigt", "sterling")
+ * out of title/description and estimates the melt value from the house's
+ * metal price table (chrome.storage.local 'metalPrices', edited in the popup).
+ * Used by the edit page rules (reserve below metal value, AML) and the
+ * market analysis dashboard.
+ */
+
+export const METAL_PRICES_KEY = 'metalPrices';
+
+// SEK per gram of fine metal. Reference values only — the house keeps its own in the popup.
+export const DEFAULT_METAL_PRICES = {
+  silver: 15,
+  gold: 1200,
+  platinum: 480,
+  updated: '2026-10-01'
+};
+
+export const METAL_LABELS = { silver: 'silver', gold: 'guld', platinum: 'platina' };
+
+// Prices older than this are flagged next to the value
+export const STALE_PRICE_DAYS = 30;
+
+const KARAT_FINENESS = { 8: 333, 9: 375, 10: 417, 14: 585, 18: 750, 20: 833, 21: 875, 22: 916, 23: 958, 24: 999 };
+
+const STAMP_FINENESS = {
+  silver: [999, 958, 950, 935, 925, 900, 875, 835, 833, 830, 826, 813, 800],
+  gold: [999, 986, 958, 916, 900, 875, 833, 750, 585, 583, 417, 375, 333],
+  platinum: [999, 950, 900, 850]
+};
+
+// Not precious metal, even though the words contain "silver"/"guld"
+const NON_PRECIOUS = /(?<![\p{L}])(nysilver|alpacka|silverplät|plätering|pläterad|pläterat|förgylld|förgyllt|förgyllda|guldfärgad|guldfärgat|gulddoublé|doublé|dublé|double|silverfärgad|epns|ep|gilt|vermeil)(?![\p{L}])/giu;
+
+const METAL_WORDS = [
+  ['platinum', /(?<![\p{L}])(platina|platinum|pt\s?950)(?![\p{L}])/iu],
+  ['gold', /(?<![\p{L}])(guld|vitguld|rödguld|gulguld|roséguld|gold)(?![\p{L}])/iu],
+  ['silver', /(?<![\p{L}])(silver|sterlingsilver|sterling|lödigt|silvret)(?![\p{L}])/iu]
+];
+
+// Filled (weighted) bases — the weight is mostly pitch or plaster
+const WEIGHTED = /(?<![\p{L}])(fylld|fyllda|fyllt|belastad|belastade|fylld fot|fyllda fötter)(?![\p{L}])/iu;
+
+const WEIGHT_PATTERN = /(?<![\p{L}])(?:(bruttovikt|nettovikt|totalvikt|sammanlagd vikt|vikt|väger)\s*:?\s*)?(?:(?:ca\.?|cirka|c:a)\s*)?(\d+(?:[ .]\d{3})*(?:,\d+)?|\d+(?:\.\d+)?)\s*(kg|gram|g)(?![\p{L}])/giu;
+
+function parseNumber(s) {
+  return parseFloat(s.replace(/ (?=\d{3})/g, '').replace(',', '.'));
+}
+
+/**
+ * Weights, metal and fineness mentioned in a text.
+ * @param {string} text — title + description, plain text or HTML
+ * @returns {{ metal: string|null, fineness: number|null, finenessSource: string|null,
+ *   weights: Array<{ grams: number, kind: string|null, text: string }>, weighted: boolean, tokens: string[] }}
+ */
+export function parsePreciousMetal(text) {
+  const plain = (text || '').replace(/<[^>]*>/g, ' ');
+  const precious = plain.replace(NON_PRECIOUS, ' ');
+
+  const metal = METAL_WORDS.find(([, pattern]) => pattern.test(precious))?.[0] || null;
+  const tokens = [];
+  let fineness = null;
+  let finenessSource = null;
+
+  // 18K, 14 karat, 23 k
+  const karat = precious.match(/(?<![\p{L}\d])(8|9|10|14|18|20|21|22|23|24)\s*(k|kt|karat)(?![\p{L}])/iu);
+  if (karat && metal !== 'silver') {
+    fineness = KARAT_FINENESS[karat[1]];
+    finenessSource = 'karat';
+    tokens.push(karat[0]);
+  }
+
+  // Fineness stamps: "830 S", "925", "750", "PT950"
+  if (!fineness) {
+    const candidates = metal ? STAMP_FINENESS[metal] : [...new Set(Object.values(STAMP_FINENESS).flat())];
+    for (const match of precious.matchAll(/(?<![\d,.])(?:pt\s?)?(\d{3})(?:\s?s)?(?![\d]|[,.]\d|\s*(?:mm|cm|m|g|gram|kg|kr|sek)(?![\p{L}]))/giu)) {
+      const value = Number(match[1]);
+      if (candidates.includes(value)) {
+        fineness = value;
+        finenessSource = 'stamp';
+        tokens.push(match[0].trim());
+        break;
+      }
+    }
+  }
+
+  // Swedish terms: sterling = 925, "lödigt" (13¼ lod) = 828
+  if (!fineness && metal === 'silver') {
+    if (/sterling/i.test(precious)) {
+      fineness = 925;
+      finenessSource = 'term';
+      tokens.push('sterling');
+    } else if (/(?<![\p{L}])lödigt(?![\p{L}])/iu.test(precious)) {
+      fineness = 828;
+      finenessSource = 'term';
+      tokens.push('lödigt');
+    }
+  }
+  if (/tre\s+kronor/i.test(precious)) tokens.push('tre kronor');
+
+  const weights = [];
+  for (const match of plain.matchAll(WEIGHT_PATTERN)) {
+    const unit = match[3].toLowerCase();
+    const grams = parseNumber(match[2]) * (unit === 'kg' ? 1000 : 1);
+    if (grams > 0) weights.push({ grams, kind: match[1]?.toLowerCase() || null, text: match[0].trim() });
+  }
+
+  // Swedish silver without its own stamp still has to be at least 830
+  if (!fineness && metal === 'silver' && weights.length) {
+    fineness = 830;
+    finenessSource = 'assumed';
+  }
+
+  return { metal, fineness, finenessSource, weights, weighted: WEIGHTED.test(plain), tokens };
+}
+
+/**
+ * The weight to value: net weight when given, else the largest weight
+ * (a total is usually the biggest figure in a lot).
+ */
+function pickWeight(weights) {
+  const net = weights.find(w => w.kind === 'nettovikt');
+  if (net) return net;
+  return [...weights].sort((a, b) => b.grams - a.grams)[0] || null;
+}
+
+/**
+ * Melt value of the item from the parsed metal data.
+ * @param {object} parsed — from parsePreciousMetal()
+ * @param {object} prices — from loadMetalPrices()
+ * @returns {object|null} { metal, fineness, finenessSource, grams, weightKind, fineGrams, pricePerGram, value, notes, weighted, pricesUpdated, pricesStale };
+ *   null when metal, fineness or weight is missing
+ */
+export function estimateMeltValue(parsed, prices = DEFAULT_METAL_PRICES) {
+  const weight = pickWeight(parsed.weights);
+  if (!parsed.metal || !parsed.fineness || !weight || !prices[parsed.metal]) return null;
+
+  const notes = [];
+  if (parsed.weighted) notes.push('Fylld/belastad — vikten inkluderar fyllningen, metallvärdet är lägre');
+  if (weight.kind === 'bruttovikt') notes.push('Bruttovikt — stenar och annat material ingår');
+  if (parsed.finenessSource === 'assumed') notes.push('Halt ej angiven — räknat med 830/1000');
+
+  const fineGrams = weight.grams * parsed.fineness / 1000;
+  const ageDays = prices.updated ? (Date.now() - new Date(prices.updated).getTime()) / 86400000 : Infinity;
+  return {
+    metal: parsed.metal,
+    fineness: parsed.fineness,
+    finenessSource: parsed.finenessSource,
+    grams: weight.grams,
+    weightKind: weight.kind,
+    fineGrams,
+    pricePerGram: prices[parsed.metal],
+    value: Math.round(fineGrams * prices[parsed.metal]),
+    notes,
+    weighted: parsed.weighted,
+    pricesUpdated: prices.updated || null,
+    pricesStale: ageDays > STALE_PRICE_DAYS
+  };
+}
+
+/**
+ * Parse and value an item in one step.
+ * @param {object} item — { title, description }
+ * @returns {object|null} see estimateMeltValue()
+ */
+export function analyzePreciousMetal(item, prices = DEFAULT_METAL_PRICES) {
+  return estimateMeltValue(parsePreciousMetal(`${item.title || ''}\n${item.description || ''}`), prices);
+}
+
+/**
+ * "245 g silver 830/1000 × 15 SEK/g"
+ */
+export function describeMeltValue(melt) {
+  const grams = new Intl.NumberFormat('sv-SE', { maximumFractionDigits: 1 }).format(melt.grams);
+  return `${grams} g ${METAL_LABELS[melt.metal]} ${melt.fineness}/1000 × ${new Intl.NumberFormat('sv-SE').format(melt.pricePerGram)} SEK/g`;
+}
+
+/**
+ * Built-in prices with the house's table on top.
+ * @returns {Promise<object>} { silver, gold, platinum, updated }
+ */
+export async function loadMetalPrices() {
+  try {
+    const { [METAL_PRICES_KEY]: stored } = await chrome.storage.local.get(METAL_PRICES_KEY);
+    return { ...DEFAULT_METAL_PRICES, ...(stored || {}) };
+  } catch (error) {
+    console.warn('[PreciousMetal] Could not read metal prices:', error.message);
+    return { ...DEFAULT_METAL_PRICES };
+  }
+}
@@ -0,0 +1,596 @@
+/**
+ * Quality Rules - SSoT rule set
+ * Every catalog text check expressed once as data, plus the evaluator that
+ * the edit page (QualityRulesEngine), the item banner, the publication
+ * scanner and the spelling audit all run — so a rule added here shows up on
+ * every surface with the same penalty.
+ *
+ * Rule shape:
+ *   id, label (short, for lists/aggregation), message (string or (match, text, item) => string)
+ *   field: 'title' | 'description' | 'condition' | 'keywords'  — or fields: [...]
+ *   once          — with `fields`: report only the first field that matches
+ *   categories    — only when the category contains one of these (lowercase); skipped when the category is unknown
+ *   exceptCategories
+ *   skipWhenNoRemarks — condition rules: off when "Inga anmärkningar" is checked
+ *   skipWhen      — pattern on the field text that turns the rule off
+ *   Test (exactly one):
+ *     minLength   — fires when the plain text is shorter
+ *     pattern     — fires on match
+ *     absent      — pattern or list of patterns; fires when none matches
+ *     terms       — list of words, or { wrong: right } (right = autofix); fires when any is present
+ *                   as a whole word (partialWords: also inside longer words, e.g. plurals)
+ *     check       — (text, item, options) => match string | null, for rules that don't fit the above
+ *   onlyIfShorterThan — extra gate on the plain text length
+ *   severity: 'high' | 'medium' | 'low', penalty: points off the 0–100 score
+ *   autofix       — replacement string or (match) => string
+ *   source: 'faq' marks Auctionet FAQ rules (rendered as inline hints on the edit page)
+ *   extra         — copied onto the issue (edit page UI flags)
+ *
+ * Fields missing from the item (undefined) are not checked, so a surface that
+ * can't see e.g. keywords simply skips those rules.
+ */
+
+import { OVERRIDE_STORAGE_KEY, applyRulesOverride, loadRulesOverride } from '../refactored/ai-rules-system/ai-rules-overrides.js';
+import { parseMeasurements, checkPlausibility } from './measurement-parser.js';
+import { parsePreciousMetal } from './precious-metal.js';
+import { parseHallmarks, suggestPeriod, findPeriods, periodCoversYear, isHallmarkCategory, HALLMARK_CATEGORIES } from './hallmark-decoder.js';
+import { checkCategoryMismatch, describePrediction } from './category-classifier.js';
+import { PLACEHOLDER_PATTERN } from './snippet-library.js';
+
+export const FIELD_LABELS = {
+  title: 'Titel',
+  description: 'Beskrivning',
+  condition: 'Kondition',
+  keywords: 'Sökord'
+};
+
+export const MEASUREMENT_PATTERNS = [
+  /(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*×\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
+  /(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*x\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
+  /(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*×\s*\d+([.,]\d+)?\s*×\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
+  /(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*x\s*\d+([.,]\d+)?\s*x\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
+  /(ram)?mått:?\s*(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*[×x]\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
+  /(längd|bredd|bred|djup|höjd|diameter|diam\.?|h\.?|l\.?|d\.?)\s*(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*[-–]\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
+  /(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*[-–]\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
+  /(längd|l\.?)\s*(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
+  /(bredd|bred|djup|d\.?)\s*(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
+  /(höjd|h\.?)\s*(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
+  /(storlek|innerdiameter|inre\s*diameter|ytterdiameter|yttre\s*diameter|ringmått)\s*[:/]?\s*\d+([.,]\d+)?/i,
+  /(omkrets|circumference)\s*[:/]?\s*\d+([.,]\d+)?\s*(mm|cm)\b/i,
+  /(bruttovikt|nettovikt|vikt|weight)\s*[:/]?\s*\d+([.,]\d+)?\s*(g|gram|kg)\b/i,
+  /(karat|ct|carat)\s*[:/]?\s*\d+([.,]\d+)?/i,
+  /mått:.*\d+([.,]\d+)?.*(mm|cm|m)\b/i,
+  /\d+([.,]\d+)?\s*(mm|cm|m)\b.*\d+([.,]\d+)?\s*(mm|cm|m)\b/i,
+  /\d+([.,]\d+)?\s*(mm|cm|m|g|gram|kg)\b/i,
+  /(diameter|diam\.?|ø)\s*(ca\.?|cirka|ungefär|c:a)?\s*\d+([.,]\d+)?\s*(mm|cm|m)\b/i
+];
+
+// "bruksslitage" has its own rules (alone in the field, art, clickable replacement)
+export const VAGUE_CONDITION_TERMS = ['bruksskick', 'normalt slitage', 'vanligt slitage', 'åldersslitage', 'slitage förekommer'];
+
+const FURNITURE_WOOD_IN_TITLE = ['furu', 'ek', 'björk', 'mahogny', 'teak', 'valnöt', 'alm', 'ask',
+  'bok', 'tall', 'lönn', 'körsbär', 'palisander', 'jakaranda', 'rosewood',
+  'bambu', 'rotting', 'ceder', 'cypress', 'gran', 'lärk', 'poppel', 'avenbok',
+  'betsad', 'betsat', 'lackad', 'lackerat', 'fanér', 'fanerad'];
+
+const FURNITURE_WOOD_ANY = ['furu', 'ek', 'björk', 'mahogny', 'teak', 'valnöt', 'alm', 'ask',
+  'bok', 'tall', 'lönn', 'körsbär', 'palisander', 'jakaranda', 'rosewood',
+  'bambu', 'rotting', 'ceder', 'cypress', 'gran', 'lärk', 'poppel', 'avenbok',
+  'fanér', 'fanerad', 'massiv', 'trä'];
+
+const woodRegex = (w) => new RegExp(`(?<![\\p{L}])${w}(fanér|fanerad|trä)?(?![\\p{L}])`, 'iu');
+
+const LOCATION_PATTERN = /\b(vid|på|längs|i|under|över|runt|omkring)\s+(fot|kant|ovansida|undersida|sida|hörn|mitt|centrum|botten|topp|fram|bak|insida|utsida)/i;
+
+export function stripHtml(html) {
+  return (html || '').replace(/<[^>]*>/g, '');
+}
+
+export function hasMeasurements(text) {
+  return MEASUREMENT_PATTERNS.some(pattern => pattern.test(text || ''));
+}
+
+export function splitKeywords(keywords) {
+  if (!keywords) return [];
+  return (keywords.includes(',') ? keywords.split(',') : keywords.split(/\s+/))
+    .map(k => k.trim())
+    .filter(k => k.length > 0);
+}
+
+/**
+ * "Längd 84 cm, bredd 47 cm, höjd 92 cm" — the unit belongs after the last measurement only.
+ * @returns {string|null} the repeated unit
+ */
+function repeatedMeasurementUnit(text) {
+  for (const line of text.split(/\n/)) {
+    const unitMatches = line.match(/\d+([.,]\d+)?\s*(cm|mm)\b/gi);
+    if (unitMatches && unitMatches.length >= 3) {
+      const units = unitMatches.map(m => m.match(/(cm|mm)/i)?.[1]?.toLowerCase());
+      if (units.every(u => u === units[0])) return units[0];
+    }
+  }
+  return null;
+}
+
+/**
+ * Hallmarks quoted in the item ("stämplad GAB, Stockholm, G8") when they give one year.
+ */
+function hallmarkYear(item) {
+  if (!isHallmarkCategory(item.category)) return null;
+  const hallmarks = parseHallmarks(`${item.title || ''}\n${item.description || ''}`);
+  return hallmarks.year ? hallmarks : null;
+}
+
+function hallmarkSource(hallmarks) {
+  return hallmarks.dateLetters.map(d => d.token).join(', ');
+}
+
+export const QUALITY_RULES = [
+  // ─── Title ───
+  {
+    id: 'title-short', field: 'title', minLength: 14,
+    severity: 'medium', penalty: 15, label: 'Titel för kort',
+    message: (match, text) => text.trim() ? 'Överväg att lägga till material och period' : 'Titel saknas'
+  },
+  {
+    id: 'title-structure', field: 'title', absent: /,/,
+    severity: 'medium', penalty: 15, label: 'Titelstruktur saknas',
+    message: 'Saknar korrekt struktur (KONSTNÄR, Objekt, Material)'
+  },
+  {
+    // With a filled artist field Auctionet shows "ARTIST. Title", so the title starts a sentence
+    id: 'title-capital', field: 'title',
+    check: (text, item) => {
+      if (!item.artist?.trim()) return null;
+      const first = text.match(/[A-ZÅÄÖÜa-zåäöü]/)?.[0];
+      return first && first === first.toLowerCase() ? first : null;
+    },
+    severity: 'medium', penalty: 15, label: 'Titel börjar med gemen',
+    message: 'Titel ska börja med versal när konstnärsfält är ifyllt'
+  },
+  {
+    id: 'title-compound-word', field: 'title', source: 'faq', partialWords: true,
+    terms: {
+      'majolikavas': 'VAS, majolika', 'glasvas': 'VAS, glas', 'keramikvas': 'VAS, keramik',
+      'silverring': 'RING, silver', 'guldring': 'RING, guld', 'silverkedja': 'KEDJA, silver',
+      'kristallvas': 'VAS, kristall', 'porslinsvas': 'VAS, porslin', 'keramiktomte': 'TOMTE, keramik',
+      'mässingsljusstake': 'LJUSSTAKE, mässing', 'tennmugg': 'MUGG, tenn',
+      'guldarmband': 'ARMBAND, guld', 'porslinstallrik': 'TALLRIK, porslin', 'keramikskål': 'SKÅL, keramik'
+    },
+    severity: 'medium', penalty: 5, label: 'Sammansatt objekt+material',
+    message: (match, text, item, fix) => `Sammansatt ord: "${match}" bör skrivas "${fix}"`
+  },
+  {
+    id: 'furniture-wood-in-title', field: 'title', categories: ['möbler'], source: 'faq',
+    check: text => FURNITURE_WOOD_IN_TITLE.find(w => woodRegex(w).test(text)) || null,
+    severity: 'medium', penalty: 10, label: 'Möbler: träslag i titeln',
+    message: match => `Möbler: "${match}" (träslag/material) bör inte stå i titeln — flytta till beskrivningen`
+  },
+  {
+    id: 'rug-measurements-in-title', field: 'title', categories: ['matta', 'mattor'], source: 'faq',
+    check: text => parseMeasurements(text).dimensions.length ? null : 'mått',
+    severity: 'medium', penalty: 10, label: 'Mattor: mått saknas i titeln',
+    message: 'Mattor: Mått ska alltid anges i titeln'
+  },
+  {
+    id: 'silver-weight-in-title', field: 'title', categories: ['silver'], exceptCategories: ['smycke'], source: 'faq',
+    check: (text, item) => parsePreciousMetal(text).weights.length
+      ? null
+      : parsePreciousMetal(item.description || '').weights[0]?.text || '',
+    severity: 'low', penalty: 5, label: 'Silver: vikt saknas i titeln',
+    message: match => match
+      ? `Silver: Vikt bör anges sist i titeln — "${match}" står bara i beskrivningen`
+      : 'Silver: Vikt bör anges sist i titeln'
+  },
+
+  // ─── Title and description ───
+  {
+    id: 'sterling-silver', fields: ['title', 'description'], source: 'faq',
+    pattern: /\bsterling\s+silver\b/i, autofix: 'sterlingsilver',
+    severity: 'medium', penalty: 5, label: '"Sterling silver" i två ord',
+    message: match => `"${match}" ska skrivas som ett ord: "sterlingsilver"`
+  },
+  {
+    id: 'ca-before-year', fields: ['title', 'description'], once: true, source: 'faq',
+    pattern: /\bca\.?\s+\d{4}\b/, autofix: match => match.replace(/^ca\.?\s+/, 'omkring '),
+    severity: 'low', penalty: 3, label: '"ca" framför årtal',
+    message: 'Använd "omkring" istället för "ca" framför årtal'
+  },
+  {
+    id: 'bare-century', fields: ['title', 'description'], once: true, source: 'faq',
+    pattern: /\b(\d{2})00-tal\.?\b/i,
+    severity: 'low', penalty: 5, label: 'Århundrade i stället för decennium',
+    message: (match, text, item) => {
+      const century = match.slice(0, 2);
+      const hallmarks = hallmarkYear(item);
+      if (hallmarks && periodCoversYear(match, hallmarks.year)) {
+        return `"${match}" omfattar 100 år — stämpeln ${hallmarkSource(hallmarks)} ger ${hallmarks.year}: skriv "${suggestPeriod(hallmarks)}"`;
+      }
+      return `"${match}" omfattar 100 år — ange decennium om möjligt (t.ex. "${century}20-tal" eller "${century}50-tal")`;
+    }
+  },
+  {
+    id: 'vague-period', fields: ['title', 'description'], source: 'faq',
+    pattern: /\d{4}-talets\s+(första|andra|senare)\s+del\b/i,
+    severity: 'low', penalty: 3, label: 'Vag periodangivelse',
+    message: (match, text, item) => {
+      const hallmarks = hallmarkYear(item);
+      if (hallmarks && periodCoversYear(match, hallmarks.year)) {
+        return `"${match}" är för vagt — stämpeln ${hallmarkSource(hallmarks)} ger ${hallmarks.year}: skriv "${suggestPeriod(hallmarks)}"`;
+      }
+      return `"${match}" är för vagt — ange "senare fjärdedel", "senare hälft", "slut" eller specifikt decennium`;
+    }
+  },
+  {
+    id: 'hallmark-period-conflict', field: 'title', categories: HALLMARK_CATEGORIES,
+    check: (text, item) => {
+      const hallmarks = hallmarkYear(item);
+      if (!hallmarks || periodCoversYear(text, hallmarks.year) !== false) return null;
+      return findPeriods(text)[0].text;
+    },
+    severity: 'medium', penalty: 10, label: 'Period stämmer inte med stämpeln',
+    message: (match, text, item) => {
+      const hallmarks = hallmarkYear(item);
+      return [`Titeln anger "${match}" men årsbokstaven ${hallmarkSource(hallmarks)} betyder ${hallmarks.year} — kontrollera stämpeln eller perioden`, ...hallmarks.notes].join('. ');
+    }
+  },
+  {
+    id: 'hallmark-year-missing', field: 'title', categories: HALLMARK_CATEGORIES,
+    check: (text, item) => {
+      const hallmarks = hallmarkYear(item);
+      return hallmarks && periodCoversYear(text, hallmarks.year) === null ? suggestPeriod(hallmarks) : null;
+    },
+    severity: 'low', penalty: 3, label: 'Årtal från stämpeln saknas',
+    message: (match, text, item) => {
+      const hallmarks = hallmarkYear(item);
+      return [`Stämpeln ${hallmarkSource(hallmarks)} ger ${hallmarks.year} — ange "${match}" i titeln`, ...hallmarks.notes].join('. ');
+    }
+  },
+  {
+    // Needs the selected category id — surfaces that only have the name skip it
+    id: 'category-mismatch', field: 'title',
+    check: (text, item) => item.categoryId !== undefined && checkCategoryMismatch(item, item.categoryId)?.selectedName || null,
+    severity: 'medium', penalty: 5, label: 'Trolig felkategorisering',
+    extra: { displayField: 'Kategori', fieldId: 'item_category_id' },
+    message: (match, text, item) => {
+      const mismatch = checkCategoryMismatch(item, item.categoryId);
+      return `Vald kategori är ${match} men texten beskriver ${describePrediction(mismatch)} (${mismatch.matched.slice(0, 3).join(', ')}) — kontrollera kategorin`;
+    }
+  },
+  {
+    id: 'implausible-measurements', fields: ['title', 'description'],
+    check: (text, item) => checkPlausibility(parseMeasurements(text).dimensions, item.category || '')[0]?.message ?? null,
+    severity: 'medium', penalty: 5, label: 'Orimligt mått',
+    message: match => match
+  },
+  {
+    id: 'forbidden-word', fields: ['title', 'description'],
+    // The list lives in ai-rules-config.json (plus house style) — see loadForbiddenWords()
+    terms: options => options.forbiddenWords || [],
+    severity: 'medium', penalty: 5, label: 'Förbjudet ord',
+    message: (match, text, item, fix, matches) => `Säljande/värderande ord: ${matches.map(m => `"${m}"`).join(', ')} — beskriv sakligt i stället`
+  },
+
+  // ─── All text ───
+  {
+    id: 'abbreviation-bland-annat', fields: ['title', 'description', 'condition'], once: true, source: 'faq',
+    pattern: /\bbl\.?\s*a\b\.?/i, autofix: 'bland annat',
+    severity: 'low', penalty: 3, label: 'Förkortning: bl a',
+    message: 'Skriv "bland annat" istället för "bl a" — förkortningar försvårar översättning'
+  },
+  {
+    id: 'abbreviation-osv', fields: ['title', 'description', 'condition'], once: true, source: 'faq',
+    pattern: /\bosv\b/i, autofix: 'och så vidare',
+    severity: 'low', penalty: 3, label: 'Förkortning: osv',
+    message: 'Skriv "och så vidare" istället för "osv" — förkortningar försvårar översättning'
+  },
+  {
+    id: 'abbreviation-nr', fields: ['title', 'description', 'condition'], once: true, source: 'faq',
+    pattern: /\bnr\.(?=\s)/i, autofix: 'nummer',
+    severity: 'low', penalty: 3, label: 'Förkortning: nr.',
+    message: 'Skriv "nummer" istället för "nr." — förkortningar försvårar översättning'
+  },
+  {
+    id: 'abbreviation-ev', fields: ['title', 'description', 'condition'], once: true, source: 'faq',
+    pattern: /\bev\.(?=\s)/i, autofix: 'eventuellt',
+    severity: 'low', penalty: 3, label: 'Förkortning: ev.',
+    message: 'Skriv "eventuellt" istället för "ev." — förkortningar försvårar översättning'
+  },
+
+  {
+    // Left behind by a snippet (snippet-library.js) when a value was not filled in
+    id: 'snippet-placeholder', fields: ['title', 'description', 'condition'],
+    pattern: new RegExp(PLACEHOLDER_PATTERN.source, 'u'),
+    severity: 'high', penalty: 15, label: 'Ej ifylld mall',
+    message: match => `Mallens platshållare ${match} är inte ifylld`
+  },
+
+  // ─── Description ───
+  {
+    id: 'description-short', field: 'description', minLength: 35,
+    severity: 'medium', penalty: 20, label: 'Beskrivning för kort',
+    message: (match, text) => text.trim()
+      ? 'Överväg att lägga till detaljer om material, teknik, färg, märkningar'
+      : 'Beskrivning saknas'
+  },
+  {
+    id: 'description-measurements', field: 'description', absent: MEASUREMENT_PATTERNS,
+    severity: 'low', penalty: 10, label: 'Saknar mått',
+    message: 'Mått skulle förbättra beskrivningen'
+  },
+  {
+    id: 'description-repeated-unit', field: 'description', check: repeatedMeasurementUnit,
+    severity: 'medium', penalty: 5, label: 'Måttenhet upprepas',
+    message: unit => `Måttenhet upprepas — skriv "${unit}" bara efter sista måttet, t.ex. "Längd 84, bredd 47, höjd 92 ${unit}."`
+  },
+  {
+    id: 'furniture-wood-missing', field: 'description', categories: ['möbler'], source: 'faq',
+    check: (text, item) => FURNITURE_WOOD_ANY.some(w => woodRegex(w).test(item.title || '') || woodRegex(w).test(text)) ? null : 'träslag',
+    severity: 'medium', penalty: 8, label: 'Möbler: träslag saknas',
+    message: 'Möbler: Träslag/material saknas — välj nedan eller ange manuellt:',
+    extra: { woodTypeSuggestion: true }
+  },
+  {
+    id: 'dinner-set-st', field: 'description', categories: ['servis'], source: 'faq',
+    pattern: /\b\d+\s+st\b/i,
+    severity: 'medium', penalty: 5, label: 'Serviser: "st" efter antal',
+    message: 'Serviser: Skriv "34 tallrikar" inte "34 st tallrikar"'
+  },
+
+  // ─── Condition ───
+  {
+    id: 'condition-short', field: 'condition', minLength: 25, skipWhenNoRemarks: true, skipWhen: /ej\s+examinerad\s+ur\s+ram/i,
+    severity: 'high', penalty: 20, label: 'Konditionsrapport för kort',
+    message: (match, text) => text.trim()
+      ? 'Konditionsbeskrivning bör vara mer detaljerad för kundernas trygghet'
+      : 'Konditionsrapport saknas'
+  },
+  {
+    id: 'condition-only-bruksslitage', field: 'condition', skipWhenNoRemarks: true, skipWhen: /ej\s+examinerad\s+ur\s+ram/i,
+    pattern: /^\s*bruksslitage\.?\s*$/i,
+    severity: 'high', penalty: 35, label: 'Enbart "bruksslitage"',
+    message: 'Endast "bruksslitage" är otillräckligt - specificera typ av slitage (repor, nagg, fläckar, etc.)'
+  },
+  {
+    id: 'condition-vague', field: 'condition', skipWhenNoRemarks: true, skipWhen: /ej\s+examinerad\s+ur\s+ram/i,
+    terms: VAGUE_CONDITION_TERMS, onlyIfShorterThan: 40,
+    severity: 'medium', penalty: 20, label: 'Vaga uttryck i kondition',
+    message: match => `Vaga termer som "${match}" - överväg att specificera typ av skador och placering`
+  },
+  {
+    id: 'condition-location', field: 'condition', skipWhenNoRemarks: true, skipWhen: /ej\s+examinerad\s+ur\s+ram/i,
+    check: text => {
+      const lower = text.toLowerCase();
+      if (text.length <= 25 || LOCATION_PATTERN.test(lower) || lower.includes('genomgående') || lower.includes('överallt')) return null;
+      return VAGUE_CONDITION_TERMS.find(term => lower.includes(term)) || null;
+    },
+    severity: 'low', penalty: 10, label: 'Skadornas placering saknas',
+    message: 'Tips: Ange var skadorna finns för tydligare beskrivning'
+  },
+  {
+    id: 'condition-bruksslitage-term', field: 'condition', skipWhenNoRemarks: true, source: 'faq',
+    pattern: /bruksslitage/i,
+    severity: 'medium', penalty: 0, label: '"bruksslitage" i kondition',
+    message: 'Byt ut "bruksslitage" mot en specifik term:',
+    extra: {
+      vagueCondition: true,
+      inlineReplace: 'bruksslitage',
+      extraNote: 'Var specifik: beskriv vilken typ av slitage (repor, nagg, fläckar, etc.) eller ange "Sedvanligt slitage" om inga tydliga skador finns.'
+    }
+  },
+  {
+    id: 'condition-vague-suggestions', field: 'condition', skipWhenNoRemarks: true, source: 'faq',
+    check: text => {
+      const lower = text.toLowerCase();
+      if (/bruksslitage/i.test(text) || text.length >= 40) return null;
+      return VAGUE_CONDITION_TERMS.find(term => lower.includes(term)) || null;
+    },
+    severity: 'medium', penalty: 0, label: 'Vag kondition — förslag',
+    message: (match, text) => `"${text.trim()}" är för vagt. Prova istället:`,
+    extra: { vagueCondition: true }
+  },
+  {
+    id: 'condition-not-function-tested', field: 'condition', source: 'faq',
+    pattern: /\bej\s+funktionstestad\b/i,
+    severity: 'high', penalty: 10, label: '"Ej funktionstestad"',
+    message: '"Ej funktionstestad" ska inte användas — skriv "Fungerar vid katalogisering, ingen garanti lämnas"'
+  },
+  {
+    id: 'condition-ingen-anmarkning', field: 'condition', source: 'faq',
+    pattern: /\bingen\s+anmärkning\b/i,
+    severity: 'medium', penalty: 5, label: '"Ingen anmärkning" i text',
+    message: 'Markera "Inga anmärkningar" i stället för att skriva det i konditionen'
+  },
+  {
+    id: 'art-bruksslitage', field: 'condition', categories: ['konst', 'tavl', 'målning', 'grafik', 'litografi'], source: 'faq',
+    pattern: /bruksslitage/i, autofix: 'sedvanligt slitage',
+    severity: 'high', penalty: 15, label: 'Konst: "bruksslitage"',
+    message: 'Konst: Använd "sedvanligt slitage" istället för "bruksslitage" — konst brukas inte'
+  },
+
+  // ─── Keywords ───
+  {
+    id: 'keywords-missing', field: 'keywords', check: text => splitKeywords(text).length === 0 ? 'tomt' : null,
+    severity: 'high', penalty: 30, label: 'Saknar sökord',
+    message: 'Inga dolda sökord - kritiskt för sökbarhet'
+  },
+  {
+    id: 'keywords-too-few', field: 'keywords', check: text => splitKeywords(text).length === 1 ? text : null,
+    severity: 'high', penalty: 20, label: 'För få sökord',
+    message: 'För få sökord - lägg till fler relevanta termer'
+  },
+  {
+    id: 'keywords-few', field: 'keywords', check: text => { const n = splitKeywords(text).length; return n >= 2 && n < 5 ? text : null; },
+    severity: 'medium', penalty: 10, label: 'Få sökord',
+    message: 'Bra start - några fler sökord kan förbättra sökbarheten'
+  },
+  {
+    id: 'keywords-too-many', field: 'keywords', check: text => splitKeywords(text).length > 15 ? text : null,
+    severity: 'medium', penalty: 15, label: 'För många sökord',
+    message: 'För många sökord kan skada sökbarheten - fokusera på kvalitet över kvantitet'
+  },
+  {
+    id: 'keywords-repeat-text', field: 'keywords',
+    check: (text, item) => {
+      const keywords = splitKeywords(text);
+      if (keywords.length <= 3) return null;
+      const titleDesc = `${item.title || ''} ${item.description || ''} ${item.condition || ''}`.toLowerCase();
+      const unique = keywords.filter(k => !titleDesc.includes(k.toLowerCase().replace(/-/g, ' ')) && !titleDesc.includes(k.toLowerCase()) && k.length > 2);
+      return unique.length / keywords.length < 0.2 ? text : null;
+    },
+    severity: 'low', penalty: 0, label: 'Sökord upprepar texten',
+    message: 'Tips: Många sökord upprepar titel/beskrivning - kompletterande termer kan förbättra sökbarheten'
+  }
+];
+
+// ─── Evaluator ───
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function findTerms(text, terms, partialWords) {
+  const list = Array.isArray(terms) ? terms : Object.keys(terms);
+  if (partialWords) {
+    const lower = text.toLowerCase();
+    return list.filter(term => lower.includes(term.toLowerCase()));
+  }
+  return list.filter(term => new RegExp(`(?<![\\p{L}])${escapeRegExp(term)}(?![\\p{L}])`, 'iu').test(text));
+}
+
+function inScope(rule, category) {
+  if (!rule.categories && !rule.exceptCategories) return true;
+  if (!category) return false;
+  if (rule.categories && !rule.categories.some(c => category.includes(c))) return false;
+  return !rule.exceptCategories?.some(c => category.includes(c));
+}
+
+/**
+ * @returns {{ match: string, matches?: string[], fix?: string } | null}
+ */
+function testRule(rule, text, item, options) {
+  if (rule.onlyIfShorterThan !== undefined && text.length >= rule.onlyIfShorterThan) return null;
+
+  if (rule.minLength !== undefined) {
+    return text.length < rule.minLength ? { match: text } : null;
+  }
+  if (rule.pattern) {
+    const match = text.match(rule.pattern);
+    return match ? { match: match[0] } : null;
+  }
+  if (rule.absent) {
+    const patterns = Array.isArray(rule.absent) ? rule.absent : [rule.absent];
+    return patterns.some(p => p.test(text)) ? null : { match: '' };
+  }
+  if (rule.terms) {
+    const terms = typeof rule.terms === 'function' ? rule.terms(options) : rule.terms;
+    const matches = findTerms(text, terms, rule.partialWords);
+    if (matches.length === 0) return null;
+    const fix = Array.isArray(terms) ? undefined : terms[matches[0]];
+    const original = text.match(new RegExp(escapeRegExp(matches[0]), 'i'))?.[0] || matches[0];
+    return { match: original, matches, fix };
+  }
+  if (rule.check) {
+    const match = rule.check(text, item, options);
+    return match === null || match === undefined ? null : { match };
+  }
+  return null;
+}
+
+/**
+ * Run the rule set against an item.
+ * @param {object} item — { title, description, condition, keywords, artist, category, categoryId, noRemarks }; HTML is stripped.
+ *   Leave a field undefined when the surface can't see it.
+ * @param {object} [options]
+ * @param {string[]} [options.forbiddenWords] — see loadForbiddenWords()
+ * @param {Array} [options.rules] — defaults to QUALITY_RULES
+ * @returns {{ issues: Array, score: number }} issues: { ruleId, field, fieldLabel, severity, penalty, label, message, match, matches?, source?, autofix?, ...extra }
+ */
+export function evaluateQualityRules(item, options = {}) {
+  const rules = options.rules || QUALITY_RULES;
+  const category = (item.category || '').toLowerCase();
+  const plain = {};
+  for (const field of Object.keys(FIELD_LABELS)) {
+    if (item[field] !== undefined && item[field] !== null) plain[field] = stripHtml(String(item[field]));
+  }
+  const plainItem = { ...item, ...plain };
+
+  const issues = [];
+  let score = 100;
+
+  for (const rule of rules) {
+    if (!inScope(rule, category)) continue;
+    if (rule.skipWhenNoRemarks && item.noRemarks) continue;
+
+    for (const field of rule.fields || [rule.field]) {
+      const text = plain[field];
+      if (text === undefined) continue;
+      if (rule.skipWhen?.test(text)) continue;
+
+      const result = testRule(rule, text, plainItem, options);
+      if (!result) continue;
+
+      const fix = result.fix ?? (typeof rule.autofix === 'function' ? rule.autofix(result.match) : rule.autofix);
+      issues.push({
+        ruleId: rule.id,
+        field,
+        fieldLabel: FIELD_LABELS[field],
+        severity: rule.severity,
+        penalty: rule.penalty,
+        label: rule.label,
+        message: typeof rule.message === 'function'
+          ? rule.message(result.match, text, plainItem, result.fix, result.matches)
+          : rule.message,
+        match: result.match,
+        ...(result.matches ? { matches: result.matches } : {}),
+        ...(rule.source ? { source: rule.source } : {}),
+        ...(fix !== undefined && result.match ? { autofix: { find: result.match, replace: fix } } : {}),
+        ...rule.extra
+      });
+      score -= rule.penalty;
+      if (rule.once) break;
+    }
+  }
+
+  return { issues, score: Math.max(0, Math.min(100, score)) };
+}
+
+/**
+ * Apply an issue's autofix to the field text (first occurrence).
+ */
+export function applyAutofix(text, autofix) {
+  const index = text.toLowerCase().indexOf(autofix.find.toLowerCase());
+  if (index < 0) return text;
+  return text.slice(0, index) + autofix.replace + text.slice(index + autofix.find.length);
+}
+
+// ─── Forbidden words (ai-rules-config.json + house style) ───
+
+let forbiddenWordsPromise = null;
+
+/**
+ * The forbidden word list the AI prompts use, for the 'forbidden-word' rule.
+ * Works in content scripts, extension pages and the service worker.
+ * @returns {Promise<string[]>}
+ */
+export function loadForbiddenWords() {
+  if (!forbiddenWordsPromise) {
+    forbiddenWordsPromise = (async () => {
+      const response = await fetch(chrome.runtime.getURL('modules/refactored/ai-rules-system/ai-rules-config.json'));
+      if (!response.ok) throw new Error(`AI rules config: ${response.status}`);
+      const rules = applyRulesOverride(await response.json(), await loadRulesOverride());
+      return rules.validationRules?.forbiddenWords || [];
+    })().catch(error => {
+      console.warn('[QualityRules] Could not load forbidden words:', error.message);
+      forbiddenWordsPromise = null;
+      return [];
+    });
+  }
+  return forbiddenWordsPromise;
+}
+
+if (typeof chrome !== 'undefined') {
+  chrome.storage?.onChanged?.addListener((changes, area) => {
+    if (area === 'local' && changes[OVERRIDE_STORAGE_KEY]) forbiddenWordsPromise = null;
+  });
+}
@@ -4,6 +4,7 @@
  * Handles quality indicator updates, inline FAQ hints, condition suggestions
  */
 import { escapeHTML } from './html-escape.js';
+import { applyAutofix } from './quality-rules.js';
 
 export class QualityUIRenderer {
   constructor(circularProgressManager) {
@@ -228,6 +229,12 @@ Anpassa förslagen till kategorin "${category}".`,
               woodChips.map(w => `<a class="wood-type-chip" data-value="${w}" style="${chipStyle}" onmouseover="this.style.background='#fef3c7'" onmouseout="this.style.background='#fff'">${w}</a>`).join('') +
               '</div>';
           }
+          if (w.autofix) {
+            const chipStyle = 'display:inline-block;margin:3px 4px 0 0;padding:2px 8px;background:#fff;border:1px solid #f59e0b;border-radius:3px;color:#92400e;font-size:10px;font-style:normal;cursor:pointer;text-decoration:none;transition:background 0.15s;';
+            extra = '<div style="margin-top:4px;">' +
+              `<a class="autofix-chip" data-find="${escapeHTML(w.autofix.find)}" data-replace="${escapeHTML(w.autofix.replace)}" style="${chipStyle}" onmouseover="this.style.background='#fef3c7'" onmouseout="this.style.background='#fff'">Ändra till "${escapeHTML(w.autofix.replace)}"</a>` +
+              '</div>';
+          }
           if (w.vagueCondition) {
             const category = document.querySelector('#item_category_id option:checked')?.textContent || '';
             const suggestions = this.getConditionSuggestions(category, 3);
@@ -320,6 +327,18 @@ Anpassa förslagen till kategorin "${category}".`,
           });
         });
 
+        hintContainer.querySelectorAll('.autofix-chip').forEach(chip => {
+          chip.addEventListener('click', (e) => {
+            e.preventDefault();
+            field.value = applyAutofix(field.value, {
+              find: chip.getAttribute('data-find'),
+              replace: chip.getAttribute('data-replace')
+            });
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.focus();
+          });
+        });
+
         const refreshBtn = hintContainer.querySelector('.condition-refresh-btn');
         if (refreshBtn) {
           refreshBtn.addEventListener('click', (e) => {
@@ -0,0 +1,120 @@
+/**
+ * Shortcut Keys - SSoT Component
+ * One text form for keyboard shortcuts ("Ctrl+Shift+K"), built from key events,
+ * shown in the command palette and stored per person in chrome.storage.sync
+ * ('commandShortcuts': { [commandId]: shortcut }, only the changes from
+ * DEFAULT_SHORTCUTS; null = shortcut removed).
+ */
+
+export const SHORTCUTS_KEY = 'commandShortcuts';
+
+// Opens the command palette. Fixed, so the palette can always be reached.
+export const PALETTE_SHORTCUTS = ['Ctrl+K', 'Meta+K'];
+
+// Alt+Shift keeps clear of Chrome's own Alt+letter menus and of typing in the fields.
+// The artist ignore list shortcuts predate the palette and keep their keys.
+export const DEFAULT_SHORTCUTS = {
+  'enhance-all': 'Alt+Shift+E',
+  'improve-title': 'Alt+Shift+T',
+  'improve-description': 'Alt+Shift+B',
+  'improve-condition': 'Alt+Shift+K',
+  'improve-keywords': 'Alt+Shift+S',
+  'market-toggle': 'Alt+Shift+M',
+  'edit-history': 'Alt+Shift+H',
+  'ignored-artists-show': 'Ctrl+Shift+I',
+  'ignored-artists-clear': 'Ctrl+Shift+C'
+};
+
+const MODIFIER_KEYS = new Set(['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock']);
+
+const KEY_NAMES = { ' ': 'Space', Escape: 'Esc', ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right' };
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac/i.test(navigator.platform || '');
+
+/**
+ * The shortcut a keydown event stands for, or null for a lone modifier.
+ * Letters and digits come from the physical key, so Alt+Shift+E is the same
+ * on a Mac (where Alt turns E into "´") and with any layout's Shift symbols.
+ * @param {KeyboardEvent} event
+ * @returns {string|null}
+ */
+export function shortcutFromEvent(event) {
+  if (MODIFIER_KEYS.has(event.key)) return null;
+  let key;
+  const code = event.code || '';
+  if (/^Key[A-Z]$/.test(code)) key = code.slice(3);
+  else if (/^Digit\d$/.test(code)) key = code.slice(5);
+  else key = KEY_NAMES[event.key] || (event.key.length === 1 ? event.key.toUpperCase() : event.key);
+
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  if (event.metaKey) parts.push('Meta');
+  parts.push(key);
+  return parts.join('+');
+}
+
+/**
+ * A direct shortcut must not type into the fields: it needs Ctrl, Alt or ⌘,
+ * unless it is a function key.
+ */
+export function isUsableShortcut(shortcut) {
+  if (!shortcut || PALETTE_SHORTCUTS.includes(shortcut)) return false;
+  const parts = shortcut.split('+');
+  const key = parts[parts.length - 1];
+  return parts.some(part => part === 'Ctrl' || part === 'Alt' || part === 'Meta') || /^F\d{1,2}$/.test(key);
+}
+
+/**
+ * Display form: "⌥⇧E" on a Mac, "Alt+Shift+E" elsewhere.
+ */
+export function formatShortcut(shortcut) {
+  if (!shortcut) return '';
+  if (!IS_MAC) return shortcut.replace('Meta+', 'Win+');
+  const symbols = { Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Meta: '⌘' };
+  return shortcut.split('+').map(part => symbols[part] || part).join('');
+}
+
+/**
+ * Default shortcuts with the person's changes applied.
+ * @returns {Promise<object>} commandId → shortcut
+ */
+export async function loadShortcuts() {
+  let overrides = {};
+  try {
+    ({ [SHORTCUTS_KEY]: overrides = {} } = await chrome.storage.sync.get(SHORTCUTS_KEY));
+  } catch (e) { /* extension reloaded — defaults only */ }
+  return resolveShortcuts(overrides);
+}
+
+export function resolveShortcuts(overrides = {}) {
+  const shortcuts = { ...DEFAULT_SHORTCUTS, ...overrides };
+  for (const [id, shortcut] of Object.entries(shortcuts)) {
+    if (!shortcut) delete shortcuts[id];
+  }
+  return shortcuts;
+}
+
+/**
+ * Bind `shortcut` to a command (null removes it). A shortcut belongs to one
+ * command, so whichever had it before loses it.
+ * @returns {Promise<object>} the resolved shortcuts after the change
+ */
+export async function saveShortcut(commandId, shortcut) {
+  const { [SHORTCUTS_KEY]: stored = {} } = await chrome.storage.sync.get(SHORTCUTS_KEY);
+  const overrides = { ...stored };
+  const current = resolveShortcuts(overrides);
+  if (shortcut) {
+    for (const [id, bound] of Object.entries(current)) {
+      if (bound === shortcut && id !== commandId) overrides[id] = null;
+    }
+  }
+  overrides[commandId] = shortcut || null;
+  // Back to the default: no override needed
+  for (const [id, value] of Object.entries(overrides)) {
+    if ((DEFAULT_SHORTCUTS[id] || null) === value) delete overrides[id];
+  }
+  await chrome.storage.sync.set({ [SHORTCUTS_KEY]: overrides });
+  return resolveShortcuts(overrides);
+}
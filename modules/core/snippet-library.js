@@ -0,0 +1,218 @@
+/**
+ * Snippet Library - SSoT Component
+ * Text templates for the object types catalogers write every day (Gustavsberg
+ * Argenta, Orrefors Graal, dinner sets …), with {placeholders} filled in when
+ * the snippet is inserted into the title, description or condition field.
+ *
+ * chrome.storage.local 'teamSnippets' / 'personalSnippets' = [{
+ *   id, name,
+ *   field:   'title' | 'description' | 'condition',
+ *   trigger: 'gustavsberg, argenta'  — every comma-separated term must be in the title,
+ *            'graal|ariel'           — `|` separates alternatives within a term,
+ *            '/regex/'               — or a regular expression (case-insensitive),
+ *            ''                      — never suggested, only picked from the list
+ *   text:    'Stengods, "Argenta", dekor i silver. Signerad {signatur}. Höjd {höjd} cm.',
+ *   updatedAt
+ * }]
+ *
+ * The team library is edited by an admin and travels with the team profile;
+ * the personal one belongs to the cataloger (named profiles only).
+ */
+
+import { parseMeasurements, formatNumber } from './measurement-parser.js';
+
+export const TEAM_SNIPPETS_KEY = 'teamSnippets';
+export const PERSONAL_SNIPPETS_KEY = 'personalSnippets';
+
+export const SNIPPET_SCOPES = {
+  team: { key: TEAM_SNIPPETS_KEY, label: 'Team' },
+  personal: { key: PERSONAL_SNIPPETS_KEY, label: 'Personlig' }
+};
+
+export const SNIPPET_FIELDS = {
+  title: 'Titel',
+  description: 'Beskrivning',
+  condition: 'Kondition'
+};
+
+// "{höjd}", "{signatur}", "{år}" — letters, digits, space, dash and underscore
+export const PLACEHOLDER_PATTERN = /\{([\p{L}\d][\p{L}\d _-]{0,29})\}/gu;
+
+// Placeholders the page can fill in itself: measurement type from the description, or the artist field
+const AUTO_PLACEHOLDERS = {
+  'höjd': 'height',
+  'bredd': 'width',
+  'djup': 'depth',
+  'diameter': 'diameter',
+  'diam': 'diameter',
+  'längd': 'length',
+  'mått': 'size',
+  'konstnär': 'artist',
+  'formgivare': 'artist'
+};
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The title test for a trigger, or null when the trigger is empty.
+ * Plain terms match at the start of a word, so "graal" finds "Graal-vas" but not "ograal".
+ * @throws {Error} on an invalid regular expression
+ */
+export function compileTrigger(trigger) {
+  const source = (trigger || '').trim();
+  if (!source) return null;
+
+  const regex = source.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    const flags = [...new Set(`${regex[2]}iu`)].filter(f => f !== 'g' && f !== 'y').join('');
+    const pattern = new RegExp(regex[1], flags);
+    return title => pattern.test(title);
+  }
+
+  const terms = source.split(',')
+    .map(term => term.split('|').map(alt => alt.trim()).filter(Boolean))
+    .filter(alternatives => alternatives.length);
+  if (!terms.length) return null;
+  const patterns = terms.map(alternatives =>
+    new RegExp(`(?<![\\p{L}\\d])(?:${alternatives.map(escapeRegExp).join('|')})`, 'iu'));
+  return title => patterns.every(pattern => pattern.test(title));
+}
+
+export function matchesTrigger(snippet, title) {
+  if (!title) return false;
+  try {
+    return compileTrigger(snippet.trigger)?.(title) ?? false;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Placeholder names in the order they first appear.
+ */
+export function placeholdersIn(text) {
+  return [...new Set([...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]))];
+}
+
+/**
+ * Replace the placeholders that have a value. Placeholders left empty stay in
+ * the text, so the quality check flags them until the cataloger fills them in.
+ */
+export function fillPlaceholders(text, values = {}) {
+  return (text || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = (values[name] ?? '').toString().trim();
+    return value || match;
+  });
+}
+
+/**
+ * Values the page already knows for a snippet's placeholders: measurements
+ * from the description in cm ("Höjd 32 cm" → {höjd} = "32") and the artist field.
+ * @param {string[]} names — from placeholdersIn()
+ * @param {{ description?: string, artist?: string }} form
+ * @returns {object} name → value, only for the names that could be filled
+ */
+export function autoPlaceholderValues(names, { description = '', artist = '' } = {}) {
+  const dimensions = parseMeasurements(description).dimensions;
+  const values = {};
+  for (const name of names) {
+    const source = AUTO_PLACEHOLDERS[name.toLowerCase()];
+    if (!source) continue;
+    if (source === 'artist') {
+      if (artist.trim()) values[name] = artist.trim();
+      continue;
+    }
+    const dimension = dimensions.find(d => d.type === source);
+    if (!dimension) continue;
+    const approx = dimension.approx ? 'ca ' : '';
+    values[name] = source === 'size'
+      ? approx + dimension.valuesCm.map(formatNumber).join(' x ')
+      : approx + formatNumber(dimension.valuesCm[0]) + (dimension.maxCm != null ? `–${formatNumber(dimension.maxCm)}` : '');
+  }
+  return values;
+}
+
+/**
+ * @returns {string[]} what is wrong with the snippet, in Swedish for the editor
+ */
+export function validateSnippet(snippet) {
+  const problems = [];
+  if (!snippet?.name?.trim()) problems.push('Mallen saknar namn');
+  if (!snippet?.text?.trim()) problems.push('Mallen saknar text');
+  if (!SNIPPET_FIELDS[snippet?.field]) problems.push('Välj titel, beskrivning eller kondition');
+  try {
+    compileTrigger(snippet?.trigger);
+  } catch (error) {
+    problems.push(`Ogiltigt reguljärt uttryck i utlösaren: ${error.message}`);
+  }
+  return problems;
+}
+
+function normalizeSnippets(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter(snippet => snippet && typeof snippet === 'object' && SNIPPET_FIELDS[snippet.field] && snippet.text)
+    .map(snippet => ({
+      id: String(snippet.id || newSnippetId()),
+      name: String(snippet.name || '').trim(),
+      field: snippet.field,
+      trigger: String(snippet.trigger || '').trim(),
+      text: String(snippet.text),
+      updatedAt: snippet.updatedAt || null
+    }));
+}
+
+export function newSnippetId() {
+  return `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Both libraries, each snippet tagged with its `scope` ('team' | 'personal').
+ * Personal snippets come first so a cataloger's own version wins in lists.
+ */
+export async function loadSnippets() {
+  const stored = await chrome.storage.local.get([TEAM_SNIPPETS_KEY, PERSONAL_SNIPPETS_KEY]);
+  return [
+    ...normalizeSnippets(stored[PERSONAL_SNIPPETS_KEY]).map(snippet => ({ ...snippet, scope: 'personal' })),
+    ...normalizeSnippets(stored[TEAM_SNIPPETS_KEY]).map(snippet => ({ ...snippet, scope: 'team' }))
+  ];
+}
+
+/**
+ * Replace one library. The team library is admin only.
+ * @param {'team'|'personal'} scope
+ */
+export async function saveSnippets(scope, snippets) {
+  const target = SNIPPET_SCOPES[scope];
+  if (!target) throw new Error(`Unknown snippet scope: ${scope}`);
+  if (scope === 'team') {
+    const { adminUnlocked } = await chrome.storage.sync.get('adminUnlocked');
+    if (!adminUnlocked) throw new Error('Endast admin kan ändra teamets mallar');
+  }
+  const list = normalizeSnippets(snippets);
+  await chrome.storage.local.set({ [target.key]: list });
+  return list;
+}
+
+/**
+ * Add one snippet to the cataloger's personal library ("Spara som mall" on the page).
+ */
+export async function addPersonalSnippet(snippet) {
+  const problems = validateSnippet(snippet);
+  if (problems.length) throw new Error(problems[0]);
+  const { [PERSONAL_SNIPPETS_KEY]: stored } = await chrome.storage.local.get(PERSONAL_SNIPPETS_KEY);
+  const entry = { ...snippet, id: newSnippetId(), updatedAt: Date.now() };
+  await chrome.storage.local.set({ [PERSONAL_SNIPPETS_KEY]: [...normalizeSnippets(stored), entry] });
+  return entry;
+}
+
+/**
+ * Snippets for one field, the ones whose trigger matches the title first.
+ * @returns {Array<object>} snippets with `matches: boolean`
+ */
+export function snippetsForField(snippets, field, title) {
+  return snippets
+    .filter(snippet => snippet.field === field)
+    .map((snippet, order) => ({ ...snippet, matches: matchesTrigger(snippet, title), order }))
+    .sort((a, b) => Number(b.matches) - Number(a.matches) || a.order - b.order)
+    .map(({ order, ...snippet }) => snippet);
+}
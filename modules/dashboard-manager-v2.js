@@ -4,6 +4,7 @@ import { PillGenerator } from './ui/pill-generator.js';
 import { CheckboxManager } from './ui/checkbox-manager.js';
 import { TermProcessor } from './core/term-processor.js';
 import { escapeHTML } from './core/html-escape.js';
+import { analyzePreciousMetal, describeMeltValue, loadMetalPrices, DEFAULT_METAL_PRICES } from './core/precious-metal.js';
 
 export class DashboardManagerV2 {
   constructor() {
@@ -23,6 +24,10 @@ export class DashboardManagerV2 {
 
     // COST OPTIMIZATION: Callback for deferred market analysis loading
     this.onDashboardOpenCallback = null;
+
+    // House metal price table for the melt value section
+    this.metalPrices = DEFAULT_METAL_PRICES;
+    loadMetalPrices().then(prices => { this.metalPrices = prices; });
   }
 
   // Set dependencies
@@ -203,6 +208,13 @@ export class DashboardManagerV2 {
       contentHTML += this.generatePriceSection(salesData);
     }
     
+    // 1b. METALLVÄRDE - Melt value floor for silver/gold with a stated weight
+    const itemData = this.qualityAnalyzer?.dataExtractor?.extractItemData?.();
+    const melt = itemData ? analyzePreciousMetal(itemData, this.metalPrices) : null;
+    if (melt) {
+      contentHTML += this.generateMeltValueSection(melt, salesData, itemData);
+    }
+    
     // 2. MARKNADSSTATUS - Combined insights + trend (merged from old PRISTREND + MARKNADSTREND)
     if (salesData.insights && salesData.insights.length > 0) {
       contentHTML += this.generateInsightsSection(salesData);
@@ -260,6 +272,32 @@ export class DashboardManagerV2 {
       </div>`;
   }
 
+  // Generate melt value section (metal value is the floor for the reserve)
+  generateMeltValueSection(melt, salesData, itemData) {
+    const format = value => new Intl.NumberFormat('sv-SE').format(value);
+    const reserve = parseFloat(itemData.reserve || itemData.acceptedReserve) || 0;
+
+    // A filled base makes the figure an upper bound, so no warning on it
+    let status = '';
+    if (!melt.weighted && reserve > 0 && reserve < melt.value) {
+      status = `<div class="market-confidence" style="color: #e74c3c;">Bevakningspris ${format(reserve)} SEK under metallvärdet</div>`;
+    } else if (!melt.weighted && salesData.priceRange && salesData.priceRange.low < melt.value) {
+      status = `<div class="market-confidence" style="color: #e67e22;">Marknadens lägre nivå under metallvärdet</div>`;
+    }
+
+    const notes = [...melt.notes];
+    if (melt.pricesStale) notes.push(`Metallpriser från ${melt.pricesUpdated || 'okänt datum'} — uppdatera i tilläggets inställningar`);
+
+    return `
+      <div class="market-item market-metal">
+        <div class="market-label">Metallvärde</div>
+        <div class="market-label-subtitle">${escapeHTML(describeMeltValue(melt))}</div>
+        <div class="market-value">ca ${format(melt.value)} SEK</div>
+        ${status}
+        <div class="market-help">${notes.length ? notes.map(escapeHTML).join('<br>') : 'Bevakningspriset bör inte understiga metallvärdet'}</div>
+      </div>`;
+  }
+
   // Generate data foundation section
   generateDataSection(salesData) {
     const historical = salesData.historical;
@@ -1496,6 +1534,7 @@ export class DashboardManagerV2 {
       
       /* Ensure consistent spacing for all market item types */
       .market-item.market-price .market-value,
+      .market-item.market-metal .market-value,
       .market-item.market-data .market-value,
       .market-item.market-exceptional .market-value,
       .market-item.market-activity .market-value,
@@ -7,6 +7,7 @@ export class DataExtractor {
 
     return {
       category: document.querySelector('#item_category_id option:checked')?.textContent || '',
+      categoryId: document.querySelector('#item_category_id')?.value || '',
       title: document.querySelector('#item_title_sv')?.value || '',
       description: document.querySelector('#item_description_sv')?.value || '',
       condition: document.querySelector('#item_condition_sv')?.value || '',
@@ -0,0 +1,145 @@
+// modules/edit-history/edit-history-tracker.js — Snapshots the edit form for the version history
+// Records all catalog fields when the page opens, after every AI apply, on
+// blur after a manual edit, on undo/restore and when the form is saved.
+// Snapshots are stored by edit-history-bg.js ('edit-history' messages).
+
+import { FieldDistributor } from '../enhance-all/field-distributor.js';
+
+const HUMAN = { type: 'human', label: 'Katalogiserare' };
+
+// Several fields applied in one go (e.g. "Förbättra alla") become one snapshot
+const AI_COALESCE_MS = 400;
+
+export class EditHistoryTracker {
+  constructor() {
+    this.itemId = window.location.pathname.match(/\/items\/(\d+)/)?.[1] || null;
+    this.snapshots = [];
+    this._listeners = new Set();
+    this._pending = null;
+    this._queue = Promise.resolve();
+    this._generation = 0; // bumped on save — snapshots still queued from before are dropped
+  }
+
+  readFields() {
+    const fields = {};
+    for (const [fieldType, selector] of Object.entries(FieldDistributor.FIELD_MAP)) {
+      const el = document.querySelector(selector);
+      if (el) fields[fieldType] = el.value;
+    }
+    return fields;
+  }
+
+  /**
+   * Record the opened version and start listening for manual edits and saves
+   */
+  async init() {
+    if (!this.itemId) return;
+
+    for (const selector of Object.values(FieldDistributor.FIELD_MAP)) {
+      document.querySelector(selector)?.addEventListener('blur', () => this.recordManual('edit'));
+    }
+
+    const form = document.querySelector(FieldDistributor.FIELD_MAP.title)?.closest('form');
+    form?.addEventListener('submit', () => this.recordSave());
+
+    await this.record('open', { type: 'human', label: 'Sparad version' });
+  }
+
+  onChange(callback) {
+    this._listeners.add(callback);
+  }
+
+  /**
+   * Send a snapshot of the current form. Unchanged forms are skipped by the
+   * background (except that a save stamps the latest snapshot as saved).
+   */
+  record(trigger, author) {
+    if (!this.itemId) return Promise.resolve(null);
+    // One at a time — the background compares each snapshot with the previous one
+    const fields = this.readFields();
+    const generation = this._generation;
+    this._queue = this._queue.then(() => generation === this._generation ? this._send(trigger, author, fields) : null);
+    return this._queue;
+  }
+
+  /**
+   * The form is being submitted. The page navigates away before queued
+   * snapshots get their turn, so the save is sent right away, after a
+   * still-pending AI apply; anything left in the queue is older and dropped.
+   */
+  recordSave() {
+    if (!this.itemId) return;
+    const fields = this.readFields();
+    this._generation++;
+    if (this._pending) {
+      clearTimeout(this._pending.timer);
+      this._send('ai-apply', this._pending.author, fields);
+      this._pending = null;
+    }
+    this._send('save', HUMAN, fields);
+  }
+
+  async _send(trigger, author, fields) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'edit-history',
+        action: 'record',
+        itemId: this.itemId,
+        snapshot: { itemId: this.itemId, trigger, author, fields }
+      });
+      if (!response?.success) throw new Error(response?.error || 'Unknown');
+      this._update(response.snapshots);
+      return response.result;
+    } catch (error) {
+      console.warn('[EditHistory] Could not record snapshot:', error.message);
+      return null;
+    }
+  }
+
+  recordManual(trigger) {
+    this._flushPending();
+    return this.record(trigger, HUMAN);
+  }
+
+  /**
+   * Record an AI apply once the burst of field writes is over.
+   * @param {object} author — { type: 'ai', label, model }
+   */
+  scheduleAISnapshot(author) {
+    clearTimeout(this._pending?.timer);
+    this._pending = {
+      author,
+      timer: setTimeout(() => this._flushPending(), AI_COALESCE_MS)
+    };
+  }
+
+  _flushPending() {
+    if (!this._pending) return;
+    clearTimeout(this._pending.timer);
+    const { author } = this._pending;
+    this._pending = null;
+    this.record('ai-apply', author);
+  }
+
+  async load() {
+    if (!this.itemId) return [];
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'edit-history', action: 'list', itemId: this.itemId });
+      if (response?.success) this._update(response.snapshots);
+    } catch (error) {
+      console.warn('[EditHistory] Could not load history:', error.message);
+    }
+    return this.snapshots;
+  }
+
+  async clear() {
+    const response = await chrome.runtime.sendMessage({ type: 'edit-history', action: 'clear', itemId: this.itemId });
+    if (!response?.success) throw new Error(response?.error || 'Unknown');
+    this._update(response.snapshots);
+  }
+
+  _update(snapshots) {
+    this.snapshots = snapshots || [];
+    for (const callback of this._listeners) callback(this.snapshots);
+  }
+}
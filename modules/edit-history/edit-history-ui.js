@@ -0,0 +1,243 @@
+// modules/edit-history/edit-history-ui.js — Version history timeline for the edit page
+// Sidebar button plus a modal: timeline on the left, diff of the selected
+// version on the right, and restore. Uses the Enhance All modal and diff styling.
+
+import { escapeHTML } from '../core/html-escape.js';
+import { diffText } from '../enhance-all/text-diff.js';
+
+const FIELD_LABELS = {
+  title: 'Titel',
+  description: 'Beskrivning',
+  condition: 'Kondition',
+  keywords: 'Dolda sökord',
+  artist: 'Konstnär'
+};
+
+const TRIGGER_LABELS = {
+  open: 'Öppnad',
+  edit: 'Manuell ändring',
+  'ai-apply': 'AI',
+  undo: 'Ångrad',
+  save: 'Sparad',
+  restore: 'Återställd'
+};
+
+export class EditHistoryUI {
+  constructor() {
+    this.tracker = null;
+    this.fieldDistributor = null;
+    this._selectedId = null;
+    this._compareWith = 'current'; // 'current' | 'previous'
+  }
+
+  setTracker(tracker) {
+    this.tracker = tracker;
+  }
+
+  setFieldDistributor(distributor) {
+    this.fieldDistributor = distributor;
+  }
+
+  // ─── Sidebar button ───
+
+  injectHistoryButton() {
+    if (!this.tracker?.itemId || document.getElementById('edit-history-button')) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.id = 'edit-history-button';
+    button.className = 'edit-history-button';
+    button.addEventListener('click', () => this.open());
+
+    const anchor = document.getElementById('enhance-all-panel');
+    if (anchor) {
+      anchor.after(button);
+    } else {
+      const sidebar = document.querySelector('.grid-col4');
+      if (!sidebar) return;
+      sidebar.appendChild(button);
+    }
+
+    this._renderButton(this.tracker.snapshots);
+    this.tracker.onChange(snapshots => {
+      this._renderButton(snapshots);
+      if (document.getElementById('edit-history-modal')) this._renderModal();
+    });
+  }
+
+  _renderButton(snapshots) {
+    const button = document.getElementById('edit-history-button');
+    if (button) button.innerHTML = `&#128339; Versionshistorik <span class="edit-history-count">${snapshots.length}</span>`;
+  }
+
+  // ─── Modal ───
+
+  async open() {
+    await this.tracker.load();
+    const snapshots = this.tracker.snapshots;
+    this._selectedId = snapshots.length > 1 ? snapshots[snapshots.length - 2].id : snapshots[0]?.id ?? null;
+
+    document.getElementById('edit-history-modal')?.remove();
+    const overlay = document.createElement('div');
+    overlay.id = 'edit-history-modal';
+    overlay.className = 'enhance-all-preview-overlay';
+    overlay.innerHTML = `
+      <div class="enhance-all-preview-modal edit-history-modal">
+        <div class="enhance-all-preview-header">
+          <span>Versionshistorik</span>
+          <button type="button" class="enhance-all-preview-close" title="Stäng">&#10005;</button>
+        </div>
+        <div class="edit-history-body">
+          <ol class="edit-history-timeline"></ol>
+          <div class="edit-history-detail"></div>
+        </div>
+        <div class="enhance-all-preview-footer">
+          <button type="button" class="enhance-all-btn-secondary edit-history-clear">Rensa historiken</button>
+          <span class="edit-history-footer-spacer"></span>
+          <button type="button" class="enhance-all-btn-secondary edit-history-cancel">Stäng</button>
+          <button type="button" class="enhance-all-btn-primary edit-history-restore">Återställ denna version</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    this._attachModalListeners(overlay);
+    this._renderModal();
+  }
+
+  _renderModal() {
+    const overlay = document.getElementById('edit-history-modal');
+    if (!overlay) return;
+    const snapshots = this.tracker.snapshots;
+
+    overlay.querySelector('.edit-history-timeline').innerHTML = snapshots.length === 0
+      ? '<li class="edit-history-empty">Ingen historik ännu</li>'
+      : [...snapshots].reverse().map((snapshot, i) => this._buildTimelineEntry(snapshot, i === 0)).join('');
+
+    const selected = snapshots.find(s => s.id === this._selectedId);
+    overlay.querySelector('.edit-history-detail').innerHTML = selected
+      ? this._buildDetail(selected, snapshots)
+      : '<div class="edit-history-empty">Välj en version i tidslinjen</div>';
+
+    const isCurrent = selected && this._sameAsForm(selected);
+    const restoreBtn = overlay.querySelector('.edit-history-restore');
+    restoreBtn.disabled = !selected || isCurrent;
+    restoreBtn.title = isCurrent ? 'Formuläret innehåller redan den här versionen' : '';
+  }
+
+  _buildTimelineEntry(snapshot, isLatest) {
+    const author = snapshot.author || {};
+    const authorText = author.type === 'ai'
+      ? `${author.label || 'AI'}${author.model ? ` · ${author.model}` : ''}`
+      : author.label || 'Katalogiserare';
+    const changed = (snapshot.changed || []).map(f => FIELD_LABELS[f] || f).join(', ');
+
+    return `
+      <li class="edit-history-entry ${snapshot.id === this._selectedId ? 'selected' : ''}" data-id="${snapshot.id}">
+        <div class="edit-history-entry-head">
+          <span class="edit-history-time">${escapeHTML(new Date(snapshot.ts).toLocaleString('sv-SE'))}</span>
+          ${snapshot.savedAt ? '<span class="edit-history-tag saved">Sparad</span>' : ''}
+          ${isLatest ? '<span class="edit-history-tag">Senaste</span>' : ''}
+        </div>
+        <div class="edit-history-author ${author.type === 'ai' ? 'ai' : 'human'}">
+          ${author.type === 'ai' ? '&#10024;' : '&#128100;'} ${escapeHTML(TRIGGER_LABELS[snapshot.trigger] || snapshot.trigger)} — ${escapeHTML(authorText)}
+        </div>
+        ${changed ? `<div class="edit-history-changed">${escapeHTML(changed)}</div>` : ''}
+      </li>
+    `;
+  }
+
+  _buildDetail(selected, snapshots) {
+    const index = snapshots.findIndex(s => s.id === selected.id);
+    const previous = snapshots[index - 1];
+    const compareWithPrevious = this._compareWith === 'previous';
+    // Current → selected shows what a restore would change; previous → selected what this version changed
+    const base = compareWithPrevious ? previous?.fields || {} : this.tracker.readFields();
+
+    const fieldDiffs = Object.keys(FIELD_LABELS)
+      .filter(field => field in selected.fields || field in base)
+      .map(field => {
+        const from = base[field] ?? '';
+        const to = selected.fields[field] ?? '';
+        if (from === to) return '';
+        const html = diffText(from, to).map(segment => segment.type === 'equal'
+          ? escapeHTML(segment.text)
+          : (segment.deleted ? `<del>${escapeHTML(segment.deleted)}</del>` : '')
+            + (segment.inserted ? `<ins>${escapeHTML(segment.inserted)}</ins>` : '')
+        ).join('');
+        return `
+          <div class="enhance-all-field-preview">
+            <div class="field-preview-header"><span class="field-preview-label">${FIELD_LABELS[field]}</span></div>
+            <div class="field-preview-content"><div class="field-preview-diff">${html}</div></div>
+          </div>
+        `;
+      })
+      .join('');
+
+    return `
+      <div class="edit-history-compare">
+        Jämför med:
+        <label><input type="radio" name="edit-history-compare" value="current" ${compareWithPrevious ? '' : 'checked'}> nuvarande formulär</label>
+        <label><input type="radio" name="edit-history-compare" value="previous" ${compareWithPrevious ? 'checked' : ''} ${previous ? '' : 'disabled'}> föregående version</label>
+      </div>
+      <div class="field-preview-diff-legend">
+        ${compareWithPrevious ? 'Ändringar i den här versionen' : 'Det här ändras om du återställer'}: <ins>tillagt</ins> <del>borttaget</del>
+      </div>
+      ${fieldDiffs || `<div class="edit-history-empty">${compareWithPrevious ? 'Inga fältändringar (endast sparad)' : 'Samma som formuläret just nu'}</div>`}
+    `;
+  }
+
+  _sameAsForm(snapshot) {
+    const current = this.tracker.readFields();
+    return Object.keys(current).every(field => (snapshot.fields[field] ?? '') === current[field]);
+  }
+
+  _attachModalListeners(overlay) {
+    const close = () => {
+      overlay.remove();
+      document.removeEventListener('keydown', escHandler);
+    };
+    const escHandler = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    document.addEventListener('keydown', escHandler);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close();
+    });
+    overlay.querySelector('.enhance-all-preview-close').addEventListener('click', close);
+    overlay.querySelector('.edit-history-cancel').addEventListener('click', close);
+
+    overlay.querySelector('.edit-history-timeline').addEventListener('click', (e) => {
+      const entry = e.target.closest('.edit-history-entry');
+      if (!entry) return;
+      this._selectedId = Number(entry.dataset.id);
+      this._renderModal();
+    });
+
+    overlay.querySelector('.edit-history-detail').addEventListener('change', (e) => {
+      if (e.target.name !== 'edit-history-compare') return;
+      this._compareWith = e.target.value;
+      this._renderModal();
+    });
+
+    overlay.querySelector('.edit-history-restore').addEventListener('click', async () => {
+      const snapshot = this.tracker.snapshots.find(s => s.id === this._selectedId);
+      if (!snapshot) return;
+      this.fieldDistributor.restoreFields(snapshot.fields);
+      await this.tracker.record('restore', {
+        type: 'human',
+        label: `Katalogiserare (version från ${new Date(snapshot.ts).toLocaleString('sv-SE')})`
+      });
+      close();
+    });
+
+    overlay.querySelector('.edit-history-clear').addEventListener('click', async () => {
+      if (!confirm('Rensa hela versionshistoriken för det här objektet?')) return;
+      try {
+        await this.tracker.clear();
+        this._selectedId = null;
+      } catch (error) {
+        alert('Kunde inte rensa historiken: ' + error.message);
+      }
+    });
+  }
+}
@@ -0,0 +1,57 @@
+// modules/enhance-all/batch-apply.js — Saves an approved batch result on the edit page
+// enhance-batch-bg.js opens the item's edit page in a background tab with
+// #ext-batch-apply once the cataloger approves it in the review inbox. Here the
+// approved fields are written through the FieldDistributor (undo, version
+// history) and the form is saved, unless the item changed since the batch read it.
+
+import { FieldDistributor } from './field-distributor.js';
+
+export const BATCH_APPLY_HASH = '#ext-batch-apply';
+
+// Let the edit history record the AI apply (coalesced over 400 ms) before the page unloads
+const SNAPSHOT_WAIT_MS = 1000;
+
+const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+
+function sendBatchMessage(message) {
+  return chrome.runtime.sendMessage({ type: 'enhance-batch', ...message })
+    .then(response => (response?.success ? response : null))
+    .catch(() => null);
+}
+
+/**
+ * @param {FieldDistributor} fieldDistributor
+ * @returns {Promise<boolean>} true when the form was submitted
+ */
+export async function applyBatchResult(fieldDistributor) {
+  if (window.location.hash !== BATCH_APPLY_HASH) return false;
+  // A reload must not submit twice
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+
+  const itemId = window.location.pathname.match(/\/items\/(\d+)/)?.[1];
+  const response = itemId && await sendBatchMessage({ action: 'apply-request', itemId });
+  const apply = response?.apply;
+  if (!apply) return false;
+
+  // Only write over what the batch actually read
+  const changed = Object.keys(apply.approved).filter(field => {
+    const current = document.querySelector(FieldDistributor.FIELD_MAP[field])?.value;
+    return normalize(current) !== normalize(apply.original[field]);
+  });
+  const form = document.querySelector(FieldDistributor.FIELD_MAP.title)?.closest('form');
+  if (changed.length > 0 || !form) {
+    const message = form
+      ? `Ändrat sedan körningen: ${changed.join(', ')}`
+      : 'Hittade inte redigeringsformuläret';
+    await sendBatchMessage({ action: 'apply-report', itemId, outcome: 'conflict', error: message });
+    return false;
+  }
+
+  const accepted = Object.fromEntries(Object.keys(apply.approved).map(field => [field, true]));
+  fieldDistributor.applyResults(apply.approved, accepted, { type: 'ai', label: `Förbättra alla (batch, ${apply.tierLabel})` });
+  await new Promise(resolve => setTimeout(resolve, SNAPSHOT_WAIT_MS));
+
+  await sendBatchMessage({ action: 'apply-report', itemId, outcome: 'submitted' });
+  form.requestSubmit();
+  return true;
+}
@@ -2,6 +2,9 @@
 // Coordinates tier selection, API calls, response parsing, and field distribution
 
 import { determineTier, getTierById, getSystemPrompt, buildUserMessage } from './tier-config.js';
+import { verifyGrounding, stripUnsupportedFacts } from './grounding-verifier.js';
+import { parseMeasurements, normalizeMeasurements } from '../core/measurement-parser.js';
+import { parseHallmarks, isHallmarkCategory } from '../core/hallmark-decoder.js';
 
 export class EnhanceAllManager {
   constructor() {
@@ -10,6 +13,8 @@ export class EnhanceAllManager {
     this.biographyKBCard = null;
     this.qualityAnalyzer = null;
     this.ui = null;
+    this.searchDemand = null;
+    this.apiCaller = null;
     this._isProcessing = false;
   }
 
@@ -35,6 +40,19 @@ export class EnhanceAllManager {
     this.ui = ui;
   }
 
+  setSearchDemand(searchDemand) {
+    this.searchDemand = searchDemand;
+  }
+
+  /**
+   * Send AI requests through `apiCaller(body)` (resolves to the API response)
+   * instead of messaging background.js — for the batch runner, which already
+   * runs in the service worker.
+   */
+  setApiCaller(apiCaller) {
+    this.apiCaller = apiCaller;
+  }
+
   // ─── Main entry point ───
 
   /**
@@ -65,40 +83,19 @@ export class EnhanceAllManager {
       }
 
       // 2. Determine tier (use highest of estimate, upper estimate, accepted reserve)
-      const tier = tierOverride
-        ? getTierById(tierOverride)
-        : determineTier(formData.estimate, formData.upperEstimate, formData.acceptedReserve);
-
+      const tier = this.resolveTier(formData, tierOverride);
 
       // 3. Show loading state
       this.ui?.showLoading(tier);
 
-      // 4. Run AI enhancement per tier
-      let result;
-      if (tier.id === 'enrich') {
-        result = await this._enhanceTier2(formData, tier);
-      } else {
-        result = await this._enhanceSingleCall(formData, tier);
-      }
-
+      // 4–8. AI enhancement, validation, grounding, artist detection
+      const result = await this.enhanceFormData(formData, tier);
       if (!result) {
         this.ui?.showError('AI-förbättring misslyckades. Försök igen.');
         return null;
       }
 
-      // 5. Validate response (hallucination guard)
-      result = this._validateResponse(result, formData);
-
-      // 6. If "Inga anmärkningar" is checked, discard AI condition output
-      if (formData.noRemarks) {
-        result.condition = null;
-        result._noRemarks = true;
-      }
-
-      // 7. Detect artist name in title (if artist field is empty)
-      result._artistDetection = this._detectArtistInTitle(result, formData);
-
-      // 8. Show preview
+      // 9. Show preview
       this.ui?.showPreview(result, formData, tier);
 
       return result;
@@ -112,6 +109,52 @@ export class EnhanceAllManager {
     }
   }
 
+  /**
+   * @param {object} formData — needs estimate, upperEstimate, acceptedReserve
+   * @param {string} [tierOverride] — tier ID
+   */
+  resolveTier(formData, tierOverride = null) {
+    return tierOverride
+      ? getTierById(tierOverride)
+      : determineTier(formData.estimate, formData.upperEstimate, formData.acceptedReserve);
+  }
+
+  /**
+   * The enhancement itself, independent of the page: used by enhance() and by
+   * the batch runner (enhance-batch-bg.js) on fetched edit pages.
+   * @param {object} formData — from _extractFormData() or prepareFormData()
+   * @param {object} tier — from resolveTier()
+   * @returns {Promise<object|null>} result with _grounding and _artistDetection, or null on failure;
+   *   with an apiCaller set, a failed API call rejects with its error instead
+   */
+  async enhanceFormData(formData, tier) {
+    // Run AI enhancement per tier
+    let result;
+    if (tier.id === 'enrich') {
+      result = await this._enhanceTier2(formData, tier);
+    } else {
+      result = await this._enhanceSingleCall(formData, tier);
+    }
+    if (!result) return null;
+
+    // Validate response (hallucination guard)
+    result = this._validateResponse(result, formData);
+
+    // If "Inga anmärkningar" is checked, discard AI condition output
+    if (formData.noRemarks) {
+      result.condition = null;
+      result._noRemarks = true;
+    }
+
+    // Check facts against the source fields (Städa strips what it can't back up)
+    result._grounding = this._checkGrounding(result, formData, tier);
+
+    // Detect artist name in title (if artist field is empty)
+    result._artistDetection = this._detectArtistInTitle(result, formData);
+
+    return result;
+  }
+
   // ─── Tier-specific flows ───
 
   /**
@@ -180,31 +223,41 @@ export class EnhanceAllManager {
   // ─── API helpers ───
 
   /**
-   * Call Claude API via background.js proxy (Opus → Sonnet fallback on overload)
+   * Call Claude API via background.js proxy (retries and Opus → Sonnet fallback
+   * are handled centrally by ai-resilience-bg.js)
    */
   async _callAPI(model, systemPrompt, userMessage, maxTokens, temperature) {
+    const body = {
+      model: model,
+      max_tokens: maxTokens,
+      temperature: temperature,
+      system: [{
+        type: 'text',
+        text: systemPrompt,
+        cache_control: { type: 'ephemeral' }
+      }],
+      messages: [{
+        role: 'user',
+        content: userMessage
+      }]
+    };
+
+    // Errors propagate so the batch runner can record the cause per item
+    if (this.apiCaller) {
+      const data = await this.apiCaller(body);
+      return data?.content?.[0]?.text || null;
+    }
+
     const result = await new Promise((resolve) => {
       const timeout = setTimeout(() => {
         console.error('[EnhanceAll] API call timed out');
         resolve({ success: false, error: 'timeout' });
-      }, 45000); // 45s timeout
+      }, 120000); // covers queueing and overload backoff in background.js
 
       chrome.runtime.sendMessage({
         type: 'anthropic-fetch',
-        body: {
-          model: model,
-          max_tokens: maxTokens,
-          temperature: temperature,
-          system: [{
-            type: 'text',
-            text: systemPrompt,
-            cache_control: { type: 'ephemeral' }
-          }],
-          messages: [{
-            role: 'user',
-            content: userMessage
-          }]
-        }
+        feature: 'enhance-all',
+        body
       }, (response) => {
         clearTimeout(timeout);
         if (chrome.runtime.lastError) {
@@ -221,17 +274,6 @@ export class EnhanceAllManager {
 
     if (result.success) return result.text;
 
-    // Overload/rate-limit → fall back to Sonnet immediately
-    const isOverloaded = result.error && (
-      result.error.includes('Overloaded') || result.error.includes('overloaded') ||
-      result.error.includes('rate limit') || result.error.includes('429')
-    );
-    // Opus overloaded → fall back to Sonnet immediately
-    if (isOverloaded && model.includes('opus')) {
-      console.warn(`[EnhanceAll] Opus overloaded — falling back to Sonnet`);
-      return this._callAPI('claude-sonnet-4-5', systemPrompt, userMessage, maxTokens, temperature);
-    }
-
     if (result.error !== 'timeout') {
       console.error('[EnhanceAll] API error:', result.error);
     }
@@ -367,6 +409,29 @@ Svara med ENBART ett JSON-objekt (på svenska), ingen annan text:
 
   // ─── Validation (hallucination guard) ───
 
+  /**
+   * Find numbers, measurements, names, brands, materials and periods in the
+   * AI output that the original fields don't contain. Tiers with
+   * `stripUngroundedFacts` remove them (or keep the original field when they
+   * can't be cut out cleanly); a field left identical to the original counts
+   * as unchanged.
+   * @returns {{ unsupported: object, stripped: object }} field → [{ type, text }]
+   */
+  _checkGrounding(result, formData, tier) {
+    const unsupported = verifyGrounding(result, formData);
+    const stripped = {};
+    if (!tier.features.stripUngroundedFacts) return { unsupported, stripped };
+
+    for (const [field, facts] of Object.entries(unsupported)) {
+      const original = formData[field] || '';
+      const cleaned = stripUnsupportedFacts(original, result[field], facts, { sources: formData, isTitle: field === 'title' });
+      result[field] = cleaned.trim() === original.trim() ? (field === 'title' ? null : '') : cleaned;
+      stripped[field] = facts;
+    }
+    return { unsupported: verifyGrounding(result, formData), stripped };
+  }
+
+
   _validateResponse(result, originalData) {
     // Helper: collapse multiple spaces within lines but preserve paragraph breaks (\n\n)
     const cleanSpaces = (text) => {
@@ -420,7 +485,8 @@ Svara med ENBART ett JSON-objekt (på svenska), ingen annan text:
         if (allFieldText.includes(kwUnhyphenated) || allFieldText.includes(kwLower)) return false;
         return true;
       });
-      result.keywords = keywords.join(' ');
+      // Most searched first (buyer search history)
+      result.keywords = (this.searchDemand ? this.searchDemand.rank(keywords) : keywords).join(' ');
     }
 
     // 4. Strip artist name from title if artist field is populated
@@ -446,7 +512,11 @@ Svara med ENBART ett JSON-objekt (på svenska), ingen annan text:
       result.title = result.title.charAt(0).toUpperCase() + result.title.slice(1);
     }
 
-    // 5. Don't return a title if it's essentially unchanged
+    // 5. Measurements in house format ("Höjd 32, diameter 14,5 cm") whatever the model wrote
+    if (result.title) result.title = normalizeMeasurements(result.title).text;
+    result.description = normalizeMeasurements(result.description).text;
+
+    // 6. Don't return a title if it's essentially unchanged
     if (result.title) {
       const normalizeForComparison = (s) => s.toLowerCase().replace(/[^a-zåäö0-9]/g, '');
       if (normalizeForComparison(result.title) === normalizeForComparison(originalData.title)) {
@@ -558,6 +628,26 @@ Svara med ENBART ett JSON-objekt (på svenska), ingen annan text:
 
     // Detect "Inga anmärkningar" checkbox
     data.noRemarks = this._isNoRemarksChecked();
+
+    return this.prepareFormData(data);
+  }
+
+  /**
+   * Derived inputs for the prompt, for form data read from the page or from a
+   * fetched edit page.
+   */
+  prepareFormData(data) {
+    // Structured dimensions for the prompt (rugs and ceiling lamps keep them in the title)
+    data.measurements = [
+      ...parseMeasurements(data.title).dimensions,
+      ...parseMeasurements(data.description).dimensions
+    ];
+    // Date letter, town and maker marks quoted in the text ("stämplad GAB, Stockholm, G8")
+    data.hallmarks = isHallmarkCategory(data.category)
+      ? parseHallmarks(`${data.title}\n${data.description}`)
+      : parseHallmarks('');
+    // Buyer searches touching the item, as keyword candidates
+    data.searchCandidates = this.searchDemand?.candidatesFor(data) || [];
     return data;
   }
 
@@ -2,6 +2,12 @@
 // Button, tier selector, loading state, preview modal
 
 import { determineTier, getTierById, TIER_CONFIG } from './tier-config.js';
+import { diffText, linkedHunkIds, applyHunks } from './text-diff.js';
+import { factRanges, FACT_LABELS } from './grounding-verifier.js';
+import { DEMAND_LABELS } from '../search-demand.js';
+
+// Fields shown as an inline word diff (keywords are merged, not rewritten)
+const DIFF_FIELDS = ['title', 'description', 'condition'];
 
 export class EnhanceAllUI {
   constructor() {
@@ -11,6 +17,8 @@ export class EnhanceAllUI {
     this._currentTier = null;
     this._loadingContainer = null;
     this._previewModal = null;
+    this._fieldDiffs = {};      // fieldType → segments from diffText()
+    this._rejectedHunks = {};   // fieldType → Set of rejected hunk ids
   }
 
   setEnhanceAllManager(manager) {
@@ -296,6 +304,9 @@ export class EnhanceAllUI {
 
     this.updateLoadingStep('preview', 'done');
     this._currentResult = result;
+    this._currentTier = tier;
+    this._fieldDiffs = {};
+    this._rejectedHunks = {};
 
     const modal = document.createElement('div');
     modal.id = 'enhance-all-preview';
@@ -347,6 +358,10 @@ export class EnhanceAllUI {
   _buildFieldPreview(label, fieldType, newValue, originalValue) {
     const isUnchanged = !newValue || (fieldType === 'title' && newValue === null);
     const displayValue = isUnchanged ? originalValue : newValue;
+    const grounding = this._currentResult?._grounding;
+    const unsupported = (!isUnchanged && grounding?.unsupported[fieldType]) || [];
+    const stripped = grounding?.stripped[fieldType] || [];
+    const ranges = factRanges(newValue || '', unsupported);
 
     return `
       <div class="enhance-all-field-preview" data-field="${fieldType}">
@@ -363,12 +378,128 @@ export class EnhanceAllUI {
           </div>
         </div>
         <div class="field-preview-content ${isUnchanged ? 'unchanged' : 'changed'}">
-          <pre class="field-preview-text">${this._escapeHTML(displayValue || '(tom)')}</pre>
+          ${!isUnchanged && this._buildFieldDiff(fieldType, newValue, originalValue, ranges)
+            || `<pre class="field-preview-text">${isUnchanged
+              ? this._escapeHTML(displayValue || '(tom)')
+              : this._markRanges(displayValue, 0, ranges)}</pre>`}
         </div>
+        ${unsupported.length ? this._buildGroundingNote('Ej i källfälten', unsupported, 'kontrollera eller avvisa markerade ändringar') : ''}
+        ${stripped.length ? this._buildGroundingNote('Borttaget (Städa)', stripped, 'fanns inte i källfälten', true) : ''}
+        ${fieldType === 'keywords' && !isUnchanged ? this._buildKeywordDemand(newValue) : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * "Sökefterfrågan" chips for the suggested keywords (already ranked, most searched first)
+   */
+  _buildKeywordDemand(keywords) {
+    const searchDemand = this.enhanceAllManager?.searchDemand;
+    if (!searchDemand) return '';
+    const chips = keywords.split(/\s+/).filter(Boolean).map(keyword => {
+      const demand = searchDemand.demandFor(keyword);
+      return `<span class="keyword-demand__chip keyword-demand__chip--${demand.level}" title="${this._escapeHTML(searchDemand.describe(demand))}">${this._escapeHTML(keyword)} <span class="keyword-demand__level">${DEMAND_LABELS[demand.level]}</span>${demand.fewResults ? '<span class="keyword-demand__scarce">få träffar</span>' : ''}</span>`;
+    });
+    return `<div class="keyword-demand"><span class="keyword-demand__label">Sökefterfrågan:</span>${chips.join('')}</div>`;
+  }
+
+  _buildGroundingNote(title, facts, hint, stripped = false) {
+    const list = facts.map(fact => `<strong>${this._escapeHTML(fact.text)}</strong> (${FACT_LABELS[fact.type]})`).join(', ');
+    return `
+      <div class="field-preview-grounding${stripped ? ' stripped' : ''}">
+        ${stripped ? '&#10003;' : '&#9888;'} ${title}: ${list} — ${hint}
+      </div>
+    `;
+  }
+
+  /**
+   * Escape `text` and wrap the parts covered by `ranges` (offsets into the
+   * full field value, `offset` = where `text` starts) in <mark>
+   */
+  _markRanges(text, offset, ranges) {
+    let html = '';
+    let inMark = false;
+    for (let i = 0; i < text.length; i++) {
+      const marked = ranges.some(([from, to]) => offset + i >= from && offset + i < to);
+      if (marked !== inMark) {
+        html += marked ? '<mark class="grounding-flag" title="Finns inte i källfälten">' : '</mark>';
+        inMark = marked;
+      }
+      html += this._escapeHTML(text[i]);
+    }
+    return inMark ? html + '</mark>' : html;
+  }
+
+  /**
+   * Inline word diff with clickable hunks, or null when a diff doesn't help
+   * (empty original, keywords, identical text). Inserted text the source
+   * fields don't support (`ranges`) is marked.
+   */
+  _buildFieldDiff(fieldType, newValue, originalValue, ranges = []) {
+    if (!DIFF_FIELDS.includes(fieldType) || !originalValue?.trim()) return null;
+
+    const segments = diffText(originalValue, newValue);
+    if (!segments.some(s => s.type === 'hunk')) return null;
+
+    this._fieldDiffs[fieldType] = segments;
+    this._rejectedHunks[fieldType] = new Set();
+
+    let position = 0;
+    const html = segments.map(segment => {
+      if (segment.type === 'equal') {
+        position += segment.text.length;
+        return this._escapeHTML(segment.text);
+      }
+      const start = position;
+      position += segment.inserted.length;
+      const moved = segment.moveIds.length > 0;
+      const flagged = ranges.some(([from, to]) => from < position && to > start);
+      return `<span class="diff-hunk${moved ? ' diff-moved' : ''}${flagged ? ' grounding-flagged' : ''}" data-hunk="${segment.id}" title="${flagged ? 'Innehåller uppgifter som inte finns i källfälten — ' : ''}${moved ? 'Flyttad text — ' : ''}Klicka för att avvisa/återta ändringen">`
+        + (segment.deleted ? `<del>${this._escapeHTML(segment.deleted)}</del>` : '')
+        + (segment.inserted ? `<ins>${this._markRanges(segment.inserted, start, ranges)}</ins>` : '')
+        + '</span>';
+    }).join('');
+
+    return `
+      <div class="field-preview-diff" data-field="${fieldType}">${html}</div>
+      <div class="field-preview-diff-legend">
+        <ins>tillagt</ins> <del>borttaget</del> <span class="diff-moved"><ins>flyttat</ins></span> — klicka på en ändring för att avvisa den
       </div>
     `;
   }
 
+  /**
+   * Toggle a hunk (and the other end of any moved sentence) between accepted and rejected
+   */
+  _toggleHunk(diffEl, hunkId) {
+    const fieldType = diffEl.dataset.field;
+    const rejected = this._rejectedHunks[fieldType];
+    const reject = !rejected.has(hunkId);
+    for (const id of linkedHunkIds(this._fieldDiffs[fieldType], hunkId)) {
+      if (reject) rejected.add(id);
+      else rejected.delete(id);
+      diffEl.querySelector(`.diff-hunk[data-hunk="${id}"]`)?.classList.toggle('rejected', reject);
+    }
+  }
+
+  /**
+   * Write hunk decisions back into the result. A field whose every hunk was
+   * rejected is dropped from `accepted`.
+   */
+  _applyHunkChoices(result, accepted) {
+    for (const [fieldType, segments] of Object.entries(this._fieldDiffs)) {
+      const rejected = this._rejectedHunks[fieldType];
+      if (rejected.size === 0 || !accepted[fieldType]) continue;
+
+      const hunkCount = segments.filter(s => s.type === 'hunk').length;
+      if (rejected.size === hunkCount) {
+        accepted[fieldType] = false;
+      } else {
+        result[fieldType] = applyHunks(segments, rejected);
+      }
+    }
+  }
+
   _buildArtistDetectionUI(detection, result, originalData) {
     const currentArtist = originalData.artist?.trim() || '';
     const artistEmpty = !currentArtist || this._isUnknownArtist(currentArtist);
@@ -411,9 +542,18 @@ export class EnhanceAllUI {
     };
     document.addEventListener('keydown', escHandler);
 
-    // Accept all
+    // Click a diff hunk to reject/restore it
+    modal.querySelectorAll('.field-preview-diff').forEach(diffEl => {
+      diffEl.addEventListener('click', (e) => {
+        const hunk = e.target.closest('.diff-hunk');
+        if (hunk) this._toggleHunk(diffEl, Number(hunk.dataset.hunk));
+      });
+    });
+
+    // Accept all (individually rejected hunks stay rejected)
     modal.querySelector('#enhance-all-accept-all').addEventListener('click', () => {
       const accepted = { title: true, description: true, condition: true, keywords: true };
+      this._applyHunkChoices(result, accepted);
 
       // Handle artist move
       const artistMove = this._getArtistMoveData(modal, result);
@@ -422,7 +562,7 @@ export class EnhanceAllUI {
         result._artistMove = artistMove;
       }
 
-      this.fieldDistributor.applyResults(result, accepted);
+      this.fieldDistributor.applyResults(result, accepted, this._historyAuthor());
       this._removePreview();
       this._showSuccessNotification(artistMove ? 'Alla fält uppdaterade + konstnär flyttad' : 'Alla fält uppdaterade');
     });
@@ -437,6 +577,8 @@ export class EnhanceAllUI {
         }
       });
 
+      this._applyHunkChoices(result, accepted);
+
       // Handle artist move
       const artistMove = this._getArtistMoveData(modal, result);
       if (artistMove) {
@@ -450,12 +592,20 @@ export class EnhanceAllUI {
         return;
       }
 
-      this.fieldDistributor.applyResults(result, accepted);
+      this.fieldDistributor.applyResults(result, accepted, this._historyAuthor());
       this._removePreview();
       this._showSuccessNotification(`${count} fält uppdaterade`);
     });
   }
 
+  // Version history entry for an apply from this preview
+  _historyAuthor() {
+    const tier = this._currentTier;
+    return tier
+      ? { type: 'ai', label: `Förbättra alla – ${tier.label}`, model: tier.model }
+      : { type: 'ai', label: 'Förbättra alla' };
+  }
+
   /**
    * Check if the artist move checkbox is checked and return move data
    */
@@ -474,6 +624,8 @@ export class EnhanceAllUI {
     if (existing) existing.remove();
     this._previewModal = null;
     this._currentResult = null;
+    this._fieldDiffs = {};
+    this._rejectedHunks = {};
   }
 
   _showSuccessNotification(message) {
@@ -6,6 +6,7 @@ export class FieldDistributor {
     this.originalValues = new Map(); // fieldType → original value for undo
     this.qualityAnalyzer = null;
     this.uiManager = null;
+    this.editHistory = null;
   }
 
   setQualityAnalyzer(qualityAnalyzer) {
@@ -16,6 +17,10 @@ export class FieldDistributor {
     this.uiManager = uiManager;
   }
 
+  setEditHistory(editHistory) {
+    this.editHistory = editHistory;
+  }
+
   // Field selectors
   static FIELD_MAP = {
     title: '#item_title_sv',
@@ -29,8 +34,9 @@ export class FieldDistributor {
    * Apply accepted enhancement results to form fields
    * @param {object} result — the AI enhancement result
    * @param {object} acceptedFields — { title: bool, description: bool, condition: bool, keywords: bool }
+   * @param {object} [author] — version history author, e.g. { type: 'ai', label, model }
    */
-  applyResults(result, acceptedFields) {
+  applyResults(result, acceptedFields, author = { type: 'ai', label: 'Förbättra alla' }) {
     const applied = [];
 
     if (acceptedFields.title && result.title) {
@@ -76,6 +82,10 @@ export class FieldDistributor {
       this._addUndoButtons(applied);
     }
 
+    if (applied.length > 0) {
+      this.editHistory?.scheduleAISnapshot(author);
+    }
+
     return applied;
   }
 
@@ -110,6 +120,37 @@ export class FieldDistributor {
     field.dispatchEvent(new Event('input', { bubbles: true }));
   }
 
+  /**
+   * Write a translation into the matching language field (e.g. #item_title_en).
+   * Leaves the Swedish fields and quality analysis alone.
+   * @returns {boolean} false when the form has no field for that language
+   */
+  applyTranslation(fieldType, lang, value) {
+    const field = this._translationField(fieldType, lang);
+    if (!field) return false;
+
+    field.classList.add('ai-updated');
+    field.value = value;
+    if (field.tagName.toLowerCase() === 'textarea') {
+      setTimeout(() => this._autoResizeTextarea(field), 50);
+    }
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    return true;
+  }
+
+  /**
+   * Whether the form has a field for `fieldType` in `lang`
+   */
+  hasTranslationField(fieldType, lang) {
+    return !!this._translationField(fieldType, lang);
+  }
+
+  _translationField(fieldType, lang) {
+    const selector = FieldDistributor.FIELD_MAP[fieldType];
+    return selector?.endsWith('_sv') ? document.querySelector(selector.replace(/_sv$/, `_${lang}`)) : null;
+  }
+
   /**
    * Apply keywords — space-separated per Auctionet convention
    * Merges with existing keywords, removes duplicates
@@ -162,6 +203,7 @@ export class FieldDistributor {
     this.originalValues.clear();
     this._removeAllUndoButtons();
     this._triggerReanalysis();
+    this.editHistory?.recordManual('undo');
   }
 
   /**
@@ -183,6 +225,29 @@ export class FieldDistributor {
     }
     this.originalValues.delete(fieldType);
     this._triggerReanalysis();
+    this.editHistory?.recordManual('undo');
+  }
+
+  /**
+   * Write a version-history snapshot back to the form. Per-field undo no longer
+   * applies afterwards — the history itself is the way back.
+   * @param {object} fields — { title, description, condition, keywords, artist }
+   */
+  restoreFields(fields) {
+    for (const [fieldType, selector] of Object.entries(FieldDistributor.FIELD_MAP)) {
+      const field = document.querySelector(selector);
+      if (!field || fields[fieldType] === undefined || field.value === fields[fieldType]) continue;
+      field.value = fields[fieldType];
+      field.classList.remove('ai-updated');
+      if (field.tagName.toLowerCase() === 'textarea') {
+        setTimeout(() => this._autoResizeTextarea(field), 50);
+      }
+      field.dispatchEvent(new Event('change', { bubbles: true }));
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    this.originalValues.clear();
+    this._removeAllUndoButtons();
+    this._triggerReanalysis();
   }
 
   /**
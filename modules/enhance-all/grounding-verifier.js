@@ -0,0 +1,353 @@
+// modules/enhance-all/grounding-verifier.js — Checks AI output against the source fields
+// Extracts the facts in an AI suggestion (numbers, measurements, weights,
+// names, brands, materials, periods) and reports the ones the cataloger's own
+// title/description/condition/artist (or image analysis) don't support.
+// Tier 1 "Städa" strips them from the suggestion, or keeps the original field
+// when that would leave the text garbled.
+
+import { BrandValidationManager } from '../brand-validation-manager.js';
+import { suggestPeriod } from '../core/hallmark-decoder.js';
+
+export const FACT_LABELS = {
+  number: 'tal',
+  measurement: 'mått',
+  weight: 'vikt',
+  name: 'namn',
+  brand: 'märke',
+  material: 'material',
+  period: 'period'
+};
+
+// Fields whose text is verified (keywords are search terms, not claims)
+export const VERIFIED_FIELDS = ['title', 'description', 'condition'];
+
+const NUMBER_WORDS = {
+  två: 2, tre: 3, fyra: 4, fem: 5, sex: 6, sju: 7, åtta: 8, nio: 9, tio: 10, elva: 11, tolv: 12, par: 2
+};
+
+const UNIT_TO_BASE = {
+  mm: ['length', 1], cm: ['length', 10], m: ['length', 1000], meter: ['length', 1000],
+  g: ['weight', 1], gram: ['weight', 1], kg: ['weight', 1000], ct: ['carat', 1], k: ['purity', 1], karat: ['purity', 1]
+};
+
+// Ambiguous everyday words (ben, bok, ask, tall, duk …) are left out on purpose
+const MATERIALS = [
+  'guld', 'vitguld', 'rödguld', 'silver', 'nysilver', 'sterlingsilver', 'förgylld', 'förgyllt', 'mässing',
+  'brons', 'koppar', 'tenn', 'järn', 'gjutjärn', 'stål', 'aluminium', 'zink', 'platina',
+  'porslin', 'benporslin', 'fajans', 'flintgods', 'stengods', 'lergods', 'keramik', 'terrakotta',
+  'glas', 'kristall', 'opalglas', 'ek', 'björk', 'furu', 'teak', 'mahogny', 'valnöt', 'palisander',
+  'jakaranda', 'lönn', 'körsbär', 'rotting', 'bambu', 'trä', 'marmor', 'granit', 'alabaster',
+  'elfenben', 'horn', 'sköldpadd', 'pärlemor', 'bärnsten', 'läder', 'siden', 'sammet', 'ull', 'bomull',
+  'akryl', 'olja', 'akvarell', 'gouache', 'litografi', 'etsning', 'träsnitt', 'serigrafi', 'pannå',
+  'emalj', 'email', 'diamant', 'briljant', 'rubin', 'safir', 'smaragd', 'pärla', 'pärlor', 'granat',
+  'ametist', 'onyx', 'korall', 'jade', 'turkos'
+];
+
+const STYLE_PERIODS = [
+  'sengustaviansk', 'gustaviansk', 'nyrokoko', 'rokoko', 'barock', 'empire', 'karl johan', 'biedermeier',
+  'jugend', 'art nouveau', 'art deco', 'funkis', 'funktionalism', 'nyrenässans', 'renässans', 'nygotik',
+  'nyklassicism', 'klassicism', 'regency', 'viktoriansk', 'allmoge', 'modernism'
+];
+
+// Words that only introduce a fact ("höjd", "ca", "signerad av") — a clause left
+// with nothing else once the fact is stripped goes with it
+const FACT_LEAD_WORDS = new Set([
+  'höjd', 'bredd', 'djup', 'diameter', 'diam', 'längd', 'mått', 'vikt', 'totalvikt', 'total', 'ca', 'cirka', 'omkring',
+  'av', 'från', 'i', 'med', 'och', 'om', 'signerad', 'signerat', 'märkt', 'stämplad', 'stämplat',
+  'formgiven', 'formgivet', 'formgivare', 'tillverkad', 'tillverkat', 'design', 'utförd', 'utfört'
+]);
+
+// Clause separator: punctuation followed by a space or the end ("12,5" stays whole)
+const CLAUSE_SEPARATOR = /([,;.:!?]+)(?=\s|$)/;
+
+let knownBrands = null;
+
+function getKnownBrands() {
+  if (!knownBrands) knownBrands = new BrandValidationManager().knownBrands;
+  return knownBrands;
+}
+
+/**
+ * Lowercase and fold diacritics so "Rorstrand" and "Rörstrand" compare equal.
+ */
+function fold(text) {
+  return (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseNumber(s) {
+  return parseFloat(s.replace(',', '.'));
+}
+
+function collectStrings(value, out) {
+  if (typeof value === 'string') out.push(value);
+  else if (Array.isArray(value)) value.forEach(v => collectStrings(v, out));
+  else if (value && typeof value === 'object') Object.values(value).forEach(v => collectStrings(v, out));
+  return out;
+}
+
+/**
+ * Everything the AI was allowed to know, pre-indexed for lookups. A year
+ * decoded from a quoted date letter ("G8" → 1933) counts as source text.
+ * @param {object} sources — { title, description, condition, artist, artistDates, keywords, category, imageAnalysis, hallmarks }
+ */
+function buildSourceIndex(sources) {
+  const text = [
+    sources.title, sources.description, sources.condition, sources.artist, sources.artistDates,
+    sources.keywords, sources.category, sources.hallmarks && suggestPeriod(sources.hallmarks),
+    ...collectStrings(sources.imageAnalysis, [])
+  ].filter(Boolean).join('\n').replace(/<[^>]*>/g, ' ');
+  const folded = fold(text);
+
+  const numbers = new Set();
+  for (const match of text.matchAll(/\d+(?:[.,]\d+)?/g)) numbers.add(parseNumber(match[0]));
+  for (const [word, value] of Object.entries(NUMBER_WORDS)) {
+    if (new RegExp(`(?<![\\p{L}])${word}(?![\\p{L}])`, 'iu').test(text)) numbers.add(value);
+  }
+
+  const measurements = new Set();
+  for (const match of text.matchAll(/(\d+(?:[.,]\d+)?)\s*(mm|cm|meter|m|gram|g|kg|ct|karat|k)\b/gi)) {
+    const [dimension, factor] = UNIT_TO_BASE[match[2].toLowerCase()];
+    measurements.add(`${dimension}:${Math.round(parseNumber(match[1]) * factor * 100) / 100}`);
+  }
+
+  return { text, folded, numbers, measurements };
+}
+
+function periodSupported(digits, index) {
+  if (index.folded.includes(`${digits}-tal`)) return true;
+  if (digits.length === 4) {
+    // 1950-tal is supported by any 195x year, 1800-tal by any 18xx year
+    const prefix = digits.endsWith('00') ? digits.slice(0, 2) : digits.slice(0, 3);
+    if ([...index.numbers].some(n => Number.isInteger(n) && String(n).length === 4 && String(n).startsWith(prefix))) return true;
+    // "50-tal" in the source supports "1950-tal"
+    if (!digits.endsWith('00') && index.folded.includes(`${digits.slice(2)}-tal`)) return true;
+  }
+  return false;
+}
+
+/**
+ * Facts in `text` that the sources don't support.
+ * @returns {Array<{ type: string, text: string }>}
+ */
+function findUnsupported(text, index, isTitle) {
+  const facts = [];
+  const masked = text.split('');
+  const mask = (start, length) => {
+    for (let i = start; i < start + length; i++) masked[i] = ' ';
+  };
+  const add = (type, factText) => {
+    if (!facts.some(f => fold(f.text) === fold(factText))) facts.push({ type, text: factText });
+  };
+
+  // Periods: "1950-tal", "1800-talets senare hälft", style periods
+  for (const match of text.matchAll(/\b(\d{2,4})-tal\w*/gi)) {
+    if (!periodSupported(match[1], index)) add('period', match[0]);
+    mask(match.index, match[0].length);
+  }
+  for (const style of STYLE_PERIODS) {
+    const pattern = new RegExp(`(?<![\\p{L}])${escapeRegExp(style)}\\p{L}*`, 'giu');
+    for (const match of masked.join('').matchAll(pattern)) {
+      if (!index.folded.includes(fold(style))) add('period', text.substr(match.index, match[0].length));
+      mask(match.index, match[0].length);
+    }
+  }
+
+  // Measurements and weights: "25 cm", "12,5 g", "18K"
+  for (const match of masked.join('').matchAll(/(\d+(?:[.,]\d+)?)\s*(mm|cm|meter|m|gram|g|kg|ct|karat|k)\b/gi)) {
+    const [dimension, factor] = UNIT_TO_BASE[match[2].toLowerCase()];
+    const value = parseNumber(match[1]);
+    const supported = index.measurements.has(`${dimension}:${Math.round(value * factor * 100) / 100}`) || index.numbers.has(value);
+    if (!supported) {
+      const type = dimension === 'length' ? 'measurement' : dimension === 'purity' ? 'material' : 'weight';
+      add(type, text.substr(match.index, match[0].length));
+    }
+    mask(match.index, match[0].length);
+  }
+
+  // Remaining numbers and years
+  for (const match of masked.join('').matchAll(/\d+(?:[.,]\d+)?/g)) {
+    if (!index.numbers.has(parseNumber(match[0]))) add('number', match[0]);
+  }
+
+  // Brands, including lowercase spellings; a known misspelling in the source counts as support
+  const foldedText = fold(text);
+  for (const brand of getKnownBrands()) {
+    const pattern = new RegExp(`(?<![\\p{L}])${escapeRegExp(fold(brand.name))}(?![\\p{L}])`, 'gu');
+    for (const match of foldedText.matchAll(pattern)) {
+      const supported = [brand.name, ...brand.variants].some(name => index.folded.includes(fold(name)));
+      if (!supported) add('brand', text.substr(match.index, match[0].length));
+      mask(match.index, match[0].length);
+    }
+  }
+
+  // Materials, with common inflections (silvret, glaset, ekens …)
+  for (const material of MATERIALS) {
+    const pattern = new RegExp(`(?<![\\p{L}])${escapeRegExp(material)}(?:en|et|ens|ets|t|a)?(?![\\p{L}])`, 'giu');
+    for (const match of masked.join('').matchAll(pattern)) {
+      if (!index.folded.includes(fold(material))) add('material', text.substr(match.index, match[0].length));
+      mask(match.index, match[0].length);
+    }
+  }
+
+  // Names: capitalised words that don't start a sentence ("…, Nils Landberg", "signerad Lindberg").
+  // In titles every comma segment may start with a name; only the object type is skipped.
+  const remaining = masked.join('');
+  for (const match of remaining.matchAll(/(?:\p{Lu}[\p{L}'’-]+)(?:\s+\p{Lu}[\p{L}'’-]+)*/gu)) {
+    const before = remaining.slice(0, match.index).replace(/["'”“«»(\s]+$/, '');
+    const sentenceStart = before === '' || /[.!?:\n]$/.test(before);
+    if (sentenceStart && !(isTitle && before !== '')) continue;
+    const words = match[0].split(/\s+/);
+    if (words.every(word => /^\p{Lu}+$/u.test(word)) && before === '') continue;
+    const missing = words.some(word => !new RegExp(`(?<![\\p{L}])${escapeRegExp(fold(word))}`, 'u').test(index.folded));
+    if (missing) add('name', match[0]);
+  }
+
+  return facts;
+}
+
+/**
+ * Verify an AI result against the fields it was generated from.
+ * @param {object} result — { title, description, condition } from the AI (null/'' = unchanged)
+ * @param {object} sources — original form data; `imageAnalysis` (string or object) is used when present
+ * @returns {object} field → Array<{ type, text }> of unsupported facts (fields without any are omitted)
+ */
+export function verifyGrounding(result, sources) {
+  const index = buildSourceIndex(sources);
+  const unsupported = {};
+  for (const field of VERIFIED_FIELDS) {
+    if (!result[field]) continue;
+    const facts = findUnsupported(result[field], index, field === 'title');
+    if (facts.length > 0) unsupported[field] = facts;
+  }
+  return unsupported;
+}
+
+/**
+ * Character ranges in `text` where any of the facts occur.
+ * @returns {Array<[number, number]>} [start, end) pairs
+ */
+export function factRanges(text, facts) {
+  const folded = fold(text);
+  const ranges = [];
+  for (const fact of facts) {
+    const needle = fold(fact.text);
+    for (let at = folded.indexOf(needle); at !== -1; at = folded.indexOf(needle, at + 1)) {
+      ranges.push([at, at + needle.length]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Occurrences of the facts as whole tokens ("25" not inside "1925"), merged.
+ * @returns {Array<[number, number]>} [start, end) pairs in text order
+ */
+function wholeFactRanges(text, facts) {
+  const standalone = ([from, to]) => !/[\p{L}\d]/u.test(text[from - 1] || '') && !/[\p{L}\d]/u.test(text[to] || '');
+  const ranges = factRanges(text, facts).filter(standalone).sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+  return merged;
+}
+
+// Stands in for a stripped fact (▯ below) while the clause around it is tidied
+const FACT_MARK = '\u0000';
+
+const clauseWords = text => text.split(/\s+/)
+  .map(word => word.replace(/^["'(“«]+|["')”»]+$/g, '').toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Cut a clause at its first marked fact, together with the lead words before
+ * it ("Vas i glas från ▯" → "Vas i glas", "höjd ▯" → "").
+ * @returns {string|null} null when other words follow the fact — "med ▯ års
+ *   stämpel" can't lose the fact without losing its meaning
+ */
+function cutClause(text) {
+  const at = text.indexOf(FACT_MARK);
+  if (at === -1) return text;
+  if (clauseWords(text.slice(at).replaceAll(FACT_MARK, ' ')).some(word => !FACT_LEAD_WORDS.has(word))) return null;
+  const words = text.slice(0, at).split(/(\s+)/);
+  while (words.length && (!words[words.length - 1].trim() || clauseWords(words[words.length - 1]).every(w => FACT_LEAD_WORDS.has(w)))) words.pop();
+  return words.join('');
+}
+
+/**
+ * Remove the marked facts clause by clause; clauses left empty are dropped
+ * and the separators and capitals around them tidied.
+ * @returns {string|null} null when a fact can't be cut out cleanly
+ */
+function removeMarkedFacts(text) {
+  const lines = [];
+  for (const line of text.split('\n')) {
+    const parts = line.split(CLAUSE_SEPARATOR);
+    const kept = [];
+    let capitalizeNext = false;
+    for (let i = 0; i < parts.length; i += 2) {
+      const separator = parts[i + 1] || '';
+      const sentenceStart = i === 0 || /[.!?:]/.test(parts[i - 1]);
+      const clause = cutClause(parts[i]);
+      if (clause === null) return null;
+      if (!clause.trim()) {
+        // A sentence end (or the end of the line) moves to the clause before: "A, 340 g." → "A."
+        const previous = kept[kept.length - 1];
+        const last = i + 2 >= parts.length;
+        if (previous && (last || /[.!?:]/.test(separator)) && !/[.!?:]/.test(previous.separator)) previous.separator = separator;
+        if (sentenceStart) capitalizeNext = true;
+        continue;
+      }
+      kept.push({
+        text: capitalizeNext ? clause.replace(/\p{L}/u, letter => letter.toUpperCase()) : clause,
+        separator
+      });
+      capitalizeNext = false;
+    }
+    lines.push(kept.map(clause => clause.text + clause.separator).join('').replace(/[ \t]{2,}/g, ' ').replace(/\s+([,;.:!?])/g, '$1').trim());
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Clauses that occur more often than in the original ("Höjd 25 cm, höjd 25cm").
+ */
+function hasRepeatedClause(text, original) {
+  const count = s => {
+    const counts = new Map();
+    for (const clause of s.split(new RegExp(`${CLAUSE_SEPARATOR.source}|\n`))) {
+      const key = fold(clause).replace(/[^\p{L}\d]/gu, '');
+      if (key.length > 2) counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+  };
+  const originalCounts = count(original);
+  return [...count(text)].some(([key, n]) => n > 1 && n > (originalCounts.get(key) || 0));
+}
+
+/**
+ * Remove the unsupported facts from `enhanced`, together with the words that
+ * only introduced them ("höjd 25 cm", "formgiven av Nils Landberg"); the rest
+ * of the suggestion is kept as written. The original field is returned
+ * instead when a fact sits inside a clause, or when the result repeats a
+ * clause or still has unsupported facts.
+ * @param {object} opts — { sources, isTitle } as for verifyGrounding()
+ * @returns {string} the cleaned text, or `original`
+ */
+export function stripUnsupportedFacts(original, enhanced, facts, { sources = {}, isTitle = false } = {}) {
+  let marked = enhanced;
+  for (const [from, to] of wholeFactRanges(enhanced, facts).reverse()) {
+    marked = marked.slice(0, from) + FACT_MARK + marked.slice(to);
+  }
+  const cleaned = removeMarkedFacts(marked);
+
+  if (cleaned === null || hasRepeatedClause(cleaned, original || '')) return original || '';
+  if (findUnsupported(cleaned, buildSourceIndex(sources), isTitle).length > 0) return original || '';
+  return cleaned;
+}
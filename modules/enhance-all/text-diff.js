@@ -0,0 +1,176 @@
+// modules/enhance-all/text-diff.js — Word-level diff for the preview modal
+// Splits original and enhanced text into hunks the cataloger can accept or
+// reject one by one. Sentences that were only moved are linked so both ends
+// of the move are accepted or rejected together.
+
+// LCS table size above which we fall back to one hunk for the whole field
+const MAX_DIFF_CELLS = 1_000_000;
+
+// Sentences shorter than this are too generic to call a "move"
+const MIN_MOVED_SENTENCE = 20;
+
+/**
+ * Words, punctuation and whitespace as separate tokens, so joining the tokens
+ * reproduces the text exactly (line breaks included).
+ */
+function tokenize(text) {
+  return (text || '').match(/\s+|[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+}
+
+function lcsOps(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', text: a[i++] });
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: 'delete', text: a[i++] });
+    } else {
+      ops.push({ type: 'insert', text: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'delete', text: a[i++] });
+  while (j < m) ops.push({ type: 'insert', text: b[j++] });
+  return ops;
+}
+
+function normalizeSentence(sentence) {
+  return sentence.toLowerCase().replace(/\s+/g, ' ').replace(/[.!?]+$/, '').trim();
+}
+
+function sentencesOf(text) {
+  return (text.match(/[^.!?\n]+[.!?]*/g) || []).map(normalizeSentence).filter(s => s.length >= MIN_MOVED_SENTENCE);
+}
+
+/**
+ * Diff two texts into segments: { type: 'equal', text } or
+ * { type: 'hunk', id, deleted, inserted, moveIds: string[] }.
+ * A whitespace-only gap between two changes is folded into one hunk, so
+ * rewritten phrases read as a unit rather than word by word.
+ */
+export function diffText(original, enhanced) {
+  const a = tokenize(original);
+  const b = tokenize(enhanced);
+
+  // Common prefix/suffix first: usually most of the text and keeps the table small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middleOps = (middleA.length + 1) * (middleB.length + 1) > MAX_DIFF_CELLS
+    ? [{ type: 'delete', text: middleA.join('') }, { type: 'insert', text: middleB.join('') }]
+    : lcsOps(middleA, middleB);
+
+  const ops = [
+    ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+    ...middleOps,
+    ...a.slice(endA).map(text => ({ type: 'equal', text }))
+  ];
+
+  // Group into equal runs and hunks
+  const segments = [];
+  for (const op of ops) {
+    const last = segments[segments.length - 1];
+    if (op.type === 'equal') {
+      if (last?.type === 'equal') last.text += op.text;
+      else segments.push({ type: 'equal', text: op.text });
+    } else {
+      const hunk = last?.type === 'hunk' ? last : null;
+      const target = hunk || { type: 'hunk', deleted: '', inserted: '' };
+      if (op.type === 'delete') target.deleted += op.text;
+      else target.inserted += op.text;
+      if (!hunk) segments.push(target);
+    }
+  }
+
+  // Fold whitespace-only equal runs between two hunks into one hunk
+  const merged = [];
+  for (const segment of segments) {
+    const prev = merged[merged.length - 1];
+    const beforePrev = merged[merged.length - 2];
+    if (segment.type === 'hunk' && prev?.type === 'equal' && !prev.text.trim() && !prev.text.includes('\n') && beforePrev?.type === 'hunk') {
+      beforePrev.deleted += prev.text + segment.deleted;
+      beforePrev.inserted += prev.text + segment.inserted;
+      merged.pop();
+    } else {
+      merged.push(segment);
+    }
+  }
+
+  const hunks = merged.filter(s => s.type === 'hunk');
+  hunks.forEach((hunk, index) => {
+    hunk.id = index;
+    hunk.moveIds = [];
+  });
+  markMovedSentences(hunks);
+  return merged;
+}
+
+function markMovedSentences(hunks) {
+  const deletedBy = new Map();
+  for (const hunk of hunks) {
+    for (const sentence of sentencesOf(hunk.deleted)) deletedBy.set(sentence, hunk);
+  }
+  let moveCount = 0;
+  for (const hunk of hunks) {
+    for (const sentence of sentencesOf(hunk.inserted)) {
+      const source = deletedBy.get(sentence);
+      if (!source || source === hunk) continue;
+      const moveId = `m${moveCount++}`;
+      source.moveIds.push(moveId);
+      hunk.moveIds.push(moveId);
+      deletedBy.delete(sentence);
+    }
+  }
+}
+
+/**
+ * Ids of the hunks linked to `hunkId` through moved sentences (itself included).
+ */
+export function linkedHunkIds(segments, hunkId) {
+  const hunks = segments.filter(s => s.type === 'hunk');
+  const linked = new Set([hunkId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const hunk of hunks) {
+      if (linked.has(hunk.id)) continue;
+      const shares = hunks.some(other => linked.has(other.id) && other.moveIds.some(id => hunk.moveIds.includes(id)));
+      if (shares) {
+        linked.add(hunk.id);
+        grew = true;
+      }
+    }
+  }
+  return [...linked];
+}
+
+/**
+ * Rebuild the text keeping only the accepted hunks' changes.
+ * @param {Array} segments — from diffText()
+ * @param {Set<number>} rejectedIds — hunks to keep as in the original
+ */
+export function applyHunks(segments, rejectedIds) {
+  return segments.map(segment => {
+    if (segment.type === 'equal') return segment.text;
+    return rejectedIds.has(segment.id) ? segment.deleted : segment.inserted;
+  }).join('');
+}
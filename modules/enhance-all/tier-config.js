@@ -1,6 +1,10 @@
 // modules/enhance-all/tier-config.js — Tier definitions, thresholds, and system prompts
 // for the "Förbättra alla" (Enhance All) feature
 
+import { formatDimensions, checkPlausibility } from '../core/measurement-parser.js';
+import { suggestPeriod } from '../core/hallmark-decoder.js';
+import { FEW_RESULTS } from '../search-demand.js';
+
 export const TIER_CONFIG = {
   tiers: {
     tidy: {
@@ -17,7 +21,8 @@ export const TIER_CONFIG = {
         positiveAbsence: false,
         provenanceReminder: false,
         systematicCondition: false,
-        internationalKeywords: false
+        internationalKeywords: false,
+        stripUngroundedFacts: true
       },
       keywordCount: { min: 8, max: 12 }
     },
@@ -36,7 +41,8 @@ export const TIER_CONFIG = {
         positiveAbsence: true,
         provenanceReminder: false,
         systematicCondition: false,
-        internationalKeywords: false
+        internationalKeywords: false,
+        stripUngroundedFacts: false
       },
       keywordCount: { min: 8, max: 12 },
       positiveAbsenceMax: 3
@@ -55,7 +61,8 @@ export const TIER_CONFIG = {
         positiveAbsence: true,
         provenanceReminder: true,
         systematicCondition: true,
-        internationalKeywords: false
+        internationalKeywords: false,
+        stripUngroundedFacts: false
       },
       keywordCount: { min: 8, max: 12 },
       positiveAbsenceMax: 5
@@ -355,6 +362,23 @@ export function buildUserMessage(formData) {
     parts.push(`KONSTNÄRSUPPGIFTER: ${formData.artistDates}`);
   }
   parts.push(`KATEGORI: ${formData.category || '(ingen)'}`);
+  if (formData.measurements?.length) {
+    parts.push(`MÅTT (tolkade ur texten, ändra inte värdena): ${formatDimensions(formData.measurements)}`);
+    const problems = checkPlausibility(formData.measurements, formData.category || '');
+    if (problems.length) {
+      parts.push(`MÅTTVARNING: ${problems.map(p => p.message).join('; ')} — behåll värdena, katalogiseraren kontrollerar`);
+    }
+  }
+  const hallmarkPeriod = formData.hallmarks && suggestPeriod(formData.hallmarks);
+  if (hallmarkPeriod) {
+    const letters = formData.hallmarks.dateLetters.map(d => `${d.token} = ${d.year}`).join(', ');
+    parts.push(`STÄMPLAR (tolkade årsbokstäver: ${letters}): använd "${hallmarkPeriod}" för tillverkare, ort och år i stället för en vag period`);
+    if (formData.hallmarks.notes.length) parts.push(`STÄMPELVARNING: ${formData.hallmarks.notes.join('; ')} — skriv inget årtal, katalogiseraren kontrollerar`);
+  }
+  if (formData.searchCandidates?.length) {
+    const searches = formData.searchCandidates.map(c => `"${c.query}" (${c.searches} h${c.results !== null && c.results <= FEW_RESULTS ? `, ${c.results} träffar` : ''})`);
+    parts.push(`KÖPARSÖKNINGAR (senaste 7 dagarna — använd som nyckelord bara om de stämmer med föremålet, få träffar = extra värdefullt): ${searches.join(', ')}`);
+  }
   parts.push(`BEVAKNINGSPRIS: ${formData.acceptedReserve || '(ej angivet)'}`);
 
   return parts.join('\n');
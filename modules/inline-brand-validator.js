@@ -277,6 +277,7 @@ Svara BARA med JSON:
       const response = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'brand-validation',
           body: {
             model: 'claude-haiku-4-5',
             max_tokens: 300,
@@ -465,6 +466,7 @@ Om korrekt: {"corrected":null}`;
       const response = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'brand-validation',
           body: {
             model: 'claude-haiku-4-5',
             max_tokens: 150,
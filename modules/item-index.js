@@ -0,0 +1,75 @@
+// item-index.js — Content-side access to the local item index (item-index-bg.js)
+// Pages that list the house's items (unsolds, contract pages) send them to the
+// index; the add and edit pages ask it for possible duplicates of the item
+// being cataloged.
+
+export const SOURCE_LABELS = { publishables: 'Publiceringskö', unsolds: 'Osåld', contract: 'Kontrakt' };
+
+function sendIndexMessage(message) {
+  return new Promise(resolve => {
+    try {
+      chrome.runtime.sendMessage({ type: 'item-index', ...message }, response => {
+        if (chrome.runtime.lastError || !response?.success) {
+          resolve(null);
+          return;
+        }
+        resolve(response);
+      });
+    } catch (e) {
+      // Extension reloaded under the page — nothing to index into
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * @param {Array<{ id, title, description?, sellerId?, contractId?, url?, imageUrl? }>} items
+ * @param {string} source — key of SOURCE_LABELS
+ */
+export async function indexItems(items, source) {
+  if (!items?.length) return null;
+  return sendIndexMessage({ action: 'add', items, source });
+}
+
+/**
+ * @param {{ itemId?, sellerId?, title, description?, imageUrls?: string[] }} query
+ * @returns {Promise<Array<{ id, title, url, source, sellerId, seenAt, score, reasons: string[] }>>}
+ */
+export async function findDuplicates(query) {
+  const response = await sendIndexMessage({ action: 'find', query });
+  return response?.matches || [];
+}
+
+/**
+ * Seller, contract and item ids from an admin URL such as
+ * /admin/sas/sellers/12/contracts/34/items/56/edit.
+ */
+export function parseAdminIds(path = window.location.pathname) {
+  const id = name => path.match(new RegExp(`/${name}/(\\d+)`))?.[1] || null;
+  return { sellerId: id('sellers'), contractId: id('contracts'), itemId: id('items') };
+}
+
+/**
+ * Item rows of a contract page: every table row linking to one of its items.
+ * @returns {Array<{ id, title, sellerId, contractId, url, imageUrl }>}
+ */
+export function scrapeItemRows(root = document) {
+  const { sellerId, contractId } = parseAdminIds();
+  const items = new Map();
+  root.querySelectorAll('tr').forEach(row => {
+    const link = [...row.querySelectorAll('a[href*="/items/"]')].find(a => a.getAttribute('title') || a.textContent.trim());
+    const id = link?.getAttribute('href').match(/\/items\/(\d+)/)?.[1];
+    if (!id || items.has(id)) return;
+    const title = (link.getAttribute('title') || link.textContent).trim().replace(/^\d+\.\s*/, '');
+    const image = row.querySelector('img[src*="images.auctionet.com"]');
+    items.set(id, {
+      id,
+      title,
+      sellerId,
+      contractId,
+      url: new URL(link.getAttribute('href'), window.location.origin).href,
+      imageUrl: image?.getAttribute('src') || null
+    });
+  });
+  return [...items.values()].filter(item => item.title.length >= 3);
+}
@@ -293,6 +293,7 @@ export class QualityAnalyzer {
       return;
     }
 
+    await this.rulesEngine.ready; // forbidden words
     const data = this.dataExtractor.extractItemData();
 
     // --- Artist field bio hover (reference guide for filled artist field) ---
@@ -11,8 +11,11 @@
  * - Hot reloading capability
  * - Validation and consistency checks
  * - Performance optimized (loaded once, cached in memory)
+ * - House style override layered on top (see ai-rules-overrides.js)
  */
 
+import { OVERRIDE_STORAGE_KEY, applyRulesOverride, loadRulesOverride } from './ai-rules-overrides.js';
+
 class AIRulesManager {
     constructor() {
         this.rules = null;
@@ -20,13 +23,22 @@ class AIRulesManager {
         this.configPath = chrome.runtime.getURL('modules/refactored/ai-rules-system/ai-rules-config.json');
         this.cache = new Map();
         this.version = null;
+        this.baseRules = null;
+        this.override = null;
 
         // Auto-load rules on instantiation
         this.loadRules();
+
+        // Pick up house style edits without a page reload
+        chrome.storage?.onChanged?.addListener((changes, area) => {
+            if (area === 'local' && changes[OVERRIDE_STORAGE_KEY] && this.loaded) {
+                this.reload().catch(error => console.error('Failed to reload AI rules:', error));
+            }
+        });
     }
 
     /**
-     * Load AI rules configuration from JSON file
+     * Load AI rules configuration from JSON file and apply the house style override
      */
     async loadRules() {
         try {
@@ -35,10 +47,21 @@ class AIRulesManager {
                 throw new Error(`Failed to load AI rules config: ${response.status}`);
             }
 
-            this.rules = await response.json();
+            this.baseRules = await response.json();
+            this.override = await loadRulesOverride();
+            this.rules = applyRulesOverride(this.baseRules, this.override);
             this.version = this.rules.version;
             this.loaded = true;
 
+            // A broken override must not take the shipped rules down with it
+            if (this.override) {
+                const validation = this.validateConfiguration();
+                if (!validation.valid) {
+                    console.error('AI rules override rejected, using shipped rules:', validation.errors);
+                    this.rules = applyRulesOverride(this.baseRules, null);
+                }
+            }
+
 
             // Clear cache when rules are reloaded
             this.cache.clear();
@@ -922,6 +945,18 @@ Returnera endast biografin som ren text.
         }
     }
 
+    /**
+     * Replace the house style override in memory only (editor preview).
+     * Persisting goes through saveRulesOverride().
+     * @param {object|null} override - Override to apply over the shipped rules
+     */
+    setOverride(override) {
+        this.ensureLoaded();
+        this.override = override;
+        this.rules = applyRulesOverride(this.baseRules, override);
+        this.cache.clear();
+    }
+
     /**
      * Get current configuration version
      * @returns {string} Version string
@@ -956,6 +991,45 @@ Returnera endast biografin som ren text.
             }
         });
 
+        // Sections the house style override can change
+        const forbiddenWords = this.rules.validationRules?.forbiddenWords;
+        if (forbiddenWords && (!Array.isArray(forbiddenWords) || forbiddenWords.some(w => typeof w !== 'string' || !w.trim()))) {
+            errors.push('validationRules.forbiddenWords must be a list of non-empty words');
+        } else if (forbiddenWords?.some(w => /\s/.test(w.trim()))) {
+            warnings.push('Forbidden words containing spaces never match a single word');
+        }
+
+        Object.entries(this.getBrandCorrections()).forEach(([incorrect, correct]) => {
+            if (typeof correct !== 'string' || !correct.trim()) {
+                errors.push(`Brand correction for "${incorrect}" is empty`);
+                return;
+            }
+            try {
+                new RegExp(`\\b${incorrect}\\b`, 'gi');
+            } catch (e) {
+                errors.push(`Brand correction "${incorrect}" is not a valid pattern`);
+            }
+            if (incorrect === correct) warnings.push(`Brand correction "${incorrect}" maps to itself`);
+        });
+
+        Object.entries(this.rules.categoryRules || {}).forEach(([category, rules]) => {
+            if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+                errors.push(`Category rules for "${category}" must be an object`);
+            } else if (!rules.name) {
+                warnings.push(`Category "${category}" has no name`);
+            }
+        });
+
+        Object.entries(this.rules.fieldRules || {}).forEach(([field, rules]) => {
+            if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+                errors.push(`Field rules for "${field}" must be an object`);
+            }
+        });
+        const maxLength = this.rules.fieldRules?.title?.maxLength;
+        if (maxLength !== undefined && !(Number.isInteger(maxLength) && maxLength > 0)) {
+            errors.push('fieldRules.title.maxLength must be a positive integer');
+        }
+
         return {
             valid: errors.length === 0,
             errors,
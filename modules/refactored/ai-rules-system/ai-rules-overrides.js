@@ -0,0 +1,142 @@
+/**
+ * AI Rules Overrides - House style layer on top of ai-rules-config.json
+ *
+ * The shipped config stays untouched; an admin edits a small override object
+ * (house-style.html) that AIRulesManager merges over it on load.
+ *
+ * chrome.storage.local 'aiRulesOverride' = {
+ *     forbiddenWords:   { add: string[], remove: string[] },
+ *     brandCorrections: { set: { [wrong]: right }, remove: string[] },
+ *     categoryRules:    { [category]: partial rules object | null (null = remove) },
+ *     fieldRules:       { [field]: partial rules object },
+ *     updatedAt: number
+ * }
+ */
+
+const OVERRIDE_STORAGE_KEY = 'aiRulesOverride';
+
+function emptyOverride() {
+    return {
+        forbiddenWords: { add: [], remove: [] },
+        brandCorrections: { set: {}, remove: [] },
+        categoryRules: {},
+        fieldRules: {}
+    };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Objects merge key by key; arrays and scalars from the override replace.
+ */
+function deepMerge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) return override;
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Fill in missing sections so callers can rely on the shape.
+ */
+function normalizeOverride(override) {
+    const empty = emptyOverride();
+    if (!isPlainObject(override)) return empty;
+    return {
+        ...override,
+        forbiddenWords: { ...empty.forbiddenWords, ...override.forbiddenWords },
+        brandCorrections: { ...empty.brandCorrections, ...override.brandCorrections },
+        categoryRules: isPlainObject(override.categoryRules) ? override.categoryRules : {},
+        fieldRules: isPlainObject(override.fieldRules) ? override.fieldRules : {}
+    };
+}
+
+function isOverrideEmpty(override) {
+    const o = normalizeOverride(override);
+    return o.forbiddenWords.add.length === 0 && o.forbiddenWords.remove.length === 0
+        && Object.keys(o.brandCorrections.set).length === 0 && o.brandCorrections.remove.length === 0
+        && Object.keys(o.categoryRules).length === 0 && Object.keys(o.fieldRules).length === 0;
+}
+
+/**
+ * Merge the override over the shipped rules. Never mutates `baseRules`.
+ * @param {object} baseRules - Parsed ai-rules-config.json
+ * @param {object|null} override - House style override
+ * @returns {object} Effective rules
+ */
+function applyRulesOverride(baseRules, override) {
+    const rules = JSON.parse(JSON.stringify(baseRules));
+    if (!override || isOverrideEmpty(override)) return rules;
+    const o = normalizeOverride(override);
+
+    // Field rules first — brand corrections below may live in fieldRules.title
+    for (const [field, partial] of Object.entries(o.fieldRules)) {
+        rules.fieldRules = rules.fieldRules || {};
+        rules.fieldRules[field] = deepMerge(rules.fieldRules[field] || {}, partial);
+    }
+
+    for (const [category, partial] of Object.entries(o.categoryRules)) {
+        rules.categoryRules = rules.categoryRules || {};
+        if (partial === null) {
+            delete rules.categoryRules[category];
+        } else {
+            rules.categoryRules[category] = deepMerge(rules.categoryRules[category] || {}, partial);
+        }
+    }
+
+    if (rules.validationRules) {
+        const removed = new Set(o.forbiddenWords.remove.map(w => w.toLowerCase()));
+        const words = (rules.validationRules.forbiddenWords || []).filter(w => !removed.has(w.toLowerCase()));
+        for (const word of o.forbiddenWords.add) {
+            const lower = word.toLowerCase();
+            if (!words.includes(lower)) words.push(lower);
+        }
+        rules.validationRules.forbiddenWords = words;
+    }
+
+    // getBrandCorrections() reads brandValidation first and falls back to the title rules
+    const targets = [rules.extractedRules?.brandValidation?.rules, rules.fieldRules?.title].filter(Boolean);
+    for (const target of targets) {
+        const corrections = { ...(target.brandCorrections || {}), ...o.brandCorrections.set };
+        for (const wrong of o.brandCorrections.remove) delete corrections[wrong];
+        target.brandCorrections = corrections;
+    }
+
+    rules.metadata = { ...rules.metadata, houseStyleOverrideAt: override.updatedAt || null };
+    return rules;
+}
+
+async function loadRulesOverride() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return null;
+    try {
+        const { [OVERRIDE_STORAGE_KEY]: override } = await chrome.storage.local.get(OVERRIDE_STORAGE_KEY);
+        return override ? normalizeOverride(override) : null;
+    } catch (error) {
+        console.warn('Could not read AI rules override:', error);
+        return null;
+    }
+}
+
+async function saveRulesOverride(override) {
+    if (isOverrideEmpty(override)) {
+        await chrome.storage.local.remove(OVERRIDE_STORAGE_KEY);
+        return null;
+    }
+    const stored = { ...normalizeOverride(override), updatedAt: Date.now() };
+    await chrome.storage.local.set({ [OVERRIDE_STORAGE_KEY]: stored });
+    return stored;
+}
+
+export {
+    OVERRIDE_STORAGE_KEY,
+    emptyOverride,
+    normalizeOverride,
+    isOverrideEmpty,
+    applyRulesOverride,
+    loadRulesOverride,
+    saveRulesOverride
+};
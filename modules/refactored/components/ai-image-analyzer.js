@@ -273,6 +273,7 @@ export class AIImageAnalyzer {
         
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'image-analysis',
           body: requestBody
         }, (response) => {
           clearTimeout(timeout);
@@ -387,6 +388,7 @@ export class AIImageAnalyzer {
         
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'image-analysis',
           body: requestBody
         }, (response) => {
           clearTimeout(timeout);
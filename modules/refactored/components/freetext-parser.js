@@ -1260,6 +1260,7 @@ export class FreetextParser {
         
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'freetext-parser',
           body: {
             model: this.apiManager.getCurrentModel().id, // Use user's selected model
             max_tokens: 2000,
@@ -1455,6 +1456,7 @@ VIKTIGT: Detta är ett UTKAST. Skriv MINIMALT — bara extrahera kärnfakta.
         
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'freetext-parser',
           body: {
             model: this.apiManager.getCurrentModel().id, // Use user's selected model
             max_tokens: maxTokens, // Dynamic token limit based on model capabilities
@@ -1528,6 +1530,7 @@ VIKTIGT: Detta är ett UTKAST. Skriv MINIMALT — bara extrahera kärnfakta.
         
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'freetext-parser',
           body: {
             model: this.apiManager.getCurrentModel().id, // Use user's selected model
             max_tokens: 2000,
@@ -3439,6 +3442,7 @@ SÖKORD: [kompletterande sökord separerade med mellanslag, flerordsfraser binds
         
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'freetext-parser',
           body: {
             model: this.apiManager.getCurrentModel().id, // Use user's selected model
             max_tokens: 2000, // Same as blue button
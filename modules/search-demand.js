@@ -0,0 +1,180 @@
+// search-demand.js — Buyer search demand per keyword, from the hourly search snapshots
+// background.js records the live shared + company searches every business hour
+// in dashboardSearchHistory (7 days). This turns that history into demand per
+// keyword — in how many snapshots buyers searched for it, and how many items
+// the search returned last time — for ranking and the "Sökefterfrågan" chips.
+
+export const SEARCH_HISTORY_KEY = 'dashboardSearchHistory';
+
+export const DEMAND_LABELS = { high: 'Hög', medium: 'Medel', low: 'Låg', none: 'Ingen' };
+
+// Share of snapshots a term has to appear in for each level
+const LEVEL_THRESHOLDS = { high: 0.25, medium: 0.05 };
+
+// A search that returned this many items or fewer is under-supplied
+export const FEW_RESULTS = 3;
+
+// Ranking weight for keywords whose search is under-supplied
+const SCARCITY_BOOST = 1.5;
+
+/**
+ * "Art-deco", "art deco " and "ART DECO" → "art deco"
+ */
+export function normalizeTerm(term) {
+  return (term || '').toLowerCase().replace(/[-_]/g, ' ').replace(/[^\p{L}\d\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a keywords field value; Auctionet uses spaces ("-" joins phrases), older items commas.
+ * @returns {{ keywords: string[], separator: string }}
+ */
+export function splitKeywordField(value) {
+  const separator = (value || '').includes(',') ? ', ' : ' ';
+  const keywords = (value || '').split(separator === ', ' ? ',' : /\s+/).map(k => k.trim()).filter(Boolean);
+  return { keywords, separator };
+}
+
+export class SearchDemand {
+  /**
+   * @param {Array} history — dashboardSearchHistory snapshots { timestamp, shared: [{ q, c, cat, ended }], company: [...] }
+   */
+  constructor(history = []) {
+    this.snapshotCount = history.length;
+    this.queries = new Map(); // normalized query → { query, hours: Set<snapshot index>, results, resultsAt, words }
+
+    history.forEach((snapshot, hour) => {
+      for (const s of [...(snapshot.shared || []), ...(snapshot.company || [])]) {
+        const key = normalizeTerm(s.q);
+        if (key.length < 2) continue;
+        const entry = this.queries.get(key) || { query: s.q, hours: new Set(), results: null, resultsAt: 0, words: key.split(' ') };
+        // Shared and company streams can both list the query — still one search hour
+        entry.hours.add(hour);
+        if (!s.ended && snapshot.timestamp >= entry.resultsAt) {
+          entry.results = s.c ?? null;
+          entry.resultsAt = snapshot.timestamp;
+        }
+        this.queries.set(key, entry);
+      }
+    });
+  }
+
+  /**
+   * Read the stored search history. Empty (never throws) without a dashboard token.
+   * @returns {Promise<SearchDemand>}
+   */
+  static async load() {
+    try {
+      const { [SEARCH_HISTORY_KEY]: history } = await chrome.storage.local.get(SEARCH_HISTORY_KEY);
+      return new SearchDemand(history || []);
+    } catch (e) {
+      return new SearchDemand([]);
+    }
+  }
+
+  isEmpty() {
+    return this.queries.size === 0;
+  }
+
+  /**
+   * Demand for one keyword, in snapshot hours. Hours with the exact search
+   * count fully; hours where it only appeared inside a longer search
+   * ("lisa larson katt" for "katt") count half.
+   * @returns {{ keyword: string, searches: number, exact: number, results: number|null,
+   *   fewResults: boolean, level: string, queries: string[], score: number }}
+   */
+  demandFor(keyword) {
+    const term = normalizeTerm(keyword);
+    const termWords = term.split(' ');
+    const exactHours = new Set();
+    const allHours = new Set();
+    let results = null;
+    const related = [];
+
+    if (term.length >= 2) {
+      for (const [key, entry] of this.queries) {
+        const isExact = key === term;
+        if (!isExact && !termWords.every(w => entry.words.includes(w))) continue;
+        entry.hours.forEach(h => allHours.add(h));
+        if (isExact) {
+          entry.hours.forEach(h => exactHours.add(h));
+          results = entry.results;
+        }
+        related.push(entry);
+      }
+    }
+
+    const searches = allHours.size;
+    const exact = exactHours.size;
+    const weighted = exact + (searches - exact) / 2;
+    const share = this.snapshotCount ? weighted / this.snapshotCount : 0;
+    const level = weighted === 0 ? 'none'
+      : share >= LEVEL_THRESHOLDS.high ? 'high'
+        : share >= LEVEL_THRESHOLDS.medium ? 'medium' : 'low';
+    const fewResults = results !== null && results <= FEW_RESULTS;
+
+    return {
+      keyword,
+      searches,
+      exact,
+      results,
+      fewResults,
+      level,
+      queries: related.sort((a, b) => b.hours.size - a.hours.size).slice(0, 3).map(e => e.query),
+      score: weighted * (fewResults ? SCARCITY_BOOST : 1)
+    };
+  }
+
+  /**
+   * Keywords ordered by demand, most searched first; keywords nobody searched
+   * keep their order at the end.
+   * @param {string[]} keywords
+   * @returns {string[]}
+   */
+  rank(keywords) {
+    if (this.isEmpty()) return keywords;
+    return keywords
+      .map((keyword, index) => ({ keyword, index, score: this.demandFor(keyword).score }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(k => k.keyword);
+  }
+
+  /**
+   * rank() for a keywords field value, keeping its separator.
+   */
+  rankKeywordString(value) {
+    const { keywords, separator } = splitKeywordField(value);
+    return this.rank(keywords).join(separator);
+  }
+
+  /**
+   * Searches buyers made that touch the item but aren't in its text yet —
+   * candidates for the keyword prompt.
+   * @param {object} itemData — { title, description, artist, category, keywords }
+   * @returns {Array<{ query: string, searches: number, results: number|null }>}
+   */
+  candidatesFor(itemData, limit = 10) {
+    const itemText = normalizeTerm([itemData.title, itemData.description, itemData.artist, itemData.category]
+      .filter(Boolean).join(' ').replace(/<[^>]*>/g, ' '));
+    const itemWords = new Set(itemText.split(' ').filter(w => w.length >= 4));
+    const existing = new Set(normalizeTerm(`${itemText} ${itemData.keywords || ''}`).split(' '));
+
+    const candidates = [];
+    for (const entry of this.queries.values()) {
+      if (entry.words.every(w => existing.has(w))) continue;
+      if (!entry.words.some(w => itemWords.has(w))) continue;
+      candidates.push({ query: entry.query, searches: entry.hours.size, results: entry.results });
+    }
+    return candidates.sort((a, b) => b.searches - a.searches).slice(0, limit);
+  }
+
+  /**
+   * Tooltip text: "Sökt under 12 av 48 timmar · 2 träffar senast"
+   */
+  describe(demand) {
+    if (demand.level === 'none') return `Ingen sökning på "${demand.keyword}" senaste ${this.snapshotCount} timmarna`;
+    const parts = [`Sökt under ${demand.searches} av ${this.snapshotCount} timmar`];
+    if (demand.exact < demand.searches) parts.push(`bland annat ${demand.queries.map(q => `"${q}"`).join(', ')}`);
+    if (demand.results !== null) parts.push(`${demand.results} träffar senast${demand.fewResults ? ' — få föremål, bra sökord' : ''}`);
+    return parts.join(' · ');
+  }
+}
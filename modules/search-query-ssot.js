@@ -2,6 +2,7 @@
 // THE authoritative source for search queries across all components
 
 import { AISearchQueryGenerator } from './ai-search-query-generator.js';
+import { auctionetFetch } from './core/auctionet-fetch.js';
 
 export class SearchQuerySSoT {
   constructor(apiManager) {
@@ -381,7 +382,7 @@ export class SearchQuerySSoT {
       
       // Test query on Auctionet API (minimal call)
       const testUrl = `https://auctionet.com/api/v2/items.json?is=ended&q=${encodeURIComponent(this.currentQuery)}&per_page=1`; // See CONFIG.URLS.AUCTIONET_API
-      const response = await fetch(testUrl);
+      const response = await auctionetFetch(testUrl);
       
       if (!response.ok) {
         return { valid: false, reason: `HTTP ${response.status}` };
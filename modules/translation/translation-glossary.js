@@ -0,0 +1,129 @@
+// modules/translation/translation-glossary.js — Target languages and the house glossary
+// Fixed term translations the AI must use verbatim. The built-in list covers
+// materials, techniques and standard condition phrases; the house can add or
+// override terms in the popup (chrome.storage.local 'translationSettings').
+
+export const TRANSLATION_LANGUAGES = {
+  en: { label: 'Engelska', name: 'English' },
+  de: { label: 'Tyska', name: 'German' },
+  fi: { label: 'Finska', name: 'Finnish' },
+  da: { label: 'Danska', name: 'Danish' }
+};
+
+// English is always produced; the others are opt-in per house
+export const DEFAULT_LANGUAGES = ['en'];
+
+export const TRANSLATED_FIELDS = ['title', 'description', 'condition'];
+
+export const SETTINGS_KEY = 'translationSettings';
+
+// Empty columns are left to the model
+export const DEFAULT_GLOSSARY = [
+  // Condition
+  { sv: 'sedvanligt slitage', en: 'normal wear', de: 'übliche Gebrauchsspuren', fi: 'tavanomaista kulumista', da: 'sædvanligt slid' },
+  { sv: 'bruksslitage', en: 'wear from use', de: 'Gebrauchsspuren', fi: 'käytön jälkiä', da: 'brugsslid' },
+  { sv: 'inga anmärkningar', en: 'no remarks', de: 'keine Anmerkungen', fi: 'ei huomautettavaa', da: 'ingen bemærkninger' },
+  { sv: 'nagg', en: 'chips', de: 'kleine Abplatzungen', fi: 'pieniä lohkeamia', da: 'skår' },
+  { sv: 'repor', en: 'scratches', de: 'Kratzer', fi: 'naarmuja', da: 'ridser' },
+  { sv: 'sprickor', en: 'cracks', de: 'Risse', fi: 'halkeamia', da: 'revner' },
+  { sv: 'fläckar', en: 'stains', de: 'Flecken', fi: 'tahroja', da: 'pletter' },
+  { sv: 'lagningar', en: 'repairs', de: 'Restaurierungen', fi: 'korjauksia', da: 'reparationer' },
+  // Metals
+  { sv: 'sterlingsilver', en: 'sterling silver', de: 'Sterlingsilber', fi: 'sterlinghopea', da: 'sterlingsølv' },
+  { sv: 'nysilver', en: 'nickel silver', de: 'Neusilber', fi: 'uushopea', da: 'nysølv' },
+  { sv: 'silver', en: 'silver', de: 'Silber', fi: 'hopea', da: 'sølv' },
+  { sv: 'guld', en: 'gold', de: 'Gold', fi: 'kulta', da: 'guld' },
+  { sv: 'mässing', en: 'brass', de: 'Messing', fi: 'messinki', da: 'messing' },
+  { sv: 'koppar', en: 'copper', de: 'Kupfer', fi: 'kupari', da: 'kobber' },
+  { sv: 'tenn', en: 'pewter', de: 'Zinn', fi: 'tina', da: 'tin' },
+  { sv: 'gjutjärn', en: 'cast iron', de: 'Gusseisen', fi: 'valurauta', da: 'støbejern' },
+  { sv: 'bruttovikt', en: 'gross weight', de: 'Bruttogewicht', fi: 'kokonaispaino', da: 'bruttovægt' },
+  // Ceramics and glass
+  { sv: 'porslin', en: 'porcelain', de: 'Porzellan', fi: 'posliini', da: 'porcelæn' },
+  { sv: 'flintgods', en: 'creamware', de: 'Steingut' },
+  { sv: 'fajans', en: 'faience', de: 'Fayence', fi: 'fajanssi', da: 'fajance' },
+  { sv: 'stengods', en: 'stoneware', de: 'Steinzeug', fi: 'kivitavara', da: 'stentøj' },
+  { sv: 'glas', en: 'glass', de: 'Glas', fi: 'lasi', da: 'glas' },
+  { sv: 'kristall', en: 'crystal', de: 'Kristall', fi: 'kristalli', da: 'krystal' },
+  // Wood
+  { sv: 'ek', en: 'oak', de: 'Eiche', fi: 'tammi', da: 'eg' },
+  { sv: 'björk', en: 'birch', de: 'Birke', fi: 'koivu', da: 'birk' },
+  { sv: 'mahogny', en: 'mahogany', de: 'Mahagoni', fi: 'mahonki', da: 'mahogni' },
+  { sv: 'jakaranda', en: 'rosewood', de: 'Palisander', fi: 'palisanteri', da: 'palisander' },
+  { sv: 'teak', en: 'teak', de: 'Teak', fi: 'tiikki', da: 'teak' },
+  // Techniques and marks
+  { sv: 'olja på duk', en: 'oil on canvas', de: 'Öl auf Leinwand', fi: 'öljy kankaalle', da: 'olie på lærred' },
+  { sv: 'olja på pannå', en: 'oil on panel', de: 'Öl auf Holz', fi: 'öljy levylle', da: 'olie på plade' },
+  { sv: 'akvarell', en: 'watercolour', de: 'Aquarell', fi: 'akvarelli', da: 'akvarel' },
+  { sv: 'litografi', en: 'lithograph', de: 'Lithographie', fi: 'litografia', da: 'litografi' },
+  { sv: 'etsning', en: 'etching', de: 'Radierung', fi: 'etsaus', da: 'radering' },
+  { sv: 'träsnitt', en: 'woodcut', de: 'Holzschnitt', fi: 'puupiirros', da: 'træsnit' },
+  { sv: 'otydligt signerad', en: 'indistinctly signed', de: 'undeutlich signiert', fi: 'epäselvästi signeerattu', da: 'utydeligt signeret' },
+  { sv: 'signerad', en: 'signed', de: 'signiert', fi: 'signeerattu', da: 'signeret' },
+  { sv: 'numrerad', en: 'numbered', de: 'nummeriert', fi: 'numeroitu', da: 'nummereret' },
+  { sv: 'stämplad', en: 'stamped', de: 'gestempelt', fi: 'leimattu', da: 'stemplet' }
+];
+
+/**
+ * Load enabled languages and the merged glossary (house terms override
+ * built-in ones with the same Swedish term).
+ * @returns {Promise<{languages: string[], glossary: object[]}>}
+ */
+export async function loadTranslationSettings() {
+  let stored = {};
+  try {
+    stored = (await chrome.storage.local.get(SETTINGS_KEY))[SETTINGS_KEY] || {};
+  } catch (error) {
+    console.warn('[Translation] Could not read settings:', error.message);
+  }
+  const languages = (stored.languages || DEFAULT_LANGUAGES).filter(lang => TRANSLATION_LANGUAGES[lang]);
+  return {
+    languages: languages.length > 0 ? languages : DEFAULT_LANGUAGES,
+    glossary: mergeGlossary(DEFAULT_GLOSSARY, stored.glossary || [])
+  };
+}
+
+export function mergeGlossary(base, overrides) {
+  const byTerm = new Map(base.map(entry => [entry.sv.toLowerCase(), entry]));
+  for (const entry of overrides) {
+    if (!entry?.sv) continue;
+    const key = entry.sv.toLowerCase();
+    byTerm.set(key, { ...byTerm.get(key), ...entry });
+  }
+  return [...byTerm.values()];
+}
+
+// Whole-word match; \b doesn't understand å/ä/ö
+function termPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<!\\p{L})${escaped}(?!\\p{L})`, 'iu');
+}
+
+/**
+ * Glossary entries whose Swedish term occurs in `text`. Longer terms win, so
+ * "otydligt signerad" doesn't also require plain "signerad".
+ */
+export function findGlossaryTerms(text, glossary) {
+  if (!text) return [];
+  let remaining = text;
+  const found = [];
+  for (const entry of [...glossary].sort((a, b) => b.sv.length - a.sv.length)) {
+    const pattern = termPattern(entry.sv);
+    if (pattern.test(remaining)) {
+      found.push(entry);
+      remaining = remaining.replace(new RegExp(pattern.source, 'giu'), ' ');
+    }
+  }
+  return found;
+}
+
+/**
+ * Glossary terms whose required translation is missing from `translated`.
+ * @returns {Array<{sv: string, expected: string}>}
+ */
+export function findGlossaryViolations(sourceText, translated, lang, glossary) {
+  if (!translated) return [];
+  return findGlossaryTerms(sourceText, glossary)
+    .filter(entry => entry[lang] && !termPattern(entry[lang]).test(translated))
+    .map(entry => ({ sv: entry.sv, expected: entry[lang] }));
+}
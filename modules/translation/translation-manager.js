@@ -0,0 +1,235 @@
+// modules/translation/translation-manager.js — Translates the Swedish catalog fields
+// One API call per run returns every requested language; glossary terms are
+// enforced in the prompt and checked afterwards. Which Swedish text each
+// translation was made from is remembered per item, so edits to the Swedish
+// fields can flag the translations as out of date.
+
+import {
+  TRANSLATION_LANGUAGES,
+  TRANSLATED_FIELDS,
+  loadTranslationSettings,
+  findGlossaryTerms,
+  findGlossaryViolations
+} from './translation-glossary.js';
+
+const SYNC_KEY = 'translationSync';
+const MODEL = 'claude-sonnet-4-5';
+
+export class TranslationManager {
+  constructor() {
+    this.settings = null;
+    this._running = null; // { key, promise } of the run in progress
+  }
+
+  async loadSettings() {
+    this.settings = await loadTranslationSettings();
+    return this.settings;
+  }
+
+  // ─── Translation ───
+
+  /**
+   * Translate the non-empty Swedish fields into `languages`. Runs one at a
+   * time: the same request while it is running gets that run's result, any
+   * other waits for it to finish.
+   * @param {object} source — { title, description, condition } in Swedish
+   * @param {string[]} languages — e.g. ['en', 'de']
+   * @param {string[]} [fields] — subset of TRANSLATED_FIELDS (default: all)
+   * @returns {Promise<object|null>} { [lang]: { [field]: { text, violations } } }, null on failure
+   */
+  async translate(source, languages, fields = TRANSLATED_FIELDS) {
+    const key = JSON.stringify([source, languages, fields]);
+    if (this._running?.key === key) return this._running.promise;
+
+    const promise = Promise.resolve(this._running?.promise)
+      .catch(() => null)
+      .then(() => this._translate(source, languages, fields));
+    const running = { key, promise };
+    this._running = running;
+    try {
+      return await promise;
+    } finally {
+      if (this._running === running) this._running = null;
+    }
+  }
+
+  async _translate(source, languages, fields) {
+    if (!this.settings) await this.loadSettings();
+
+    const wanted = fields.filter(field => source[field]?.trim());
+    if (wanted.length === 0 || languages.length === 0) return null;
+
+    const glossaryText = wanted.map(field => source[field]).join('\n');
+    const terms = findGlossaryTerms(glossaryText, this.settings.glossary);
+    const response = await this._callAPI(
+      this._buildSystemPrompt(),
+      this._buildUserMessage(source, wanted, languages, terms),
+      Math.min(800 + 700 * languages.length * wanted.length, 8000)
+    );
+    if (!response) return null;
+
+    const parsed = this._parseResponse(response);
+    if (!parsed) return null;
+
+    const result = {};
+    for (const lang of languages) {
+      result[lang] = {};
+      for (const field of wanted) {
+        const text = typeof parsed[lang]?.[field] === 'string' ? parsed[lang][field].trim() : '';
+        if (!text) continue;
+        result[lang][field] = {
+          text,
+          violations: findGlossaryViolations(source[field], text, lang, this.settings.glossary)
+        };
+      }
+    }
+    return result;
+  }
+
+  _buildSystemPrompt() {
+    return `Du översätter katalogtexter för auktionshuset Auctionet från svenska till andra språk.
+
+REGLER:
+- Översätt troget. Lägg aldrig till, ta bort eller förbättra fakta.
+- Behåll titelns struktur: samma ordning på kommaseparerade led, första ordet (objekttypen) i VERSALER om det är det i originalet.
+- Namn på konstnärer, formgivare, tillverkare, modeller och serier översätts inte.
+- Mått, vikter, årtal och stämplar behålls exakt; förkortningar översätts till målspråkets gängse (t.ex. "ca" → "approx.").
+- Behåll radbrytningar.
+- Ordlistans termer är husets fasta översättningar och ska användas ordagrant.
+
+Svara ENBART med ett JSON-objekt, en nyckel per språkkod och ett objekt med de begärda fälten:
+{"en": {"title": "...", "description": "...", "condition": "..."}}`;
+  }
+
+  _buildUserMessage(source, fields, languages, terms) {
+    const fieldLabels = { title: 'Titel', description: 'Beskrivning', condition: 'Kondition' };
+    const languageList = languages.map(lang => `${lang} (${TRANSLATION_LANGUAGES[lang].name})`).join(', ');
+
+    let message = `Språk: ${languageList}\nFält: ${fields.join(', ')}\n\n`;
+
+    if (terms.length > 0) {
+      message += 'ORDLISTA (svenska → fast översättning):\n';
+      for (const term of terms) {
+        const targets = languages.filter(lang => term[lang]).map(lang => `${lang}: ${term[lang]}`);
+        if (targets.length > 0) message += `- ${term.sv} → ${targets.join('; ')}\n`;
+      }
+      message += '\n';
+    }
+
+    for (const field of fields) {
+      message += `${fieldLabels[field]} (${field}):\n${source[field]}\n\n`;
+    }
+    return message.trim();
+  }
+
+  /**
+   * Call Claude API via background.js proxy (queueing, retries and caching
+   * are handled there)
+   */
+  async _callAPI(systemPrompt, userMessage, maxTokens) {
+    const result = await new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        console.error('[Translation] API call timed out');
+        resolve({ success: false, error: 'timeout' });
+      }, 120000);
+
+      chrome.runtime.sendMessage({
+        type: 'anthropic-fetch',
+        feature: 'translation',
+        body: {
+          model: MODEL,
+          max_tokens: maxTokens,
+          temperature: 0.1,
+          system: [{
+            type: 'text',
+            text: systemPrompt,
+            cache_control: { type: 'ephemeral' }
+          }],
+          messages: [{ role: 'user', content: userMessage }]
+        }
+      }, (response) => {
+        clearTimeout(timeout);
+        if (chrome.runtime.lastError) {
+          resolve({ success: false, error: chrome.runtime.lastError.message });
+        } else if (response?.success && response.data?.content?.[0]?.text) {
+          resolve({ success: true, text: response.data.content[0].text });
+        } else {
+          resolve({ success: false, error: response?.error || response?.data?.error?.message || 'Unknown' });
+        }
+      });
+    });
+
+    if (result.success) return result.text;
+    if (result.error !== 'timeout') console.error('[Translation] API error:', result.error);
+    return null;
+  }
+
+  _parseResponse(text) {
+    try {
+      const jsonStr = text.replace(/```json?\s*([\s\S]*?)```/g, '$1').trim();
+      const match = jsonStr.match(/\{[\s\S]*\}/);
+      return match ? JSON.parse(match[0]) : null;
+    } catch {
+      console.warn('[Translation] Failed to parse response');
+      return null;
+    }
+  }
+
+  // ─── Sync tracking ───
+  // chrome.storage.local 'translationSync' = { [itemId]: { updatedAt, fields: { 'en.title': hash } } }
+  // Trimmed to the most recent items by storage-inventory-bg.js.
+
+  static itemIdFromLocation(pathname = window.location.pathname) {
+    return pathname.match(/\/items\/(\d+)/)?.[1] || null;
+  }
+
+  static hashText(text) {
+    let hash = 0x811c9dc5;
+    const normalized = (text || '').trim();
+    for (let i = 0; i < normalized.length; i++) {
+      hash ^= normalized.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  async _readSync() {
+    try {
+      return (await chrome.storage.local.get(SYNC_KEY))[SYNC_KEY] || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Remember that `lang`/`field` now matches the given Swedish text.
+   */
+  async recordSync(itemId, entries) {
+    if (!itemId || entries.length === 0) return;
+    const all = await this._readSync();
+    const record = all[itemId] || { fields: {} };
+    for (const { lang, field, sourceText } of entries) {
+      record.fields[`${lang}.${field}`] = TranslationManager.hashText(sourceText);
+    }
+    record.updatedAt = Date.now();
+    all[itemId] = record;
+    await chrome.storage.local.set({ [SYNC_KEY]: all });
+  }
+
+  /**
+   * Translations made from a Swedish text that has since changed.
+   * @returns {Promise<Array<{lang: string, field: string}>>}
+   */
+  async findStale(itemId, source) {
+    if (!itemId) return [];
+    const record = (await this._readSync())[itemId];
+    if (!record) return [];
+    return Object.entries(record.fields)
+      .map(([key, hash]) => {
+        const [lang, field] = key.split('.');
+        return { lang, field, hash };
+      })
+      .filter(({ field, hash }) => TranslationManager.hashText(source[field]) !== hash)
+      .map(({ lang, field }) => ({ lang, field }));
+  }
+}
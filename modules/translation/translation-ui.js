@@ -0,0 +1,323 @@
+// modules/translation/translation-ui.js — UI for "Översätt"
+// Sidebar panel (language choice, sync status), side-by-side review modal.
+// The review modal reuses the Enhance All preview styling.
+
+import { escapeHTML } from '../core/html-escape.js';
+import { FieldDistributor } from '../enhance-all/field-distributor.js';
+import { TRANSLATION_LANGUAGES, TRANSLATED_FIELDS } from './translation-glossary.js';
+import { TranslationManager } from './translation-manager.js';
+
+const FIELD_LABELS = { title: 'Titel', description: 'Beskrivning', condition: 'Kondition' };
+
+export class TranslationUI {
+  constructor() {
+    this.translationManager = null;
+    this.fieldDistributor = null;
+    this.itemId = TranslationManager.itemIdFromLocation();
+    this._syncTimer = null;
+    this._activeRuns = 0;
+  }
+
+  setTranslationManager(manager) {
+    this.translationManager = manager;
+  }
+
+  setFieldDistributor(distributor) {
+    this.fieldDistributor = distributor;
+  }
+
+  // ─── Sidebar panel ───
+
+  /**
+   * Inject the "Översätt" panel below the "Förbättra alla" panel
+   */
+  async injectTranslationPanel() {
+    if (document.getElementById('translation-panel')) return;
+
+    const { languages } = await this.translationManager.loadSettings();
+
+    const panel = document.createElement('div');
+    panel.id = 'translation-panel';
+    panel.className = 'translation-panel';
+    panel.innerHTML = `
+      <div class="translation-header">
+        <span class="translation-icon">&#127760;</span>
+        <span class="translation-title">Översätt</span>
+      </div>
+      <div class="translation-languages">
+        ${Object.entries(TRANSLATION_LANGUAGES).map(([lang, { label }]) => `
+          <label class="translation-language">
+            <input type="checkbox" value="${lang}" ${languages.includes(lang) ? 'checked' : ''}>
+            <span>${label}</span>
+          </label>
+        `).join('')}
+      </div>
+      <div class="translation-sync-status" id="translation-sync-status"></div>
+      <button type="button" class="translation-run-btn" id="translation-run-btn">
+        <span>&#127760;</span> Översätt titel, beskrivning och kondition
+      </button>
+    `;
+
+    const anchor = document.getElementById('enhance-all-panel')
+      || document.querySelector('.grid-col4 .quality-indicator');
+    if (anchor) {
+      anchor.after(panel);
+    } else {
+      const sidebar = document.querySelector('.grid-col4');
+      if (!sidebar) return;
+      sidebar.insertBefore(panel, sidebar.firstChild);
+    }
+
+    const runButton = panel.querySelector('#translation-run-btn');
+    this._runButtonLabel = runButton.innerHTML;
+    runButton.addEventListener('click', () => {
+      this.run(this._selectedLanguages(panel));
+    });
+
+    this._watchSwedishFields();
+    this.refreshSyncStatus();
+  }
+
+  /**
+   * Re-read the settings and tick the house's languages again (after "refresh-settings" from the popup)
+   */
+  async refreshLanguages() {
+    const { languages } = await this.translationManager.loadSettings();
+    document.querySelectorAll('#translation-panel .translation-language input').forEach(checkbox => {
+      checkbox.checked = languages.includes(checkbox.value);
+    });
+  }
+
+  _selectedLanguages(panel) {
+    return [...panel.querySelectorAll('.translation-language input:checked')].map(cb => cb.value);
+  }
+
+  _readSource() {
+    const source = {};
+    for (const field of TRANSLATED_FIELDS) {
+      source[field] = document.querySelector(FieldDistributor.FIELD_MAP[field])?.value || '';
+    }
+    return source;
+  }
+
+  // ─── Keeping translations in sync ───
+
+  _watchSwedishFields() {
+    const schedule = () => {
+      clearTimeout(this._syncTimer);
+      this._syncTimer = setTimeout(() => this.refreshSyncStatus(), 800);
+    };
+    for (const field of TRANSLATED_FIELDS) {
+      const el = document.querySelector(FieldDistributor.FIELD_MAP[field]);
+      el?.addEventListener('input', schedule);
+      el?.addEventListener('change', schedule);
+    }
+  }
+
+  async refreshSyncStatus() {
+    const status = document.getElementById('translation-sync-status');
+    if (!status) return;
+
+    const stale = await this.translationManager.findStale(this.itemId, this._readSource());
+    if (stale.length === 0) {
+      status.className = 'translation-sync-status';
+      status.innerHTML = '';
+      return;
+    }
+
+    const byLang = {};
+    for (const { lang, field } of stale) {
+      (byLang[lang] ||= []).push(FIELD_LABELS[field].toLowerCase());
+    }
+    const summary = Object.entries(byLang)
+      .map(([lang, fields]) => `${TRANSLATION_LANGUAGES[lang]?.label || lang}: ${fields.join(', ')}`)
+      .join(' · ');
+
+    status.className = 'translation-sync-status stale';
+    status.innerHTML = `
+      <div>&#9888; Svensk text ändrad — översättningen är inaktuell</div>
+      <div class="translation-sync-detail">${escapeHTML(summary)}</div>
+      <button type="button" class="translation-resync-btn">Uppdatera översättningar</button>
+    `;
+    status.querySelector('.translation-resync-btn').addEventListener('click', () => {
+      const languages = [...new Set(stale.map(s => s.lang))].filter(lang => TRANSLATION_LANGUAGES[lang]);
+      const fields = [...new Set(stale.map(s => s.field))];
+      this.run(languages, fields);
+    });
+  }
+
+  // ─── Running ───
+
+  async run(languages, fields = TRANSLATED_FIELDS) {
+    if (languages.length === 0) {
+      this._showMessage('Välj minst ett språk', 'error');
+      return;
+    }
+
+    const source = this._readSource();
+    // "Inga anmärkningar" — Auctionet renders the condition text per language itself
+    if (document.querySelector('#item_no_remarks, input[name="item[no_remarks]"]')?.checked) source.condition = '';
+    if (!fields.some(field => source[field].trim())) {
+      this._showMessage('Det finns ingen svensk text att översätta', 'error');
+      return;
+    }
+
+    const button = document.getElementById('translation-run-btn');
+    this._activeRuns++;
+    if (button) {
+      button.disabled = true;
+      button.classList.add('processing');
+      button.textContent = 'Översätter...';
+    }
+
+    try {
+      const result = await this.translationManager.translate(source, languages, fields);
+      if (!result) {
+        this._showMessage('Översättningen misslyckades — försök igen', 'error');
+        return;
+      }
+      this.showReview(result, source);
+    } finally {
+      // "Uppdatera översättningar" may have started a second run meanwhile
+      if (--this._activeRuns === 0 && button) {
+        button.disabled = false;
+        button.classList.remove('processing');
+        button.innerHTML = this._runButtonLabel;
+      }
+    }
+  }
+
+  // ─── Review modal ───
+
+  showReview(result, source) {
+    this._removeReview();
+
+    const modal = document.createElement('div');
+    modal.id = 'translation-review';
+    modal.className = 'enhance-all-preview-overlay';
+    modal.innerHTML = `
+      <div class="enhance-all-preview-modal translation-review-modal">
+        <div class="enhance-all-preview-header">
+          <span>Granska översättning</span>
+          <button type="button" class="enhance-all-preview-close" title="Stäng">&#10005;</button>
+        </div>
+        <div class="enhance-all-preview-body">
+          ${Object.entries(result).map(([lang, fields]) => this._buildLanguageSection(lang, fields, source)).join('')}
+        </div>
+        <div class="enhance-all-preview-footer">
+          <button type="button" class="enhance-all-btn-secondary" id="translation-cancel">Avbryt</button>
+          <button type="button" class="enhance-all-btn-primary" id="translation-accept-selected">Godkänn valda</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    this._attachReviewListeners(modal, source);
+  }
+
+  _buildLanguageSection(lang, fields, source) {
+    const rows = Object.entries(fields);
+    if (rows.length === 0) return '';
+    return `
+      <div class="translation-language-section">
+        <h4 class="translation-language-heading">${escapeHTML(TRANSLATION_LANGUAGES[lang].label)}</h4>
+        ${rows.map(([field, { text, violations }]) => this._buildFieldRow(lang, field, text, violations, source[field])).join('')}
+      </div>
+    `;
+  }
+
+  _buildFieldRow(lang, field, text, violations, sourceText) {
+    const hasTarget = this.fieldDistributor.hasTranslationField(field, lang);
+    return `
+      <div class="enhance-all-field-preview" data-lang="${lang}" data-field="${field}">
+        <div class="field-preview-header">
+          <span class="field-preview-label">${FIELD_LABELS[field]}</span>
+          <div class="field-preview-actions">
+            ${hasTarget
+              ? `<label class="field-preview-toggle">
+                  <input type="checkbox" checked data-lang="${lang}" data-field="${field}">
+                  <span class="toggle-label">Godkänn</span>
+                </label>`
+              : `<span class="field-preview-unchanged">Fältet finns inte i formuläret</span>
+                <button type="button" class="translation-copy-btn">Kopiera</button>`
+            }
+          </div>
+        </div>
+        <div class="translation-side-by-side">
+          <pre class="field-preview-text translation-source">${escapeHTML(sourceText)}</pre>
+          <textarea class="translation-target" rows="${Math.min(Math.max(text.split('\n').length + 1, 2), 12)}">${escapeHTML(text)}</textarea>
+        </div>
+        ${violations.length > 0 ? `
+          <div class="translation-glossary-warning">
+            Ordlistan: ${violations.map(v => `«${escapeHTML(v.sv)}» ska översättas «${escapeHTML(v.expected)}»`).join(', ')}
+          </div>` : ''}
+      </div>
+    `;
+  }
+
+  _attachReviewListeners(modal, source) {
+    const close = () => this._removeReview();
+    modal.querySelector('.enhance-all-preview-close').addEventListener('click', close);
+    modal.querySelector('#translation-cancel').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+    this._escHandler = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    document.addEventListener('keydown', this._escHandler);
+
+    // No matching form field: copy to clipboard instead and count it as synced
+    modal.querySelectorAll('.translation-copy-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const row = btn.closest('[data-lang]');
+        const { lang, field } = row.dataset;
+        try {
+          await navigator.clipboard.writeText(row.querySelector('.translation-target').value);
+          btn.textContent = 'Kopierad';
+          await this.translationManager.recordSync(this.itemId, [{ lang, field, sourceText: source[field] }]);
+          this.refreshSyncStatus();
+        } catch (error) {
+          btn.textContent = 'Kunde inte kopiera';
+        }
+      });
+    });
+
+    modal.querySelector('#translation-accept-selected').addEventListener('click', async () => {
+      const applied = [];
+      modal.querySelectorAll('.field-preview-toggle input:checked').forEach(cb => {
+        const { lang, field } = cb.dataset;
+        const row = cb.closest('[data-lang]');
+        if (this.fieldDistributor.applyTranslation(field, lang, row.querySelector('.translation-target').value)) {
+          applied.push({ lang, field, sourceText: source[field] });
+        }
+      });
+      this._removeReview();
+      if (applied.length === 0) return;
+
+      await this.translationManager.recordSync(this.itemId, applied);
+      this.refreshSyncStatus();
+      this._showMessage(`${applied.length} översatta fält uppdaterade`, 'success');
+    });
+  }
+
+  _removeReview() {
+    document.getElementById('translation-review')?.remove();
+    if (this._escHandler) {
+      document.removeEventListener('keydown', this._escHandler);
+      this._escHandler = null;
+    }
+  }
+
+  _showMessage(message, type) {
+    const panel = document.getElementById('translation-panel');
+    if (!panel) return;
+    panel.querySelector('.translation-message')?.remove();
+
+    const el = document.createElement('div');
+    el.className = `translation-message ${type}`;
+    el.textContent = message;
+    panel.appendChild(el);
+    setTimeout(() => el.remove(), 4000);
+  }
+}
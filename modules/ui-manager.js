@@ -6,6 +6,16 @@ export class UIManager {
     this.apiManager = apiManager;
     this.qualityAnalyzer = qualityAnalyzer;
     this.originalValues = new Map();
+    this.editHistory = null;
+    this.searchDemand = null;
+  }
+
+  setEditHistory(editHistory) {
+    this.editHistory = editHistory;
+  }
+
+  setSearchDemand(searchDemand) {
+    this.searchDemand = searchDemand;
   }
 
   injectUI() {
@@ -367,6 +377,11 @@ export class UIManager {
       // Store original value
       this.originalValues.set(fieldType, field.value);
       
+      // Most searched keywords first, so the 12-keyword cap drops the least searched
+      if (fieldType === 'keywords' && this.searchDemand) {
+        value = this.searchDemand.rankKeywordString(value);
+      }
+
       // Strip unknown-artist phrases that don't belong in non-artist fields
       let finalValue = UIManager.stripUnknownArtistTerms(value);
       if (fieldType === 'keywords') {
@@ -403,6 +418,12 @@ export class UIManager {
       
       // Add undo button
       this.addUndoButton(field, fieldType);
+
+      this.editHistory?.scheduleAISnapshot({
+        type: 'ai',
+        label: 'Fältförbättring',
+        model: this.apiManager?.getCurrentModel?.().id
+      });
     }
   }
 
@@ -456,6 +477,7 @@ export class UIManager {
         field.value = originalValue;
         field.classList.remove('ai-updated');
         undoButton.remove();
+        this.editHistory?.recordManual('undo');
       }
     });
 
@@ -0,0 +1,57 @@
+// modules/ui/ai-queue-indicator.js
+// Floating "N förfrågningar före dig" pill driven by 'ai-queue-status'
+// messages from the background scheduler. Hidden whenever this tab has
+// nothing waiting.
+
+export class AIQueueIndicator {
+  constructor() {
+    this.element = null;
+    this.listener = null;
+  }
+
+  init() {
+    if (this.listener) return;
+    this.listener = (request) => {
+      if (request?.type === 'ai-queue-status') {
+        this.update(request.status);
+      }
+    };
+    chrome.runtime.onMessage.addListener(this.listener);
+  }
+
+  /**
+   * @param {{ queued: number, ahead: number, etaMs: number }} status
+   */
+  update(status) {
+    if (!status || status.queued === 0) {
+      this.hide();
+      return;
+    }
+
+    if (!this.element) {
+      this.element = document.createElement('div');
+      this.element.className = 'ext-ai-queue';
+      this.element.setAttribute('role', 'status');
+      document.body.appendChild(this.element);
+    }
+
+    const seconds = Math.max(1, Math.round(status.etaMs / 1000));
+    const aheadText = status.ahead === 1 ? '1 förfrågan före dig' : `${status.ahead} förfrågningar före dig`;
+    this.element.textContent = `⏳ AI-kö: ${aheadText} (~${seconds} s)`;
+  }
+
+  hide() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+
+  destroy() {
+    if (this.listener) {
+      chrome.runtime.onMessage.removeListener(this.listener);
+      this.listener = null;
+    }
+    this.hide();
+  }
+}
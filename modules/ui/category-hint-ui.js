@@ -0,0 +1,155 @@
+// modules/ui/category-hint-ui.js
+// "Trolig kategori" row under the category select: when the text describes
+// another category than the selected one (or none is selected yet) it names
+// the likely category with a "Byt till …" button. When the local terms are
+// inconclusive it offers to ask the AI instead. Used on the edit and add pages.
+
+import { escapeHTML } from '../core/html-escape.js';
+import {
+  predictCategory, checkCategoryMismatch, describePrediction, findCategoryOption, predictCategoryWithAI
+} from '../core/category-classifier.js';
+import { getParentCategoryId } from '../analytics/category-registry.js';
+
+const SELECT_SELECTOR = '#item_category_id';
+const TEXT_SELECTORS = ['#item_title_sv', '#item_description_sv', '#item_hidden_keywords'];
+
+// Övrigt — always worth a suggestion
+const FALLBACK_CATEGORY_ID = 43;
+
+export class CategoryHintUI {
+  constructor() {
+    this.select = null;
+    this.element = null;
+    this.debounce = null;
+    this.ai = null; // { key, loading, result } for the text the AI was last asked about
+  }
+
+  init() {
+    this.select = document.querySelector(SELECT_SELECTOR);
+    // Re-run after an SPA page change replaced the form
+    if (!this.select || this.element?.isConnected) return;
+
+    this.element = document.createElement('div');
+    this.element.className = 'category-hint';
+    // Chosen hides the select and shows its own widget right after it
+    const anchor = document.querySelector(`${SELECT_SELECTOR}_chosen`) || this.select;
+    anchor.insertAdjacentElement('afterend', this.element);
+
+    const refresh = () => {
+      clearTimeout(this.debounce);
+      this.debounce = setTimeout(() => this.render(), 500);
+    };
+    TEXT_SELECTORS.forEach(selector => {
+      const field = document.querySelector(selector);
+      field?.addEventListener('input', refresh);
+      field?.addEventListener('change', refresh);
+    });
+    this.select.addEventListener('change', () => this.render());
+    this.render();
+  }
+
+  _itemData() {
+    const value = selector => document.querySelector(selector)?.value || '';
+    return {
+      title: value('#item_title_sv'),
+      description: value('#item_description_sv'),
+      keywords: value('#item_hidden_keywords')
+    };
+  }
+
+  _options() {
+    return [...this.select.options]
+      .filter(o => o.value)
+      .map(o => ({ value: o.value, text: o.textContent.trim() }));
+  }
+
+  render() {
+    if (!this.element) return;
+    const item = this._itemData();
+    if (!item.title.trim()) {
+      this.element.innerHTML = '';
+      return;
+    }
+
+    const selectedId = Number(this.select.value) || 0;
+    const prediction = predictCategory(item);
+    const suggestion = selectedId
+      ? checkCategoryMismatch(item, selectedId)
+      : (prediction && prediction.confidence !== 'low' ? prediction : null);
+
+    const aiKey = JSON.stringify(item);
+    if (this.ai && this.ai.key !== aiKey) this.ai = null;
+
+    if (this.ai) {
+      this._renderAI(selectedId);
+    } else if (suggestion) {
+      const option = findCategoryOption(this._options(), suggestion);
+      this.element.innerHTML = `
+        <span class="category-hint__label">Trolig kategori:</span>
+        <span class="category-hint__name" title="Utifrån ${escapeHTML(suggestion.matched.join(', '))}">${escapeHTML(describePrediction(suggestion))}</span>
+        ${option ? `<button type="button" class="category-hint__apply" data-value="${escapeHTML(option.value)}">Byt till ${escapeHTML(option.text)}</button>` : ''}
+      `;
+    } else if (this._inconclusive(selectedId, prediction)) {
+      this.element.innerHTML = '<button type="button" class="category-hint__ask">Föreslå kategori med AI</button>';
+    } else {
+      this.element.innerHTML = '';
+    }
+
+    this.element.querySelector('.category-hint__apply')?.addEventListener('click', (e) => {
+      this.applyCategory(e.currentTarget.dataset.value);
+    });
+    this.element.querySelector('.category-hint__ask')?.addEventListener('click', () => this.askAI());
+  }
+
+  /**
+   * Nothing to suggest locally, but the selection is empty, Övrigt, or
+   * weakly contradicted by the text.
+   */
+  _inconclusive(selectedId, prediction) {
+    if (!selectedId || getParentCategoryId(selectedId) === FALLBACK_CATEGORY_ID) return true;
+    return !!prediction && prediction.parentId !== getParentCategoryId(selectedId);
+  }
+
+  _renderAI(selectedId) {
+    const { loading, result } = this.ai;
+    if (loading) {
+      this.element.innerHTML = '<span class="category-hint__label">Frågar AI om kategorin…</span>';
+    } else if (!result) {
+      this.element.innerHTML = '<span class="category-hint__label">Kunde inte hämta AI-förslag</span>';
+    } else if (Number(result.option.value) === selectedId) {
+      this.element.innerHTML = `<span class="category-hint__label" title="${escapeHTML(result.reason)}">AI: vald kategori stämmer ✓</span>`;
+    } else {
+      this.element.innerHTML = `
+        <span class="category-hint__label">AI föreslår:</span>
+        <span class="category-hint__name" title="${escapeHTML(result.reason)}">${escapeHTML(result.option.text)}</span>
+        <button type="button" class="category-hint__apply" data-value="${escapeHTML(result.option.value)}">Byt kategori</button>
+      `;
+    }
+  }
+
+  async askAI() {
+    const item = this._itemData();
+    const key = JSON.stringify(item);
+    this.ai = { key, loading: true, result: null };
+    this.render();
+    const result = await predictCategoryWithAI(item, this._options());
+    if (this.ai?.key !== key) return;
+    this.ai = { key, loading: false, result };
+    this.render();
+  }
+
+  applyCategory(value) {
+    this.select.value = value;
+    this.select.dispatchEvent(new Event('change', { bubbles: true }));
+    // The Chosen widget only listens to jQuery events — update its label directly
+    const chosenLabel = document.querySelector(`${SELECT_SELECTOR}_chosen .chosen-single span`);
+    const option = this.select.querySelector(`option[value="${CSS.escape(value)}"]`);
+    if (chosenLabel && option) chosenLabel.textContent = option.textContent.trim();
+  }
+
+  destroy() {
+    clearTimeout(this.debounce);
+    this.element?.remove();
+    this.element = null;
+  }
+}
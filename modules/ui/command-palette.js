@@ -0,0 +1,248 @@
+// modules/ui/command-palette.js
+// Ctrl+K (⌘K) palette listing the extension actions available on the page,
+// plus the direct shortcuts bound to them (modules/core/shortcut-keys.js).
+// A command is { id, group, label, keywords?, available(), run() }; `label`
+// may be a function for actions named after page content (the detected artist).
+// The shortcut of the selected command is changed with Ctrl+Enter or ⌨.
+
+import { escapeHTML } from '../core/html-escape.js';
+import {
+  SHORTCUTS_KEY,
+  PALETTE_SHORTCUTS,
+  shortcutFromEvent,
+  isUsableShortcut,
+  formatShortcut,
+  loadShortcuts,
+  saveShortcut
+} from '../core/shortcut-keys.js';
+
+const FOOTER_HINT = '↑↓ välj · Enter kör · Ctrl+Enter ändra kortkommando · Esc stäng';
+
+const labelOf = command => (typeof command.label === 'function' ? command.label() : command.label);
+
+const isAvailable = command => {
+  try {
+    return !command.available || command.available();
+  } catch (e) {
+    return false;
+  }
+};
+
+export class CommandPalette {
+  constructor() {
+    this.commands = [];
+    this.shortcuts = {};
+    this.overlay = null;
+    this.visible = [];
+    this.selectedIndex = 0;
+    this.recordingFor = null;
+    this.returnFocus = null;
+    this._onKeydown = this._onKeydown.bind(this);
+  }
+
+  setCommands(commands) {
+    this.commands = commands;
+  }
+
+  async init() {
+    this.shortcuts = await loadShortcuts();
+    // Capture phase: runs before the page's own handlers and the fields' typing
+    document.addEventListener('keydown', this._onKeydown, true);
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes[SHORTCUTS_KEY]) {
+        loadShortcuts().then(shortcuts => {
+          this.shortcuts = shortcuts;
+          if (this.overlay) this._renderList();
+        });
+      }
+    });
+  }
+
+  _onKeydown(event) {
+    if (event.isComposing || this.overlay) return; // the open palette handles its own keys
+    const shortcut = shortcutFromEvent(event);
+    if (!shortcut) return;
+
+    if (PALETTE_SHORTCUTS.includes(shortcut)) {
+      event.preventDefault();
+      event.stopPropagation();
+      this.open();
+      return;
+    }
+
+    const commandId = Object.keys(this.shortcuts).find(id => this.shortcuts[id] === shortcut);
+    const command = commandId && this.commands.find(c => c.id === commandId);
+    // Unavailable right now: let the key through to the page
+    if (!command || !isAvailable(command)) return;
+    event.preventDefault();
+    event.stopPropagation();
+    this.run(command);
+  }
+
+  // ─── Palette ───
+
+  open() {
+    if (this.overlay) return;
+    this.returnFocus = document.activeElement;
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'command-palette-overlay';
+    this.overlay.innerHTML = `
+      <div class="command-palette" role="dialog" aria-label="Kommandon">
+        <input type="text" class="command-palette__input" placeholder="Sök åtgärd…" autocomplete="off" spellcheck="false">
+        <ul class="command-palette__list" role="listbox"></ul>
+        <div class="command-palette__footer">${FOOTER_HINT}</div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    const input = this.overlay.querySelector('.command-palette__input');
+    input.addEventListener('input', () => {
+      this.selectedIndex = 0;
+      this._renderList();
+    });
+    input.addEventListener('keydown', event => this._onPaletteKeydown(event));
+    this.overlay.addEventListener('mousedown', event => {
+      if (event.target === this.overlay) this.close();
+    });
+
+    this._renderList();
+    input.focus();
+  }
+
+  close() {
+    if (!this.overlay) return;
+    this.overlay.remove();
+    this.overlay = null;
+    this.recordingFor = null;
+    this.returnFocus?.focus?.();
+    this.returnFocus = null;
+  }
+
+  run(command) {
+    this.close();
+    Promise.resolve()
+      .then(() => command.run())
+      .catch(error => console.error(`[CommandPalette] ${command.id} failed:`, error));
+  }
+
+  _onPaletteKeydown(event) {
+    event.stopPropagation();
+    if (this.recordingFor) {
+      this._recordShortcut(event);
+      return;
+    }
+    const selected = this.visible[this.selectedIndex];
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.close();
+    } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      this.selectedIndex = (this.selectedIndex + step + this.visible.length) % Math.max(this.visible.length, 1);
+      this._renderList();
+    } else if (event.key === 'Enter' && selected) {
+      event.preventDefault();
+      if (event.ctrlKey || event.metaKey) this._startRecording(selected.id);
+      else this.run(selected);
+    }
+  }
+
+  /**
+   * Available commands matching every word of the query, best match first:
+   * label starts with the query, then label contains it, then any match.
+   */
+  _matches(query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const available = this.commands.filter(isAvailable);
+    if (words.length === 0) return available;
+
+    const phrase = words.join(' ');
+    return available
+      .map((command, order) => {
+        const label = labelOf(command).toLowerCase();
+        const haystack = `${label} ${command.group.toLowerCase()} ${(command.keywords || []).join(' ').toLowerCase()}`;
+        if (!words.every(word => haystack.includes(word))) return null;
+        const rank = label.startsWith(phrase) ? 0 : label.includes(phrase) ? 1 : 2;
+        return { command, rank, order };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.rank - b.rank || a.order - b.order)
+      .map(match => match.command);
+  }
+
+  _renderList(message = '') {
+    if (!this.overlay) return;
+    const query = this.overlay.querySelector('.command-palette__input').value;
+    this.visible = this._matches(query);
+    this.selectedIndex = Math.min(this.selectedIndex, Math.max(this.visible.length - 1, 0));
+
+    const list = this.overlay.querySelector('.command-palette__list');
+    if (this.visible.length === 0) {
+      list.innerHTML = '<li class="command-palette__empty">Inga åtgärder matchar</li>';
+    } else {
+      list.innerHTML = this.visible.map((command, index) => {
+        const recording = this.recordingFor === command.id;
+        const shortcut = recording
+          ? '<span class="command-palette__recording">Tryck kortkommando… (Backsteg tar bort, Esc avbryter)</span>'
+          : (this.shortcuts[command.id] ? `<kbd>${escapeHTML(formatShortcut(this.shortcuts[command.id]))}</kbd>` : '');
+        return `
+          <li class="command-palette__item${index === this.selectedIndex ? ' selected' : ''}" role="option" data-index="${index}">
+            <span class="command-palette__group">${escapeHTML(command.group)}</span>
+            <span class="command-palette__label">${escapeHTML(labelOf(command))}</span>
+            ${shortcut}
+            <button type="button" class="command-palette__bind" data-index="${index}" title="Ändra kortkommando">⌨</button>
+          </li>`;
+      }).join('');
+    }
+    const footer = this.overlay.querySelector('.command-palette__footer');
+    footer.classList.toggle('message', !!message);
+    footer.textContent = message || FOOTER_HINT;
+
+    list.querySelectorAll('.command-palette__item').forEach(item => {
+      item.addEventListener('click', event => {
+        const command = this.visible[Number(item.dataset.index)];
+        if (event.target.closest('.command-palette__bind')) this._startRecording(command.id);
+        else this.run(command);
+      });
+    });
+    list.querySelector('.selected')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  _startRecording(commandId) {
+    this.recordingFor = commandId;
+    this._renderList();
+    this.overlay.querySelector('.command-palette__input').focus();
+  }
+
+  async _recordShortcut(event) {
+    event.preventDefault();
+    const commandId = this.recordingFor;
+    if (event.key === 'Escape') {
+      this.recordingFor = null;
+      this._renderList();
+      return;
+    }
+    let shortcut = null;
+    if (event.key !== 'Backspace' && event.key !== 'Delete') {
+      shortcut = shortcutFromEvent(event);
+      if (!shortcut) return; // modifier held, waiting for the key
+      if (!isUsableShortcut(shortcut)) {
+        this._renderList(`${formatShortcut(shortcut)} går inte — använd Ctrl, Alt eller ⌘ tillsammans med en tangent`);
+        return;
+      }
+    }
+
+    this.recordingFor = null;
+    const previousOwner = shortcut && this.commands.find(c => c.id !== commandId && this.shortcuts[c.id] === shortcut);
+    try {
+      this.shortcuts = await saveShortcut(commandId, shortcut);
+    } catch (error) {
+      this._renderList(`Kunde inte spara kortkommandot: ${error.message}`);
+      return;
+    }
+    this._renderList(previousOwner
+      ? `${formatShortcut(shortcut)} flyttades från "${labelOf(previousOwner)}"`
+      : (shortcut ? `Sparat: ${formatShortcut(shortcut)}` : 'Kortkommandot togs bort'));
+  }
+}
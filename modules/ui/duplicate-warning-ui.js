@@ -0,0 +1,124 @@
+// modules/ui/duplicate-warning-ui.js
+// "Möjlig dubblett" banner above the title field: items in the local index
+// (publishable queue, unsolds, contract pages) whose title, description or
+// photo matches the item being cataloged, with links to them. Used on the
+// edit and add pages; the edit page's own item is never listed.
+
+import { escapeHTML } from '../core/html-escape.js';
+import { findDuplicates, parseAdminIds, SOURCE_LABELS } from '../item-index.js';
+
+const TITLE_SELECTOR = '#item_title_sv';
+const DESCRIPTION_SELECTOR = '#item_description_sv';
+
+// Titles shorter than this match too much to be worth a lookup
+const MIN_TITLE_LENGTH = 8;
+
+export class DuplicateWarningUI {
+  constructor() {
+    this.titleField = null;
+    this.element = null;
+    this.debounce = null;
+    this.lastQueryKey = null;
+    this.matches = [];
+    this.dismissed = new Set(); // item ids the cataloger marked as not a duplicate
+  }
+
+  init() {
+    this.titleField = document.querySelector(TITLE_SELECTOR);
+    // Re-run after an SPA page change replaced the form
+    if (!this.titleField || this.element?.isConnected) return;
+
+    this.element = document.createElement('div');
+    this.element.className = 'duplicate-warning';
+    this.element.hidden = true;
+    this.titleField.insertAdjacentElement('beforebegin', this.element);
+    this.lastQueryKey = null;
+
+    const refresh = () => {
+      clearTimeout(this.debounce);
+      this.debounce = setTimeout(() => this.check(), 1000);
+    };
+    [TITLE_SELECTOR, DESCRIPTION_SELECTOR].forEach(selector => {
+      const field = document.querySelector(selector);
+      field?.addEventListener('input', refresh);
+      field?.addEventListener('change', refresh);
+    });
+    this.check();
+  }
+
+  _query() {
+    const { sellerId, itemId } = parseAdminIds();
+    // The add page shares its URL with the contract's item list — only look at the form's photos there
+    const scope = itemId ? document : (this.titleField.closest('form') || document);
+    const imageUrls = [...scope.querySelectorAll('img[src*="images.auctionet.com"]')]
+      .map(img => img.getAttribute('src'))
+      .filter(src => !src.includes('placeholder'));
+    return {
+      itemId,
+      sellerId,
+      title: this.titleField.value || '',
+      description: document.querySelector(DESCRIPTION_SELECTOR)?.value || '',
+      imageUrls: [...new Set(imageUrls)]
+    };
+  }
+
+  async check() {
+    if (!this.element) return;
+    const query = this._query();
+    if (query.title.trim().length < MIN_TITLE_LENGTH) {
+      this.lastQueryKey = null;
+      this.render([]);
+      return;
+    }
+
+    const key = JSON.stringify(query);
+    if (key === this.lastQueryKey) return;
+    this.lastQueryKey = key;
+    const matches = await findDuplicates(query);
+    // A newer lookup started while this one ran
+    if (key !== this.lastQueryKey) return;
+    this.render(matches.filter(match => !this.dismissed.has(match.id)));
+  }
+
+  render(matches) {
+    if (!this.element) return;
+    this.matches = matches;
+    this.element.hidden = matches.length === 0;
+    if (matches.length === 0) {
+      this.element.innerHTML = '';
+      return;
+    }
+
+    const rows = matches.map(match => {
+      const tags = [SOURCE_LABELS[match.source] || match.source, ...match.reasons];
+      const seen = new Date(match.seenAt).toLocaleDateString('sv-SE');
+      const link = match.url
+        ? `<a href="${escapeHTML(match.url)}" target="_blank" rel="noopener">${escapeHTML(match.title)}</a>`
+        : escapeHTML(match.title);
+      return `
+        <li class="duplicate-warning__item">
+          <span class="duplicate-warning__id">#${escapeHTML(match.id)}</span>
+          ${link}
+          <span class="duplicate-warning__tags" title="Senast sedd ${escapeHTML(seen)}">${escapeHTML(tags.join(' · '))}</span>
+          <button type="button" class="duplicate-warning__dismiss" data-id="${escapeHTML(match.id)}" title="Inte en dubblett">✕</button>
+        </li>`;
+    }).join('');
+
+    this.element.innerHTML = `
+      <div class="duplicate-warning__header">⚠ Möjlig dubblett — kontrollera att föremålet inte redan är inlagt</div>
+      <ul class="duplicate-warning__list">${rows}</ul>
+    `;
+    this.element.querySelectorAll('.duplicate-warning__dismiss').forEach(button => {
+      button.addEventListener('click', () => {
+        this.dismissed.add(button.dataset.id);
+        this.render(this.matches.filter(match => match.id !== button.dataset.id));
+      });
+    });
+  }
+
+  destroy() {
+    clearTimeout(this.debounce);
+    this.element?.remove();
+    this.element = null;
+  }
+}
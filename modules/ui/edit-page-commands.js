@@ -0,0 +1,126 @@
+// modules/ui/edit-page-commands.js
+// The edit page's actions for the command palette (command-palette.js).
+// Actions that have a button on the page click it, so the palette runs exactly
+// what the mouse would — including the button's own checks and spinners — and
+// is only offered while that button is on screen. The ids are what personal
+// shortcuts are stored under (DEFAULT_SHORTCUTS in core/shortcut-keys.js).
+
+import { getTierById } from '../enhance-all/tier-config.js';
+
+/**
+ * The button matching `selector` if it is on screen and enabled.
+ */
+function liveButton(selector, root = document) {
+  const button = [...root.querySelectorAll(selector)].find(el => el.getClientRects().length > 0);
+  return button && !button.disabled ? button : null;
+}
+
+function buttonCommand({ id, group, label, selector, keywords }) {
+  return {
+    id,
+    group,
+    label,
+    keywords,
+    available: () => !!liveButton(selector),
+    run: () => liveButton(selector)?.click()
+  };
+}
+
+/**
+ * @param {object} assistant — the edit page's AuctionetCatalogingAssistant
+ * @returns {Array<{ id, group, label, keywords?, available, run }>}
+ */
+export function buildEditPageCommands(assistant) {
+  const qualityAnalyzer = assistant.qualityAnalyzer;
+  const artistName = () => document.querySelector('#item_artist_name_sv')?.value.trim() || '';
+  const moveArtistButton = () => [...document.querySelectorAll('.move-artist-btn')]
+    .find(button => button.textContent.trim() === 'Flytta till konstnärsfält' && button.getClientRects().length > 0);
+
+  const tierCommands = ['tidy', 'enrich', 'full'].map(tierId => ({
+    id: `enhance-all-${tierId}`,
+    group: 'Förbättra alla',
+    label: `Förbättra alla — nivå ${getTierById(tierId).label}`,
+    keywords: ['tier', 'nivå'],
+    available: () => !!liveButton('#enhance-all-run-btn'),
+    run: () => {
+      // Same as picking the tier in the panel: it stays chosen as a manual override
+      liveButton(`.enhance-all-tier-btn[data-tier="${tierId}"]`)?.click();
+      liveButton('#enhance-all-run-btn')?.click();
+    }
+  }));
+
+  return [
+    // ─── Fields ───
+    buttonCommand({ id: 'improve-title', group: 'Fält', label: 'Förbättra titel', selector: '.ai-assist-button[data-field-type="title"]' }),
+    buttonCommand({ id: 'improve-description', group: 'Fält', label: 'Förbättra beskrivning', selector: '.ai-assist-button[data-field-type="description"]' }),
+    buttonCommand({ id: 'improve-condition', group: 'Fält', label: 'Förbättra kondition', selector: '.ai-assist-button[data-field-type="condition"]' }),
+    buttonCommand({ id: 'improve-keywords', group: 'Fält', label: 'Generera sökord', selector: '.ai-assist-button[data-field-type="keywords"]', keywords: ['nyckelord'] }),
+    buttonCommand({ id: 'improve-all-fields', group: 'Fält', label: 'Förbättra alla fält', selector: '.ai-master-button' }),
+    {
+      id: 'undo-ai',
+      group: 'Fält',
+      label: 'Ångra AI-ändringarna',
+      keywords: ['undo', 'återställ'],
+      available: () => assistant.fieldDistributor?.originalValues.size > 0,
+      run: () => assistant.fieldDistributor.undoAll()
+    },
+
+    // ─── Enhance All ───
+    buttonCommand({ id: 'enhance-all', group: 'Förbättra alla', label: 'Förbättra alla — vald nivå', selector: '#enhance-all-run-btn', keywords: ['enhance'] }),
+    ...tierCommands,
+
+    // ─── Artist ───
+    {
+      id: 'move-artist',
+      group: 'Konstnär',
+      label: () => moveArtistButton()?.title || 'Flytta konstnären till konstnärsfältet',
+      available: () => !!moveArtistButton(),
+      run: () => moveArtistButton()?.click()
+    },
+    {
+      id: 'artist-biography',
+      group: 'Konstnär',
+      label: () => `Visa biografi: ${artistName()}`,
+      available: () => !!artistName() && !!qualityAnalyzer?.biographyKBCard,
+      run: () => qualityAnalyzer.biographyKBCard.showArtistBiography(artistName())
+    },
+    {
+      id: 'ignored-artists-show',
+      group: 'Konstnär',
+      label: 'Visa ignorerade konstnärer',
+      available: () => !!qualityAnalyzer?.artistIgnoreManager,
+      run: () => qualityAnalyzer.artistIgnoreManager.showManagementUI()
+    },
+    {
+      id: 'ignored-artists-clear',
+      group: 'Konstnär',
+      label: 'Rensa ignorerade konstnärer',
+      available: () => qualityAnalyzer?.artistIgnoreManager?.getIgnoredArtists().length > 0,
+      run: () => qualityAnalyzer.artistIgnoreManager.clearIgnoredArtistsAndReload()
+    },
+
+    // ─── Market analysis ───
+    buttonCommand({ id: 'market-toggle', group: 'Marknadsanalys', label: 'Visa/dölj marknadsanalys', selector: '.minimal-market-toggle', keywords: ['dashboard'] }),
+    {
+      id: 'market-refresh',
+      group: 'Marknadsanalys',
+      label: 'Uppdatera marknadsanalys',
+      keywords: ['dashboard', 'sök'],
+      available: () => !!qualityAnalyzer?.searchQuerySSoT?.getCurrentQuery(),
+      run: () => qualityAnalyzer.handleUserSelectionUpdate()
+    },
+
+    // ─── Other ───
+    buttonCommand({ id: 'quality-refresh', group: 'Kvalitet', label: 'Uppdatera kvalitetspoäng', selector: '.refresh-quality-btn' }),
+    buttonCommand({ id: 'category-ask', group: 'Kvalitet', label: 'Föreslå kategori med AI', selector: '.category-hint__ask' }),
+    {
+      id: 'category-apply',
+      group: 'Kvalitet',
+      label: () => liveButton('.category-hint__apply')?.textContent.trim() || 'Byt kategori',
+      available: () => !!liveButton('.category-hint__apply'),
+      run: () => liveButton('.category-hint__apply')?.click()
+    },
+    buttonCommand({ id: 'translate', group: 'Översätt', label: 'Översätt titel, beskrivning och kondition', selector: '#translation-run-btn', keywords: ['engelska', 'tyska'] }),
+    buttonCommand({ id: 'edit-history', group: 'Historik', label: 'Visa versionshistorik', selector: '#edit-history-button' })
+  ];
+}
@@ -0,0 +1,74 @@
+// modules/ui/keyword-demand-ui.js
+// "Sökefterfrågan" row under the keywords field: one chip per keyword with
+// how often buyers searched for it, plus a button that puts the most searched
+// keywords first. Hidden when there is no search history (no dashboard token).
+
+import { escapeHTML } from '../core/html-escape.js';
+import { DEMAND_LABELS, splitKeywordField } from '../search-demand.js';
+
+const KEYWORDS_SELECTOR = '#item_hidden_keywords';
+
+export class KeywordDemandUI {
+  constructor() {
+    this.searchDemand = null;
+    this.element = null;
+    this.field = null;
+    this.debounce = null;
+  }
+
+  setSearchDemand(searchDemand) {
+    this.searchDemand = searchDemand;
+  }
+
+  init() {
+    this.field = document.querySelector(KEYWORDS_SELECTOR);
+    if (!this.field || !this.searchDemand || this.searchDemand.isEmpty()) return;
+
+    this.element = document.createElement('div');
+    this.element.className = 'keyword-demand';
+    this.field.insertAdjacentElement('afterend', this.element);
+
+    // The AI buttons and undo set the value and fire 'change'; typing fires 'input'
+    const refresh = () => {
+      clearTimeout(this.debounce);
+      this.debounce = setTimeout(() => this.render(), 300);
+    };
+    this.field.addEventListener('input', refresh);
+    this.field.addEventListener('change', refresh);
+    this.render();
+  }
+
+  render() {
+    if (!this.element) return;
+    const { keywords } = splitKeywordField(this.field.value);
+    if (keywords.length === 0) {
+      this.element.innerHTML = '';
+      return;
+    }
+
+    const demands = keywords.map(keyword => this.searchDemand.demandFor(keyword));
+    const ranked = this.searchDemand.rank(keywords);
+    const inOrder = ranked.every((keyword, i) => keyword === keywords[i]);
+
+    this.element.innerHTML = `
+      <span class="keyword-demand__label">Sökefterfrågan:</span>
+      ${demands.map(d => `
+        <span class="keyword-demand__chip keyword-demand__chip--${d.level}" title="${escapeHTML(this.searchDemand.describe(d))}">
+          ${escapeHTML(d.keyword)}
+          <span class="keyword-demand__level">${DEMAND_LABELS[d.level]}</span>${d.fewResults ? '<span class="keyword-demand__scarce" title="Få föremål matchar sökningen">få träffar</span>' : ''}
+        </span>`).join('')}
+      ${inOrder ? '' : '<button type="button" class="keyword-demand__sort">Mest sökta först</button>'}
+    `;
+
+    this.element.querySelector('.keyword-demand__sort')?.addEventListener('click', () => {
+      this.field.value = this.searchDemand.rankKeywordString(this.field.value);
+      this.field.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  }
+
+  destroy() {
+    clearTimeout(this.debounce);
+    this.element?.remove();
+    this.element = null;
+  }
+}
@@ -0,0 +1,362 @@
+// modules/ui/snippet-picker-ui.js
+// "Mallar" menu under the title, description and condition fields: inserts a
+// snippet from the team or personal library (core/snippet-library.js) after
+// asking for its placeholders, or saves the field's text as a personal
+// snippet. Snippets whose trigger matches the title are offered in a hint
+// under the title. Used on the edit and add pages.
+
+import { escapeHTML } from '../core/html-escape.js';
+import {
+  TEAM_SNIPPETS_KEY,
+  PERSONAL_SNIPPETS_KEY,
+  SNIPPET_SCOPES,
+  SNIPPET_FIELDS,
+  loadSnippets,
+  addPersonalSnippet,
+  snippetsForField,
+  matchesTrigger,
+  placeholdersIn,
+  fillPlaceholders,
+  autoPlaceholderValues
+} from '../core/snippet-library.js';
+
+const FIELD_SELECTORS = {
+  title: '#item_title_sv',
+  description: '#item_description_sv',
+  condition: '#item_condition_sv'
+};
+const ARTIST_SELECTOR = '#item_artist_name_sv';
+
+const PREVIEW_LENGTH = 90;
+
+export class SnippetPickerUI {
+  constructor() {
+    this.snippets = [];
+    this.fields = {};        // field → textarea/input
+    this.panels = {};        // field → panel element under the field's buttons
+    this.focused = new Set(); // fields the cataloger has clicked into — insert at the caret there
+    this.suggestion = null;
+    this.debounce = null;
+    this.used = new Set();   // snippet ids inserted or dismissed this visit — not suggested again
+    this.listening = false;
+  }
+
+  async init() {
+    const titleField = document.querySelector(FIELD_SELECTORS.title);
+    // Re-run after an SPA page change replaced the form
+    if (!titleField || this.suggestion?.isConnected) return;
+
+    this.fields = {};
+    this.panels = {};
+    this.focused.clear();
+    for (const [field, selector] of Object.entries(FIELD_SELECTORS)) {
+      const element = document.querySelector(selector);
+      if (!element) continue;
+      this.fields[field] = element;
+      this._addButton(field, element);
+      element.addEventListener('focus', () => this.focused.add(element));
+    }
+
+    this.suggestion = document.createElement('div');
+    this.suggestion.className = 'snippet-suggestion';
+    this.suggestion.hidden = true;
+    this.panels.title.insertAdjacentElement('afterend', this.suggestion);
+
+    const refresh = () => {
+      clearTimeout(this.debounce);
+      this.debounce = setTimeout(() => this.renderSuggestion(), 600);
+    };
+    titleField.addEventListener('input', refresh);
+    titleField.addEventListener('change', refresh);
+
+    if (!this.listening) {
+      this.listening = true;
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && (changes[TEAM_SNIPPETS_KEY] || changes[PERSONAL_SNIPPETS_KEY])) {
+          this._load().then(() => this.renderSuggestion());
+        }
+      });
+    }
+
+    await this._load();
+    this.renderSuggestion();
+  }
+
+  async _load() {
+    try {
+      this.snippets = await loadSnippets();
+    } catch (error) {
+      console.error('[SnippetPicker] Could not load snippets:', error);
+      this.snippets = [];
+    }
+  }
+
+  // The button sits with the field's AI button when there is one
+  _addButton(field, element) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'snippet-picker__button';
+    button.textContent = '📋 Mallar';
+    button.title = `Infoga en mall i fältet ${SNIPPET_FIELDS[field].toLowerCase()}`;
+    button.addEventListener('click', () => this.toggleMenu(field));
+
+    let bar = element.nextElementSibling;
+    if (!bar?.classList.contains('ai-button-wrapper')) {
+      bar = document.createElement('div');
+      bar.className = 'snippet-picker-bar';
+      element.insertAdjacentElement('afterend', bar);
+    }
+    bar.appendChild(button);
+
+    const panel = document.createElement('div');
+    panel.className = 'snippet-picker';
+    panel.hidden = true;
+    // The panel sits inside the item form — Enter in its inputs must not save the item
+    panel.addEventListener('keydown', event => {
+      if (event.key === 'Enter' && event.target.tagName === 'INPUT') event.preventDefault();
+    });
+    bar.insertAdjacentElement('afterend', panel);
+    this.panels[field] = panel;
+  }
+
+  _title() {
+    return this.fields.title?.value || '';
+  }
+
+  _closePanels(except = null) {
+    for (const [field, panel] of Object.entries(this.panels)) {
+      if (field === except) continue;
+      panel.hidden = true;
+      panel.innerHTML = '';
+    }
+  }
+
+  // ─── Menu ───
+
+  toggleMenu(field) {
+    const panel = this.panels[field];
+    if (!panel.hidden) {
+      this._closePanels();
+      return;
+    }
+    this._closePanels(field);
+    this.renderMenu(field);
+  }
+
+  renderMenu(field, query = '') {
+    const panel = this.panels[field];
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const snippets = snippetsForField(this.snippets, field, this._title())
+      .filter(snippet => words.every(word => `${snippet.name} ${snippet.text}`.toLowerCase().includes(word)));
+
+    const rows = snippets.map(snippet => `
+      <li class="snippet-picker__item${snippet.matches ? ' matches' : ''}" data-id="${escapeHTML(snippet.id)}" title="${escapeHTML(snippet.text)}">
+        <span class="snippet-picker__name">${snippet.matches ? '★ ' : ''}${escapeHTML(snippet.name)}</span>
+        <span class="snippet-picker__scope">${escapeHTML(SNIPPET_SCOPES[snippet.scope].label)}</span>
+        <span class="snippet-picker__preview">${escapeHTML(this._preview(snippet.text))}</span>
+      </li>`).join('');
+
+    panel.hidden = false;
+    panel.innerHTML = `
+      <div class="snippet-picker__header">
+        <strong>Mallar — ${escapeHTML(SNIPPET_FIELDS[field])}</strong>
+        <input type="text" class="snippet-picker__filter" placeholder="Sök mall…" value="${escapeHTML(query)}">
+        <button type="button" class="snippet-picker__close" title="Stäng">✕</button>
+      </div>
+      ${rows
+        ? `<ul class="snippet-picker__list">${rows}</ul>`
+        : `<p class="snippet-picker__empty">${this.snippets.some(s => s.field === field) ? 'Inga mallar matchar' : 'Inga mallar för det här fältet ännu'}</p>`}
+      <div class="snippet-picker__footer">
+        <button type="button" class="snippet-picker__link" data-action="save">＋ Spara fältets text som mall</button>
+        <button type="button" class="snippet-picker__link" data-action="library">Hantera mallar…</button>
+      </div>
+    `;
+
+    const filter = panel.querySelector('.snippet-picker__filter');
+    filter.addEventListener('input', () => {
+      this.renderMenu(field, filter.value);
+      const input = panel.querySelector('.snippet-picker__filter');
+      input.focus();
+      input.setSelectionRange(input.value.length, input.value.length);
+    });
+    panel.querySelector('.snippet-picker__close').addEventListener('click', () => this._closePanels());
+    panel.querySelectorAll('.snippet-picker__item').forEach(item => {
+      item.addEventListener('click', () => this.openSnippet(this.snippets.find(s => s.id === item.dataset.id)));
+    });
+    panel.querySelector('[data-action="save"]').addEventListener('click', () => this.renderSaveForm(field));
+    panel.querySelector('[data-action="library"]').addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'open-snippet-library' }).catch(() => {});
+    });
+  }
+
+  _preview(text) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length > PREVIEW_LENGTH ? `${flat.slice(0, PREVIEW_LENGTH)}…` : flat;
+  }
+
+  // ─── Placeholders and insertion ───
+
+  /**
+   * Insert a snippet, asking for its placeholders first when it has any.
+   */
+  openSnippet(snippet) {
+    if (!snippet || !this.fields[snippet.field]) return;
+    const names = placeholdersIn(snippet.text);
+    if (names.length === 0) {
+      this.insert(snippet, snippet.text);
+      return;
+    }
+
+    const known = autoPlaceholderValues(names, {
+      description: this.fields.description?.value || '',
+      artist: document.querySelector(ARTIST_SELECTOR)?.value || ''
+    });
+    const panel = this.panels[snippet.field];
+    this._closePanels(snippet.field);
+    panel.hidden = false;
+    panel.innerHTML = `
+      <div class="snippet-picker__header">
+        <strong>${escapeHTML(snippet.name)}</strong>
+        <button type="button" class="snippet-picker__close" title="Avbryt">✕</button>
+      </div>
+      <div class="snippet-picker__form">
+        ${names.map((name, i) => `
+          <label class="snippet-picker__row">
+            <span>${escapeHTML(name)}</span>
+            <input type="text" data-index="${i}" value="${escapeHTML(known[name] || '')}">
+          </label>`).join('')}
+      </div>
+      <div class="snippet-picker__result"></div>
+      <div class="snippet-picker__footer">
+        <button type="button" class="snippet-picker__insert">Infoga</button>
+        <span class="snippet-picker__hint">Tomma fält lämnas som {platshållare} i texten</span>
+      </div>
+    `;
+
+    const inputs = [...panel.querySelectorAll('.snippet-picker__form input')];
+    const values = () => Object.fromEntries(names.map((name, i) => [name, inputs[i].value]));
+    const showResult = () => {
+      panel.querySelector('.snippet-picker__result').textContent = fillPlaceholders(snippet.text, values());
+    };
+    const submit = () => this.insert(snippet, fillPlaceholders(snippet.text, values()));
+
+    inputs.forEach(input => {
+      input.addEventListener('input', showResult);
+      input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          submit();
+        } else if (event.key === 'Escape') {
+          this._closePanels();
+        }
+      });
+    });
+    panel.querySelector('.snippet-picker__close').addEventListener('click', () => this._closePanels());
+    panel.querySelector('.snippet-picker__insert').addEventListener('click', submit);
+    showResult();
+    (inputs.find(input => !input.value) || inputs[0]).focus();
+  }
+
+  /**
+   * Put the text at the caret if the cataloger has been in the field, else
+   * after the current text (own line in description and condition).
+   */
+  insert(snippet, text) {
+    const element = this.fields[snippet.field];
+    const current = element.value;
+    let value;
+    if (!current.trim()) {
+      value = text;
+    } else if (this.focused.has(element)) {
+      const at = element.selectionEnd ?? current.length;
+      value = current.slice(0, at) + text + current.slice(at);
+    } else {
+      value = current.replace(/\s+$/, '') + (snippet.field === 'title' ? ' ' : '\n') + text;
+    }
+    element.value = value;
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+
+    this.used.add(snippet.id);
+    this._closePanels();
+    this.renderSuggestion();
+    element.focus();
+  }
+
+  // ─── Save the field as a snippet ───
+
+  renderSaveForm(field) {
+    const panel = this.panels[field];
+    panel.innerHTML = `
+      <div class="snippet-picker__header">
+        <strong>Spara som personlig mall — ${escapeHTML(SNIPPET_FIELDS[field])}</strong>
+        <button type="button" class="snippet-picker__close" title="Avbryt">✕</button>
+      </div>
+      <div class="snippet-picker__form">
+        <label class="snippet-picker__row"><span>Namn</span><input type="text" name="name" placeholder="t.ex. Gustavsberg Argenta"></label>
+        <label class="snippet-picker__row"><span>Utlösare</span><input type="text" name="trigger" placeholder="t.ex. gustavsberg, argenta"></label>
+        <textarea name="text" rows="4"></textarea>
+      </div>
+      <div class="snippet-picker__footer">
+        <button type="button" class="snippet-picker__insert">Spara mall</button>
+        <span class="snippet-picker__hint">Byt ut det som varierar mot {platshållare}, t.ex. {höjd} eller {signatur}</span>
+      </div>
+    `;
+    panel.querySelector('[name="text"]').value = this.fields[field].value;
+    panel.querySelector('.snippet-picker__close').addEventListener('click', () => this._closePanels());
+    panel.querySelector('.snippet-picker__insert').addEventListener('click', async () => {
+      const hint = panel.querySelector('.snippet-picker__hint');
+      try {
+        await addPersonalSnippet({
+          name: panel.querySelector('[name="name"]').value.trim(),
+          trigger: panel.querySelector('[name="trigger"]').value.trim(),
+          field,
+          text: panel.querySelector('[name="text"]').value.trim()
+        });
+        this._closePanels();
+      } catch (error) {
+        hint.textContent = error.message;
+        hint.classList.add('error');
+      }
+    });
+    panel.querySelector('[name="name"]').focus();
+  }
+
+  // ─── Suggestion under the title ───
+
+  renderSuggestion() {
+    if (!this.suggestion) return;
+    const title = this._title();
+    const matches = this.snippets.filter(snippet =>
+      this.fields[snippet.field] && !this.used.has(snippet.id) && matchesTrigger(snippet, title));
+    this.suggestion.hidden = matches.length === 0;
+    if (matches.length === 0) {
+      this.suggestion.innerHTML = '';
+      return;
+    }
+
+    this.suggestion.innerHTML = `
+      <span class="snippet-suggestion__label">📋 Mall som passar titeln:</span>
+      ${matches.map(snippet => `
+        <button type="button" class="snippet-suggestion__chip" data-id="${escapeHTML(snippet.id)}" title="${escapeHTML(snippet.text)}">
+          ${escapeHTML(snippet.name)} <span class="snippet-suggestion__field">${escapeHTML(SNIPPET_FIELDS[snippet.field])}</span>
+        </button>`).join('')}
+      <button type="button" class="snippet-suggestion__dismiss" title="Visa inte de här mallarna igen">✕</button>
+    `;
+    this.suggestion.querySelectorAll('.snippet-suggestion__chip').forEach(chip => {
+      chip.addEventListener('click', () => this.openSnippet(this.snippets.find(s => s.id === chip.dataset.id)));
+    });
+    this.suggestion.querySelector('.snippet-suggestion__dismiss').addEventListener('click', () => {
+      matches.forEach(snippet => this.used.add(snippet.id));
+      this.renderSuggestion();
+    });
+  }
+
+  destroy() {
+    clearTimeout(this.debounce);
+    this.suggestion?.remove();
+    Object.values(this.panels).forEach(panel => panel.remove());
+    document.querySelectorAll('.snippet-picker__button, .snippet-picker-bar').forEach(el => el.remove());
+    this.suggestion = null;
+  }
+}
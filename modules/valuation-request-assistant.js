@@ -221,6 +221,7 @@ imageIndices är 0-baserade bildindex. Varje bild måste tillhöra exakt en grup
     const callAPI = (model) => new Promise((resolve, reject) => {
       chrome.runtime.sendMessage({
         type: 'anthropic-fetch',
+        feature: 'valuation',
         body: { model, max_tokens: 400, temperature: 0.2, messages: [{ role: 'user', content }] }
       }, (response) => {
         if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
@@ -229,17 +230,8 @@ imageIndices är 0-baserade bildindex. Varje bild måste tillhöra exakt en grup
       });
     });
 
-    let response;
-    try {
-      response = await callAPI('claude-opus-4-6');
-    } catch (err) {
-      if (err.message?.includes('Overloaded') || err.message?.includes('overloaded') || err.message?.includes('429')) {
-        console.warn('[ValuationRequest] Opus overloaded — falling back to Sonnet for clustering');
-        response = await callAPI('claude-sonnet-4-5');
-      } else {
-        throw err;
-      }
-    }
+    // Overload → Sonnet fallback is handled by background.js (ai-resilience-bg.js)
+    const response = await callAPI('claude-opus-4-6');
 
     const text = response.data.content?.[0]?.text || '';
     const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -659,6 +651,7 @@ VIKTIGT — SÖKTERMER AVGÖR VÄRDERINGENS KVALITET:
     const callValuationAPI = (m) => new Promise((resolve, reject) => {
       chrome.runtime.sendMessage({
         type: 'anthropic-fetch',
+        feature: 'valuation',
         body: { model: m, max_tokens: 1200, temperature: 0.5, system: systemPrompt, messages: [{ role: 'user', content }] }
       }, (response) => {
         if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
@@ -667,17 +660,7 @@ VIKTIGT — SÖKTERMER AVGÖR VÄRDERINGENS KVALITET:
       });
     });
 
-    let response;
-    try {
-      response = await callValuationAPI(model);
-    } catch (err) {
-      if ((err.message?.includes('Overloaded') || err.message?.includes('overloaded') || err.message?.includes('429')) && model.includes('opus')) {
-        console.warn('[ValuationRequest] Opus overloaded — falling back to Sonnet for valuation');
-        response = await callValuationAPI('claude-sonnet-4-5');
-      } else {
-        throw err;
-      }
-    }
+    const response = await callValuationAPI(model);
 
     const text = response.data.content?.[0]?.text || '';
     const jsonMatch = text.match(/\{[\s\S]*\}/);
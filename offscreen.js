@@ -73,10 +73,12 @@ function parseShowPageForScan(html) {
   const doc = parser.parseFromString(html, 'text/html');
 
   let imageCount = 0;
+  let imageUrl = null; // first photo, hashed for the duplicate index
   doc.querySelectorAll('img').forEach(img => {
     const src = img.getAttribute('src') || '';
     if (src.includes('images.auctionet.com') && !src.includes('placeholder')) {
       imageCount++;
+      imageUrl = imageUrl || src;
     }
   });
 
@@ -100,7 +102,7 @@ function parseShowPageForScan(html) {
     });
   }
 
-  return { imageCount, description, condition };
+  return { imageCount, imageUrl, description, condition };
 }
 
 function parseEditPageFields(html) {
@@ -132,5 +134,29 @@ function parseEditPageFields(html) {
   const estEl = doc.querySelector('#item_current_auction_attributes_estimate');
   if (estEl) estimate = parseFloat(estEl.getAttribute('value')) || 0;
 
-  return { keywords, editTitle, artist, estimate };
+  // The rest of the form, as the Enhance All batch runner needs it
+  const textOf = selector => (doc.querySelector(selector)?.textContent || '').trim();
+  const valueOf = selector => (doc.querySelector(selector)?.getAttribute('value') || '').trim();
+  const description = textOf('#item_description_sv');
+  const condition = textOf('#item_condition_sv');
+  const artistDates = textOf('[data-devbridge-autocomplete-target="help"]');
+  const upperEstimate = valueOf('#item_current_auction_attributes_upper_estimate');
+  const reserve = valueOf('#item_current_auction_attributes_reserve');
+  const acceptedReserve = valueOf('#item_current_auction_attributes_accepted_reserve');
+
+  // Category scopes the shared quality rules (furniture, rugs, art, silver);
+  // the id feeds the category-mismatch rule
+  const categoryOption = doc.querySelector('#item_category_id option[selected]');
+  const category = (categoryOption?.textContent || '').trim();
+  const categoryId = categoryOption?.getAttribute('value') || '';
+
+  const sellerMatch = (doc.querySelector('a[href*="/sellers/"]')?.getAttribute('href') || '').match(/\/sellers\/(\d+)/);
+  const sellerId = sellerMatch ? sellerMatch[1] : null;
+
+  const noRemarks = !!doc.querySelector('input[type="checkbox"]#item_no_remarks[checked], input[type="checkbox"][name*="no_remarks"][checked]');
+
+  return {
+    keywords, editTitle, artist, estimate, category, categoryId, sellerId, noRemarks,
+    description, condition, artistDates, upperEstimate, reserve, acceptedReserve
+  };
 }
@@ -0,0 +1,105 @@
+// page-storage-agent.js — Reports and clears the extension's data in auctionet.com page storage
+// Biography and market-analysis caches live in the page's localStorage and the
+// artist ignore list in sessionStorage, which the service worker can't reach.
+// storage-inventory-bg.js asks this script via 'page-storage' messages.
+// Ultra-lightweight: no module imports, runs on every admin page.
+
+(function() {
+  'use strict';
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // Mirrors the readers: biography-kb-card.js (7 days), api-manager.js (1 hour),
+  // artist-ignore-manager.js (per tab, 24 hours)
+  const PAGE_STORES = [
+    { id: 'page-artist-bios', label: 'Konstnärsbiografier', owner: 'Konstnärsinformation', kind: 'cache',
+      storage: () => localStorage, prefix: 'artist_bio_v2_', maxAgeMs: 7 * 24 * HOUR_MS },
+    { id: 'page-market-analysis', label: 'Marknadsanalyser per sökning', owner: 'Marknadsanalys', kind: 'cache',
+      storage: () => localStorage, prefix: 'market_analysis_', maxAgeMs: HOUR_MS },
+    { id: 'page-ignored-artists', label: 'Ignorerade konstnärer (per flik)', owner: 'Konstnärsdetektering', kind: 'data',
+      storage: () => sessionStorage, keys: ['auctionet_ignored_artists', 'auctionet_ignored_artists_expiry'], perTab: true }
+  ];
+
+  function storeKeys(store) {
+    const storage = store.storage();
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (store.prefix ? key.startsWith(store.prefix) : store.keys.includes(key)) keys.push(key);
+    }
+    return keys;
+  }
+
+  function timestampOf(raw) {
+    try {
+      return JSON.parse(raw)?.timestamp ?? null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function describe(store) {
+    const storage = store.storage();
+    const keys = storeKeys(store);
+    const times = keys.map(k => timestampOf(storage.getItem(k))).filter(Number.isFinite);
+    let entries = keys.length;
+    if (store.perTab) {
+      try {
+        entries = JSON.parse(storage.getItem(store.keys[0]) || '[]').length;
+      } catch (e) { /* corrupted — counted as empty */ }
+    }
+    return {
+      id: store.id,
+      label: store.label,
+      owner: store.owner,
+      kind: store.kind,
+      perTab: !!store.perTab,
+      entries,
+      bytes: keys.reduce((sum, k) => sum + (k.length + (storage.getItem(k) || '').length) * 2, 0), // UTF-16
+      oldestAt: times.length ? Math.min(...times) : null,
+      newestAt: times.length ? Math.max(...times) : null,
+      policy: store.maxAgeMs ? `max ${Math.round(store.maxAgeMs / HOUR_MS)} timmar` : 'Töms när fliken stängs'
+    };
+  }
+
+  // Expired entries are otherwise only removed when the same key is read again
+  function evictExpired() {
+    const now = Date.now();
+    for (const store of PAGE_STORES.filter(s => s.maxAgeMs)) {
+      for (const key of storeKeys(store)) {
+        const ts = timestampOf(store.storage().getItem(key));
+        if (!Number.isFinite(ts) || now - ts > store.maxAgeMs) store.storage().removeItem(key);
+      }
+    }
+  }
+
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.type !== 'page-storage') return false;
+    try {
+      if (request.action === 'list') {
+        sendResponse({ stores: PAGE_STORES.map(describe) });
+      } else {
+        const store = PAGE_STORES.find(s => s.id === request.storeId);
+        if (!store) {
+          sendResponse(null);
+        } else if (request.action === 'clear') {
+          for (const key of storeKeys(store)) store.storage().removeItem(key);
+          sendResponse({ cleared: true });
+        } else if (request.action === 'export') {
+          sendResponse({ data: Object.fromEntries(storeKeys(store).map(k => [k, store.storage().getItem(k)])) });
+        } else {
+          sendResponse(null);
+        }
+      }
+    } catch (e) {
+      sendResponse(null);
+    }
+    return false;
+  });
+
+  try {
+    evictExpired();
+  } catch (e) {
+    // storage unavailable (e.g. blocked by browser settings)
+  }
+})();
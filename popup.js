@@ -19,18 +19,51 @@ document.addEventListener('DOMContentLoaded', async () => {
   const saveOutletConfigButton = document.getElementById('save-outlet-config');
   const spellcheckWorkerUrlInput = document.getElementById('spellcheck-worker-url');
   const saveSpellcheckConfigButton = document.getElementById('save-spellcheck-config');
+  const translationLanguageCheckboxes = document.querySelectorAll('.translation-language');
+  const translationGlossaryInput = document.getElementById('translation-glossary');
+  const saveTranslationSettingsButton = document.getElementById('save-translation-settings');
+  const metalPriceInputs = {
+    silver: document.getElementById('metal-price-silver'),
+    gold: document.getElementById('metal-price-gold'),
+    platinum: document.getElementById('metal-price-platinum')
+  };
+  const metalPricesUpdated = document.getElementById('metal-prices-updated');
+  const saveMetalPricesButton = document.getElementById('save-metal-prices');
+  const aiProviderDefaultSelect = document.getElementById('ai-provider-default');
+  const aiOpenaiUrlInput = document.getElementById('ai-openai-url');
+  const aiOpenaiModelInput = document.getElementById('ai-openai-model');
+  const aiOpenaiKeyInput = document.getElementById('ai-openai-key');
+  const aiProviderRoutes = document.getElementById('ai-provider-routes');
+  const saveAiProviderButton = document.getElementById('save-ai-provider');
+  const aiUsageSummary = document.getElementById('ai-usage-summary');
+  const aiBudgetDailyInput = document.getElementById('ai-budget-daily');
+  const aiBudgetMonthlyInput = document.getElementById('ai-budget-monthly');
+  const aiUsdToSekInput = document.getElementById('ai-usd-to-sek');
+  const saveAiBudgetButton = document.getElementById('save-ai-budget');
+  const aiCacheSummary = document.getElementById('ai-cache-summary');
+  const purgeAiCacheButton = document.getElementById('purge-ai-cache');
+  const aiResilienceStatus = document.getElementById('ai-resilience-status');
+  const resetAiResilienceButton = document.getElementById('reset-ai-resilience');
+  const devSessionStatus = document.getElementById('dev-session-status');
+  const devSessionNameInput = document.getElementById('dev-session-name');
+  const devSessionList = document.getElementById('dev-session-list');
+  const devSessionImportFile = document.getElementById('dev-session-import-file');
+  const settingsProfileList = document.getElementById('settings-profile-list');
+  const settingsProfileNameInput = document.getElementById('settings-profile-name');
+  const teamProfilePassphraseInput = document.getElementById('team-profile-passphrase');
+  const teamProfileExport = document.getElementById('team-profile-export');
+  const houseStyleSection = document.getElementById('house-style-section');
+  const teamProfileImportFile = document.getElementById('team-profile-import-file');
 
   const adminUI = document.getElementById('admin-ui');
 
   // Load existing API key and settings
-  await loadApiKey();
-  await loadArtistInfoSetting();
-  await loadShowDashboardSetting();
-  await loadOwnCompanySetting();
-  await loadPubScannerSetting();
-  await loadDashboardToken();
-  await loadOutletConfig();
-  await loadSpellcheckConfig();
+  await loadAllSettings();
+  await settingsProfileAction('list');
+  await renderAiUsage();
+  await renderAiCacheStats();
+  await renderAiResilienceStatus();
+  await devSessionAction('status');
   await renderAdminUI();
 
   // Check extension status
@@ -46,16 +79,81 @@ document.addEventListener('DOMContentLoaded', async () => {
   saveDashboardTokenButton.addEventListener('click', saveDashboardToken);
   saveOutletConfigButton.addEventListener('click', saveOutletConfig);
   saveSpellcheckConfigButton.addEventListener('click', saveSpellcheckConfig);
+  saveTranslationSettingsButton.addEventListener('click', saveTranslationSettings);
+  saveMetalPricesButton.addEventListener('click', saveMetalPrices);
+  saveAiProviderButton.addEventListener('click', saveAiProviderSettings);
+  saveAiBudgetButton.addEventListener('click', saveAiBudget);
+  purgeAiCacheButton.addEventListener('click', purgeAiCache);
+  resetAiResilienceButton.addEventListener('click', resetAiResilience);
+  document.getElementById('dev-session-record').addEventListener('click', () => {
+    devSessionAction('record', { name: devSessionNameInput.value.trim() }, 'Inspelning startad');
+  });
+  document.getElementById('dev-session-stop').addEventListener('click', () => {
+    devSessionAction('stop', {}, 'Inspelning/uppspelning stoppad');
+  });
+  document.getElementById('dev-session-replay').addEventListener('click', () => {
+    if (devSessionList.value) devSessionAction('replay', { sessionId: devSessionList.value }, 'Uppspelning startad — nätverket används inte');
+  });
+  document.getElementById('dev-session-delete').addEventListener('click', () => {
+    if (devSessionList.value && confirm('Ta bort inspelningen?')) {
+      devSessionAction('delete', { sessionId: devSessionList.value }, 'Inspelning borttagen');
+    }
+  });
+  document.getElementById('dev-session-export').addEventListener('click', exportDevSession);
+  document.getElementById('dev-session-import').addEventListener('click', () => devSessionImportFile.click());
+  devSessionImportFile.addEventListener('change', importDevSession);
+  document.getElementById('settings-profile-save').addEventListener('click', async () => {
+    const name = settingsProfileNameInput.value.trim();
+    if (await settingsProfileAction('save', { name }, `Profilen "${name}" sparad`)) settingsProfileNameInput.value = '';
+  });
+  document.getElementById('settings-profile-switch').addEventListener('click', switchSettingsProfile);
+  document.getElementById('settings-profile-delete').addEventListener('click', () => {
+    const name = settingsProfileList.value;
+    if (name && confirm(`Ta bort profilen "${name}"? Inställningarna som används nu påverkas inte.`)) {
+      settingsProfileAction('delete', { name }, 'Profil borttagen');
+    }
+  });
+  document.getElementById('team-profile-export-button').addEventListener('click', exportTeamProfile);
+  document.getElementById('team-profile-import').addEventListener('click', () => teamProfileImportFile.click());
+  teamProfileImportFile.addEventListener('change', importTeamProfile);
   document.getElementById('open-analytics').addEventListener('click', () => {
     chrome.tabs.create({ url: chrome.runtime.getURL('analytics.html') });
   });
   document.getElementById('open-spelling-audit').addEventListener('click', () => {
     chrome.tabs.create({ url: chrome.runtime.getURL('spelling-audit.html') });
   });
+  document.getElementById('open-enhance-inbox').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('enhance-inbox.html') });
+  });
+  document.getElementById('open-snippets').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('snippets.html') });
+  });
+  document.getElementById('open-storage').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('storage.html') });
+  });
+  document.getElementById('open-house-style').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('house-style.html') });
+  });
   apiKeyInput.addEventListener('input', () => {
     clearStatus();
   });
 
+  // Every settings field in the popup — also re-run after a profile switch/import
+  async function loadAllSettings() {
+    await loadApiKey();
+    await loadArtistInfoSetting();
+    await loadShowDashboardSetting();
+    await loadOwnCompanySetting();
+    await loadPubScannerSetting();
+    await loadDashboardToken();
+    await loadOutletConfig();
+    await loadSpellcheckConfig();
+    await loadTranslationSettings();
+    await loadMetalPrices();
+    await loadAiProviderSettings();
+    await loadAiBudget();
+  }
+
   async function loadApiKey() {
     try {
       const result = await chrome.storage.local.get(['anthropicApiKey']);
@@ -117,6 +215,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         
         chrome.runtime.sendMessage({
           type: 'anthropic-fetch',
+          feature: 'connection-test',
           apiKey: apiKey,
           body: {
             model: 'claude-haiku-4-5', // Haiku — cheapest model, sufficient for connection test
@@ -359,13 +458,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   async function loadOwnCompanySetting() {
     try {
-      // Migration: excludeCompanyId → ownCompanyId
-      const result = await chrome.storage.sync.get(['excludeCompanyId', 'ownCompanyId']);
-      if (result.excludeCompanyId && !result.ownCompanyId) {
-        await chrome.storage.sync.set({ ownCompanyId: result.excludeCompanyId });
-        await chrome.storage.sync.remove('excludeCompanyId');
-        ownCompanyInput.value = result.excludeCompanyId;
-      } else if (result.ownCompanyId) {
+      const result = await chrome.storage.sync.get(['ownCompanyId']);
+      if (result.ownCompanyId) {
         ownCompanyInput.value = result.ownCompanyId;
       }
     } catch (error) {
@@ -381,8 +475,6 @@ document.addEventListener('DOMContentLoaded', async () => {
       saveOwnCompanyButton.textContent = 'Sparar...';
 
       await chrome.storage.sync.set({ ownCompanyId });
-      // Clean up old key if present
-      await chrome.storage.sync.remove('excludeCompanyId');
       showStatus('Företags-ID sparat!', 'success');
 
       // Notify all tabs to refresh their settings
@@ -453,6 +545,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   async function renderAdminUI() {
     const { adminPinHash } = await chrome.storage.local.get('adminPinHash');
     const { adminUnlocked } = await chrome.storage.sync.get('adminUnlocked');
+    // Only admins hand out team profiles and edit the house style
+    teamProfileExport.style.display = adminUnlocked ? '' : 'none';
+    houseStyleSection.style.display = adminUnlocked ? '' : 'none';
 
     if (!adminPinHash) {
       // No PIN set yet — show setup form
@@ -636,4 +731,472 @@ document.addEventListener('DOMContentLoaded', async () => {
       saveSpellcheckConfigButton.textContent = 'Spara stavningsbackend';
     }
   }
+  // ─── Translation ─────────────────────────────────────────────
+  // Glossary lines: "svenska | engelska | tyska | finska | danska"
+
+  const GLOSSARY_COLUMNS = ['sv', 'en', 'de', 'fi', 'da'];
+
+  async function loadTranslationSettings() {
+    try {
+      const { translationSettings = {} } = await chrome.storage.local.get('translationSettings');
+      const languages = translationSettings.languages || ['en'];
+      translationLanguageCheckboxes.forEach(cb => { cb.checked = languages.includes(cb.value); });
+      translationGlossaryInput.value = (translationSettings.glossary || [])
+        .map(entry => GLOSSARY_COLUMNS.map(col => entry[col] || '').join(' | ').replace(/( \| )+$/, ''))
+        .join('\n');
+    } catch (error) {
+      console.error('Error loading translation settings:', error);
+    }
+  }
+
+  async function saveTranslationSettings() {
+    const languages = ['en', ...[...translationLanguageCheckboxes].filter(cb => cb.checked).map(cb => cb.value)];
+    const glossary = translationGlossaryInput.value.split('\n')
+      .map(line => line.split('|').map(cell => cell.trim()))
+      .filter(cells => cells[0])
+      .map(cells => Object.fromEntries(GLOSSARY_COLUMNS.map((col, i) => [col, cells[i]]).filter(([, value]) => value)));
+
+    try {
+      saveTranslationSettingsButton.disabled = true;
+      saveTranslationSettingsButton.textContent = 'Sparar...';
+      await chrome.storage.local.set({ translationSettings: { languages, glossary } });
+      showStatus(`Översättningsinställningar sparade (${glossary.length} egna termer)`, 'success');
+
+      try {
+        const tabs = await chrome.tabs.query({ url: 'https://auctionet.com/*' });
+        for (const tab of tabs) {
+          chrome.tabs.sendMessage(tab.id, { type: 'refresh-settings' }).catch(() => {});
+        }
+      } catch (error) {
+        // Non-critical
+      }
+    } catch (error) {
+      showStatus('Fel vid sparande: ' + error.message, 'error');
+    } finally {
+      saveTranslationSettingsButton.disabled = false;
+      saveTranslationSettingsButton.textContent = 'Spara översättningsinställningar';
+    }
+  }
+
+  // ─── Metal prices ────────────────────────────────────────────
+  // SEK per gram fine metal; see modules/core/precious-metal.js for the built-in values
+
+  async function loadMetalPrices() {
+    try {
+      const { metalPrices } = await chrome.storage.local.get('metalPrices');
+      const { DEFAULT_METAL_PRICES } = await import('./modules/core/precious-metal.js');
+      const prices = { ...DEFAULT_METAL_PRICES, ...(metalPrices || {}) };
+      for (const [metal, input] of Object.entries(metalPriceInputs)) {
+        input.value = String(prices[metal]).replace('.', ',');
+      }
+      metalPricesUpdated.textContent = metalPrices
+        ? `Senast uppdaterade ${prices.updated}.`
+        : `Inbyggda referenspriser från ${prices.updated} — uppdatera med dagens priser.`;
+    } catch (error) {
+      console.error('Error loading metal prices:', error);
+    }
+  }
+
+  async function saveMetalPrices() {
+    const prices = {};
+    for (const [metal, input] of Object.entries(metalPriceInputs)) {
+      const value = parseFloat(input.value.replace(/\s/g, '').replace(',', '.'));
+      if (!Number.isFinite(value) || value <= 0) {
+        showStatus(`Ogiltigt pris för ${{ silver: 'silver', gold: 'guld', platinum: 'platina' }[metal]}`, 'error');
+        return;
+      }
+      prices[metal] = value;
+    }
+
+    try {
+      saveMetalPricesButton.disabled = true;
+      saveMetalPricesButton.textContent = 'Sparar...';
+      await chrome.storage.local.set({ metalPrices: { ...prices, updated: new Date().toISOString().slice(0, 10) } });
+      showStatus('Metallpriser sparade!', 'success');
+      await loadMetalPrices();
+    } catch (error) {
+      showStatus('Fel vid sparande: ' + error.message, 'error');
+    } finally {
+      saveMetalPricesButton.disabled = false;
+      saveMetalPricesButton.textContent = 'Spara metallpriser';
+    }
+  }
+
+  // ─── AI Provider Routing ─────────────────────────────────────
+
+  function providerOptions(providers, selected, includeDefault) {
+    const options = includeDefault ? [['', 'Standard']] : [];
+    options.push(...Object.entries(providers));
+    return options
+      .map(([id, label]) => `<option value="${escapeHTML(id)}"${id === selected ? ' selected' : ''}>${escapeHTML(label)}</option>`)
+      .join('');
+  }
+
+  async function loadAiProviderSettings() {
+    try {
+      const { settings, providers, features } = await sendMessageAsync({ type: 'ai-provider-settings' });
+      aiProviderDefaultSelect.innerHTML = providerOptions(providers, settings.routes.default, false);
+      aiOpenaiUrlInput.value = settings.openai.baseUrl || '';
+      aiOpenaiModelInput.value = settings.openai.model || '';
+      aiOpenaiKeyInput.value = settings.openai.apiKey || '';
+      aiProviderRoutes.innerHTML = Object.entries(features)
+        .filter(([id]) => id !== 'other')
+        .map(([id, label]) => `
+          <div class="route-row">
+            <span>${escapeHTML(label)}</span>
+            <select class="popup-select" data-feature="${escapeHTML(id)}">${providerOptions(providers, settings.routes[id] || '', true)}</select>
+          </div>
+        `).join('');
+    } catch (error) {
+      console.error('Error loading AI provider settings:', error);
+    }
+  }
+
+  async function saveAiProviderSettings() {
+    const baseUrl = aiOpenaiUrlInput.value.trim().replace(/\/$/, '');
+    const routes = { default: aiProviderDefaultSelect.value || 'anthropic' };
+    aiProviderRoutes.querySelectorAll('select[data-feature]').forEach(select => {
+      if (select.value) routes[select.dataset.feature] = select.value;
+    });
+
+    const usesOpenai = Object.values(routes).includes('openai');
+    if (usesOpenai && !baseUrl) {
+      showStatus('Ange URL till den OpenAI-kompatibla servern.', 'error');
+      return;
+    }
+    if (usesOpenai && !aiOpenaiModelInput.value.trim()) {
+      showStatus('Ange modellnamn för den OpenAI-kompatibla servern.', 'error');
+      return;
+    }
+
+    try {
+      saveAiProviderButton.disabled = true;
+      saveAiProviderButton.textContent = 'Sparar...';
+
+      // localhost is in host_permissions; any other server needs an explicit grant
+      if (baseUrl) {
+        const origin = new URL(baseUrl).origin;
+        const isLocal = /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin);
+        if (!isLocal) {
+          const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+          if (!granted) {
+            showStatus(`Åtkomst till ${origin} nekades.`, 'error');
+            return;
+          }
+        }
+      }
+
+      await sendMessageAsync({
+        type: 'ai-provider-settings',
+        settings: {
+          routes,
+          openai: {
+            baseUrl,
+            model: aiOpenaiModelInput.value.trim(),
+            apiKey: aiOpenaiKeyInput.value.trim()
+          }
+        }
+      });
+      showStatus('AI-leverantör sparad!', 'success');
+    } catch (error) {
+      showStatus('Fel vid sparande: ' + error.message, 'error');
+    } finally {
+      saveAiProviderButton.disabled = false;
+      saveAiProviderButton.textContent = 'Spara AI-leverantör';
+    }
+  }
+
+  // ─── AI Usage Ledger ─────────────────────────────────────────
+
+  function formatKr(n) {
+    return `${(n || 0).toLocaleString('sv-SE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} kr`;
+  }
+
+  function sendMessageAsync(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response?.success) {
+          reject(new Error(response?.error || 'No response from background script'));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  async function renderAiUsage() {
+    try {
+      const { summary } = await sendMessageAsync({ type: 'ai-usage-summary' });
+      const { today, month, budget, features } = summary;
+
+      const budgetWarnings = [];
+      if (budget.dailyStatus === 'exceeded') {
+        budgetWarnings.push(`<div class="status error"><strong>Dagsbudget överskriden</strong><br>${formatKr(today.costSEK)} av ${formatKr(budget.dailySEK)}</div>`);
+      } else if (budget.dailyStatus === 'warning') {
+        budgetWarnings.push(`<div class="status warning"><strong>Nära dagsbudget</strong><br>${formatKr(today.costSEK)} av ${formatKr(budget.dailySEK)}</div>`);
+      }
+      if (budget.monthlyStatus === 'exceeded') {
+        budgetWarnings.push(`<div class="status error"><strong>Månadsbudget överskriden</strong><br>${formatKr(month.costSEK)} av ${formatKr(budget.monthlySEK)}</div>`);
+      } else if (budget.monthlyStatus === 'warning') {
+        budgetWarnings.push(`<div class="status warning"><strong>Nära månadsbudget</strong><br>${formatKr(month.costSEK)} av ${formatKr(budget.monthlySEK)}</div>`);
+      }
+
+      // Top features this month by cost
+      const featureRows = Object.entries(month.byFeature || {})
+        .sort((a, b) => b[1].costSEK - a[1].costSEK)
+        .slice(0, 6)
+        .map(([id, t]) => `<tr><td>${escapeHTML(features[id] || id)} <span class="help-text">(${t.calls})</span></td><td>${formatKr(t.costSEK)}</td></tr>`)
+        .join('');
+
+      aiUsageSummary.innerHTML = `
+        ${budgetWarnings.join('')}
+        <div class="usage-total"><span>Idag (${today.calls} anrop)</span><span>${formatKr(today.costSEK)}</span></div>
+        <div class="usage-total"><span>Denna månad (${month.calls} anrop)</span><span>${formatKr(month.costSEK)}</span></div>
+        ${featureRows ? `<table class="usage-table">${featureRows}</table>` : '<div class="help-text" style="margin-bottom: 10px;">Inga AI-anrop registrerade ännu.</div>'}
+      `;
+    } catch (error) {
+      aiUsageSummary.innerHTML = `<div class="help-text">Kunde inte läsa AI-kostnad: ${escapeHTML(error.message)}</div>`;
+    }
+  }
+
+  async function loadAiBudget() {
+    try {
+      const { aiUsageBudget, aiUsagePricing } = await chrome.storage.local.get(['aiUsageBudget', 'aiUsagePricing']);
+      if (aiUsageBudget?.dailySEK) aiBudgetDailyInput.value = aiUsageBudget.dailySEK;
+      if (aiUsageBudget?.monthlySEK) aiBudgetMonthlyInput.value = aiUsageBudget.monthlySEK;
+      if (aiUsagePricing?.usdToSek) aiUsdToSekInput.value = aiUsagePricing.usdToSek;
+    } catch (error) {
+      console.error('Error loading AI budget:', error);
+    }
+  }
+
+  async function saveAiBudget() {
+    const parseAmount = v => {
+      const n = parseFloat(String(v).replace(',', '.'));
+      return Number.isFinite(n) && n > 0 ? n : 0;
+    };
+
+    try {
+      saveAiBudgetButton.disabled = true;
+      saveAiBudgetButton.textContent = 'Sparar...';
+
+      const { aiUsagePricing } = await chrome.storage.local.get('aiUsagePricing');
+      const usdToSek = parseAmount(aiUsdToSekInput.value);
+      await chrome.storage.local.set({
+        aiUsageBudget: {
+          dailySEK: parseAmount(aiBudgetDailyInput.value),
+          monthlySEK: parseAmount(aiBudgetMonthlyInput.value)
+        },
+        aiUsagePricing: { ...(aiUsagePricing || {}), usdToSek: usdToSek || undefined }
+      });
+      showStatus('AI-budget sparad!', 'success');
+      await renderAiUsage();
+    } catch (error) {
+      showStatus('Fel vid sparande: ' + error.message, 'error');
+    } finally {
+      saveAiBudgetButton.disabled = false;
+      saveAiBudgetButton.textContent = 'Spara budget';
+    }
+  }
+
+  async function renderAiCacheStats() {
+    try {
+      const { stats } = await sendMessageAsync({ type: 'ai-cache-stats' });
+      const lookups = stats.hits + stats.misses;
+      const hitRate = lookups > 0 ? Math.round((stats.hits / lookups) * 100) : 0;
+      const sizeKB = Math.round(stats.bytes / 1024);
+
+      const featureRows = Object.values(stats.byFeature)
+        .filter(f => f.hits + f.misses > 0)
+        .sort((a, b) => b.hits - a.hits)
+        .map(f => `<tr><td>${escapeHTML(stats.labels[f.feature] || f.feature)} <span class="help-text">(${f.hits}/${f.hits + f.misses})</span></td><td>${formatKr(f.savedCostSEK)}</td></tr>`)
+        .join('');
+
+      aiCacheSummary.innerHTML = `
+        <div class="usage-total"><span>Sparade svar</span><span>${stats.entries} (${sizeKB} kB)</span></div>
+        <div class="usage-total"><span>Träffar (${stats.hits} av ${lookups})</span><span>${hitRate} %</span></div>
+        <div class="usage-total"><span>Sparad kostnad</span><span>${formatKr(stats.savedCostSEK)}</span></div>
+        ${featureRows ? `<table class="usage-table">${featureRows}</table>` : ''}
+      `;
+    } catch (error) {
+      aiCacheSummary.innerHTML = `<div class="help-text">Kunde inte läsa AI-cache: ${escapeHTML(error.message)}</div>`;
+    }
+  }
+
+  async function purgeAiCache() {
+    try {
+      purgeAiCacheButton.disabled = true;
+      purgeAiCacheButton.textContent = 'Rensar...';
+      const { removed } = await sendMessageAsync({ type: 'ai-cache-purge' });
+      showStatus(`AI-cache rensad (${removed} svar borttagna)`, 'success');
+      await renderAiCacheStats();
+    } catch (error) {
+      showStatus('Fel vid rensning: ' + error.message, 'error');
+    } finally {
+      purgeAiCacheButton.disabled = false;
+      purgeAiCacheButton.textContent = 'Rensa AI-cache';
+    }
+  }
+
+  // ─── AI Resilience (retries, fallbacks, circuit breakers) ─────
+
+  const RESILIENCE_EVENT_LABELS = {
+    'retry': 'Nytt försök',
+    'fallback': 'Reservmodell',
+    'breaker-open': 'Modell pausad',
+    'breaker-closed': 'Modell återställd'
+  };
+
+  async function renderAiResilienceStatus() {
+    try {
+      const { status } = await sendMessageAsync({ type: 'ai-resilience-status' });
+      const openModels = status.models.filter(m => m.state === 'open');
+
+      const modelRows = openModels.map(m => {
+        const minutes = Math.max(1, Math.ceil((m.openUntil - Date.now()) / 60000));
+        return `<div class="status warning"><strong>${escapeHTML(m.model)} pausad</strong><br>Anropen går till reservmodellen i ca ${minutes} min till</div>`;
+      }).join('');
+
+      const eventRows = status.events.slice(0, 5).map(e => {
+        const time = new Date(e.ts).toLocaleTimeString('sv-SE', { hour: '2-digit', minute: '2-digit' });
+        const target = e.fallbackModel ? `${e.model} → ${e.fallbackModel}` : e.model;
+        return `<tr><td>${time} ${escapeHTML(RESILIENCE_EVENT_LABELS[e.type] || e.type)}</td><td>${escapeHTML(target || '')}</td></tr>`;
+      }).join('');
+
+      aiResilienceStatus.innerHTML = `
+        ${modelRows || '<div class="usage-total"><span>Alla modeller</span><span>OK</span></div>'}
+        ${eventRows ? `<table class="usage-table">${eventRows}</table>` : ''}
+      `;
+    } catch (error) {
+      aiResilienceStatus.innerHTML = `<div class="help-text">Kunde inte läsa AI-status: ${escapeHTML(error.message)}</div>`;
+    }
+  }
+
+  // ─── Dev session record/replay ────────────────────────────────
+
+  async function devSessionAction(action, params = {}, successMessage = null) {
+    try {
+      const response = await sendMessageAsync({ type: 'dev-session', action, ...params });
+      renderDevSessions(response.state, response.sessions);
+      if (successMessage) showStatus(successMessage, 'success');
+      return response.result;
+    } catch (error) {
+      showStatus('Fel: ' + error.message, 'error');
+      return null;
+    }
+  }
+
+  function renderDevSessions(state, sessions) {
+    const active = sessions.find(s => s.id === state.sessionId);
+    if (state.mode === 'record') {
+      devSessionStatus.innerHTML = `<div class="status error"><strong>Spelar in:</strong> ${escapeHTML(active?.name || '')} (${active?.count || 0} anrop)</div>`;
+    } else if (state.mode === 'replay') {
+      devSessionStatus.innerHTML = `<div class="status warning"><strong>Spelar upp:</strong> ${escapeHTML(active?.name || '')}</div>`;
+    } else {
+      devSessionStatus.innerHTML = '';
+    }
+
+    devSessionList.innerHTML = sessions.length
+      ? sessions.map(s => `<option value="${escapeHTML(s.id)}"${s.id === state.sessionId ? ' selected' : ''}>${escapeHTML(s.name)} (${s.count})</option>`).join('')
+      : '<option value="">Inga inspelningar</option>';
+  }
+
+  async function exportDevSession() {
+    if (!devSessionList.value) return;
+    const archive = await devSessionAction('export', { sessionId: devSessionList.value });
+    if (!archive) return;
+    const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `session-${archive.session.name.replace(/[^\w-]+/g, '_')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  async function importDevSession() {
+    const file = devSessionImportFile.files[0];
+    devSessionImportFile.value = '';
+    if (!file) return;
+    try {
+      const archive = JSON.parse(await file.text());
+      await devSessionAction('import', { archive }, 'Inspelning importerad');
+    } catch (error) {
+      showStatus('Kunde inte läsa filen: ' + error.message, 'error');
+    }
+  }
+
+  // ─── Settings profiles ────────────────────────────────────────
+
+  async function settingsProfileAction(action, params = {}, successMessage = null) {
+    try {
+      const response = await sendMessageAsync({ type: 'settings-profile', action, ...params });
+      renderSettingsProfiles(response.active, response.profiles);
+      if (successMessage) showStatus(successMessage, 'success');
+      return response.result ?? true;
+    } catch (error) {
+      showStatus('Fel: ' + error.message, 'error');
+      return null;
+    }
+  }
+
+  function renderSettingsProfiles(active, profiles) {
+    const options = profiles.map(p => `<option value="${escapeHTML(p.name)}"${p.name === active ? ' selected' : ''}>${escapeHTML(p.name)}</option>`);
+    if (!active) options.unshift('<option value="" selected>Ingen profil vald</option>');
+    settingsProfileList.innerHTML = options.join('');
+  }
+
+  async function switchSettingsProfile() {
+    const name = settingsProfileList.value;
+    if (!name) return;
+    if (await settingsProfileAction('switch', { name }, `Bytte till profilen "${name}"`)) {
+      await loadAllSettings();
+    }
+  }
+
+  async function exportTeamProfile() {
+    const profile = await settingsProfileAction('export', {
+      name: document.getElementById('team-profile-name').value.trim(),
+      passphrase: teamProfilePassphraseInput.value,
+      includeSecrets: document.getElementById('team-profile-include-secrets').checked
+    });
+    if (!profile) return;
+    const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `teamprofil-${profile.name.replace(/[^\w-]+/g, '_')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    showStatus(profile.secrets ? 'Teamprofil exporterad (med krypterade nycklar)' : 'Teamprofil exporterad (utan nycklar)', 'success');
+  }
+
+  async function importTeamProfile() {
+    const file = teamProfileImportFile.files[0];
+    teamProfileImportFile.value = '';
+    if (!file) return;
+    let profile;
+    try {
+      profile = JSON.parse(await file.text());
+    } catch (error) {
+      showStatus('Kunde inte läsa filen: ' + error.message, 'error');
+      return;
+    }
+    const result = await settingsProfileAction('import', { profile, passphrase: teamProfilePassphraseInput.value });
+    if (!result) return;
+    await loadAllSettings();
+    showStatus(result.includesSecrets
+      ? `Teamprofilen "${result.name}" importerad.`
+      : `Teamprofilen "${result.name}" importerad. Fyll i din egen API-nyckel och dina tokens.`, 'success');
+  }
+
+  async function resetAiResilience() {
+    try {
+      await sendMessageAsync({ type: 'ai-resilience-reset' });
+      showStatus('Modellstatus återställd', 'success');
+      await renderAiResilienceStatus();
+    } catch (error) {
+      showStatus('Fel vid återställning: ' + error.message, 'error');
+    }
+  }
 });
\ No newline at end of file
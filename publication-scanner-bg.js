@@ -4,28 +4,23 @@
  * Results are cached in chrome.storage.local for the dashboard to render.
  *
  * DOMParser is not available in service workers, so HTML parsing is
- * delegated to an offscreen document (offscreen.html / offscreen.js).
+ * delegated to an offscreen document (see admin-pages-bg.js).
  */
 
+import { runStorageMigrations } from './storage-migrations-bg.js';
+import { evaluateQualityRules, loadForbiddenWords } from './modules/core/quality-rules.js';
+import { indexItems } from './item-index-bg.js';
+import { acquireOffscreen, releaseOffscreen, parseAdminHtml, fetchAdminPage as fetchPageHtml } from './admin-pages-bg.js';
+
 // ─── Constants ──────────────────────────────────────────────────────
 const PUB_SCAN_CACHE_KEY = 'publicationScanResults';
 const PUB_SCAN_PROGRESS_KEY = 'publicationScanProgress';
-const PUB_SCAN_SPELL_CACHE_KEY = 'pubScanSpellCache_v2';
-const PUB_SCAN_SPELL_VERSION_KEY = 'pubScanSpellVersion';
-const PUB_SCAN_SPELL_VERSION = 5; // Bumped: sticky errors now carry spellWords for chips
+// Format changes to these keys go through storage-migrations-bg.js
+const PUB_SCAN_SPELL_CACHE_KEY = 'pubScanSpellCache';
 const PUB_SCAN_STICKY_KEY = 'publicationScanStickyErrors';
 const STICKY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
-const PUB_SCAN_MIN_DESC_LENGTH = 40;
-const PUB_SCAN_MIN_TITLE_LENGTH = 15;
-const PUB_SCAN_MIN_CONDITION_LENGTH = 15;
 const PUB_SCAN_BATCH_SIZE = 5;
 const PUB_SCAN_HIGH_VALUE_THRESHOLD = 3000;
-const AUCTIONET_BASE = 'https://auctionet.com';
-
-const PUB_SCAN_VAGUE_CONDITION_TERMS = [
-  'bruksskick', 'bruksslitage',
-  'normalt slitage', 'vanligt slitage', 'åldersslitage', 'slitage förekommer'
-];
 
 // ─── Dictionary spellcheck (loaded lazily) ──────────────────────────
 let misspellingsMap = null;
@@ -43,99 +38,25 @@ async function loadMisspellingsMap() {
     misspellingsMap = {};
     safeWordsSet = new Set();
   }
-  // One-time migration: clear all spell caches when spell version changes
-  try {
-    const stored = await chrome.storage.local.get([PUB_SCAN_SPELL_VERSION_KEY]);
-    if ((stored[PUB_SCAN_SPELL_VERSION_KEY] || 0) < PUB_SCAN_SPELL_VERSION) {
-      console.log('[PubScanBG] Spell version upgraded — clearing old spell caches');
-      await chrome.storage.local.remove([PUB_SCAN_CACHE_KEY, PUB_SCAN_STICKY_KEY, 'pubScanSpellCache']);
-      spellCache = null;
-      await chrome.storage.local.set({ [PUB_SCAN_SPELL_VERSION_KEY]: PUB_SCAN_SPELL_VERSION });
-    }
-  } catch (e) {
-    console.warn('[PubScanBG] Spell cache migration failed:', e.message);
-  }
   return misspellingsMap;
 }
 
-// ─── Offscreen document management ──────────────────────────────────
-// Only one offscreen document can exist at a time per extension.
-
-let offscreenReady = false;
-
-async function ensureOffscreen() {
-  if (offscreenReady) return;
-  // Check if already exists (e.g. from a previous scan)
-  const existingContexts = await chrome.runtime.getContexts({
-    contextTypes: ['OFFSCREEN_DOCUMENT'],
-    documentUrls: [chrome.runtime.getURL('offscreen.html')]
-  });
-  if (existingContexts.length > 0) {
-    offscreenReady = true;
-    return;
-  }
-  await chrome.offscreen.createDocument({
-    url: 'offscreen.html',
-    reasons: ['DOM_PARSER'],
-    justification: 'Parse Auctionet HTML pages using DOMParser for publication scan'
-  });
-  offscreenReady = true;
-}
-
-async function closeOffscreen() {
-  try {
-    await chrome.offscreen.closeDocument();
-  } catch (e) { /* already closed or never opened */ }
-  offscreenReady = false;
-}
-
-// Send a parse request to the offscreen document and return the result
-function sendParseRequest(type, html) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({ target: 'offscreen', type, html }, (response) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve(response);
-      }
-    });
-  });
-}
-
-// ─── HTML fetching ──────────────────────────────────────────────────
-
-async function fetchPageHtml(path) {
-  const url = path.startsWith('http') ? path : AUCTIONET_BASE + path;
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 15000);
-  try {
-    const response = await fetch(url, {
-      credentials: 'include',
-      signal: controller.signal
-    });
-    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
-    return response.text();
-  } finally {
-    clearTimeout(timeoutId);
-  }
-}
-
 // ─── HTML parsing (delegated to offscreen document) ──────────────────
 
 async function parsePublishablesPage(html) {
-  return sendParseRequest('parse-publishables', html);
+  return parseAdminHtml('parse-publishables', html);
 }
 
 async function detectPublishablePages(html) {
-  return sendParseRequest('detect-pages', html);
+  return parseAdminHtml('detect-pages', html);
 }
 
 async function parseShowPageForScan(html) {
-  return sendParseRequest('parse-show-page', html);
+  return parseAdminHtml('parse-show-page', html);
 }
 
 async function parseEditPageFields(html) {
-  return sendParseRequest('parse-edit-page', html);
+  return parseAdminHtml('parse-edit-page', html);
 }
 
 // ─── Quality checks ─────────────────────────────────────────────────
@@ -145,15 +66,10 @@ function runPhase1Checks(item) {
   if (!item.hasImage) {
     issues.push({ text: '0 bilder (saknar primärbild)', severity: 'critical' });
   }
-  if (!item.title || !item.title.trim()) {
-    issues.push({ text: 'Saknar titel', severity: 'warning' });
-  } else if (item.title.replace(/^\d+\.\s*/, '').length < PUB_SCAN_MIN_TITLE_LENGTH) {
-    issues.push({ text: 'Kort titel (< 15 tecken)', severity: 'warning' });
-  }
   return issues;
 }
 
-async function runPhase2Checks(editData, dictMap, itemId) {
+async function runPhase2Checks(editData, dictMap, itemId, forbiddenWords) {
   const issues = [];
 
   // Image checks
@@ -177,31 +93,23 @@ async function runPhase2Checks(editData, dictMap, itemId) {
     }
   }
 
-  // Description checks
-  if (!editData.description) {
-    issues.push({ text: 'Saknar beskrivning', severity: 'warning' });
-  } else if (editData.description.length < PUB_SCAN_MIN_DESC_LENGTH) {
-    issues.push({ text: 'Kort beskrivning (< 40 tecken)', severity: 'warning' });
-  }
-
-  // Condition checks
-  if (!editData.condition) {
-    issues.push({ text: 'Saknar kondition', severity: 'warning' });
-  } else {
-    const condLower = editData.condition.toLowerCase();
-    if (/^bruksslitage\.?\s*$/i.test(editData.condition.trim())) {
-      issues.push({ text: 'Endast "bruksslitage" — specificera typ av slitage', severity: 'warning' });
-    } else if (PUB_SCAN_VAGUE_CONDITION_TERMS.some(term => condLower.includes(term))) {
-      const matched = PUB_SCAN_VAGUE_CONDITION_TERMS.find(term => condLower.includes(term));
-      if (editData.condition.length < 40) {
-        issues.push({ text: `Vag kondition ("${matched}")`, severity: 'warning' });
-      } else {
-        issues.push({ text: `"${matched}" i kondition — överväg att specificera`, severity: 'warning' });
-      }
-    } else if (editData.condition.length < PUB_SCAN_MIN_CONDITION_LENGTH) {
-      issues.push({ text: 'Kort kondition (< 15 tecken)', severity: 'warning' });
-    }
-  }
+  // Text rules shared with the edit page (modules/core/quality-rules.js).
+  // Low-severity tips stay on the edit page; keywords have their own column.
+  const { issues: ruleIssues } = evaluateQualityRules({
+    title: editData.editTitle || (editData.title || '').replace(/^\d+\.\s*/, ''),
+    description: editData.description || '',
+    condition: editData.condition || '',
+    category: editData.category,
+    categoryId: editData.categoryId,
+    noRemarks: editData.noRemarks
+  }, { forbiddenWords });
+  ruleIssues
+    .filter(issue => issue.severity !== 'low')
+    .forEach(issue => issues.push({
+      text: issue.matches ? `${issue.label} (${issue.matches.map(m => `"${m}"`).join(', ')})` : issue.label,
+      severity: 'warning',
+      ruleId: issue.ruleId
+    }));
 
   // Spellcheck (LanguageTool API + dictionary fallback, with caching)
   const combinedText = [editData.editTitle || editData.title, editData.description, editData.condition].filter(Boolean).join(' ');
@@ -246,20 +154,6 @@ async function runPhase2Checks(editData, dictMap, itemId) {
     issues.push({ text: `Stavfel: ${corrections}`, severity: 'critical', spellWords });
   }
 
-  // Repeated measurement units
-  const descText = editData.description || '';
-  const descLines = descText.replace(/<[^>]*>/g, '').split(/\n/);
-  for (const line of descLines) {
-    const unitMatches = line.match(/\d+([.,]\d+)?\s*(cm|mm)\b/gi);
-    if (unitMatches && unitMatches.length >= 3) {
-      const units = unitMatches.map(m => m.match(/(cm|mm)/i)?.[1]?.toLowerCase());
-      if (units.every(u => u === units[0])) {
-        issues.push({ text: `Måttenhet upprepas — skriv "${units[0]}" bara efter sista måttet`, severity: 'warning' });
-        break;
-      }
-    }
-  }
-
   return issues;
 }
 
@@ -315,7 +209,7 @@ async function setCachedSpellcheck(itemId, text, results) {
 
   // L1: Local cache
   const cache = await loadSpellCache();
-  cache[itemId] = { hash, results };
+  cache[itemId] = { hash, results, checkedAt: Date.now() }; // checkedAt: oldest entries are evicted first
 
   // L2: Shared cache (fire-and-forget)
   setSharedCachedSpellcheck(itemId, hash, results);
@@ -564,8 +458,11 @@ export async function runBackgroundPublicationScan() {
   scanRunning = true;
 
   try {
+    // Cached results and sticky errors must be in the current format
+    await runStorageMigrations();
+
     // Create offscreen document for HTML parsing
-    await ensureOffscreen();
+    await acquireOffscreen('publication-scan');
 
     // Reset spell cache to load fresh from storage
     spellCache = null;
@@ -574,6 +471,7 @@ export async function runBackgroundPublicationScan() {
     // confirmed seconds ago (✓) is honored on this very scan, not 30 min later.
     const dictMap = await loadMisspellingsMap();
     await loadLearnedWhitelist(true);
+    const forbiddenWords = await loadForbiddenWords();
 
     reportProgress('Hämtar publiceringslista...');
 
@@ -638,11 +536,14 @@ export async function runBackgroundPublicationScan() {
             title: item.title, editTitle: editFields.editTitle, artist: editFields.artist,
             imageCount: showData.imageCount, description: showData.description,
             condition: showData.condition, keywords: editFields.keywords,
-            estimate: editFields.estimate
+            estimate: editFields.estimate, category: editFields.category,
+            categoryId: editFields.categoryId, noRemarks: editFields.noRemarks
           };
           item.showUrl = showUrl;
+          item.imageUrl = showData.imageUrl;
+          item.sellerId = editFields.sellerId;
           item.editData = editData;
-          item.phase2Issues = await runPhase2Checks(editData, dictMap, item.itemId);
+          item.phase2Issues = await runPhase2Checks(editData, dictMap, item.itemId, forbiddenWords);
         } catch (e) {
           console.error(`[PubScanBG] Failed to scan item ${item.itemId}:`, e);
           item.phase2Issues = [{ text: 'Kunde inte skannas', severity: 'warning' }];
@@ -657,6 +558,7 @@ export async function runBackgroundPublicationScan() {
     const warnings = [];
     let passed = 0;
     let missingKeywords = 0;
+    let miscategorized = 0;
     let highValueWithIssues = 0;
     const passedIds = [];
     const keywordMap = {};
@@ -676,6 +578,8 @@ export async function runBackgroundPublicationScan() {
       }
       if (estimate > 0) estimateMap[item.itemId] = estimate;
 
+      if (item.phase2Issues?.some(i => i.ruleId === 'category-mismatch')) miscategorized++;
+
       const allIssues = [...item.phase1Issues];
       if (item.phase2Issues) {
         item.phase2Issues.forEach(p2 => {
@@ -715,6 +619,7 @@ export async function runBackgroundPublicationScan() {
       warnings,
       passed,
       missingKeywords,
+      miscategorized,
       highValueWithIssues,
       _passedIds: passedIds,
       _keywordMap: keywordMap,
@@ -724,6 +629,7 @@ export async function runBackgroundPublicationScan() {
     await chrome.storage.local.set({ [PUB_SCAN_CACHE_KEY]: result });
     await saveSpellCache();
     await promoteStickyErrors(result);
+    await indexScannedItems(allItems);
     clearProgress();
     return result;
 
@@ -734,7 +640,25 @@ export async function runBackgroundPublicationScan() {
   } finally {
     scanRunning = false;
     // Close offscreen document to free resources
-    closeOffscreen();
+    releaseOffscreen('publication-scan');
+  }
+}
+
+// ─── Duplicate index: the publishable queue is the freshest list of new items ─────
+
+async function indexScannedItems(allItems) {
+  try {
+    await indexItems(allItems.filter(item => item.editData).map(item => ({
+      id: item.itemId,
+      title: item.title.replace(/^\d+\.\s*/, ''),
+      description: item.editData.description,
+      sellerId: item.sellerId,
+      url: item.showUrl,
+      imageUrl: item.imageUrl
+    })), 'publishables');
+  } catch (e) {
+    // The index is a convenience — never fail the scan over it
+    console.warn('[PubScanBG] Could not update the item index:', e.message);
   }
 }
 
@@ -837,6 +761,7 @@ export async function recheckStickyErrors() {
   stickyRecheckRunning = true;
 
   try {
+    await runStorageMigrations();
     const sticky = await loadStickyErrors();
     const publishedEntries = Object.values(sticky).filter(e => e.isPublished);
 
@@ -847,7 +772,7 @@ export async function recheckStickyErrors() {
 
     const dictMap = await loadMisspellingsMap();
     await loadLearnedWhitelist(true);
-    await ensureOffscreen();
+    await acquireOffscreen('sticky-recheck');
 
     const now = Date.now();
 
@@ -903,13 +828,13 @@ export async function recheckStickyErrors() {
     }
 
     await saveStickyErrors(sticky);
-    await closeOffscreen();
+    await releaseOffscreen('sticky-recheck');
     stickyRecheckRunning = false;
     return sticky;
   } catch (error) {
     console.error('[PubScanBG] Sticky recheck failed:', error);
     stickyRecheckRunning = false;
-    await closeOffscreen();
+    await releaseOffscreen('sticky-recheck');
     return null;
   }
 }
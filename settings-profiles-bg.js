@@ -0,0 +1,294 @@
+/**
+ * Settings Profiles — Background Service Worker Module
+ * Moves a cataloger's popup configuration between machines and people.
+ *
+ *   Team profile  — signed JSON file an admin exports and colleagues import.
+ *                   Signed with HMAC-SHA-256 using a key derived from a team
+ *                   passphrase; secrets (API keys, tokens) are optional and,
+ *                   when included, AES-GCM encrypted with the same passphrase.
+ *   Named profiles — local snapshots ("Anna", "Värdering") so a shared
+ *                   workstation can switch identity without re-entering keys.
+ *
+ * chrome.storage.local 'settingsProfiles' = {
+ *   active: 'Anna' | null,
+ *   profiles: { [name]: { savedAt, values: { sync: {...}, local: {...} } } }
+ * }
+ */
+
+const PROFILES_KEY = 'settingsProfiles';
+const PROFILE_FORMAT = 'auctionet-team-profile';
+const PBKDF2_ITERATIONS = 210000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Every popup setting that belongs to a person/team. `secretField` marks a
+// secret nested inside an otherwise shareable object; `personal` settings
+// follow named profiles but are never part of a team profile; `shared`
+// settings are the house's (team profile only) and switching identity
+// leaves them alone.
+const PROFILE_SETTINGS = [
+  { key: 'enableArtistInfo', area: 'sync' },
+  { key: 'showDashboard', area: 'sync' },
+  { key: 'ownCompanyId', area: 'sync' },
+  { key: 'commandShortcuts', area: 'sync', personal: true },
+  { key: 'anthropicApiKey', area: 'local', secret: true },
+  { key: 'enablePubScanner', area: 'local' },
+  { key: 'dashboardApiToken', area: 'local', secret: true },
+  { key: 'outletSupabaseUrl', area: 'local' },
+  { key: 'outletSupabaseServiceKey', area: 'local', secret: true },
+  { key: 'spellcheckWorkerUrl', area: 'local' },
+  { key: 'aiUsageBudget', area: 'local' },
+  { key: 'aiUsagePricing', area: 'local' },
+  { key: 'translationSettings', area: 'local' },
+  { key: 'metalPrices', area: 'local', shared: true },
+  { key: 'teamSnippets', area: 'local', shared: true },
+  { key: 'personalSnippets', area: 'local', personal: true },
+  { key: 'aiProviderSettings', area: 'local', secretField: ['openai', 'apiKey'] }
+];
+
+// ─── Reading / writing settings ─────────────────────────────────────
+
+/**
+ * @param {object} [opts] — { shared: false } leaves out the house's settings (named profiles)
+ */
+async function readSettings({ shared = true } = {}) {
+  const keysFor = area => PROFILE_SETTINGS.filter(s => s.area === area && (shared || !s.shared)).map(s => s.key);
+  const [sync, local] = await Promise.all([
+    chrome.storage.sync.get(keysFor('sync')),
+    chrome.storage.local.get(keysFor('local'))
+  ]);
+  return { sync, local };
+}
+
+/**
+ * Write `values` back. With `replace`, settings missing from `values` are
+ * removed (switching identity must not keep the previous person's key);
+ * shared settings are neither removed nor overwritten then, so a snapshot
+ * saved before a setting was shared can't roll the house's copy back.
+ */
+async function writeSettings(values, { replace = false } = {}) {
+  const isShared = (area, key) => PROFILE_SETTINGS.some(s => s.area === area && s.key === key && s.shared);
+  for (const area of ['sync', 'local']) {
+    const incoming = replace
+      ? Object.fromEntries(Object.entries(values[area] || {}).filter(([key]) => !isShared(area, key)))
+      : values[area] || {};
+    const toRemove = replace
+      ? PROFILE_SETTINGS.filter(s => s.area === area && !s.shared && !(s.key in incoming)).map(s => s.key)
+      : [];
+    if (Object.keys(incoming).length > 0) await chrome.storage[area].set(incoming);
+    if (toRemove.length > 0) await chrome.storage[area].remove(toRemove);
+  }
+  notifyTabs();
+}
+
+function notifyTabs() {
+  chrome.tabs.query({ url: 'https://auctionet.com/*' }).then(tabs => {
+    for (const tab of tabs) chrome.tabs.sendMessage(tab.id, { type: 'refresh-settings' }).catch(() => {});
+  }).catch(() => {});
+}
+
+// Split into shareable settings and secrets ({ 'area.key' or 'area.key.path': value })
+function splitSecrets(values) {
+  const plain = { sync: { ...values.sync }, local: { ...values.local } };
+  const secrets = {};
+  for (const setting of PROFILE_SETTINGS) {
+    const value = plain[setting.area][setting.key];
+    if (value === undefined) continue;
+    if (setting.secret) {
+      if (value) secrets[`${setting.area}.${setting.key}`] = value;
+      delete plain[setting.area][setting.key];
+    } else if (setting.secretField) {
+      const [outer, inner] = setting.secretField;
+      const nested = value?.[outer]?.[inner];
+      if (nested) {
+        secrets[`${setting.area}.${setting.key}.${outer}.${inner}`] = nested;
+        plain[setting.area][setting.key] = { ...value, [outer]: { ...value[outer], [inner]: '' } };
+      }
+    }
+  }
+  return { plain, secrets };
+}
+
+function mergeSecrets(plain, secrets) {
+  const values = { sync: { ...plain.sync }, local: { ...plain.local } };
+  for (const [path, secret] of Object.entries(secrets)) {
+    const [area, key, outer, inner] = path.split('.');
+    const setting = PROFILE_SETTINGS.find(s => s.area === area && s.key === key);
+    if (!setting) continue;
+    if (setting.secret && !outer) {
+      values[area][key] = secret;
+    } else if (setting.secretField?.[0] === outer && setting.secretField?.[1] === inner) {
+      const current = values[area][key] || {};
+      values[area][key] = { ...current, [outer]: { ...(current[outer] || {}), [inner]: secret } };
+    }
+  }
+  return values;
+}
+
+// ─── Crypto helpers ─────────────────────────────────────────────────
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// Key order must not affect the signature
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+async function deriveKeys(passphrase, salt) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Teamlösenordet måste vara minst ${MIN_PASSPHRASE_LENGTH} tecken`);
+  }
+  const base = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS }, base, 512));
+  const [hmacKey, aesKey] = await Promise.all([
+    crypto.subtle.importKey('raw', bits.slice(0, 32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']),
+    crypto.subtle.importKey('raw', bits.slice(32), 'AES-GCM', false, ['encrypt', 'decrypt'])
+  ]);
+  return { hmacKey, aesKey };
+}
+
+// ─── Team profiles (export / import) ────────────────────────────────
+
+/**
+ * Build a signed team profile from the current settings. Admin only.
+ * @param {object} opts — { name, passphrase, includeSecrets }
+ */
+export async function exportTeamProfile({ name, passphrase, includeSecrets = false }) {
+  const { adminUnlocked } = await chrome.storage.sync.get('adminUnlocked');
+  if (!adminUnlocked) throw new Error('Endast admin kan exportera teamprofiler');
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const { hmacKey, aesKey } = await deriveKeys(passphrase, salt);
+  const { plain, secrets } = splitSecrets(await readSettings());
+  for (const setting of PROFILE_SETTINGS.filter(s => s.personal)) delete plain[setting.area][setting.key];
+
+  let encryptedSecrets = null;
+  if (includeSecrets && Object.keys(secrets).length > 0) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, aesKey, new TextEncoder().encode(JSON.stringify(secrets)));
+    encryptedSecrets = { iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  const profile = {
+    format: PROFILE_FORMAT,
+    version: 1,
+    name: name || 'Teamprofil',
+    exportedAt: new Date().toISOString(),
+    salt: toBase64(salt),
+    settings: plain,
+    secrets: encryptedSecrets
+  };
+  const signature = await crypto.subtle.sign('HMAC', hmacKey, new TextEncoder().encode(canonicalJSON(profile)));
+  return { ...profile, signature: toBase64(signature) };
+}
+
+/**
+ * Verify and apply a team profile. Settings the profile does not carry
+ * (e.g. secrets left out by the admin) keep their current values.
+ * @returns {Promise<{ name: string, includesSecrets: boolean, applied: number }>}
+ */
+export async function importTeamProfile(profile, passphrase) {
+  if (profile?.format !== PROFILE_FORMAT || !profile.settings || !profile.signature || !profile.salt) {
+    throw new Error('Ogiltig profilfil');
+  }
+  if (profile.version !== 1) throw new Error(`Profilversion ${profile.version} stöds inte — uppdatera tillägget`);
+
+  const { signature, ...unsigned } = profile;
+  const { hmacKey, aesKey } = await deriveKeys(passphrase, fromBase64(profile.salt));
+  const valid = await crypto.subtle.verify('HMAC', hmacKey, fromBase64(signature), new TextEncoder().encode(canonicalJSON(unsigned)));
+  if (!valid) throw new Error('Signaturen stämmer inte — fel teamlösenord eller ändrad fil');
+
+  let secrets = {};
+  if (profile.secrets) {
+    const plainBytes = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(profile.secrets.iv) }, aesKey, fromBase64(profile.secrets.data));
+    secrets = JSON.parse(new TextDecoder().decode(plainBytes));
+  }
+
+  // Only known team settings are applied — a profile can't write arbitrary storage keys
+  const known = (area, values) => Object.fromEntries(Object.entries(values || {})
+    .filter(([key]) => PROFILE_SETTINGS.some(s => s.area === area && s.key === key && !s.personal)));
+  const plain = { sync: known('sync', profile.settings.sync), local: known('local', profile.settings.local) };
+
+  // A blanked nested secret in the shared settings must not wipe the local one
+  const current = await readSettings();
+  for (const setting of PROFILE_SETTINGS.filter(s => s.secretField && plain[s.area][s.key])) {
+    const [outer, inner] = setting.secretField;
+    const path = `${setting.area}.${setting.key}.${outer}.${inner}`;
+    const existing = current[setting.area][setting.key]?.[outer]?.[inner];
+    if (existing && !(path in secrets)) secrets[path] = existing;
+  }
+
+  const values = mergeSecrets(plain, secrets);
+  await writeSettings(values);
+  return {
+    name: profile.name,
+    includesSecrets: !!profile.secrets,
+    applied: Object.keys(values.sync).length + Object.keys(values.local).length
+  };
+}
+
+// ─── Named local profiles ───────────────────────────────────────────
+
+async function loadProfiles() {
+  const stored = await chrome.storage.local.get([PROFILES_KEY]);
+  return stored[PROFILES_KEY] || { active: null, profiles: {} };
+}
+
+async function saveProfiles(state) {
+  await chrome.storage.local.set({ [PROFILES_KEY]: state });
+}
+
+/** { active, profiles: [{ name, savedAt }] } — values are never sent to the popup */
+export async function listSettingsProfiles() {
+  const state = await loadProfiles();
+  return {
+    active: state.active,
+    profiles: Object.entries(state.profiles)
+      .map(([name, p]) => ({ name, savedAt: p.savedAt }))
+      .sort((a, b) => a.name.localeCompare(b.name, 'sv'))
+  };
+}
+
+/** Snapshot the current settings under `name` and make it the active profile */
+export async function saveSettingsProfile(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Ange ett profilnamn');
+  const state = await loadProfiles();
+  state.profiles[trimmed] = { savedAt: Date.now(), values: await readSettings({ shared: false }) };
+  state.active = trimmed;
+  await saveProfiles(state);
+}
+
+/**
+ * Switch identity: the active profile is updated with any changes made since
+ * it was loaded, then the target profile replaces the current settings.
+ */
+export async function switchSettingsProfile(name) {
+  const state = await loadProfiles();
+  const target = state.profiles[name];
+  if (!target) throw new Error('Profilen finns inte');
+  if (state.active && state.profiles[state.active] && state.active !== name) {
+    state.profiles[state.active] = { savedAt: Date.now(), values: await readSettings({ shared: false }) };
+  }
+  await writeSettings(target.values, { replace: true });
+  state.active = name;
+  await saveProfiles(state);
+}
+
+export async function deleteSettingsProfile(name) {
+  const state = await loadProfiles();
+  delete state.profiles[name];
+  if (state.active === name) state.active = null;
+  await saveProfiles(state);
+}
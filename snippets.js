@@ -0,0 +1,235 @@
+// snippets.js — Editor for the team and personal snippet libraries
+// (modules/core/snippet-library.js). Everyone edits their own snippets; the
+// team library is admin only and reaches colleagues through the team profile.
+
+import {
+  TEAM_SNIPPETS_KEY,
+  PERSONAL_SNIPPETS_KEY,
+  SNIPPET_SCOPES,
+  SNIPPET_FIELDS,
+  loadSnippets,
+  saveSnippets,
+  validateSnippet,
+  compileTrigger,
+  placeholdersIn,
+  newSnippetId
+} from './modules/core/snippet-library.js';
+
+const escapeHTML = s => s == null ? '' : String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+
+const $ = id => document.getElementById(id);
+
+let snippets = [];
+let isAdmin = false;
+let editing = null; // { id, scope } of the snippet in the editor, null for a new one
+
+function showStatus(message, type) {
+  const el = $('status');
+  el.textContent = message;
+  el.className = `status ${type || ''}`;
+}
+
+const ofScope = scope => snippets.filter(snippet => snippet.scope === scope);
+
+// ─── Lists ───
+
+function highlightPlaceholders(text) {
+  return escapeHTML(text).replace(/\{([^{}]{1,30})\}/g, '<span class="placeholder">{$1}</span>');
+}
+
+function renderList(scope) {
+  const list = ofScope(scope);
+  const editable = scope === 'personal' || isAdmin;
+  const container = $(scope === 'team' ? 'teamList' : 'personalList');
+  if (list.length === 0) {
+    container.innerHTML = `<p class="muted">${scope === 'team' ? 'Teamet har inga mallar ännu.' : 'Du har inga egna mallar ännu.'}</p>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <table>
+      <thead><tr><th>Namn</th><th>Fält</th><th>Utlösare</th><th>Text</th><th></th></tr></thead>
+      <tbody>
+        ${list.map(snippet => `
+          <tr data-id="${escapeHTML(snippet.id)}">
+            <td>${escapeHTML(snippet.name)}</td>
+            <td>${escapeHTML(SNIPPET_FIELDS[snippet.field])}</td>
+            <td>${snippet.trigger ? `<code>${escapeHTML(snippet.trigger)}</code>` : '<span class="muted">—</span>'}</td>
+            <td class="text">${highlightPlaceholders(snippet.text)}</td>
+            <td class="actions">
+              ${editable ? `
+                <button class="small secondary" data-action="edit">Redigera</button>
+                <button class="small danger" data-action="delete">Ta bort</button>` : ''}
+              ${scope === 'team' ? '<button class="small secondary" data-action="copy">Kopiera till mina</button>' : ''}
+            </td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+
+  container.querySelectorAll('tr[data-id]').forEach(row => {
+    const snippet = list.find(s => s.id === row.dataset.id);
+    row.querySelector('[data-action="edit"]')?.addEventListener('click', () => openEditor(snippet));
+    row.querySelector('[data-action="delete"]')?.addEventListener('click', () => remove(snippet));
+    row.querySelector('[data-action="copy"]')?.addEventListener('click', () => copyToPersonal(snippet));
+  });
+}
+
+function render() {
+  renderList('team');
+  renderList('personal');
+}
+
+// ─── Editor ───
+
+function openEditor(snippet = null) {
+  editing = snippet ? { id: snippet.id, scope: snippet.scope } : null;
+  $('editorTitle').textContent = snippet ? `Redigera: ${snippet.name}` : 'Ny mall';
+  $('name').value = snippet?.name || '';
+  $('field').value = snippet?.field || 'description';
+  $('trigger').value = snippet?.trigger || '';
+  $('text').value = snippet?.text || '';
+  $('scope').value = snippet?.scope || 'personal';
+  // Moving a snippet between libraries is done with "Kopiera till mina"
+  $('scope').disabled = !!snippet || !isAdmin;
+  $('editor').style.display = 'block';
+  updateHints();
+  $('name').focus();
+}
+
+function closeEditor() {
+  editing = null;
+  $('editor').style.display = 'none';
+}
+
+function readEditor() {
+  return {
+    id: editing?.id || newSnippetId(),
+    name: $('name').value.trim(),
+    field: $('field').value,
+    trigger: $('trigger').value.trim(),
+    text: $('text').value.trim(),
+    updatedAt: Date.now()
+  };
+}
+
+function updateHints() {
+  const names = placeholdersIn($('text').value);
+  $('placeholders').innerHTML = names.length
+    ? `Platshållare: ${names.map(name => `<span class="placeholder">{${escapeHTML(name)}}</span>`).join('')}`
+    : '';
+
+  const result = $('testResult');
+  const title = $('testTitle').value.trim();
+  let test;
+  try {
+    test = compileTrigger($('trigger').value);
+  } catch (error) {
+    result.textContent = `Ogiltigt reguljärt uttryck: ${error.message}`;
+    result.className = 'match no';
+    return;
+  }
+  if (!title) {
+    result.textContent = '';
+  } else if (!test) {
+    result.textContent = 'Ingen utlösare — mallen föreslås inte automatiskt';
+    result.className = 'match no';
+  } else {
+    const matches = test(title);
+    result.textContent = matches ? '✓ Mallen föreslås för den här titeln' : 'Matchar inte';
+    result.className = `match ${matches ? 'yes' : 'no'}`;
+  }
+}
+
+// ─── Actions ───
+
+async function store(scope, list) {
+  await saveSnippets(scope, list);
+  snippets = await loadSnippets();
+  render();
+}
+
+async function save() {
+  const snippet = readEditor();
+  const problems = validateSnippet(snippet);
+  if (problems.length) {
+    showStatus(problems.join(' · '), 'error');
+    return;
+  }
+  const scope = editing?.scope || $('scope').value;
+  const list = ofScope(scope);
+  const index = list.findIndex(s => s.id === snippet.id);
+  if (index >= 0) list[index] = snippet;
+  else list.push(snippet);
+
+  try {
+    await store(scope, list);
+    closeEditor();
+    showStatus(scope === 'team'
+      ? 'Mallen sparad — exportera teamprofilen i popupen för att dela den med kollegorna'
+      : 'Mallen sparad — gäller direkt i öppna flikar', 'success');
+  } catch (error) {
+    showStatus('Kunde inte spara: ' + error.message, 'error');
+  }
+}
+
+async function remove(snippet) {
+  if (!confirm(`Ta bort mallen "${snippet.name}"?`)) return;
+  try {
+    await store(snippet.scope, ofScope(snippet.scope).filter(s => s.id !== snippet.id));
+    if (editing?.id === snippet.id) closeEditor();
+    showStatus('Mallen borttagen', 'success');
+  } catch (error) {
+    showStatus('Kunde inte ta bort: ' + error.message, 'error');
+  }
+}
+
+async function copyToPersonal(snippet) {
+  const copy = { ...snippet, id: newSnippetId(), updatedAt: Date.now() };
+  try {
+    await store('personal', [...ofScope('personal'), copy]);
+    openEditor({ ...copy, scope: 'personal' });
+    showStatus('Kopierad till dina mallar — ändra den som du vill', 'success');
+  } catch (error) {
+    showStatus('Kunde inte kopiera: ' + error.message, 'error');
+  }
+}
+
+// ─── Init ───
+
+async function init() {
+  ({ adminUnlocked: isAdmin = false } = await chrome.storage.sync.get('adminUnlocked'));
+  $('teamNote').textContent = isAdmin
+    ? 'Följer med teamprofilen som du exporterar i popupen.'
+    : 'Kommer från teamprofilen. Endast admin kan ändra dem — kopiera en mall till dina egna för att anpassa den.';
+
+  $('field').innerHTML = Object.entries(SNIPPET_FIELDS)
+    .map(([value, label]) => `<option value="${value}">${escapeHTML(label)}</option>`).join('');
+  $('scope').innerHTML = Object.entries(SNIPPET_SCOPES)
+    .filter(([scope]) => scope === 'personal' || isAdmin)
+    .map(([value, { label }]) => `<option value="${value}">${escapeHTML(label)}</option>`).join('');
+
+  try {
+    snippets = await loadSnippets();
+  } catch (error) {
+    showStatus('Kunde inte läsa mallarna: ' + error.message, 'error');
+  }
+  render();
+
+  $('newBtn').addEventListener('click', () => openEditor());
+  $('saveBtn').addEventListener('click', save);
+  $('cancelBtn').addEventListener('click', closeEditor);
+  ['text', 'trigger', 'testTitle'].forEach(id => $(id).addEventListener('input', updateHints));
+
+  // Another tab (or a team profile import) changed a library
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes[TEAM_SNIPPETS_KEY] || changes[PERSONAL_SNIPPETS_KEY])) {
+      loadSnippets().then(list => {
+        snippets = list;
+        render();
+      });
+    }
+  });
+}
+
+init();
@@ -1,16 +1,7 @@
 import { SwedishSpellChecker } from './modules/swedish-spellchecker.js';
 import { BrandValidationManager } from './modules/brand-validation-manager.js';
-
-// ── Forbidden words (from ai-rules-config.json) ──
-const FORBIDDEN_WORDS = [
-  'fantastisk','vacker','utsökt','nyskick','magnifik','underbar','exceptionell',
-  'perfekt','ovanlig','sällsynt','extraordinär','unik','spektakulär','enastående',
-  'otrolig','elegant','karakteristisk','typisk','klassisk','traditionell','autentisk',
-  'genomtänkt','sofistikerad','raffinerad','tidlös','stilren','harmonisk','balanserad',
-  'välproportionerad','genomarbetad','påkostad','exklusiv','förnäm','gedigen',
-  'kvalitativ','högkvalitativ','förstklassig','exemplarisk','representativ',
-  'karaktäristiskt','typiskt','fin','värdefull'
-];
+import { auctionetFetch } from './modules/core/auctionet-fetch.js';
+import { evaluateQualityRules, loadForbiddenWords } from './modules/core/quality-rules.js';
 
 // ── Common misspellings (from inline-brand-validator.js) ──
 const COMMON_MISSPELLINGS = {
@@ -23,34 +14,6 @@ const COMMON_MISSPELLINGS = {
   'örhange': 'örhänge', 'orhänge': 'örhänge',
 };
 
-// ── Compound words that should be separated ──
-const COMPOUND_ERRORS = {
-  'majolikavas': 'majolika, vas', 'keramiktomte': 'keramik, tomte',
-  'kristallvas': 'kristall, vas', 'porslinsvas': 'porslin, vas',
-  'guldring': 'guld, ring', 'silverkedja': 'silver, kedja',
-  'mässingsljusstake': 'mässing, ljusstake', 'tennmugg': 'tenn, mugg',
-  'glasvas': 'glas, vas', 'keramikskål': 'keramik, skål',
-  'silverring': 'silver, ring', 'guldarmband': 'guld, armband',
-  'porslinstallrik': 'porslin, tallrik', 'keramikvas': 'keramik, vas',
-};
-
-// ── Forbidden phrases ──
-const FORBIDDEN_PHRASES = [
-  { pattern: /\bbruksslitage\b/i, label: '"bruksslitage" standalone', severity: 'high' },
-  { pattern: /\bej funktionstestad\b/i, label: '"Ej funktionstestad" (forbidden)', severity: 'high' },
-  { pattern: /\bingen anmärkning\b/i, label: '"Ingen anmärkning" (discouraged)', severity: 'medium' },
-  { pattern: /\båldersslitage\b/i, label: '"åldersslitage" (too vague)', severity: 'medium' },
-  { pattern: /\bnormalt slitage\b/i, label: '"normalt slitage" (too vague)', severity: 'medium' },
-];
-
-// ── Abbreviations that should be written out ──
-const ABBREVIATION_PATTERNS = [
-  { pattern: /\bbl\.?\s*a\b/i, label: 'bl.a. → bland annat' },
-  { pattern: /\bosv\b\.?/i, label: 'osv → och så vidare' },
-  { pattern: /\bnr\.\s/i, label: 'nr. → nummer' },
-  { pattern: /\bev\.\s/i, label: 'ev. → eventuellt' },
-];
-
 // ── AI Spellcheck via background service worker (Haiku) ──
 // Routes through chrome.runtime.sendMessage like all other extension AI calls
 let aiStats = { calls: 0, errors: 0, found: 0 };
@@ -61,8 +24,8 @@ async function loadSettings() {
   try {
     const result = await chrome.storage.local.get(['anthropicApiKey']);
     hasApiKey = !!result.anthropicApiKey;
-    const syncResult = await chrome.storage.sync.get(['ownCompanyId', 'excludeCompanyId']);
-    const companyId = syncResult.ownCompanyId || syncResult.excludeCompanyId || '48';
+    const syncResult = await chrome.storage.sync.get(['ownCompanyId']);
+    const companyId = syncResult.ownCompanyId || '48';
     document.getElementById('companyId').value = companyId;
     const statusEl = document.getElementById('apiStatus');
     if (hasApiKey) {
@@ -90,6 +53,7 @@ function callBackground(body) {
     }, 35000);
     chrome.runtime.sendMessage({
       type: 'anthropic-fetch',
+      feature: 'spelling-audit',
       body
     }, (response) => {
       clearTimeout(timeoutId);
@@ -207,7 +171,7 @@ async function fetchAllItems(companyId, onProgress) {
 
   while (true) {
     const url = `${API_BASE}?company_id=${companyId}&per_page=${perPage}&page=${page}`;
-    const resp = await fetch(url);
+    const resp = await auctionetFetch(url);
     if (!resp.ok) throw new Error(`API ${resp.status}: ${resp.statusText}`);
     const data = await resp.json();
     const items = data.items || [];
@@ -228,7 +192,7 @@ async function fetchAllItems(companyId, onProgress) {
 }
 
 // ── Analysis ──
-async function analyzeItem(item, spellChecker, brandValidator, useAI = false) {
+async function analyzeItem(item, spellChecker, brandValidator, forbiddenWords, useAI = false) {
   const title = item.title || '';
   const description = stripHtml(item.description || '');
   const condition = stripHtml(item.condition || '');
@@ -268,57 +232,17 @@ async function analyzeItem(item, spellChecker, brandValidator, useAI = false) {
   const brandResults = brandValidator.detectFuzzyBrandMatches(title, description);
   brandResults.forEach(r => errors.brand.push(r));
 
-  // 4. Forbidden words
-  for (const fw of FORBIDDEN_WORDS) {
-    const regex = new RegExp(`\\b${fw}\\b`, 'gi');
-    const match = lowerAll.match(regex);
-    if (match) {
-      errors.forbidden.push({ word: fw, field: 'text' });
-    }
-  }
-
-  // 5. Structural checks
-  // Forbidden phrases
-  for (const fp of FORBIDDEN_PHRASES) {
-    if (fp.pattern.test(allText)) {
-      errors.structural.push({ type: 'forbidden_phrase', label: fp.label, severity: fp.severity });
-    }
-  }
-
-  // Abbreviations
-  for (const ab of ABBREVIATION_PATTERNS) {
-    if (ab.pattern.test(allText)) {
-      errors.structural.push({ type: 'abbreviation', label: ab.label, severity: 'low' });
-    }
-  }
-
-  // Compound words
-  for (const [compound, correction] of Object.entries(COMPOUND_ERRORS)) {
-    const regex = new RegExp(`\\b${compound}\\b`, 'gi');
-    if (regex.test(title.toLowerCase())) {
-      errors.structural.push({ type: 'compound_word', label: `"${compound}" → ${correction}`, severity: 'medium' });
+  // 4. Forbidden words and structural checks — the edit page's rule set
+  const { issues } = evaluateQualityRules({ title, description, condition }, { forbiddenWords });
+  const forbiddenFound = new Set();
+  for (const issue of issues) {
+    if (issue.ruleId === 'forbidden-word') {
+      issue.matches.forEach(word => forbiddenFound.add(word.toLowerCase()));
+    } else {
+      errors.structural.push({ type: issue.ruleId, label: issue.label, severity: issue.severity });
     }
   }
-
-  // Title should start with UPPERCASE
-  if (title && !/^[A-ZÅÄÖ]/.test(title)) {
-    errors.structural.push({ type: 'title_format', label: 'Title does not start with uppercase', severity: 'medium' });
-  }
-
-  // Description too short
-  if (description.length > 0 && description.length < 50) {
-    errors.structural.push({ type: 'short_description', label: `Description only ${description.length} chars`, severity: 'medium' });
-  }
-
-  // Condition too short
-  if (condition.length > 0 && condition.length < 20) {
-    errors.structural.push({ type: 'short_condition', label: `Condition only ${condition.length} chars`, severity: 'low' });
-  }
-
-  // Missing measurements in description
-  if (description.length > 30 && !/\d+\s*(x|\×)\s*\d+|\d+\s*(cm|mm)\b/i.test(description)) {
-    errors.structural.push({ type: 'missing_measurements', label: 'No measurements found in description', severity: 'low' });
-  }
+  forbiddenFound.forEach(word => errors.forbidden.push({ word, field: 'text' }));
 
   const totalErrors = errors.spelling.length + errors.brand.length + errors.forbidden.length + errors.structural.length;
 
@@ -605,6 +529,7 @@ async function runAudit() {
     const spellChecker = new SwedishSpellChecker();
     const brandValidator = new BrandValidationManager(null);
     const useAI = document.getElementById('aiEnabled').checked && hasApiKey;
+    const forbiddenWords = await loadForbiddenWords();
     const results = [];
 
     aiStats = { calls: 0, errors: 0, found: 0 };
@@ -613,7 +538,7 @@ async function runAudit() {
     for (let i = 0; i < items.length; i += CONCURRENCY) {
       const batch = items.slice(i, i + CONCURRENCY);
       const batchResults = await Promise.all(
-        batch.map(item => analyzeItem(item, spellChecker, brandValidator, useAI))
+        batch.map(item => analyzeItem(item, spellChecker, brandValidator, forbiddenWords, useAI))
       );
       results.push(...batchResults);
       const pctDone = 90 + (results.length / items.length) * 10;
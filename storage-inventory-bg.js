@@ -0,0 +1,364 @@
+/**
+ * Storage Inventory — Background Service Worker Module
+ * Knows every place the extension keeps data, so storage.html can show size,
+ * age and owning feature per store, clear or export a single store, and so
+ * eviction policies can be enforced without anyone opening that page.
+ *
+ *   chrome.storage.local — registered below (exact keys or a key prefix)
+ *   IndexedDB            — AI response cache, dev session recordings, edit history
+ *   Page storage         — auctionet.com localStorage/sessionStorage, reached
+ *                          through page-storage-agent.js in an open admin tab
+ *
+ * Policies: `maxAgeDays` (drop entries older than that), `lruMax` (keep the N
+ * most recently used keys of a prefix store) and `maxEntries` (cap the
+ * entries inside one object, oldest first). Last use of prefix stores is
+ * tracked in chrome.storage.local 'storageLastUsed' = { [key]: timestamp }.
+ */
+
+import { purgeCache, getCacheStats } from './ai-response-cache-bg.js';
+import { listDevSessions, deleteDevSession, exportDevSession } from './dev-session-bg.js';
+import { getEditHistoryStats, exportEditHistory, clearEditHistory, pruneEditHistory, EDIT_HISTORY_POLICY } from './edit-history-bg.js';
+
+const LAST_USED_KEY = 'storageLastUsed';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LOCAL_STORES = [
+  {
+    id: 'analytics-cache', label: 'Försäljningsanalys – objektdata per företag', owner: 'Försäljningsanalys',
+    kind: 'cache', prefix: 'analytics_', timeOf: v => v?.fetchedAt,
+    policy: { lruMax: 3, maxAgeDays: 30 }
+  },
+  {
+    id: 'auction-results-cache', label: 'Auktionsresultat (admin)', owner: 'Försäljningsanalys',
+    kind: 'cache', prefix: 'auction_results_', timeOf: v => v?.fetchedAt,
+    policy: { maxAgeDays: 30 }
+  },
+  {
+    id: 'publication-scan', label: 'Publiceringskontroll – senaste skanning', owner: 'Publiceringskontroll',
+    kind: 'cache', keys: ['publicationScanResults', 'publicationScanProgress'], timeOf: v => v?.scannedAt && Date.parse(v.scannedAt)
+  },
+  {
+    id: 'pub-scan-spell-cache', label: 'Publiceringskontroll – stavningscache', owner: 'Publiceringskontroll',
+    kind: 'cache', keys: ['pubScanSpellCache'], entries: true, entryTimeOf: e => e?.checkedAt,
+    policy: { maxEntries: 3000 }
+  },
+  {
+    id: 'sticky-errors', label: 'Kvarstående stavfel', owner: 'Publiceringskontroll',
+    kind: 'data', keys: ['publicationScanStickyErrors'], entries: true, entryTimeOf: e => e?.firstDetectedAt,
+    note: 'Rensas automatiskt efter 7 dagar'
+  },
+  {
+    id: 'pub-scan-ignored', label: 'Ignorerade objekt', owner: 'Publiceringskontroll',
+    kind: 'data', keys: ['publicationScanIgnored'], entries: true
+  },
+  {
+    id: 'pub-scan-whitelist', label: 'Godkända ord (lokal kopia)', owner: 'Publiceringskontroll',
+    kind: 'data', keys: ['pubScanLocalWhitelist'], entries: true
+  },
+  {
+    id: 'item-index', label: 'Objektindex för dubblettvarning', owner: 'Dubblettkontroll',
+    kind: 'cache', keys: ['itemDuplicateIndex'], entries: true, entryTimeOf: e => e?.seenAt,
+    policy: { maxEntries: 5000 }
+  },
+  {
+    id: 'enhance-batch-inbox', label: 'Granskningskö (Förbättra alla i batch)', owner: 'Förbättra alla',
+    kind: 'data', keys: ['enhanceBatchInbox'], entries: true, entryTimeOf: e => e?.updatedAt,
+    note: 'Klara poster rensas från granskningskön'
+  },
+  {
+    id: 'snippet-library', label: 'Mallbibliotek (team och personliga mallar)', owner: 'Mallar',
+    kind: 'data', keys: ['teamSnippets', 'personalSnippets'], entries: true, entryTimeOf: e => e?.updatedAt,
+    note: 'Teamets mallar följer med teamprofilen'
+  },
+  {
+    id: 'dashboard-search-history', label: 'Söktrender (timvisa ögonblicksbilder)', owner: 'Admin-dashboard',
+    kind: 'cache', keys: ['dashboardSearchHistory'], entries: true, entryTimeOf: e => e?.timestamp,
+    note: 'Max 7 dagar'
+  },
+  {
+    id: 'warehouse-cost-cache', label: 'Lagerkostnader', owner: 'Admin-dashboard',
+    kind: 'cache', keys: ['warehouseCostCache'], timeOf: v => v?.timestamp
+  },
+  {
+    id: 'translation-sync', label: 'Översättningar – synk mot svensk text', owner: 'Översättning',
+    kind: 'data', keys: ['translationSync'], entries: true, entryTimeOf: e => e?.updatedAt,
+    policy: { maxEntries: 1000 }
+  },
+  {
+    id: 'ai-usage', label: 'AI-kostnadshistorik', owner: 'AI-kostnad',
+    kind: 'history', keys: ['aiUsageLedger', 'aiUsageLog'], note: 'Max 400 dagar / 500 anrop'
+  },
+  {
+    id: 'settings', label: 'Inställningar och profiler', owner: 'Popup',
+    kind: 'settings', keys: ['anthropicApiKey', 'enablePubScanner', 'dashboardApiToken', 'adminPinHash',
+      'outletSupabaseUrl', 'outletSupabaseServiceKey', 'spellcheckWorkerUrl', 'aiUsageBudget', 'aiUsagePricing',
+      'aiProviderSettings', 'translationSettings', 'metalPrices', 'aiRulesOverride', 'settingsProfiles', 'devSession', 'storageSchemaVersion', 'storageMigrationLog', LAST_USED_KEY],
+    note: 'Exportera via Teamprofil i popupen'
+  }
+];
+
+// Stores that can't be emptied from the inventory page
+const PROTECTED_KINDS = new Set(['settings']);
+
+// ─── chrome.storage.local helpers ───────────────────────────────────
+
+function byteSize(value) {
+  return new TextEncoder().encode(JSON.stringify(value) ?? '').length;
+}
+
+function storeKeys(store, allKeys) {
+  return store.prefix ? allKeys.filter(k => k.startsWith(store.prefix)) : store.keys.filter(k => allKeys.includes(k));
+}
+
+// Keys nobody registered — shown so nothing is invisible, never cleared from here
+function unregisteredKeys(allKeys) {
+  const known = new Set(LOCAL_STORES.flatMap(store => storeKeys(store, allKeys)));
+  return allKeys.filter(k => !known.has(k));
+}
+
+function describePolicy(store) {
+  const parts = [];
+  if (store.policy?.lruMax) parts.push(`högst ${store.policy.lruMax} senast använda`);
+  if (store.policy?.maxAgeDays) parts.push(`max ${store.policy.maxAgeDays} dagar`);
+  if (store.policy?.maxEntries) parts.push(`högst ${store.policy.maxEntries} poster`);
+  if (store.note) parts.push(store.note);
+  return parts.join(', ');
+}
+
+function summarizeLocalStore(store, all, lastUsed) {
+  const keys = storeKeys(store, Object.keys(all));
+  const times = [];
+  let entries = 0;
+  let bytes = 0;
+  for (const key of keys) {
+    const value = all[key];
+    bytes += byteSize(value);
+    if (store.entries) {
+      const list = Array.isArray(value) ? value : Object.values(value || {});
+      entries += list.length;
+      if (store.entryTimeOf) times.push(...list.map(store.entryTimeOf));
+    } else {
+      entries++;
+      times.push(store.timeOf?.(value), lastUsed[key]);
+    }
+  }
+  const valid = times.filter(t => Number.isFinite(t));
+  return {
+    id: store.id,
+    label: store.label,
+    owner: store.owner,
+    kind: store.kind,
+    location: 'chrome.storage.local',
+    keys,
+    entries,
+    bytes,
+    oldestAt: valid.length ? Math.min(...valid) : null,
+    newestAt: valid.length ? Math.max(...valid) : null,
+    policy: describePolicy(store),
+    clearable: !PROTECTED_KINDS.has(store.kind),
+    exportable: !PROTECTED_KINDS.has(store.kind)
+  };
+}
+
+// ─── Page storage (via page-storage-agent.js) ───────────────────────
+
+async function askPageAgents(message) {
+  const tabs = await chrome.tabs.query({ url: 'https://auctionet.com/admin/*' });
+  const replies = await Promise.all(tabs.map(tab =>
+    chrome.tabs.sendMessage(tab.id, { type: 'page-storage', ...message }).catch(() => null)));
+  return replies.filter(Boolean);
+}
+
+// localStorage is shared by every auctionet.com tab; sessionStorage is per tab
+function mergePageInventories(replies) {
+  const merged = new Map();
+  for (const reply of replies) {
+    for (const store of reply.stores || []) {
+      const existing = merged.get(store.id);
+      if (!existing) {
+        merged.set(store.id, { ...store });
+      } else if (store.perTab) {
+        existing.entries += store.entries;
+        existing.bytes += store.bytes;
+        existing.oldestAt = [existing.oldestAt, store.oldestAt].filter(Number.isFinite).reduce((a, b) => Math.min(a, b), Infinity);
+        existing.newestAt = [existing.newestAt, store.newestAt].filter(Number.isFinite).reduce((a, b) => Math.max(a, b), -Infinity);
+      }
+    }
+  }
+  return [...merged.values()].map(s => ({
+    ...s,
+    oldestAt: Number.isFinite(s.oldestAt) ? s.oldestAt : null,
+    newestAt: Number.isFinite(s.newestAt) ? s.newestAt : null,
+    location: s.perTab ? 'Sidans sessionStorage' : 'Sidans localStorage',
+    clearable: true,
+    exportable: true
+  }));
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+
+/**
+ * Every store with size, age and owner, plus overall usage.
+ * @returns {Promise<{ stores: object[], usage: object, pageStorageAvailable: boolean }>}
+ */
+export async function getStorageInventory() {
+  const all = await chrome.storage.local.get(null);
+  const lastUsed = all[LAST_USED_KEY] || {};
+  const stores = LOCAL_STORES.map(store => summarizeLocalStore(store, all, lastUsed));
+
+  const unknownKeys = unregisteredKeys(Object.keys(all));
+  if (unknownKeys.length > 0) {
+    stores.push({
+      id: 'other', label: 'Övrigt', owner: '—', kind: 'other', location: 'chrome.storage.local',
+      keys: unknownKeys, entries: unknownKeys.length,
+      bytes: unknownKeys.reduce((sum, k) => sum + byteSize(all[k]), 0),
+      oldestAt: null, newestAt: null, policy: '', clearable: false, exportable: true
+    });
+  }
+
+  const [cacheStats, sessions, historyStats] = await Promise.all([
+    getCacheStats().catch(() => null),
+    listDevSessions().catch(() => []),
+    getEditHistoryStats().catch(() => null)
+  ]);
+  stores.push({
+    id: 'ai-response-cache', label: 'AI-svarscache', owner: 'AI-cache', kind: 'cache', location: 'IndexedDB',
+    entries: cacheStats?.entries || 0, bytes: cacheStats?.bytes || 0, oldestAt: null, newestAt: null,
+    policy: 'Per funktion (cacheTtlHours), utgångna rensas dagligen', clearable: true, exportable: false
+  });
+  const sessionTimes = sessions.map(s => s.startedAt);
+  stores.push({
+    id: 'dev-sessions', label: 'Utvecklarinspelningar', owner: 'Utvecklare', kind: 'data', location: 'IndexedDB',
+    entries: sessions.length, bytes: null,
+    oldestAt: sessionTimes.length ? Math.min(...sessionTimes) : null,
+    newestAt: sessionTimes.length ? Math.max(...sessionTimes) : null,
+    policy: 'Sparas tills de tas bort', clearable: true, exportable: true
+  });
+  stores.push({
+    id: 'edit-history', label: `Versionshistorik (${historyStats?.items || 0} objekt)`, owner: 'Versionshistorik', kind: 'history',
+    location: 'IndexedDB', entries: historyStats?.entries || 0, bytes: null,
+    oldestAt: historyStats?.oldestAt ?? null, newestAt: historyStats?.newestAt ?? null,
+    policy: EDIT_HISTORY_POLICY, clearable: true, exportable: true
+  });
+
+  const pageReplies = await askPageAgents({ action: 'list' }).catch(() => []);
+  stores.push(...mergePageInventories(pageReplies));
+
+  let estimate = null;
+  try {
+    estimate = await navigator.storage.estimate();
+  } catch (e) {
+    // not available — IndexedDB usage unknown
+  }
+
+  return {
+    stores,
+    pageStorageAvailable: pageReplies.length > 0,
+    usage: {
+      localBytes: byteSize(all),
+      originBytes: estimate?.usage ?? null,
+      originQuota: estimate?.quota ?? null
+    }
+  };
+}
+
+export async function clearStore(id) {
+  const store = LOCAL_STORES.find(s => s.id === id);
+  if (store) {
+    if (PROTECTED_KINDS.has(store.kind)) throw new Error('Inställningar kan inte rensas härifrån');
+    const all = await chrome.storage.local.get(null);
+    const keys = storeKeys(store, Object.keys(all));
+    if (keys.length > 0) await chrome.storage.local.remove(keys);
+    await forgetLastUsed(keys);
+    return;
+  }
+  if (id === 'ai-response-cache') {
+    await purgeCache();
+  } else if (id === 'dev-sessions') {
+    for (const session of await listDevSessions()) await deleteDevSession(session.id);
+  } else if (id === 'edit-history') {
+    await clearEditHistory();
+  } else {
+    const replies = await askPageAgents({ action: 'clear', storeId: id });
+    if (replies.length === 0) throw new Error('Öppna en Auctionet-flik för att rensa sidans lagring');
+  }
+}
+
+export async function exportStore(id) {
+  const store = LOCAL_STORES.find(s => s.id === id);
+  let data;
+  if (store) {
+    if (PROTECTED_KINDS.has(store.kind)) throw new Error('Inställningar exporteras via Teamprofil i popupen');
+    const all = await chrome.storage.local.get(null);
+    data = Object.fromEntries(storeKeys(store, Object.keys(all)).map(k => [k, all[k]]));
+  } else if (id === 'other') {
+    const all = await chrome.storage.local.get(null);
+    data = Object.fromEntries(unregisteredKeys(Object.keys(all)).map(k => [k, all[k]]));
+  } else if (id === 'dev-sessions') {
+    data = await Promise.all((await listDevSessions()).map(s => exportDevSession(s.id)));
+  } else if (id === 'edit-history') {
+    data = await exportEditHistory();
+  } else {
+    const replies = await askPageAgents({ action: 'export', storeId: id });
+    if (replies.length === 0) throw new Error('Öppna en Auctionet-flik för att exportera sidans lagring');
+    data = Object.assign({}, ...replies.map(r => r.data || {}));
+  }
+  return { format: 'auctionet-storage-export', store: id, exportedAt: new Date().toISOString(), data };
+}
+
+// ─── Eviction ───────────────────────────────────────────────────────
+
+async function forgetLastUsed(keys) {
+  const { [LAST_USED_KEY]: lastUsed = {} } = await chrome.storage.local.get([LAST_USED_KEY]);
+  let changed = false;
+  for (const key of keys) {
+    if (key in lastUsed) { delete lastUsed[key]; changed = true; }
+  }
+  if (changed) await chrome.storage.local.set({ [LAST_USED_KEY]: lastUsed });
+}
+
+/**
+ * Apply every store's policy. Runs from a daily alarm and on browser start.
+ * @returns {Promise<{ removedKeys: string[], trimmedEntries: number }>}
+ */
+export async function enforceStoragePolicies() {
+  const all = await chrome.storage.local.get(null);
+  const lastUsed = all[LAST_USED_KEY] || {};
+  const now = Date.now();
+  const removedKeys = [];
+  let trimmedEntries = 0;
+
+  for (const store of LOCAL_STORES.filter(s => s.policy)) {
+    const { maxAgeDays, lruMax, maxEntries } = store.policy;
+    const keys = storeKeys(store, Object.keys(all));
+    const usedAt = key => Math.max(lastUsed[key] || 0, store.timeOf?.(all[key]) || 0);
+
+    if (maxAgeDays) {
+      for (const key of keys) {
+        if (now - usedAt(key) > maxAgeDays * DAY_MS) removedKeys.push(key);
+      }
+    }
+    if (lruMax) {
+      const survivors = keys.filter(k => !removedKeys.includes(k)).sort((a, b) => usedAt(b) - usedAt(a));
+      removedKeys.push(...survivors.slice(lruMax));
+    }
+    if (maxEntries) {
+      for (const key of keys) {
+        const entries = Object.entries(all[key] || {});
+        if (entries.length <= maxEntries) continue;
+        entries.sort(([, a], [, b]) => (store.entryTimeOf(b) || 0) - (store.entryTimeOf(a) || 0));
+        trimmedEntries += entries.length - maxEntries;
+        await chrome.storage.local.set({ [key]: Object.fromEntries(entries.slice(0, maxEntries)) });
+      }
+    }
+  }
+
+  if (removedKeys.length > 0) {
+    await chrome.storage.local.remove(removedKeys);
+    await forgetLastUsed(removedKeys);
+    console.log(`[Storage] Evicted ${removedKeys.join(', ')}`);
+  }
+  await purgeCache({ expiredOnly: true }).catch(() => {});
+  trimmedEntries += await pruneEditHistory().catch(() => 0);
+  return { removedKeys, trimmedEntries };
+}
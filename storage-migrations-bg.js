@@ -0,0 +1,191 @@
+/**
+ * Storage Migrations — Background Service Worker Module
+ * One ordered registry for every chrome.storage schema change, run on
+ * install/update and on each service worker start (already-applied steps
+ * are skipped). The applied schema version is recorded after every step, so
+ * an interrupted upgrade resumes where it stopped.
+ *
+ * Rules for adding a migration:
+ *   - append with the next version number — never edit or reorder old ones
+ *   - make it idempotent (it may run again after a crash mid-step)
+ *   - caches may be dropped; user data (USER_DATA_KEYS) must be transformed.
+ *     A step that removes a user-data key without listing it in `discards`
+ *     has the key restored afterwards.
+ *
+ * Example — new spell dictionary, cached spellchecks are stale:
+ *   { version: 5, description: 'Ordlista uppdaterad — kontrollera om stavning',
+ *     run: () => dropKeys('local', [SPELL_CACHE_KEY, SCAN_RESULTS_KEY]) }
+ *
+ * chrome.storage.local:
+ *   storageSchemaVersion — highest applied migration
+ *   storageMigrationLog  — last applied steps: [{ version, description, appliedAt }]
+ */
+
+const SCHEMA_VERSION_KEY = 'storageSchemaVersion';
+const MIGRATION_LOG_KEY = 'storageMigrationLog';
+const MIGRATION_LOG_MAX = 20;
+
+const SCAN_RESULTS_KEY = 'publicationScanResults';
+const STICKY_ERRORS_KEY = 'publicationScanStickyErrors';
+const SPELL_CACHE_KEY = 'pubScanSpellCache';
+
+// Things people built up by hand — never silently lost in an upgrade
+const USER_DATA_KEYS = {
+  local: ['anthropicApiKey', 'dashboardApiToken', 'publicationScanIgnored', 'pubScanLocalWhitelist',
+    STICKY_ERRORS_KEY, 'settingsProfiles', 'aiProviderSettings', 'aiUsageBudget'],
+  sync: ['ownCompanyId', 'enableArtistInfo', 'showDashboard']
+};
+
+let migrationRun = null;
+
+// ─── Helpers for migrations ─────────────────────────────────────────
+
+async function getKey(area, key) {
+  const stored = await chrome.storage[area].get([key]);
+  return stored[key];
+}
+
+async function dropKeys(area, keys) {
+  await chrome.storage[area].remove(keys);
+}
+
+async function renameKey(area, from, to) {
+  const value = await getKey(area, from);
+  if (value === undefined) return;
+  if ((await getKey(area, to)) === undefined) await chrome.storage[area].set({ [to]: value });
+  await chrome.storage[area].remove(from);
+}
+
+// "Stavfel: "tallrk" → "tallrik", "ståndur" → "golvur"" → [{ word, correction }]
+function parseSpellPairs(text) {
+  return [...String(text).matchAll(/"([^"]+)" → "([^"]*)"/g)].map(([, word, correction]) => ({ word, correction }));
+}
+
+// ─── Registry ───────────────────────────────────────────────────────
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'API-nyckel flyttad från sync till local',
+    async run() {
+      const local = await getKey('local', 'anthropicApiKey');
+      const synced = await getKey('sync', 'anthropicApiKey');
+      if (!local && synced) await chrome.storage.local.set({ anthropicApiKey: synced });
+      if (synced !== undefined) await dropKeys('sync', ['anthropicApiKey']);
+    }
+  },
+  {
+    version: 2,
+    description: 'excludeCompanyId → ownCompanyId',
+    async run() {
+      await renameKey('sync', 'excludeCompanyId', 'ownCompanyId');
+    }
+  },
+  {
+    // Replaces the old pubScanSpellVersion check, which wiped sticky errors
+    // along with the caches whenever it was bumped.
+    version: 3,
+    description: 'Publiceringskontroll: stavningsdata v5 (ignorerade och kvarstående fel behålls)',
+    async run() {
+      const spellVersion = (await getKey('local', 'pubScanSpellVersion')) || 0;
+      if (spellVersion < 5) {
+        // Results and cached spellchecks predate the current dictionary
+        await dropKeys('local', [SCAN_RESULTS_KEY, 'pubScanSpellCache_v2']);
+
+        // Sticky errors from before v5 lack spellWords; rebuild them from the
+        // issue text. 'near-edit' is the cautious confidence — a dismissal
+        // then needs confirmations before the word is whitelisted.
+        const sticky = await getKey('local', STICKY_ERRORS_KEY);
+        if (sticky) {
+          for (const entry of Object.values(sticky)) {
+            entry.issues = (entry.issues || []).map(issue => {
+              if (issue.spellWords || !String(issue.text).startsWith('Stavfel:')) return issue;
+              const pairs = parseSpellPairs(issue.text);
+              return pairs.length > 0 ? { ...issue, spellWords: pairs.map(p => ({ ...p, confidence: 'near-edit' })) } : issue;
+            });
+          }
+          await chrome.storage.local.set({ [STICKY_ERRORS_KEY]: sticky });
+        }
+      }
+      // v1 spell cache had a different entry format
+      await dropKeys('local', ['pubScanSpellCache', 'pubScanSpellVersion']);
+    }
+  },
+  {
+    version: 4,
+    description: 'pubScanSpellCache_v2 → pubScanSpellCache',
+    async run() {
+      await renameKey('local', 'pubScanSpellCache_v2', SPELL_CACHE_KEY);
+    }
+  }
+];
+
+// ─── Runner ─────────────────────────────────────────────────────────
+
+async function snapshotUserData() {
+  const [local, sync] = await Promise.all([
+    chrome.storage.local.get(USER_DATA_KEYS.local),
+    chrome.storage.sync.get(USER_DATA_KEYS.sync)
+  ]);
+  return { local, sync };
+}
+
+// Put back user data a migration removed without declaring it in `discards`
+async function restoreLostUserData(migration, before) {
+  const after = await snapshotUserData();
+  for (const area of ['local', 'sync']) {
+    const lost = Object.keys(before[area]).filter(key =>
+      after[area][key] === undefined && !(migration.discards || []).includes(key));
+    if (lost.length === 0) continue;
+    console.warn(`[Migrations] v${migration.version} removed ${lost.join(', ')} — restoring`);
+    await chrome.storage[area].set(Object.fromEntries(lost.map(key => [key, before[area][key]])));
+  }
+}
+
+async function applyPending() {
+  const stored = await chrome.storage.local.get([SCHEMA_VERSION_KEY, MIGRATION_LOG_KEY]);
+  let current = stored[SCHEMA_VERSION_KEY] || 0;
+  const log = stored[MIGRATION_LOG_KEY] || [];
+  const pending = MIGRATIONS.filter(m => m.version > current);
+  const applied = [];
+
+  for (const migration of pending) {
+    try {
+      const before = await snapshotUserData();
+      await migration.run();
+      await restoreLostUserData(migration, before);
+    } catch (error) {
+      // Stop here — later steps may depend on this one. Retried next start.
+      console.error(`[Migrations] v${migration.version} (${migration.description}) failed:`, error);
+      return { from: stored[SCHEMA_VERSION_KEY] || 0, to: current, applied, error: error.message };
+    }
+    current = migration.version;
+    log.push({ version: current, description: migration.description, appliedAt: Date.now() });
+    applied.push(current);
+    await chrome.storage.local.set({
+      [SCHEMA_VERSION_KEY]: current,
+      [MIGRATION_LOG_KEY]: log.slice(-MIGRATION_LOG_MAX)
+    });
+  }
+
+  if (applied.length > 0) console.log(`[Migrations] Storage schema now v${current} (applied ${applied.join(', ')})`);
+  return { from: stored[SCHEMA_VERSION_KEY] || 0, to: current, applied, error: null };
+}
+
+/**
+ * Apply all pending migrations. Runs once per service worker lifetime;
+ * later calls (e.g. from modules that read migrated keys) await the same run.
+ * @returns {Promise<{ from: number, to: number, applied: number[], error: string|null }>}
+ */
+export function runStorageMigrations() {
+  if (!migrationRun) {
+    migrationRun = applyPending().catch(error => {
+      console.error('[Migrations] Could not read schema version:', error);
+      return { from: 0, to: 0, applied: [], error: error.message };
+    }).then(result => {
+      if (result.error) migrationRun = null; // let the next caller retry
+      return result;
+    });
+  }
+  return migrationRun;
+}
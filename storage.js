@@ -0,0 +1,132 @@
+// storage.js — Storage inventory page: every store the extension uses, with clear/export
+// Data comes from storage-inventory-bg.js via 'storage-inventory' messages.
+
+const escapeHTML = s => s == null ? '' : String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+
+const KIND_LABELS = { cache: 'Cache', data: 'Egen data', history: 'Historik', settings: 'Inställningar', other: 'Övrigt' };
+
+const $ = id => document.getElementById(id);
+
+function sendMessageAsync(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else if (!response?.success) reject(new Error(response?.error || 'Okänt fel'));
+      else resolve(response);
+    });
+  });
+}
+
+function formatBytes(bytes) {
+  if (bytes == null) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatAge(ts) {
+  if (!ts) return '—';
+  const hours = (Date.now() - ts) / 3600000;
+  if (hours < 1) return 'nyss';
+  if (hours < 48) return `${Math.round(hours)} h sedan`;
+  return `${Math.round(hours / 24)} d sedan`;
+}
+
+function showStatus(message, type) {
+  const el = $('status');
+  el.textContent = message;
+  el.className = `status ${type || ''}`;
+}
+
+function render({ stores, usage, pageStorageAvailable }) {
+  $('usageCards').innerHTML = [
+    [formatBytes(usage.localBytes), 'chrome.storage.local'],
+    [formatBytes(usage.originBytes), 'Totalt (inkl. IndexedDB)'],
+    [stores.length, 'Lagringsplatser']
+  ].map(([value, label]) => `<div class="card"><div class="value">${escapeHTML(value)}</div><div class="label">${escapeHTML(label)}</div></div>`).join('');
+
+  $('pageStorageNote').textContent = pageStorageAvailable
+    ? ''
+    : 'Öppna en Auctionet admin-flik för att även se biografi- och marknadsanalyscacher.';
+
+  $('storeRows').innerHTML = stores.map(store => `
+    <tr>
+      <td>${escapeHTML(store.label)}</td>
+      <td>${escapeHTML(store.owner)}</td>
+      <td><span class="tag tag-${escapeHTML(store.kind)}">${escapeHTML(KIND_LABELS[store.kind] || store.kind)}</span></td>
+      <td class="muted">${escapeHTML(store.location)}</td>
+      <td class="num">${store.entries ?? '—'}</td>
+      <td class="num">${formatBytes(store.bytes)}</td>
+      <td class="num">${formatAge(store.oldestAt)}</td>
+      <td class="num">${formatAge(store.newestAt)}</td>
+      <td class="muted">${escapeHTML(store.policy || '')}</td>
+      <td class="actions">
+        ${store.exportable ? `<button class="small" data-export="${escapeHTML(store.id)}">Exportera</button>` : ''}
+        ${store.clearable ? `<button class="small danger" data-clear="${escapeHTML(store.id)}" data-kind="${escapeHTML(store.kind)}" data-label="${escapeHTML(store.label)}">Rensa</button>` : ''}
+      </td>
+    </tr>
+  `).join('');
+}
+
+async function runAction(action, params = {}) {
+  const response = await sendMessageAsync({ type: 'storage-inventory', action, ...params });
+  render(response);
+  return response.result;
+}
+
+async function refresh() {
+  try {
+    await runAction('list');
+  } catch (error) {
+    showStatus('Kunde inte läsa lagringen: ' + error.message, 'error');
+  }
+}
+
+async function clearStore(storeId, kind, label) {
+  const warning = kind === 'cache'
+    ? `Rensa "${label}"? Datan hämtas på nytt vid behov.`
+    : `Rensa "${label}"? Detta är data du eller kollegor byggt upp och den kan inte återskapas.`;
+  if (!confirm(warning)) return;
+  try {
+    await runAction('clear', { storeId });
+    showStatus(`"${label}" rensad`, 'success');
+  } catch (error) {
+    showStatus('Fel vid rensning: ' + error.message, 'error');
+  }
+}
+
+async function exportStore(storeId) {
+  try {
+    const archive = await runAction('export', { storeId });
+    const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `lagring-${storeId}-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    showStatus('Fel vid export: ' + error.message, 'error');
+  }
+}
+
+async function enforcePolicies() {
+  try {
+    const { removedKeys, trimmedEntries } = await runAction('enforce');
+    showStatus(removedKeys.length || trimmedEntries
+      ? `Rensade ${removedKeys.length} cacheposter och ${trimmedEntries} gamla poster`
+      : 'Inget att rensa', 'success');
+  } catch (error) {
+    showStatus('Fel: ' + error.message, 'error');
+  }
+}
+
+$('storeRows').addEventListener('click', (e) => {
+  const button = e.target.closest('button');
+  if (!button) return;
+  if (button.dataset.export) exportStore(button.dataset.export);
+  else if (button.dataset.clear) clearStore(button.dataset.clear, button.dataset.kind, button.dataset.label);
+});
+$('refreshBtn').addEventListener('click', refresh);
+$('enforceBtn').addEventListener('click', enforcePolicies);
+
+refresh();
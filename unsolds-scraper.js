@@ -24,6 +24,7 @@
     const scraperModule = await import(chrome.runtime.getURL('modules/outlet/outlet-scraper.js'));
     const apiModule = await import(chrome.runtime.getURL('modules/outlet/outlet-api.js'));
     const uiModule = await import(chrome.runtime.getURL('modules/outlet/outlet-ui.js'));
+    const itemIndex = await import(chrome.runtime.getURL('modules/item-index.js'));
 
     const scraper = new scraperModule.OutletScraper();
     const api = new apiModule.OutletAPI();
@@ -42,6 +43,16 @@
 
       const ui = new uiModule.OutletUI(scraper, api);
       ui.init();
+
+      // Unsold items are often re-entered — keep them in the duplicate index
+      itemIndex.indexItems(scraper.scrapeCurrentPage().map(item => ({
+        id: item.id,
+        title: item.title,
+        sellerId: item.sellerId,
+        contractId: item.contractId,
+        url: item.editUrl,
+        imageUrl: item.thumbUrl || item.fullImageUrl
+      })), 'unsolds');
     }
 
     // Initial setup
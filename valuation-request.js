@@ -25,7 +25,8 @@ if (/\/valuation_requests\/\d+/.test(window.location.pathname)) {
       };
       setTimeout(waitForRules, 100);
     }),
-    import('./modules/valuation-request-assistant.js').then(m => { window.ValuationRequestAssistant = m.ValuationRequestAssistant; })
+    import('./modules/valuation-request-assistant.js').then(m => { window.ValuationRequestAssistant = m.ValuationRequestAssistant; }),
+    import('./modules/ui/ai-queue-indicator.js').then(m => { new m.AIQueueIndicator().init(); })
   ];
 
   Promise.all(imports).then(async () => {